@@ -3,13 +3,17 @@ import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
 import rateLimit from 'express-rate-limit';
-import { ApiError } from './src/utils/ApiError.js';
+import { ApiError, GitHubRateLimitError, QuotaExceededError } from './src/utils/ApiError.js';
 
 // Route Imports
 import authRouter from './src/routes/auth.Routes.js';
 import githubRouter from './src/routes/github.Routes.js';
 import templateRouter from './src/routes/template.Routes.js';
 import readmeRouter from './src/routes/readme.Routes.js';
+import modelRouter from './src/routes/model.Routes.js';
+import jobRouter from './src/routes/job.Routes.js';
+import usageRouter from './src/routes/usage.Routes.js';
+import { MAX_FILES_PER_COMMIT } from './src/services/documentType.Service.js';
 
 // Create an Express application instance
 const app = express();
@@ -123,7 +127,7 @@ const corsOptions = {
     'X-CSRF-Token',
     'Cookie' // Explicitly allow Cookie header
   ],
-  exposedHeaders: ['Set-Cookie', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  exposedHeaders: ['Set-Cookie', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'],
   optionsSuccessStatus: 200, // For legacy browser support (IE11, various SmartTVs)
   preflightContinue: false, // Pass control to the next handler after successful preflight
   maxAge: 86400, // 24 hours - cache preflight response
@@ -171,6 +175,20 @@ app.use((req, res, next) => {
 
 app.use(cors(corsOptions));
 
+// Routes with their own per-user allowance (usage.middleware.js), left out of the per-IP limit below so
+// frequent calls do not use it up, nor users behind a shared address starve each other: quality checks run
+// while the user edits (lintRateLimit), and batch generation analyzes every repository
+// (analyzeRateLimit, analyzeJobRateLimit). The event stream of each job it follows is long-lived and
+// only reconnects with a backoff, so it is left out as well
+const USER_RATE_LIMITED_PATHS = [
+  '/api/v1/github/lint',
+  '/api/v1/github/check-links',
+  '/api/v1/github/badges',
+  '/api/v1/github/analyze',
+  '/api/v1/github/analyze/stream',
+];
+const JOB_EVENTS_PATH = /^\/api\/v1\/jobs\/[^/]+\/events$/;
+
 // Rate limiting to prevent brute-force attacks
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -178,13 +196,29 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false, 
   message: 'Too many requests from this IP, please try again after 15 minutes',
+  skip: (req) => USER_RATE_LIMITED_PATHS.includes(req.path) || JOB_EVENTS_PATH.test(req.path),
 });
 app.use(limiter);
 
 
 // --- Core Middlewares ---
 
-// Parse JSON bodies
+// Parse JSON bodies. Routes whose body holds a draft leave room for about 100 KB per document:
+// saves carry every document of a commit, the others one. The remaining routes keep the small default
+const DOCUMENT_LIMIT_KB = 100;
+const MULTI_DOCUMENT_BODY_PATHS = ['/api/v1/github/save-readme', '/api/v1/github/save-readme-branch'];
+const DOCUMENT_BODY_PATHS = [
+  '/api/v1/github/preview-readme',
+  '/api/v1/github/lint',
+  '/api/v1/github/check-links',
+  '/api/v1/github/refine',
+  '/api/v1/github/regenerate-section',
+  '/api/v1/readme',
+];
+app.use(MULTI_DOCUMENT_BODY_PATHS, express.json({ limit: `${MAX_FILES_PER_COMMIT * DOCUMENT_LIMIT_KB}kb` }));
+app.use(DOCUMENT_BODY_PATHS, express.json({ limit: `${DOCUMENT_LIMIT_KB}kb` }));
+// Template prompts may be 20000 characters, which JSON-escaped can take up to 6 bytes each
+app.use('/api/v1/templates', express.json({ limit: '128kb' }));
 app.use(express.json({ limit: '16kb' }));
 
 // Parse URL-encoded bodies
@@ -199,6 +233,9 @@ app.use('/api/v1/auth', authRouter);
 app.use('/api/v1/github', githubRouter);
 app.use('/api/v1/templates', templateRouter);
 app.use('/api/v1/readme', readmeRouter);
+app.use('/api/v1/models', modelRouter);
+app.use('/api/v1/jobs', jobRouter);
+app.use('/api/v1/usage', usageRouter);
 
 
 // --- Health Check Route ---
@@ -277,13 +314,28 @@ app.use((err, req, res, next) => {
         });
     }
     
+    // Bodies over the limit of their route (see the JSON parsers above)
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            statusCode: 413,
+            message: `The request is too large (at most ${Math.floor(err.limit / 1024)} KB).`,
+            success: false,
+            errors: [],
+            data: null,
+        });
+    }
+
     // If the error is a known API error, handle it gracefully
     if (err instanceof ApiError) {
+        if (err instanceof GitHubRateLimitError || err instanceof QuotaExceededError) {
+            res.set('Retry-After', String(err.data.retryAfter));
+        }
         return res.status(err.statusCode).json({
             statusCode: err.statusCode,
             message: err.message,
             success: err.success,
             errors: err.errors,
+            data: err.data,
         });
     }
 
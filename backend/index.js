@@ -2,19 +2,29 @@ import app from './app.js';
 import dotenv from 'dotenv';
 import connectDB from './src/db/index.js';
 import logger from './src/utils/logger.js';
+import { startJobWorker } from './src/services/jobs/index.js';
+import { jobHandlers } from './src/controllers/job.Controller.js';
+import { assertCacheStoreAvailable } from './src/services/cache/index.js';
 // Load environment variables from the .env file
 dotenv.config({
   path: './.env'
 });
 
-// Connect to the database and then start the server
-connectDB()
+// Check the cache configuration, connect to the database and then start the server
+assertCacheStoreAvailable()
+.then(() => connectDB())
 .then(() => {
   // Start the Express server
   app.listen(process.env.PORT || 8080, () => {
     logger.info(`⚙️  Server is running at port : ${process.env.PORT || 8080}`);
   });
 
+  // Background jobs (queued with ?async=true) run in this process unless disabled,
+  // e.g. on serverless platforms where the process does not outlive the request
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker({ handlers: jobHandlers });
+  }
+
   // Optional: Listen for Express app errors
   app.on("error", (error) => {
     logger.error("EXPRESS APP ERROR: ", error);
@@ -24,6 +34,6 @@ connectDB()
   
 })
 .catch((err) => {
-  logger.fatal("MONGO db connection failed !!! ", err);
+  logger.fatal("Server startup failed !!! ", err);
   process.exit(1);
 });
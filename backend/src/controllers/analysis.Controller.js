@@ -1,10 +1,30 @@
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { generateContent } from '../services/aiService.js';
-import { getTemplateById } from '../services/template.Service.js';
+import { generateContent, streamContent, estimateUsage, resolveModel } from '../services/aiService.js';
+import { openSseResponse, sendSseEvent } from '../utils/sse.js';
+import { getTemplateById, buildPrompt } from '../services/template.Service.js';
+import { collectProjectContext, fetchExistingDocument } from '../services/projectContext.Service.js';
+import { appendRevision, recordRefinement, getRefinementState } from '../services/readmeDraft.Service.js';
+import { recordUsage } from '../services/usage.Service.js';
+import {
+  SECTION_MODES,
+  findSection,
+  normalizeInstruction,
+  buildSectionPrompt,
+  cleanSectionResponse,
+} from '../services/readmeSection.Service.js';
+import { toGenerationContext, buildRefinePrompt } from '../services/readmeRefine.Service.js';
+import {
+  README_PATH,
+  getDocumentType,
+  normalizeDocumentPath,
+  resolveDocument,
+  findDocumentNode,
+} from '../services/documentType.Service.js';
+import { generateBadges, renderBadgeBlock } from '../services/badge.Service.js';
 import { User } from '../models/User.model.js'; // 1. Import the User model
-import axios from 'axios';
+import { getGitHubHeaders, resolveCommit, resolveRefType, fetchTree, findReadmeNode } from '../services/github.Service.js';
 
 /**
  * @description Cleans the raw AI response by removing artifacts and finding valid markdown content.
@@ -74,21 +94,11 @@ const cleanAiResponse = (response) => {
 
 
 /**
- * @description Analyzes a GitHub repository and generates a README using a selected template.
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
+ * @description Looks up the user's GitHub token, failing when the session has no user.
+ * @param {string} userId - ID of the user from the secure session.
+ * @returns {Promise<object>} GitHub authorization headers.
  */
-const analyzeRepository = asyncHandler(async (req, res) => {
-  // 2. Get data from the request body and the secure user session
-  const { repoFullName, templateId } = req.body;
-  const userId = req.user?.id;
-
-  if (!repoFullName) {
-    throw new ApiError(400, 'Repository full name is required.');
-  }
-  if (!templateId) {
-    throw new ApiError(400, 'A template ID is required.');
-  }
+const getUserGitHubHeaders = async (userId) => {
   if (!userId) {
     throw new ApiError(401, "Unauthorized. User not found in session.");
   }
@@ -99,48 +109,471 @@ const analyzeRepository = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found or GitHub token is missing.");
   }
 
-  const githubAccessToken = user.getDecryptedAccessToken();
+  return getGitHubHeaders(user.getDecryptedAccessToken());
+};
 
+/**
+ * @description Reads a repository at a ref: its file tree and a summary of its key files.
+ * @param {object} options
+ * @param {string} options.repoFullName - Full name of the repository.
+ * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the default branch.
+ * @param {object} options.headers - GitHub authorization headers.
+ * @returns {Promise<object>} { commit, tree, filePaths, projectContext } where `commit` is { ref, refType, sha, treeSha }
+ */
+const readRepository = async ({ repoFullName, ref, headers }) => {
   try {
-    // 4. Fetch the file structure (git tree) from the GitHub API
-    const treeResponse = await axios.get(
-      `https://api.github.com/repos/${repoFullName}/git/trees/main?recursive=1`,
-      {
-        headers: { Authorization: `token ${githubAccessToken}` },
-      }
-    );
+    // 4. Resolve the requested ref (or the default branch) and fetch its file structure
+    // Whether the ref is a branch decides how the result can be saved: tags and commits cannot be committed to
+    const resolved = await resolveCommit({ repoFullName, ref, headers });
+    const commit = { ...resolved, refType: ref ? await resolveRefType({ repoFullName, ref: resolved.ref, headers }) : 'branch' };
+    const tree = await fetchTree({ repoFullName, treeSha: commit.treeSha, recursive: true, headers });
 
-    const filePaths = treeResponse.data.tree
+    const filePaths = tree
       .filter(node => node.type === 'blob')
       .map(node => node.path);
 
     if (filePaths.length === 0) {
-      throw new ApiError(404, "Could not find any files in the repository's main branch.");
+      throw new ApiError(404, `Could not find any files in ${repoFullName} at "${commit.ref}".`);
     }
 
-    // 5. Get the selected template's prompt and construct the final prompt
-    const template = getTemplateById(templateId);
-    const finalPrompt = template.prompt.replace('{filePaths}', filePaths.join('\n'));
-
-    // 6. Call our AI service to generate the README content
-    const rawReadmeContent = await generateContent(finalPrompt, "openai/gpt-oss-20b:free");
+    // 5. Fetch and summarize the high-signal files (manifests, Dockerfile, .env.example, ...)
+    const projectContext = await collectProjectContext({
+      repoFullName,
+      treeNodes: tree,
+      headers,
+    });
 
-    // 7. Clean the AI's response to remove any introductory text.
-    const cleanedReadmeContent = cleanAiResponse(rawReadmeContent);
-
-    // 8. Send the cleaned content back to the frontend
-    res.status(200).json(new ApiResponse(200, { readme: cleanedReadmeContent }, "README generated successfully."));
+    return { commit, tree, filePaths, projectContext };
 
   } catch (error) {
     console.error("Error during repository analysis:", error.response?.data || error.message);
-    if (error.response?.status === 404) {
-        throw new ApiError(404, "Repository not found or the main branch does not exist.");
-    }
-    if (error instanceof ApiError && error.statusCode === 404) {
+    if (error instanceof ApiError) {
         throw error;
     }
+    if (error.response?.status === 404) {
+        throw new ApiError(404, "Repository not found or not accessible.");
+    }
     throw new ApiError(500, "Failed to analyze the repository.");
   }
+};
+
+/**
+ * @description Renders the badge block of a repository for the {badges} placeholder. Badges are not worth
+ * failing an analysis over, so the block is left out when they cannot be read.
+ * @param {object} options
+ * @param {string} options.repoFullName - Full name of the repository.
+ * @param {Array<object>} options.tree - Nodes of the recursive tree.
+ * @param {object} options.headers - GitHub authorization headers.
+ * @returns {Promise<string>} The block, or "None found."
+ */
+const readBadgeBlock = async ({ repoFullName, tree, headers }) => {
+  try {
+    const badges = await generateBadges({ repoFullName, tree, headers });
+    return renderBadgeBlock(badges.filter(badge => badge.selected)) || 'None found.';
+  } catch (error) {
+    console.error(`Skipping the badges of ${repoFullName}:`, error.response?.data || error.message);
+    return 'None found.';
+  }
+};
+
+/**
+ * @description Validates an analysis request, reads the repository and builds the final prompt.
+ * Shared by the blocking and the streaming analyze endpoints and by analyze jobs.
+ * @param {string} userId - ID of the user from the secure session.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} { finalPrompt, selection, commit, filePaths, projectContext, template, readme, document }
+ */
+const prepareAnalysis = async (userId, body) => {
+  // 2. Get data from the request body
+  // `ref` is optional and may be a branch, tag or commit SHA; defaults to the repo's default branch
+  // `provider` and `model` are optional; the server's configured defaults are used otherwise
+  // `documentType` and `path` are optional and select a companion document (e.g. CONTRIBUTING.md) instead of the README
+  const { repoFullName, ref, provider, model, path } = body;
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+
+  // Without a template, a document type is generated with its own built-in template
+  const requestedType = body.documentType ? getDocumentType(body.documentType) : null;
+  const templateId = body.templateId || requestedType?.defaultTemplate;
+  if (!templateId) {
+    throw new ApiError(400, 'A template ID is required.');
+  }
+
+  const headers = await getUserGitHubHeaders(userId);
+
+  // Validate the model, template and document choices up front, before any GitHub calls are made
+  const selection = resolveModel({ provider, model });
+  const template = await getTemplateById(templateId, userId);
+  const type = requestedType || getDocumentType(template.documentType);
+  if (template.documentType !== type.id) {
+    throw new ApiError(400, `The "${template.name}" template does not generate a ${type.name.toLowerCase()}.`);
+  }
+  const requestedPath = path ? normalizeDocumentPath(path) : type.defaultPath;
+
+  const { commit, tree, filePaths, projectContext } = await readRepository({ repoFullName, ref, headers });
+
+  // The file the document is written to: the existing one when there is one, so it is updated in place
+  const file = findDocumentNode(tree, { type, path: requestedPath, explicitPath: Boolean(path) });
+  const existingDocument = type.id === 'readme'
+    ? projectContext.existingReadme
+    : await fetchExistingDocument({ repoFullName, file, headers });
+
+  // Badges are only read from the repository for templates that show them
+  const badges = template.prompt.includes('{badges}')
+    ? await readBadgeBlock({ repoFullName, tree, headers })
+    : null;
+
+  // 6. Construct the final prompt from the selected template
+  const finalPrompt = buildPrompt(template, {
+    filePaths: filePaths.join('\n'),
+    manifests: projectContext.manifests,
+    scripts: projectContext.scripts,
+    envVars: projectContext.envVars,
+    existingReadme: projectContext.existingReadme,
+    license: projectContext.license || 'Not detected',
+    documentPath: file.path,
+    existingDocument,
+    badges,
+  });
+
+  // The README as it was at analysis time; saving compares against it to detect upstream edits
+  const readme = findReadmeNode(tree);
+  // Drafts are keyed by path: the README always by README.md, other documents by the file they are written to
+  const document = { type, path: type.id === 'readme' ? README_PATH : file.path, file };
+
+  return { finalPrompt, selection, commit, filePaths, projectContext, template, readme, document };
+};
+
+/**
+ * @description Builds the metadata returned alongside the generated README.
+ * @param {object} analysis - The result of prepareAnalysis.
+ * @returns {object} Ref, commit, document, context files and model used.
+ */
+const getAnalysisMeta = ({ selection, commit, projectContext, readme, document }) => ({
+  ref: commit.ref,
+  // 'branch', 'tag' or 'commit'; only a branch can be saved to directly
+  refType: commit.refType,
+  commitSha: commit.sha,
+  // The repository tree the document was generated from; link checks reuse it (POST /github/check-links)
+  treeSha: commit.treeSha,
+  readmePath: readme?.path ?? null,
+  readmeSha: readme?.sha ?? null,
+  // The generated document: its type, draft path, the file it is written to and that file's current blob SHA
+  documentType: document.type.id,
+  path: document.path,
+  filePath: document.file.path,
+  baseSha: document.file.sha,
+  contextFiles: projectContext.files,
+  provider: selection.provider.id,
+  model: selection.model,
+});
+
+/**
+ * @description Records generated content as an 'ai' revision of the user's draft, along with
+ * a summary of the repository it was generated from.
+ * Failing to record history does not fail the generation itself.
+ * @param {string} userId - ID of the user who owns the draft.
+ * @param {string} repoFullName - The analyzed repository.
+ * @param {object} analysis - The result of prepareAnalysis.
+ * @param {string} content - The cleaned README content.
+ * @returns {Promise<number|null>} The revision number, or null if it could not be saved.
+ */
+const recordGeneratedRevision = async (userId, repoFullName, analysis, content) => {
+  const { template, selection, document } = analysis;
+  try {
+    const { revision } = await appendRevision({
+      owner: userId,
+      repoFullName,
+      path: document.path,
+      documentType: document.type.id,
+      content,
+      source: 'ai',
+      templateId: template.id,
+      provider: selection.provider.id,
+      model: selection.model,
+      baseReadmeSha: document.file.sha,
+      // Kept with the draft so it can be refined later without reading the repository again
+      generationContext: toGenerationContext(analysis),
+    });
+    return revision.number;
+  } catch (error) {
+    console.error(`Failed to record ${document.path} revision for ${repoFullName}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * @description Counts a finished generation against the user's quotas.
+ * @param {string} userId - ID of the user.
+ * @param {string} route - One of USAGE_ROUTES, e.g. 'analyze' or 'regenerate-section'.
+ * @param {string} repoFullName - The analyzed repository.
+ * @param {object} selection - The resolved { provider, model }.
+ * @param {object} usage - Token usage reported by the AI service.
+ */
+const recordAnalysisUsage = (userId, route, repoFullName, selection, usage) => recordUsage({
+  userId,
+  route,
+  repoFullName,
+  provider: selection.provider.id,
+  model: selection.model,
+  usage,
+});
+
+/**
+ * @description Analyzes a repository and generates its README, saving it as a draft revision.
+ * Runs both for the blocking analyze endpoint and for analyze jobs.
+ * @param {string} userId - ID of the user the README is generated for.
+ * @param {object} body - { repoFullName, templateId, ref, provider, model }
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the AI request (e.g. when a job is cancelled).
+ * @param {string} [options.route='analyze'] - Route the generation is recorded under for usage accounting.
+ * @returns {Promise<object>} { readme, revision, usage, ...analysis metadata }
+ */
+const runAnalysis = async (userId, body, { signal, route = 'analyze' } = {}) => {
+  const analysis = await prepareAnalysis(userId, body);
+  const { finalPrompt, selection } = analysis;
+
+  // 7. Call our AI service to generate the README content
+  const { content: rawReadmeContent, usage } = await generateContent(finalPrompt, {
+    provider: selection.provider.id,
+    model: selection.model,
+  }, { signal });
+  await recordAnalysisUsage(userId, route, body.repoFullName, selection, usage);
+
+  // 8. Clean the AI's response to remove any introductory text.
+  const cleanedReadmeContent = cleanAiResponse(rawReadmeContent);
+
+  // 9. Keep the generated content in the draft's history
+  const revision = await recordGeneratedRevision(userId, body.repoFullName, analysis, cleanedReadmeContent);
+
+  return { readme: cleanedReadmeContent, revision, usage, ...getAnalysisMeta(analysis) };
+};
+
+/**
+ * @description Analyzes a GitHub repository and generates a README using a selected template.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const analyzeRepository = asyncHandler(async (req, res) => {
+  const result = await runAnalysis(req.user?.id, req.body);
+
+  // 10. Send the cleaned content back to the frontend
+  res.status(200).json(new ApiResponse(200, result, "README generated successfully."));
+});
+
+/**
+ * @description Streaming variant of analyzeRepository. Relays the model's output as Server-Sent Events:
+ * `meta` (ref, commit and model), `delta` ({ text }) for each fragment, then `done` ({ readme, revision, usage })
+ * with the cleaned content and the draft revision it was saved as, or `error` ({ statusCode, message }).
+ * Closing the connection aborts the upstream AI request; the part generated until then still counts as usage.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const analyzeRepositoryStream = asyncHandler(async (req, res) => {
+  // Errors raised before streaming starts are returned as regular JSON errors
+  const analysis = await prepareAnalysis(req.user?.id, req.body);
+  const { finalPrompt, selection } = analysis;
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  openSseResponse(res);
+  sendSseEvent(res, 'meta', getAnalysisMeta(analysis));
+
+  // What was streamed so far, to meter a generation the client cancels
+  let streamed = '';
+  let usageRecorded = false;
+  try {
+    const { content: rawReadmeContent, usage } = await streamContent(
+      finalPrompt,
+      { provider: selection.provider.id, model: selection.model },
+      {
+        signal: abortController.signal,
+        onDelta: (text) => {
+          streamed += text;
+          sendSseEvent(res, 'delta', { text });
+        },
+      }
+    );
+
+    await recordAnalysisUsage(req.user?.id, 'analyze-stream', req.body.repoFullName, selection, usage);
+    usageRecorded = true;
+
+    const readme = cleanAiResponse(rawReadmeContent);
+    const revision = await recordGeneratedRevision(req.user?.id, req.body.repoFullName, analysis, readme);
+    sendSseEvent(res, 'done', { readme, revision, usage });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.warn(`README generation for ${req.body.repoFullName} was cancelled by the client.`);
+      // The provider already spent the prompt and the streamed tokens; count them so cancelling is not free
+      if (!usageRecorded) {
+        await recordAnalysisUsage(req.user?.id, 'analyze-stream', req.body.repoFullName, selection, estimateUsage(finalPrompt, streamed));
+      }
+    } else {
+      sendSseEvent(res, 'error', {
+        statusCode: error.statusCode || 500,
+        message: error instanceof ApiError ? error.message : "Failed to generate the README.",
+      });
+    }
+  }
+  res.end();
+});
+
+/**
+ * @description Regenerates or rewrites a single heading-delimited section of the README being edited,
+ * so the rest of the document (including manual edits) is left alone. The client splices the result
+ * back in at the section's lines.
+ * Body: { repoFullName, ref, readme, sectionIndex, sectionTitle, mode: 'regenerate' | 'rewrite', instruction, provider, model, documentType, path }
+ * 'regenerate' writes the section again from the repository's files; 'rewrite' only reworks its text.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const regenerateSection = asyncHandler(async (req, res) => {
+  const { repoFullName, ref, readme, sectionIndex, sectionTitle, mode = 'regenerate', provider, model } = req.body;
+  const document = resolveDocument(req.body);
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+  if (typeof readme !== 'string' || !readme.trim()) {
+    throw new ApiError(400, 'The README content is required.');
+  }
+  if (!SECTION_MODES.includes(mode)) {
+    throw new ApiError(400, `Mode must be one of: ${SECTION_MODES.join(', ')}.`);
+  }
+
+  const instruction = normalizeInstruction(req.body.instruction);
+  const { section, sections } = findSection(readme, sectionIndex, sectionTitle);
+  const selection = resolveModel({ provider, model });
+
+  // Rewriting works from the section's own text, so GitHub is only read when regenerating
+  let repository = {};
+  if (mode === 'regenerate') {
+    const headers = await getUserGitHubHeaders(req.user?.id);
+    repository = await readRepository({ repoFullName, ref, headers });
+  } else if (!req.user?.id) {
+    throw new ApiError(401, "Unauthorized. User not found in session.");
+  }
+
+  const prompt = buildSectionPrompt({
+    section,
+    sections,
+    mode,
+    instruction,
+    filePaths: repository.filePaths?.join('\n'),
+    projectContext: repository.projectContext,
+    documentPath: document.path,
+  });
+
+  const { content, usage } = await generateContent(prompt, {
+    provider: selection.provider.id,
+    model: selection.model,
+  });
+  await recordAnalysisUsage(req.user.id, 'regenerate-section', repoFullName, selection, usage);
+
+  res.status(200).json(new ApiResponse(200, {
+    sectionIndex,
+    title: section.title,
+    startLine: section.startLine,
+    endLine: section.endLine,
+    content: cleanSectionResponse(content, section),
+    mode,
+    provider: selection.provider.id,
+    model: selection.model,
+    commitSha: repository.commit?.sha ?? null,
+    usage,
+  }, "Section generated successfully."));
+});
+
+/**
+ * @description Revises the whole draft following a free-text instruction, e.g. "add a troubleshooting
+ * section" or "the project uses pnpm, not npm". Uses the repository summary stored when the draft was
+ * generated (the repository is read again only when there is none, or a different ref is asked for).
+ * The result is saved as a 'refined' revision and the instruction is added to the draft's refinement history.
+ * Body: { repoFullName, readme, instruction, ref, baseReadmeSha, provider, model, documentType, path }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const refineReadme = asyncHandler(async (req, res) => {
+  const { repoFullName, readme, ref, baseReadmeSha, provider, model } = req.body;
+  const userId = req.user?.id;
+  const { type, path } = resolveDocument(req.body);
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+  if (typeof readme !== 'string' || !readme.trim()) {
+    throw new ApiError(400, 'The README content is required.');
+  }
+  const instruction = normalizeInstruction(req.body.instruction);
+  if (!instruction) {
+    throw new ApiError(400, 'An instruction is required.');
+  }
+  if (!userId) {
+    throw new ApiError(401, "Unauthorized. User not found in session.");
+  }
+
+  const selection = resolveModel({ provider, model });
+  const { refinements, generationContext: storedContext } = await getRefinementState({ owner: userId, repoFullName, path });
+
+  let generationContext = storedContext;
+  if (!generationContext || (ref && ref !== generationContext.ref && ref !== generationContext.commitSha)) {
+    const headers = await getUserGitHubHeaders(userId);
+    generationContext = toGenerationContext(await readRepository({ repoFullName, ref, headers }));
+  }
+
+  const prompt = buildRefinePrompt({
+    readme,
+    instruction,
+    previousInstructions: refinements.map(refinement => refinement.instruction),
+    context: generationContext,
+    documentPath: path,
+  });
+
+  const { content, usage } = await generateContent(prompt, {
+    provider: selection.provider.id,
+    model: selection.model,
+  });
+  await recordAnalysisUsage(userId, 'refine', repoFullName, selection, usage);
+
+  const refined = cleanAiResponse(content);
+
+  const { revision } = await appendRevision({
+    owner: userId,
+    repoFullName,
+    path,
+    documentType: type.id,
+    content: refined,
+    source: 'refined',
+    provider: selection.provider.id,
+    model: selection.model,
+    baseReadmeSha: baseReadmeSha ?? null,
+    generationContext: generationContext === storedContext ? undefined : generationContext,
+  });
+  const refinement = await recordRefinement({
+    owner: userId,
+    repoFullName,
+    path,
+    instruction,
+    revision: revision.number,
+    provider: selection.provider.id,
+    model: selection.model,
+  });
+
+  res.status(200).json(new ApiResponse(200, {
+    readme: refined,
+    revision: revision.number,
+    refinement,
+    ref: generationContext.ref,
+    commitSha: generationContext.commitSha,
+    usage,
+  }, "README refined successfully."));
 });
 
-export { analyzeRepository };
+export { analyzeRepository, analyzeRepositoryStream, runAnalysis, regenerateSection, refineReadme };
@@ -2,23 +2,16 @@ import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { User } from '../models/User.model.js';
 import { getCookieOptions, validateCookieEnvironment } from '../utils/cookieConfig.js';
+import { getClientInfo } from '../utils/userAgent.js';
 import { exchangeCodeForToken, fetchGitHubUser, fetchGitHubUserEmail } from '../services/githubOAuth.js';
-import { generateAccessAndRefreshTokens, findOrCreateUser } from '../services/userService.js';
+import { generateAccessAndRefreshTokens, findOrCreateUser, rotateRefreshToken, revokeSession } from '../services/userService.js';
 
 const logoutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1 // this removes the field from document
-            }
-        },
-        {
-            new: true
-        }
-    );
+    // End this device's session so its refresh token can no longer be exchanged
+    if (req.sessionId) {
+        await revokeSession(req.sessionId, 'logout');
+    }
 
     const isProduction = process.env.NODE_ENV === 'production';
     
@@ -122,7 +115,7 @@ const handleGitHubCallback = asyncHandler(async (req, res) => {
     const user = await findOrCreateUser(githubUser, primaryEmail, accessToken);
     
     // Generate JWT tokens
-    const { accessToken: jwtAccessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
+    const { accessToken: jwtAccessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id, getClientInfo(req));
 
     logger.info('Access and refresh tokens generated successfully', {
       userId: user._id,
@@ -167,6 +160,41 @@ const handleGitHubCallback = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @description Rotates the refresh token: exchanges the refresh cookie for a new access and refresh token pair.
+ * A refresh token that was already exchanged revokes the whole session (see rotateRefreshToken).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const incomingRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!incomingRefreshToken) {
+    throw new ApiError(401, 'Refresh token is missing');
+  }
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  const accessTokenOptions = getCookieOptions(isProduction, 'access');
+  const refreshTokenOptions = getCookieOptions(isProduction, 'refresh');
+
+  try {
+    const { accessToken, refreshToken, user } = await rotateRefreshToken(incomingRefreshToken, getClientInfo(req));
+
+    return res
+      .status(200)
+      .cookie('accessToken', accessToken, accessTokenOptions)
+      .cookie('refreshToken', refreshToken, refreshTokenOptions)
+      .json(new ApiResponse(200, { userId: user._id }, "Access token refreshed."));
+  } catch (error) {
+    // A rejected refresh token is useless to the browser; drop it so the client goes back to login
+    if (error instanceof ApiError && error.statusCode === 401) {
+      res
+        .clearCookie('accessToken', accessTokenOptions)
+        .clearCookie('refreshToken', refreshTokenOptions);
+    }
+    throw error;
+  }
+});
+
 const getAuthStatus = asyncHandler(async (req, res) => {
     return res
       .status(200)
@@ -178,5 +206,6 @@ export {
     logoutUser,
     redirectToGitHub, 
     handleGitHubCallback, 
+    refreshAccessToken,
     getAuthStatus
 };
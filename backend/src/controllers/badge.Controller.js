@@ -0,0 +1,56 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.model.js';
+import { getGitHubHeaders, fetchRepositoryTree } from '../services/github.Service.js';
+import { generateBadges, renderBadgeBlock, BADGES_START, BADGES_END } from '../services/badge.Service.js';
+
+/**
+ * @description Lists the badges a repository supports, derived from its files and metadata: license
+ * (LICENSE), version and registry (package.json, pyproject.toml), one per GitHub Actions workflow,
+ * top language and stars. The editor lets the user choose and order them and writes them to the README
+ * between the `markers`; `block` is the default selection rendered that way.
+ * Query: ?repoFullName=owner/repo&ref=main&treeSha=...
+ * - `treeSha`: the tree returned by the analysis, to read it instead of resolving `ref` again
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getBadges = asyncHandler(async (req, res) => {
+  const { repoFullName, ref, treeSha } = req.query;
+  const userId = req.user?.id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const { tree, ...target } = await fetchRepositoryTree({ repoFullName, ref, treeSha, headers });
+    const badges = await generateBadges({ repoFullName, tree, headers });
+
+    res.status(200).json(new ApiResponse(200, {
+      ref: target.ref,
+      treeSha: target.treeSha,
+      badges,
+      block: renderBadgeBlock(badges.filter(badge => badge.selected)),
+      markers: { start: BADGES_START, end: BADGES_END },
+    }, "Badges generated successfully."));
+  } catch (error) {
+    logger.error(`Error generating the badges of repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error.response?.status === 404) {
+      throw new ApiError(404, "Repository not found or not accessible.");
+    }
+    throw new ApiError(500, "Failed to generate the badges.");
+  }
+});
+
+export { getBadges };
@@ -0,0 +1,237 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.model.js';
+import {
+  getGitHubHeaders,
+  resolveCommit,
+  compareCommits,
+  listCommits,
+  listMergedPullRequests,
+  fetchTree,
+  fetchBlobText,
+} from '../services/github.Service.js';
+import {
+  MAX_CHANGELOG_COMMITS,
+  MAX_CHANGELOG_PULL_REQUESTS,
+  CHANGELOG_CATEGORIES,
+  collectEntries,
+  renderChangelogSection,
+  mergeIntoChangelog,
+  buildChangelogPolishPrompt,
+  cleanPolishedSection,
+} from '../services/changelog.Service.js';
+import { resolveDocument, findDocumentNode } from '../services/documentType.Service.js';
+import { generateContent, resolveModel } from '../services/aiService.js';
+import { normalizeInstruction } from '../services/readmeSection.Service.js';
+import { assertWithinQuota, recordUsage } from '../services/usage.Service.js';
+import { appendRevision } from '../services/readmeDraft.Service.js';
+
+/**
+ * @description Parses an optional date from the request body.
+ * @param {string} [value] - Any date Date.parse understands, e.g. '2024-05-01'.
+ * @param {string} name - Field name, for the error message.
+ * @returns {string|undefined} The date as an ISO 8601 string.
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ApiError(400, `"${name}" must be a date, e.g. 2024-05-01.`);
+  }
+  return new Date(time).toISOString();
+};
+
+/**
+ * @description Validates the version the section is written for.
+ * @param {string} [version] - e.g. '1.2.0' or 'v1.2.0'; defaults to 'Unreleased'.
+ * @returns {string} The trimmed version.
+ */
+const parseVersion = (version = 'Unreleased') => {
+  const trimmed = typeof version === 'string' ? version.trim() : '';
+  if (!trimmed || trimmed.length > 50 || /[[\]\n]/.test(trimmed)) {
+    throw new ApiError(400, "Version must be a short label such as 1.2.0 or Unreleased.");
+  }
+  return trimmed;
+};
+
+/**
+ * @description Collects the commits of the requested range: `from`...`to` when `from` is given,
+ * otherwise the commits of `to` between `since` and `until`.
+ * @returns {Promise<object>} { commits (oldest first), truncated }
+ */
+const fetchRangeCommits = async ({ repoFullName, from, to, since, until, headers }) => {
+  if (from) {
+    const { commits, totalCommits } = await compareCommits({
+      repoFullName,
+      base: from,
+      head: to,
+      limit: MAX_CHANGELOG_COMMITS,
+      headers,
+    });
+    return { commits, truncated: totalCommits > commits.length };
+  }
+
+  const { commits, truncated } = await listCommits({
+    repoFullName,
+    ref: to,
+    since,
+    until,
+    limit: MAX_CHANGELOG_COMMITS,
+    headers,
+  });
+  return { commits: commits.reverse(), truncated };
+};
+
+/**
+ * @description Generates a CHANGELOG.md release section from the commits and merged pull requests in a range,
+ * grouped into Keep a Changelog categories by Conventional Commit type or pull request label, optionally
+ * polished by the AI model. The section is merged into the repository's CHANGELOG.md (a new one is started
+ * if there is none) and saved as a draft, ready to be previewed and committed with the usual save endpoints.
+ * Body: { repoFullName, from, to, since, until, ref, version, date, path, polish, instruction, provider, model }
+ * - `from` and `to`: two tags, or a tag and a branch/commit (`to` defaults to `ref`), e.g. v1.1.0...main
+ * - `since` and `until`: a date window on `to` instead of `from`
+ * - `ref`: branch whose CHANGELOG.md is updated; the default branch unless given
+ * - `version` and `date`: the section heading; 'Unreleased' unless given
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const generateChangelog = asyncHandler(async (req, res) => {
+  const { repoFullName, from, ref, polish = false, provider, model } = req.body;
+  const userId = req.user?.id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+  const since = parseDate(req.body.since, 'since');
+  const until = parseDate(req.body.until, 'until');
+  if (!from && !since) {
+    throw new ApiError(400, 'Give a range: `from` (a tag or commit) and optionally `to`, or a `since` date.');
+  }
+  const version = parseVersion(req.body.version);
+  if (req.body.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(req.body.date)) {
+    throw new ApiError(400, 'Date must be formatted as YYYY-MM-DD.');
+  }
+  const instruction = normalizeInstruction(req.body.instruction);
+  const { type, path } = resolveDocument({ documentType: 'changelog', path: req.body.path });
+
+  // Only polishing uses the AI model, so only then do the quotas apply
+  const selection = polish ? resolveModel({ provider, model }) : null;
+  if (polish) {
+    await assertWithinQuota(userId);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    // The branch the changelog is committed to; also the end of the range unless `to` is given
+    const target = await resolveCommit({ repoFullName, ref, headers });
+    const to = req.body.to || target.ref;
+
+    const { commits, truncated } = await fetchRangeCommits({ repoFullName, from, to, since, until, headers });
+    const pullRequests = commits.length > 0
+      ? await listMergedPullRequests({
+        repoFullName,
+        since: commits[0].commit.committer.date,
+        limit: MAX_CHANGELOG_PULL_REQUESTS,
+        headers,
+      })
+      : [];
+    const { entries, pullRequestCount, skipped } = collectEntries({ repoFullName, commits, pullRequests });
+
+    // A release is dated by its last commit; an open range by today
+    const lastCommitDate = commits.at(-1)?.commit.committer.date;
+    const date = req.body.date || (req.body.to && lastCommitDate ? lastCommitDate : new Date().toISOString()).slice(0, 10);
+    let section = renderChangelogSection({ version, date, entries });
+
+    let usage = null;
+    if (polish && entries.length > 0) {
+      const response = await generateContent(buildChangelogPolishPrompt({ section, instruction }), {
+        provider: selection.provider.id,
+        model: selection.model,
+      });
+      usage = response.usage;
+      await recordUsage({
+        userId,
+        route: 'changelog',
+        repoFullName,
+        provider: selection.provider.id,
+        model: selection.model,
+        usage,
+      });
+      section = cleanPolishedSection(response.content, section);
+    }
+
+    // Update the existing changelog in place, wherever it lives
+    const tree = await fetchTree({ repoFullName, treeSha: target.treeSha, recursive: true, headers });
+    const file = findDocumentNode(tree, { type, path, explicitPath: Boolean(req.body.path) });
+    const existing = file.sha ? await fetchBlobText({ repoFullName, sha: file.sha, headers }) : '';
+    const compareUrl = from ? `https://github.com/${repoFullName}/compare/${from}...${to}` : undefined;
+    const changelog = mergeIntoChangelog({ existing, version, section, compareUrl });
+
+    // Keep it as a draft like generated READMEs; failing to do so does not fail the request
+    let revision = null;
+    try {
+      const saved = await appendRevision({
+        owner: userId,
+        repoFullName,
+        path: file.path,
+        documentType: type.id,
+        content: changelog,
+        source: 'changelog',
+        provider: selection?.provider.id ?? null,
+        model: selection?.model ?? null,
+        baseReadmeSha: file.sha,
+      });
+      revision = saved.revision.number;
+    } catch (error) {
+      logger.warn(`Could not save the changelog draft for ${repoFullName}: ${error.message}`);
+    }
+
+    res.status(200).json(new ApiResponse(200, {
+      documentType: type.id,
+      path: file.path,
+      baseSha: file.sha,
+      version,
+      date,
+      section,
+      changelog,
+      revision,
+      range: { from: from ?? null, to, since: since ?? null, until: until ?? null },
+      ref: target.ref,
+      commitSha: target.sha,
+      stats: {
+        commits: commits.length,
+        pullRequests: pullRequestCount,
+        skipped,
+        truncated,
+        byCategory: Object.fromEntries(CHANGELOG_CATEGORIES.map(category => [
+          category,
+          entries.filter(entry => entry.category === category).length,
+        ])),
+      },
+      polished: Boolean(polish && entries.length > 0),
+      provider: selection?.provider.id ?? null,
+      model: selection?.model ?? null,
+      usage,
+    }, "Changelog generated successfully."));
+  } catch (error) {
+    logger.error(`Error generating changelog for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error.response?.status === 404) {
+      throw new ApiError(404, "Repository not found or not accessible.");
+    }
+    throw new ApiError(500, "Failed to generate the changelog.");
+  }
+});
+
+export { generateChangelog };
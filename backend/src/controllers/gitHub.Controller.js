@@ -3,10 +3,115 @@ import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import logger from '../utils/logger.js';
 import { User } from '../models/User.model.js'; // 1. Import the User model
-import axios from 'axios';
+import {
+  GITHUB_API_URL,
+  cachedGet,
+  decodePageCursor,
+  fetchBranches,
+  fetchPaginated,
+  fetchRateLimit,
+  fetchRepository,
+  fetchTags,
+  getGitHubHeaders,
+} from '../services/github.Service.js';
+import { getTrackedRateLimit } from '../services/githubClient.js';
+
+const REPO_AFFILIATIONS = ['owner', 'collaborator', 'organization_member'];
+const REPO_VISIBILITIES = ['all', 'public', 'private'];
+const REPO_SORTS = ['updated', 'pushed', 'created', 'full_name'];
+const DEFAULT_REPOS_PER_PAGE = 30;
+const MAX_REPOS_PER_PAGE = 100;
+
+/**
+ * @description Parses a tri-state boolean query flag ("true"/"false", anything else means "either").
+ * @param {string} [value] - Raw query value.
+ * @returns {boolean|null} The flag, or null when the filter is not set.
+ */
+const parseFlag = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+/**
+ * @description Reads and validates the repository list filters from the query string.
+ * Affiliation, visibility and sort are passed to GitHub; the rest are applied while paging.
+ * @param {object} query - Express request query.
+ * @returns {object} { perPage, github, filter }
+ */
+const parseRepoFilters = (query) => {
+  const perPage = query.perPage ? Number(query.perPage) : DEFAULT_REPOS_PER_PAGE;
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_REPOS_PER_PAGE) {
+    throw new ApiError(400, `perPage must be an integer between 1 and ${MAX_REPOS_PER_PAGE}.`);
+  }
+
+  const affiliation = (query.affiliation || '').split(',').map(value => value.trim()).filter(Boolean);
+  const invalidAffiliation = affiliation.find(value => !REPO_AFFILIATIONS.includes(value));
+  if (invalidAffiliation) {
+    throw new ApiError(400, `Invalid affiliation "${invalidAffiliation}". Use ${REPO_AFFILIATIONS.join(', ')}.`);
+  }
+
+  const visibility = query.visibility || 'all';
+  if (!REPO_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(400, `Invalid visibility "${visibility}". Use ${REPO_VISIBILITIES.join(', ')}.`);
+  }
+
+  const sort = query.sort || 'updated';
+  if (!REPO_SORTS.includes(sort)) {
+    throw new ApiError(400, `Invalid sort "${sort}". Use ${REPO_SORTS.join(', ')}.`);
+  }
+
+  const owner = query.owner?.trim().toLowerCase();
+  const language = query.language?.trim().toLowerCase();
+  const search = query.q?.trim().toLowerCase();
+  const archived = parseFlag(query.archived);
+  const fork = parseFlag(query.fork);
+
+  const filter = (repo) =>
+    (!owner || repo.owner?.login?.toLowerCase() === owner) &&
+    (!language || repo.language?.toLowerCase() === language) &&
+    (archived === null || Boolean(repo.archived) === archived) &&
+    (fork === null || Boolean(repo.fork) === fork) &&
+    (!search || [repo.full_name, repo.description].some(text => text?.toLowerCase().includes(search)));
+
+  const github = new URLSearchParams({
+    sort,
+    visibility,
+    per_page: String(MAX_REPOS_PER_PAGE),
+    ...(affiliation.length > 0 && { affiliation: affiliation.join(',') }),
+  });
+
+  return { perPage, github, filter };
+};
+
+/**
+ * @description Maps a raw GitHub repository to the shape the dashboard uses.
+ * @param {object} repo - Raw GitHub repository object.
+ * @returns {object} Repository summary.
+ */
+const toRepoSummary = (repo) => ({
+  id: repo.id,
+  name: repo.name,
+  fullName: repo.full_name,
+  owner: repo.owner?.login,
+  private: repo.private,
+  url: repo.html_url,
+  description: repo.description,
+  language: repo.language,
+  defaultBranch: repo.default_branch,
+  archived: Boolean(repo.archived),
+  fork: Boolean(repo.fork),
+  stars: repo.stargazers_count ?? 0,
+  // Without push access, saves go through a fork and a pull request
+  canPush: Boolean(repo.permissions?.push),
+  updatedAt: repo.updated_at,
+});
 
 /**
- * @description Fetches the authenticated user's repositories from GitHub.
+ * @description Fetches one page of the authenticated user's repositories from GitHub.
+ * Follows GitHub's Link headers and applies the owner, language, archived, fork and text filters
+ * while paging, so each response holds up to `perPage` matching repositories.
+ * Query: cursor, perPage, affiliation, visibility, sort, owner, language, archived, fork, q.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
@@ -18,43 +123,169 @@ const getUserRepos = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized. User not found in session.");
   }
 
+  const { perPage, github, filter } = parseRepoFilters(req.query);
+  const start = req.query.cursor
+    ? decodePageCursor(req.query.cursor)
+    : { url: `${GITHUB_API_URL}/user/repos?${github}`, offset: 0 };
+
   // 3. Find the user in the database to get their GitHub access token
   const user = await User.findById(userId);
   if (!user || !user.githubAccessToken) {
     throw new ApiError(404, "User not found or GitHub token is missing.");
   }
 
-  const githubAccessToken = user.getDecryptedAccessToken();
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
 
   try {
-    // 4. Make the authenticated request to the GitHub API
-    const response = await axios.get('https://api.github.com/user/repos', {
-      headers: {
-        Authorization: `token ${githubAccessToken}`,
-      },
-      params: {
-        sort: 'updated',
-        per_page: 50,
-      },
+    // 4. Page through the authenticated request to the GitHub API
+    const { items, nextCursor } = await fetchPaginated({
+      ...start,
+      limit: perPage,
+      filter,
+      headers,
     });
 
-    const repos = response.data.map(repo => ({
-      id: repo.id,
-      name: repo.name,
-      fullName: repo.full_name,
-      private: repo.private,
-      url: repo.html_url,
-      description: repo.description,
-      language: repo.language,
-      updatedAt: repo.updated_at,
-    }));
-
-    res.status(200).json(new ApiResponse(200, repos, "Repositories fetched successfully."));
+    res.status(200).json(new ApiResponse(200, {
+      repos: items.map(toRepoSummary),
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    }, "Repositories fetched successfully."));
 
   } catch (error) {
     logger.error(`Failed to fetch GitHub repos for user ${userId}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(500, "Failed to fetch repositories from GitHub.");
   }
 });
 
-export { getUserRepos };
+/**
+ * @description Lists the accounts the user's repositories can belong to (the user and their organizations),
+ * used to populate the owner filter.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getRepoOwners = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const [account, orgs] = await Promise.all([
+      cachedGet(`${GITHUB_API_URL}/user`, { headers }),
+      cachedGet(`${GITHUB_API_URL}/user/orgs`, { headers, params: { per_page: 100 } }),
+    ]);
+
+    const owners = [
+      { login: account.data.login, type: 'User', avatarUrl: account.data.avatar_url },
+      ...orgs.data.map(org => ({ login: org.login, type: 'Organization', avatarUrl: org.avatar_url })),
+    ];
+
+    res.status(200).json(new ApiResponse(200, owners, "Repository owners fetched successfully."));
+
+  } catch (error) {
+    logger.error(`Failed to fetch repository owners for user ${userId}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to fetch organizations from GitHub.");
+  }
+});
+
+/**
+ * @description Lists the branches and tags of a repository so the client can pick a ref to analyze or commit against.
+ * Very large repositories get the first 1000 of each; `truncated` ({ branches, tags }) tells which lists were cut.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getRepoBranches = asyncHandler(async (req, res) => {
+  const { repoFullName } = req.query;
+  const userId = req.user?.id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, "Repository full name is required.");
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const [repo, branches, tags] = await Promise.all([
+      fetchRepository(repoFullName, headers),
+      fetchBranches(repoFullName, headers),
+      fetchTags(repoFullName, headers),
+    ]);
+
+    // The default branch stays selectable even when it is beyond a truncated list
+    const branchNames = branches.names.includes(repo.default_branch)
+      ? branches.names
+      : [repo.default_branch, ...branches.names];
+
+    res.status(200).json(new ApiResponse(200, {
+      defaultBranch: repo.default_branch,
+      branches: branchNames,
+      tags: tags.names,
+      truncated: { branches: branches.truncated, tags: tags.truncated },
+    }, "Branches fetched successfully."));
+
+  } catch (error) {
+    logger.error(`Failed to fetch branches for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to fetch branches from GitHub.");
+  }
+});
+
+/**
+ * @description Reports the user's remaining GitHub API quota so the dashboard can warn before it runs out.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getRateLimit = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const resources = await fetchRateLimit(headers);
+    res.status(200).json(new ApiResponse(200, {
+      core: resources.core,
+      search: resources.search,
+      graphql: resources.graphql,
+    }, "Rate limit fetched successfully."));
+
+  } catch (error) {
+    logger.error(`Failed to fetch GitHub rate limit for user ${userId}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    // Fall back to the quota seen on the user's most recent GitHub responses
+    const tracked = getTrackedRateLimit(headers);
+    if (tracked.core) {
+      return res.status(200).json(new ApiResponse(200, {
+        core: tracked.core,
+        search: tracked.search,
+        graphql: tracked.graphql,
+      }, "Rate limit reported from recent GitHub responses."));
+    }
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to fetch the GitHub rate limit.");
+  }
+});
+
+export { getUserRepos, getRepoOwners, getRepoBranches, getRateLimit };
@@ -0,0 +1,113 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { openSseResponse, sendSseEvent } from '../utils/sse.js';
+import { JOB_STATUSES, FINISHED_JOB_STATUSES } from '../models/Job.model.js';
+import {
+  toJobView,
+  findUserJob,
+  listUserJobs,
+  requestJobCancel,
+  abortLocalJob,
+} from '../services/jobs/index.js';
+import { assertWithinQuota } from '../services/usage.Service.js';
+import { runAnalysis } from './analysis.Controller.js';
+import { commitReadme, commitReadmeToNewBranch } from './repo.Controller.js';
+
+// How often a job is re-read while its events are streamed
+const EVENTS_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Handlers the job worker runs, by job type. Each receives the job and resolves with its response data.
+ */
+const jobHandlers = {
+  // The quota was checked when the job was queued, but every queued job passes that check before any
+  // of them records usage, so it is checked again right before the provider is called
+  analyze: async (job, { signal }) => {
+    await assertWithinQuota(job.user);
+    return runAnalysis(String(job.user), job.payload, { signal, route: 'analyze-job' });
+  },
+  'save-readme': (job) => commitReadme(String(job.user), job.payload),
+  'save-readme-branch': (job) => commitReadmeToNewBranch(String(job.user), job.payload),
+};
+
+/**
+ * @description Lists the user's recent jobs, newest first. `status` takes a comma-separated list.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : [];
+  const invalid = statuses.filter(status => !JOB_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Unknown job status: ${invalid.join(', ')}.`);
+  }
+
+  const jobs = await listUserJobs({ userId: req.user._id, statuses });
+  res.status(200).json(new ApiResponse(200, jobs.map(toJobView), "Jobs fetched successfully."));
+});
+
+/**
+ * @description Fetches one job; poll it until its status is succeeded, failed or cancelled.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getJobById = asyncHandler(async (req, res) => {
+  const job = await findUserJob(req.user._id, req.params.jobId);
+  res.status(200).json(new ApiResponse(200, toJobView(job), "Job fetched successfully."));
+});
+
+/**
+ * @description Streams a job's progress as Server-Sent Events: `job` (the job) whenever it changes,
+ * ending once it has finished. The stream also ends when the job disappears (`error`).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const streamJobEvents = asyncHandler(async (req, res) => {
+  // A missing job is returned as a regular JSON error
+  let job = await findUserJob(req.user._id, req.params.jobId);
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  openSseResponse(res);
+
+  let lastUpdate = null;
+  while (!closed) {
+    const updatedAt = job.updatedAt?.getTime();
+    if (updatedAt !== lastUpdate) {
+      lastUpdate = updatedAt;
+      sendSseEvent(res, 'job', toJobView(job));
+    }
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, EVENTS_POLL_INTERVAL_MS));
+    try {
+      job = await findUserJob(req.user._id, req.params.jobId);
+    } catch (error) {
+      sendSseEvent(res, 'error', { statusCode: error.statusCode || 500, message: error.message });
+      break;
+    }
+  }
+  res.end();
+});
+
+/**
+ * @description Cancels a job. Queued jobs are cancelled at once; a running job stops at its next
+ * cancellation point, so the returned job may still be 'running' with `cancelRequested` set.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const cancelJob = asyncHandler(async (req, res) => {
+  const job = await requestJobCancel(req.user._id, req.params.jobId);
+  if (job.status === 'running') {
+    abortLocalJob(job._id);
+  }
+  res.status(200).json(new ApiResponse(200, toJobView(job), "Job cancellation requested."));
+});
+
+export { jobHandlers, getJobs, getJobById, streamJobEvents, cancelJob };
@@ -0,0 +1,151 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.model.js';
+import { getGitHubHeaders, fetchRepositoryTree, fetchBlobText } from '../services/github.Service.js';
+import { resolveDocument, findDocumentNode } from '../services/documentType.Service.js';
+import { getTemplateById } from '../services/template.Service.js';
+import { lintDocument } from '../services/readmeLint.Service.js';
+import { checkLinks, applyLinkFixes } from '../services/linkCheck.Service.js';
+
+/**
+ * @description Maps errors of a check to API errors.
+ * @param {Error} error - The error thrown.
+ * @param {string} message - Message for unexpected errors.
+ */
+const rethrowCheckError = (error, message) => {
+  if (error instanceof ApiError) {
+    throw error;
+  }
+  if (error.response?.status === 404) {
+    throw new ApiError(404, "Repository not found or not accessible.");
+  }
+  throw new ApiError(500, message);
+};
+
+/**
+ * @description Checks a README (or a companion document) and returns a scored quality report: missing
+ * sections of the template, broken relative links against the repository tree, images without alt text,
+ * heading hierarchy, empty code blocks, leftover placeholders and length (see readmeLint.Service.js).
+ * Body: { repoFullName, ref, treeSha, content, templateId, documentType, path }
+ * - `content`: the draft being edited; without it the document currently on `ref` is checked
+ * - `treeSha`: the tree returned by the analysis, to check against it instead of resolving `ref` again
+ * - `templateId`: whose required sections are expected; the document type's built-in template unless given
+ * Returns `report: null` when `content` is omitted and the repository has no such document.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const lintReadme = asyncHandler(async (req, res) => {
+  const { repoFullName, ref, content } = req.body;
+  const userId = req.user?.id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+  if (content !== undefined && typeof content !== 'string') {
+    throw new ApiError(400, 'Content must be a string.');
+  }
+  const { type, path } = resolveDocument(req.body);
+  const templateId = req.body.templateId || type.defaultTemplate;
+  const template = await getTemplateById(templateId, userId);
+  if (template.documentType !== type.id) {
+    throw new ApiError(400, `Template "${template.name}" does not generate a ${type.name.toLowerCase()}.`);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const { tree, filePaths, ...target } = await fetchRepositoryTree({ repoFullName, ref, treeSha: req.body.treeSha, headers });
+    const file = findDocumentNode(tree, { type, path, explicitPath: Boolean(req.body.path) });
+
+    const source = content === undefined ? 'repository' : 'draft';
+    const text = source === 'draft'
+      ? content
+      : file.sha ? await fetchBlobText({ repoFullName, sha: file.sha, headers }) : null;
+
+    const report = text === null ? null : lintDocument({
+      content: text,
+      documentPath: file.path,
+      requiredSections: template.requiredSections || [],
+      filePaths,
+    });
+
+    res.status(200).json(new ApiResponse(200, {
+      documentType: type.id,
+      path: file.path,
+      ref: target.ref,
+      commitSha: target.commitSha,
+      templateId,
+      source,
+      report,
+    }, "README checked successfully."));
+  } catch (error) {
+    logger.error(`Error checking the README of repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    rethrowCheckError(error, "Failed to check the README.");
+  }
+});
+
+/**
+ * @description Checks every link and image of a draft: relative ones against the repository tree (with a
+ * suggested replacement when a file of the same name exists elsewhere) and, on request, absolute URLs.
+ * Each broken reference comes with a `fix`; with `fix: true` they are all applied and the fixed draft returned.
+ * Body: { repoFullName, ref, treeSha, content, documentType, path, checkExternal, fix }
+ * - `treeSha`: the tree returned by the analysis, to check against it instead of resolving `ref` again
+ * - `checkExternal`: also request absolute URLs (see LINK_CHECK_OFFLINE and LINK_CHECK_TIMEOUT_MS)
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const checkDocumentLinks = asyncHandler(async (req, res) => {
+  const { repoFullName, ref, content, checkExternal = false, fix = false } = req.body;
+  const userId = req.user?.id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, 'Repository full name is required.');
+  }
+  if (typeof content !== 'string') {
+    throw new ApiError(400, 'The draft content is required.');
+  }
+  const { type, path } = resolveDocument(req.body);
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const { tree, filePaths, ...target } = await fetchRepositoryTree({ repoFullName, ref, treeSha: req.body.treeSha, headers });
+    const file = findDocumentNode(tree, { type, path, explicitPath: Boolean(req.body.path) });
+    const { problems, summary } = await checkLinks({
+      content,
+      documentPath: file.path,
+      filePaths,
+      checkExternal: Boolean(checkExternal),
+    });
+
+    const fixed = fix
+      ? applyLinkFixes(content, problems.map(problem => problem.fix).filter(Boolean))
+      : null;
+
+    res.status(200).json(new ApiResponse(200, {
+      documentType: type.id,
+      path: file.path,
+      ref: target.ref,
+      treeSha: target.treeSha,
+      problems,
+      summary,
+      content: fixed ? fixed.content : null,
+      fixed: fixed ? fixed.applied : 0,
+    }, fixed ? `Fixed ${fixed.applied} broken links.` : "Links checked successfully."));
+  } catch (error) {
+    logger.error(`Error checking the links of repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    rethrowCheckError(error, "Failed to check the links.");
+  }
+});
+
+export { lintReadme, checkDocumentLinks };
@@ -0,0 +1,16 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { getAvailableModels } from '../services/aiService.js';
+
+/**
+ * @description Retrieves the configured AI providers and the models each one offers.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getAllModels = asyncHandler(async (req, res) => {
+  const providers = getAvailableModels();
+
+  res.status(200).json(new ApiResponse(200, providers, "Models fetched successfully."));
+});
+
+export { getAllModels };
@@ -2,9 +2,14 @@ import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { Readme } from '../models/Readme.model.js';
+import { ReadmeRevision } from '../models/ReadmeRevision.model.js';
+import { appendRevision, findRevision, deleteDraft, listDrafts, getRefinementState } from '../services/readmeDraft.Service.js';
+import { resolveDocument, DOCUMENT_TYPE_IDS } from '../services/documentType.Service.js';
+import { diffLines, toHunks, countChanges } from '../utils/diff.js';
 import mongoose from 'mongoose';
 
-// ... (getReadme, saveReadme, deleteReadme functions are unchanged)
+// Every draft endpoint takes an optional `path` (and `documentType`) to address a companion
+// document such as CONTRIBUTING.md; without them the repository's README draft is used.
 const getReadme = asyncHandler(async (req, res) => {
   const { repoFullName } = req.query;
   const userId = req.user?._id;
@@ -12,40 +17,48 @@ const getReadme = asyncHandler(async (req, res) => {
   if (!repoFullName) {
     throw new ApiError(400, "Repository full name is required.");
   }
+  const { path } = resolveDocument(req.query);
 
+  // The stored repository summary is only used by the server when refining
   const readme = await Readme.findOne({
     repoFullName,
     owner: userId,
-  });
+    path,
+  }).select('-generationContext');
 
   if (!readme) {
-    throw new ApiError(404, "No saved README found for this repository.");
+    throw new ApiError(404, `No saved draft of ${path} found for this repository.`);
   }
 
   return res.status(200).json(new ApiResponse(200, readme, "README draft fetched successfully."));
 });
 
+/**
+ * @description Saves README content as the current draft and appends it to the draft's revision history.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
 const saveReadme = asyncHandler(async (req, res) => {
-  const { repoFullName, content } = req.body;
+  const { repoFullName, content, source, templateId, provider, model, baseReadmeSha } = req.body;
   const userId = req.user?._id;
 
   if (!repoFullName || !content) {
     throw new ApiError(400, "Repository name and content are required.");
   }
+  const { type, path } = resolveDocument(req.body);
 
-  const readme = await Readme.findOneAndUpdate(
-    {
-      repoFullName,
-      owner: userId,
-    },
-    {
-      $set: { content },
-    },
-    {
-      new: true,
-      upsert: true,
-    }
-  );
+  const { readme } = await appendRevision({
+    owner: userId,
+    repoFullName,
+    path,
+    documentType: type.id,
+    content,
+    source,
+    templateId,
+    provider,
+    model,
+    baseReadmeSha,
+  });
 
   return res.status(201).json(new ApiResponse(201, readme, "README draft saved successfully."));
 });
@@ -58,18 +71,122 @@ const deleteReadme = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Repository full name is required.");
     }
 
-    const result = await Readme.deleteOne({
-        repoFullName,
-        owner: userId,
-    });
+    const { path } = resolveDocument(req.body);
+
+    // Removes the draft along with its revision history
+    const deleted = await deleteDraft({ owner: userId, repoFullName, path });
 
-    if (result.deletedCount === 0) {
-        throw new ApiError(404, "No saved README found to delete.");
+    if (!deleted) {
+        throw new ApiError(404, `No saved draft of ${path} found to delete.`);
     }
 
     return res.status(200).json(new ApiResponse(200, {}, "README draft deleted successfully."));
 });
 
+/**
+ * @description Lists the revisions of a draft, newest first, without their content.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getReadmeRevisions = asyncHandler(async (req, res) => {
+  const { repoFullName } = req.query;
+  const userId = req.user?._id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, "Repository full name is required.");
+  }
+
+  const { path } = resolveDocument(req.query);
+
+  const readme = await Readme.findOne({ repoFullName, owner: userId, path }).select('_id');
+  const revisions = readme
+    ? await ReadmeRevision.find({ readme: readme._id }).select('-content').sort({ number: -1 })
+    : [];
+
+  return res.status(200).json(new ApiResponse(200, revisions, "README revisions fetched successfully."));
+});
+
+/**
+ * @description Fetches a single revision, including its content.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getReadmeRevision = asyncHandler(async (req, res) => {
+  const { repoFullName } = req.query;
+
+  if (!repoFullName) {
+    throw new ApiError(400, "Repository full name is required.");
+  }
+
+  const { path } = resolveDocument(req.query);
+  const revision = await findRevision({ owner: req.user?._id, repoFullName, path, number: req.params.number });
+
+  return res.status(200).json(new ApiResponse(200, revision, "README revision fetched successfully."));
+});
+
+/**
+ * @description Compares two revisions of a draft line by line.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const diffReadmeRevisions = asyncHandler(async (req, res) => {
+  const { repoFullName, from, to } = req.query;
+  const userId = req.user?._id;
+
+  if (!repoFullName || !from || !to) {
+    throw new ApiError(400, "Repository full name and the 'from' and 'to' revision numbers are required.");
+  }
+
+  const { path } = resolveDocument(req.query);
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevision({ owner: userId, repoFullName, path, number: from }),
+    findRevision({ owner: userId, repoFullName, path, number: to }),
+  ]);
+
+  const changes = diffLines(fromRevision.content, toRevision.content);
+
+  return res.status(200).json(new ApiResponse(200, {
+    from: fromRevision.number,
+    to: toRevision.number,
+    stats: countChanges(changes),
+    hunks: toHunks(changes),
+  }, "README revisions compared successfully."));
+});
+
+/**
+ * @description Restores an old revision by appending a copy of it as the newest revision,
+ * so the history itself is never rewritten.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const restoreReadmeRevision = asyncHandler(async (req, res) => {
+  const { repoFullName } = req.body;
+  const userId = req.user?._id;
+
+  if (!repoFullName) {
+    throw new ApiError(400, "Repository full name is required.");
+  }
+
+  const { type, path } = resolveDocument(req.body);
+  const revision = await findRevision({ owner: userId, repoFullName, path, number: req.params.number });
+
+  const { readme, revision: restored } = await appendRevision({
+    owner: userId,
+    repoFullName,
+    path,
+    documentType: type.id,
+    content: revision.content,
+    source: revision.source,
+    templateId: revision.templateId,
+    provider: revision.provider,
+    model: revision.model,
+    baseReadmeSha: revision.baseReadmeSha,
+    restoredFrom: revision.number,
+  });
+
+  return res.status(201).json(new ApiResponse(201, { readme, revision: restored }, `Revision ${revision.number} restored successfully.`));
+});
+
 
 // --- NEW: Function to check status of multiple drafts ---
 /**
@@ -91,11 +208,71 @@ const checkDraftsStatus = asyncHandler(async (req, res) => {
         repoFullName: { $in: repoFullNames }
     }).select('repoFullName'); // Only select the repo name field
 
-    // Return just an array of the names of repos that have drafts
-    const reposWithDrafts = foundDrafts.map(draft => draft.repoFullName);
+    // Return just an array of the names of repos that have drafts (a repository may have several documents)
+    const reposWithDrafts = [...new Set(foundDrafts.map(draft => draft.repoFullName))];
 
     return res.status(200).json(new ApiResponse(200, reposWithDrafts, "Draft statuses checked successfully."));
 });
 
+/**
+ * @description Lists the user's drafts for review, optionally narrowed by status
+ * ('draft' or 'committed'), document type and a comma-separated list of repositories.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const listReadmeDrafts = asyncHandler(async (req, res) => {
+  const { status, repoFullNames, documentType } = req.query;
+  const userId = req.user?._id;
+
+  if (status && !['draft', 'committed'].includes(status)) {
+    throw new ApiError(400, "status must be 'draft' or 'committed'.");
+  }
+  if (documentType && !DOCUMENT_TYPE_IDS.includes(documentType)) {
+    throw new ApiError(400, `documentType must be one of: ${DOCUMENT_TYPE_IDS.join(', ')}.`);
+  }
+
+  const drafts = await listDrafts({
+    owner: userId,
+    status,
+    documentType,
+    repoFullNames: repoFullNames ? String(repoFullNames).split(',').map(name => name.trim()).filter(Boolean) : undefined,
+  });
+
+  return res.status(200).json(new ApiResponse(200, drafts, "README drafts fetched successfully."));
+});
+
+/**
+ * @description Lists the instructions a draft was refined with, oldest first, and the ref
+ * of the repository summary refinements are based on.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getReadmeRefinements = asyncHandler(async (req, res) => {
+  const { repoFullName } = req.query;
+
+  if (!repoFullName) {
+    throw new ApiError(400, "Repository full name is required.");
+  }
+
+  const { path } = resolveDocument(req.query);
+  const { refinements, generationContext } = await getRefinementState({ owner: req.user?._id, repoFullName, path });
+
+  return res.status(200).json(new ApiResponse(200, {
+    refinements,
+    ref: generationContext?.ref ?? null,
+    commitSha: generationContext?.commitSha ?? null,
+  }, "README refinements fetched successfully."));
+});
 
-export { getReadme, saveReadme, deleteReadme, checkDraftsStatus }; // Export the new function
+export {
+  getReadme,
+  saveReadme,
+  deleteReadme,
+  checkDraftsStatus,
+  listReadmeDrafts,
+  getReadmeRevisions,
+  getReadmeRevision,
+  diffReadmeRevisions,
+  restoreReadmeRevision,
+  getReadmeRefinements,
+};
@@ -3,42 +3,122 @@ import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import logger from '../utils/logger.js';
 import { User } from '../models/User.model.js';
-import axios from 'axios';
+import {
+  GITHUB_API_URL,
+  getGitHubHeaders,
+  fetchRepository,
+  canPushTo,
+  forkRepository,
+  resolveBranch,
+  resolveCommit,
+  resolveRefType,
+  fetchTree,
+  fetchBlobText,
+  createPullRequest,
+} from '../services/github.Service.js';
+import { githubClient } from '../services/githubClient.js';
+import { MAX_DIFF_LINES, diffLines, toHunks, countChanges, diff3Merge } from '../utils/diff.js';
+import { summarizeReadmeChanges } from '../services/readmeChanges.Service.js';
+import { markDraftCommitted } from '../services/readmeDraft.Service.js';
+import {
+  MAX_FILES_PER_COMMIT,
+  getDocumentType,
+  resolveDocument,
+  findDocumentNode,
+} from '../services/documentType.Service.js';
 
-const GITHUB_API_URL = 'https://api.github.com';
+/**
+ * @description Marks the user's stored drafts of the committed files as committed. Failures are logged,
+ * not thrown, because the commit itself already succeeded on GitHub.
+ */
+const recordCommittedDraft = async ({ userId, repoFullName, files, commitSha }) => {
+  for (const file of files) {
+    try {
+      await markDraftCommitted({ owner: userId, repoFullName, path: file.path, content: file.content, commitSha });
+    } catch (error) {
+      logger.warn(`Could not mark ${file.path} draft for ${repoFullName} as committed: ${error.message}`);
+    }
+  }
+};
 
 /**
- * @description Helper function to create a blob, tree, and commit for the README file.
+ * @description Reads the documents to commit from the request body: either `files`
+ * ([{ documentType, path, content, baseSha }], several documents in one commit) or, for a README
+ * only, `readmeContent` and `baseReadmeSha`.
+ * @param {object} body - The request body.
+ * @returns {Array<object>} [{ type, path, content, baseSha, explicitPath }] where `path` is the draft's path.
+ * @throws {ApiError} 400 when no content is given, there are too many files or a path appears twice.
+ */
+const parseCommitFiles = (body) => {
+  if (body.files === undefined) {
+    if (!body.readmeContent) {
+      return [];
+    }
+    return [{
+      type: getDocumentType('readme'),
+      path: 'README.md',
+      content: body.readmeContent,
+      baseSha: body.baseReadmeSha,
+      explicitPath: false,
+    }];
+  }
+
+  if (!Array.isArray(body.files) || body.files.length === 0) {
+    throw new ApiError(400, "`files` must be a non-empty array of { documentType, path, content }.");
+  }
+  if (body.files.length > MAX_FILES_PER_COMMIT) {
+    throw new ApiError(400, `At most ${MAX_FILES_PER_COMMIT} files can be saved in one commit.`);
+  }
+
+  const files = body.files.map((file) => {
+    if (typeof file?.content !== 'string' || !file.content.trim()) {
+      throw new ApiError(400, `The content of ${file?.path || file?.documentType || 'every file'} is required.`);
+    }
+    const { type, path } = resolveDocument(file);
+    return { type, path, content: file.content, baseSha: file.baseSha, explicitPath: Boolean(file.path) };
+  });
+
+  const paths = new Set(files.map(file => file.path));
+  if (paths.size !== files.length) {
+    throw new ApiError(400, "Each file can only be saved once per commit.");
+  }
+  return files;
+};
+
+/**
+ * @description Helper function to create blobs, a tree, and a commit writing several files at once.
  * @param {object} options - The options for creating the commit.
  * @param {string} options.repoFullName - The full name of the repository (e.g., 'user/repo').
- * @param {string} options.readmeContent - The content of the README file.
+ * @param {Array<object>} options.files - [{ path, content }] of the files to write.
  * @param {string} options.commitMessage - The commit message.
  * @param {string} options.baseSha - The SHA of the commit to base the new commit on.
  * @param {object} options.headers - The authorization headers for the GitHub API request.
  * @returns {Promise<string>} The SHA of the newly created commit.
  */
-const createReadmeCommit = async ({ repoFullName, readmeContent, commitMessage, baseSha, headers }) => {
-  // Create a blob with the README content
-  const blobResponse = await axios.post(
-    `${GITHUB_API_URL}/repos/${repoFullName}/git/blobs`,
-    { content: readmeContent, encoding: 'utf-8' },
-    { headers }
-  );
-  const newBlobSha = blobResponse.data.sha;
+const createFilesCommit = async ({ repoFullName, files, commitMessage, baseSha, headers }) => {
+  // Create a blob for each file
+  const blobShas = await Promise.all(files.map(async (file) => {
+    const blobResponse = await githubClient.post(
+      `${GITHUB_API_URL}/repos/${repoFullName}/git/blobs`,
+      { content: file.content, encoding: 'utf-8' },
+      { headers }
+    );
+    return blobResponse.data.sha;
+  }));
 
-  // Create a new tree with the new README blob
-  const treeResponse = await axios.post(
+  // Create a new tree with the new blobs
+  const treeResponse = await githubClient.post(
     `${GITHUB_API_URL}/repos/${repoFullName}/git/trees`,
     {
       base_tree: baseSha,
-      tree: [{ path: 'README.md', mode: '100644', type: 'blob', sha: newBlobSha }],
+      tree: files.map((file, index) => ({ path: file.path, mode: '100644', type: 'blob', sha: blobShas[index] })),
     },
     { headers }
   );
   const newTreeSha = treeResponse.data.sha;
 
   // Create the commit
-  const commitResponse = await axios.post(
+  const commitResponse = await githubClient.post(
     `${GITHUB_API_URL}/repos/${repoFullName}/git/commits`,
     {
       message: commitMessage,
@@ -52,13 +132,120 @@ const createReadmeCommit = async ({ repoFullName, readmeContent, commitMessage,
 };
 
 /**
- * @description Creates or updates the README.md file in the main branch.
+ * @description Finds the file each document will replace and checks that it has not changed on GitHub
+ * since the draft was generated. On a mismatch, throws a 409 for the first changed file whose `data`
+ * holds the upstream changes and a three-way merge of the analyzed file, the draft and the current file.
+ * @param {object} options
+ * @param {string} options.repoFullName - The full name of the repository.
+ * @param {string} options.baseSha - The commit the new commit will be based on.
+ * @param {Array<object>} options.files - Result of parseCommitFiles. A file's `baseSha` is the blob SHA at analysis
+ * time (null if there was none); its check is skipped when it is undefined, i.e. the client does not know the original.
+ * @param {boolean} [options.force=false] - Overwrite upstream changes without checking.
+ * @param {object} options.headers - The authorization headers for the GitHub API request.
+ * @returns {Promise<Array<object>>} The files, each with `target` ({ path, sha }): the file to write and its current blob.
  */
-const saveReadmeToRepo = asyncHandler(async (req, res) => {
-  const { repoFullName, readmeContent, commitMessage } = req.body;
-  const userId = req.user?.id;
+const checkFileConflicts = async ({ repoFullName, baseSha, files, force = false, headers }) => {
+  const tree = await fetchTree({ repoFullName, treeSha: baseSha, recursive: true, headers });
+  const targets = files.map(file => ({
+    ...file,
+    target: findDocumentNode(tree, { type: file.type, path: file.path, explicitPath: file.explicitPath }),
+  }));
 
-  if (!repoFullName || !readmeContent || !commitMessage) {
+  const changed = force
+    ? undefined
+    : targets.find(file => file.baseSha !== undefined && file.target.sha !== file.baseSha);
+  if (!changed) {
+    return targets;
+  }
+
+  const { path, sha: currentSha } = changed.target;
+  const [analyzedContent, upstreamContent] = await Promise.all([
+    changed.baseSha ? fetchBlobText({ repoFullName, sha: changed.baseSha, headers }) : '',
+    currentSha ? fetchBlobText({ repoFullName, sha: currentSha, headers }) : '',
+  ]);
+
+  const changedOnGitHub = `${path} was changed on GitHub after this ${changed.type.id === 'readme' ? 'README' : 'draft'} was generated.`;
+  const lineCount = (text) => text.split('\n').length;
+  const baseLines = lineCount(analyzedContent);
+  if (baseLines + Math.max(lineCount(upstreamContent), lineCount(changed.content)) > MAX_DIFF_LINES) {
+    throw new ApiError(413, `${changedOnGitHub} It is too large to compare; save again with force to overwrite it.`);
+  }
+
+  const conflict = new ApiError(409, `${changedOnGitHub} Review the upstream changes, or save again with force to overwrite them.`);
+  conflict.data = {
+    path,
+    documentType: changed.type.id,
+    draftPath: changed.path,
+    baseReadmeSha: changed.baseSha,
+    currentReadmeSha: currentSha,
+    upstreamChanges: toHunks(diffLines(analyzedContent, upstreamContent)),
+    merge: diff3Merge(analyzedContent, changed.content, upstreamContent, { ours: 'draft', base: 'analyzed', theirs: 'upstream' }),
+  };
+  throw conflict;
+};
+
+/**
+ * @description Describes the changes to each committed file, for the pull request body.
+ * @param {object} options
+ * @param {string} options.repoFullName - The full name of the repository.
+ * @param {Array<object>} options.files - Result of checkFileConflicts.
+ * @param {object} options.headers - The authorization headers for the GitHub API request.
+ * @returns {Promise<string>} Markdown with one section per file.
+ */
+const summarizeFileChanges = async ({ repoFullName, files, headers }) => {
+  const summaries = await Promise.all(files.map(async (file) => {
+    const current = file.target.sha ? await fetchBlobText({ repoFullName, sha: file.target.sha, headers }) : null;
+    const heading = file.type.id === 'readme' ? 'README changes' : `${file.target.path} changes`;
+    return `### ${heading}\n\n${summarizeReadmeChanges(current, file.content)}`;
+  }));
+  return summaries.join('\n\n');
+};
+
+/**
+ * @description Validates the optional pull request settings sent with saveReadmeToNewBranch.
+ * @param {object} [pullRequest] - { title, body, reviewers, labels, draft }
+ * @returns {object|null} Normalized options, or null when no pull request was requested.
+ */
+const parsePullRequestOptions = (pullRequest) => {
+  if (!pullRequest) {
+    return null;
+  }
+
+  const { title = '', body = '', reviewers = [], labels = [], draft = false } = pullRequest;
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (typeof title !== 'string' || typeof body !== 'string') {
+    throw new ApiError(400, "Pull request title and body must be strings.");
+  }
+  if (!isStringList(reviewers) || !isStringList(labels)) {
+    throw new ApiError(400, "Pull request reviewers and labels must be arrays of strings.");
+  }
+
+  return {
+    title: title.trim(),
+    body: body.trim(),
+    reviewers: reviewers.map(reviewer => reviewer.trim()).filter(Boolean),
+    labels: labels.map(label => label.trim()).filter(Boolean),
+    draft: Boolean(draft),
+  };
+};
+
+/**
+ * @description Creates or updates the README on a branch (the repository's default branch unless `branch` is given).
+ * The existing README file is updated in place. Send `baseReadmeSha` from the analysis to be refused
+ * with a 409 if the README changed since, unless `force` is set.
+ * Send `files` ([{ documentType, path, content, baseSha }]) instead of `readmeContent` to write several
+ * documents (e.g. the README and CONTRIBUTING.md) in one commit; each is checked against its own `baseSha`.
+ * Runs both for the save endpoint and for save-readme jobs.
+ * @param {string} userId - ID of the user whose GitHub token is used.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} { commitSha, branch, paths }
+ */
+const commitReadme = async (userId, body) => {
+  const { repoFullName, commitMessage, branch, force } = body;
+  const files = parseCommitFiles(body);
+
+  if (!repoFullName || files.length === 0 || !commitMessage) {
     throw new ApiError(400, "Repository name, README content, and commit message are required.");
   }
 
@@ -67,85 +254,237 @@ const saveReadmeToRepo = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found or GitHub token is missing.");
   }
   const githubAccessToken = user.getDecryptedAccessToken();
-  const headers = { Authorization: `token ${githubAccessToken}` };
+  const headers = getGitHubHeaders(githubAccessToken);
 
   try {
-    // Get the latest commit SHA from the main branch
-    const branchResponse = await axios.get(`${GITHUB_API_URL}/repos/${repoFullName}/branches/main`, { headers });
-    const latestCommitSha = branchResponse.data.commit.sha;
+    // Committing directly needs push access; read-only users must go through a fork and pull request
+    const repository = await fetchRepository(repoFullName, headers);
+    if (!canPushTo(repository)) {
+      throw new ApiError(403, `You do not have push access to ${repoFullName}. Open a pull request instead; it will be created from your fork.`);
+    }
+
+    // Get the latest commit SHA from the target branch
+    const target = await resolveBranch({ repoFullName, branch: branch || repository.default_branch, headers });
+    const latestCommitSha = target.sha;
+
+    // Refuse to clobber edits made on GitHub after the drafts were generated
+    const targets = await checkFileConflicts({ repoFullName, baseSha: latestCommitSha, files, force, headers });
 
     // Use the helper to create the new commit
-    const newCommitSha = await createReadmeCommit({
+    const newCommitSha = await createFilesCommit({
       repoFullName,
-      readmeContent,
+      files: targets.map(file => ({ path: file.target.path, content: file.content })),
       commitMessage,
       baseSha: latestCommitSha,
       headers,
     });
 
-    // Update the main branch to point to the new commit
-    await axios.patch(`${GITHUB_API_URL}/repos/${repoFullName}/git/refs/heads/main`, { sha: newCommitSha }, { headers });
+    // Update the target branch to point to the new commit
+    await githubClient.patch(`${GITHUB_API_URL}/repos/${repoFullName}/git/refs/heads/${target.branch}`, { sha: newCommitSha }, { headers });
+    await recordCommittedDraft({ userId, repoFullName, files, commitSha: newCommitSha });
 
-    res.status(200).json(new ApiResponse(200, { commitSha: newCommitSha }, "README saved to main branch successfully."));
+    return { commitSha: newCommitSha, branch: target.branch, paths: targets.map(file => file.target.path) };
   } catch (error) {
-    logger.error(`Error saving README to main branch for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    logger.error(`Error saving README to branch ${branch || '(default)'} for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error.response?.status === 403) {
+      throw new ApiError(403, `GitHub refused the write to ${repoFullName}. The branch may be protected or the app may lack write access.`);
+    }
     throw new ApiError(500, "Failed to save README to the repository.");
   }
+};
+
+/**
+ * @description Saves the README to a branch; see commitReadme.
+ */
+const saveReadmeToRepo = asyncHandler(async (req, res) => {
+  const result = await commitReadme(req.user?.id, req.body);
+  res.status(200).json(new ApiResponse(200, result, `README saved to ${result.branch} branch successfully.`));
 });
 
 /**
  * @description Creates a new branch and saves the README.md file to it.
+ * The branch is created from `baseRef` (a branch, tag or commit SHA) or the repository's default branch.
+ * When `pullRequest` ({ title, body, reviewers, labels, draft }) is given, a pull request is opened
+ * from the new branch into `baseRef` when it is a branch, or into the default branch when it is a tag
+ * or commit. Its body ends with a summary of what changed in the README.
+ * If the user cannot push to the repository, it is forked and the branch is created on the fork;
+ * the pull request is then opened across repositories, back to upstream.
+ * Like saveReadmeToRepo, `baseReadmeSha` and `force` control README conflict detection, and `files`
+ * saves several documents at once; the pull request body then summarizes the changes to each.
+ * Runs both for the save endpoint and for save-readme-branch jobs.
+ * @param {string} userId - ID of the user whose GitHub token is used.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} { commitSha, branch, baseRef, fork, paths, pullRequestUrl, pullRequest? } where
+ * `baseRef` is the branch the changes are proposed to
  */
-const saveReadmeToNewBranch = asyncHandler(async (req, res) => {
-  const { repoFullName, readmeContent, commitMessage, newBranchName } = req.body;
-  const userId = req.user?.id;
+const commitReadmeToNewBranch = async (userId, body) => {
+  const { repoFullName, commitMessage, newBranchName, baseRef, force } = body;
+  const files = parseCommitFiles(body);
 
-  if (!repoFullName || !readmeContent || !commitMessage || !newBranchName) {
+  if (!repoFullName || files.length === 0 || !commitMessage || !newBranchName) {
     throw new ApiError(400, "Repo name, content, commit message, and new branch name are required.");
   }
+  const pullRequestOptions = parsePullRequestOptions(body.pullRequest);
 
   const user = await User.findById(userId);
   if (!user || !user.githubAccessToken) {
     throw new ApiError(404, "User not found or GitHub token is missing.");
   }
   const githubAccessToken = user.getDecryptedAccessToken();
-  const headers = { Authorization: `token ${githubAccessToken}` };
+  const headers = getGitHubHeaders(githubAccessToken);
 
   try {
-    // Get the SHA of the main branch to branch off from
-    const branchResponse = await axios.get(`${GITHUB_API_URL}/repos/${repoFullName}/git/refs/heads/main`, { headers });
-    const mainBranchSha = branchResponse.data.object.sha;
+    const repository = await fetchRepository(repoFullName, headers);
+    const defaultRef = baseRef || repository.default_branch;
 
-    // Create the new branch pointing to the main branch's SHA
-    await axios.post(
-      `${GITHUB_API_URL}/repos/${repoFullName}/git/refs`,
+    // Get the SHA of the base ref to branch off from
+    const base = await resolveCommit({ repoFullName, ref: defaultRef, headers });
+    const baseSha = base.sha;
+    // A pull request can only target a branch: a branch made from a tag or a commit is proposed to the default branch
+    const targetRef = baseRef && (await resolveRefType({ repoFullName, ref: base.ref, headers })) !== 'branch'
+      ? repository.default_branch
+      : base.ref;
+
+    const targets = await checkFileConflicts({ repoFullName, baseSha, files, force, headers });
+
+    // Without push access, the branch lives on the user's fork. Forks share git objects
+    // with upstream, so the upstream base commit can be used directly.
+    const fork = canPushTo(repository) ? null : await forkRepository({ repoFullName, headers });
+    const headRepoFullName = fork ? fork.full_name : repoFullName;
+
+    // Create the new branch pointing to the base commit
+    await githubClient.post(
+      `${GITHUB_API_URL}/repos/${headRepoFullName}/git/refs`,
       {
         ref: `refs/heads/${newBranchName}`,
-        sha: mainBranchSha,
+        sha: baseSha,
       },
       { headers }
     );
 
     // Use the helper to create the new commit
-    const newCommitSha = await createReadmeCommit({
-      repoFullName,
-      readmeContent,
+    const newCommitSha = await createFilesCommit({
+      repoFullName: headRepoFullName,
+      files: targets.map(file => ({ path: file.target.path, content: file.content })),
       commitMessage,
-      baseSha: mainBranchSha,
+      baseSha,
       headers,
     });
 
     // Update the NEW branch to point to our new commit
-    await axios.patch(`${GITHUB_API_URL}/repos/${repoFullName}/git/refs/heads/${newBranchName}`, { sha: newCommitSha, force: true }, { headers });
+    await githubClient.patch(`${GITHUB_API_URL}/repos/${headRepoFullName}/git/refs/heads/${newBranchName}`, { sha: newCommitSha, force: true }, { headers });
+    await recordCommittedDraft({ userId, repoFullName, files, commitSha: newCommitSha });
+
+    // Cross-repository pull requests reference the head branch as `owner:branch`
+    const head = fork ? `${fork.owner.login}:${newBranchName}` : newBranchName;
+    const saved = {
+      commitSha: newCommitSha,
+      branch: newBranchName,
+      baseRef: targetRef,
+      fork: fork ? fork.full_name : null,
+      paths: targets.map(file => file.target.path),
+    };
+
+    if (!pullRequestOptions) {
+      const pullRequestUrl = fork
+        ? `https://github.com/${repoFullName}/compare/${encodeURIComponent(targetRef)}...${head}`
+        : `https://github.com/${repoFullName}/pull/new/${newBranchName}`;
+      return { ...saved, pullRequestUrl };
+    }
 
-    const pullRequestUrl = `https://github.com/${repoFullName}/pull/new/${newBranchName}`;
+    // Describe the changes to each file relative to the base branch
+    const changeSummary = await summarizeFileChanges({ repoFullName, files: targets, headers });
+    const body = [pullRequestOptions.body, changeSummary].filter(Boolean).join('\n\n');
 
-    res.status(201).json(new ApiResponse(201, { commitSha: newCommitSha, branch: newBranchName, pullRequestUrl }, "README saved to new branch successfully."));
+    const pullRequest = await createPullRequest({
+      repoFullName,
+      head,
+      base: targetRef,
+      title: pullRequestOptions.title || commitMessage,
+      body,
+      draft: pullRequestOptions.draft,
+      reviewers: pullRequestOptions.reviewers,
+      labels: pullRequestOptions.labels,
+      maintainerCanModify: fork ? true : undefined,
+      headers,
+    });
+
+    return { ...saved, pullRequestUrl: pullRequest.url, pullRequest };
   } catch (error) {
     logger.error(`Error saving README to new branch for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error.response?.status === 422) {
+      throw new ApiError(422, `Branch "${newBranchName}" already exists or is not a valid branch name.`);
+    }
+    if (error.response?.status === 403) {
+      throw new ApiError(403, `GitHub refused to create the branch for ${repoFullName}. The app may lack write access.`);
+    }
     throw new ApiError(500, "Failed to save README to the new branch.");
   }
+};
+
+/**
+ * @description Saves the README to a new branch, optionally opening a pull request; see commitReadmeToNewBranch.
+ */
+const saveReadmeToNewBranch = asyncHandler(async (req, res) => {
+  const result = await commitReadmeToNewBranch(req.user?.id, req.body);
+  const message = result.pullRequest
+    ? `Pull request #${result.pullRequest.number} opened successfully.`
+    : "README saved to new branch successfully.";
+  res.status(201).json(new ApiResponse(201, result, message));
+});
+
+/**
+ * @description Previews what saving would change: diffs the README currently on the target ref
+ * (a branch, tag or commit SHA; the default branch unless `ref` is given) against the draft.
+ * Send `documentType` and `path` to preview another document, e.g. CONTRIBUTING.md.
+ */
+const previewReadmeCommit = asyncHandler(async (req, res) => {
+  const { repoFullName, readmeContent, ref } = req.body;
+  const { type, path } = resolveDocument(req.body);
+  const userId = req.user?.id;
+
+  if (!repoFullName || typeof readmeContent !== 'string') {
+    throw new ApiError(400, "Repository name and README content are required.");
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.githubAccessToken) {
+    throw new ApiError(404, "User not found or GitHub token is missing.");
+  }
+  const headers = getGitHubHeaders(user.getDecryptedAccessToken());
+
+  try {
+    const target = await resolveCommit({ repoFullName, ref, headers });
+    const tree = await fetchTree({ repoFullName, treeSha: target.sha, recursive: true, headers });
+    const current = findDocumentNode(tree, { type, path, explicitPath: Boolean(req.body.path) });
+    const currentContent = current.sha ? await fetchBlobText({ repoFullName, sha: current.sha, headers }) : '';
+
+    const changes = diffLines(currentContent, readmeContent);
+
+    res.status(200).json(new ApiResponse(200, {
+      ref: target.ref,
+      commitSha: target.sha,
+      path: current.path,
+      documentType: type.id,
+      exists: Boolean(current.sha),
+      readmeSha: current.sha,
+      stats: countChanges(changes),
+      hunks: toHunks(changes),
+    }, "README commit preview generated successfully."));
+  } catch (error) {
+    logger.error(`Error previewing README commit for repo ${repoFullName}: ${error.message}`, { stack: error.stack, response: error.response?.data });
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to compare the draft with the README on GitHub.");
+  }
 });
 
 
-export { saveReadmeToRepo, saveReadmeToNewBranch };
+export { saveReadmeToRepo, saveReadmeToNewBranch, previewReadmeCommit, commitReadme, commitReadmeToNewBranch };
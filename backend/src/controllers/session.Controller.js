@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { getCookieOptions } from '../utils/cookieConfig.js';
+import { Session } from '../models/Session.model.js';
+import { listSessions, revokeSession, revokeAllSessions } from '../services/userService.js';
+
+/**
+ * @description Clears the auth cookies after the caller's own session was revoked.
+ * @param {object} res - Express response object.
+ * @returns {object} The response, for chaining.
+ */
+const clearAuthCookies = (res) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return res
+    .clearCookie('accessToken', getCookieOptions(isProduction, 'access'))
+    .clearCookie('refreshToken', getCookieOptions(isProduction, 'refresh'));
+};
+
+/**
+ * @description Lists the user's active sessions (devices signed in), flagging the current one.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id, req.sessionId);
+  res.status(200).json(new ApiResponse(200, sessions, "Sessions fetched successfully."));
+});
+
+/**
+ * @description Revokes one of the user's sessions. Revoking the current session signs the caller out.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const revokeSessionById = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session ID.");
+  }
+
+  const session = await Session.findOne({ _id: sessionId, user: req.user._id, revokedAt: null });
+  if (!session) {
+    throw new ApiError(404, "Session not found.");
+  }
+
+  await revokeSession(session._id);
+
+  const isCurrent = String(session._id) === String(req.sessionId);
+  if (isCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json(new ApiResponse(200, { id: session._id, current: isCurrent }, "Session revoked."));
+});
+
+/**
+ * @description Revokes all of the user's other sessions, or every session including the current one
+ * when `?includeCurrent=true` is passed.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const revokeSessions = asyncHandler(async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === 'true';
+
+  const revoked = await revokeAllSessions(req.user._id, {
+    exceptSessionId: includeCurrent ? undefined : req.sessionId,
+  });
+
+  if (includeCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json(new ApiResponse(200, { revoked, includeCurrent }, `${revoked} session(s) revoked.`));
+});
+
+export { getSessions, revokeSessionById, revokeSessions };
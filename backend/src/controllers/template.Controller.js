@@ -1,18 +1,196 @@
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
-import { getAvailableTemplates } from '../services/template.Service.js';
+import { Template } from '../models/Template.model.js';
+import mongoose from 'mongoose';
+import {
+  getAvailableTemplates,
+  getTemplateById,
+  validateTemplatePrompt,
+  PROMPT_PLACEHOLDERS,
+  REQUIRED_PLACEHOLDERS,
+} from '../services/template.Service.js';
+import { DOCUMENT_TYPE_IDS } from '../services/documentType.Service.js';
+
+const VISIBILITIES = ['private', 'public'];
+const MAX_REQUIRED_SECTIONS = 20;
 
 /**
- * @description Retrieves and sends the list of available README templates.
+ * @description Finds a template owned by the current user, or throws.
+ * Built-in templates and other users' templates cannot be modified.
+ * @param {string} templateId - The template's ObjectId.
+ * @param {string} userId - The ID of the current user.
+ * @returns {Promise<object>} The Template document.
+ */
+const findOwnedTemplate = async (templateId, userId) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await Template.findById(templateId)
+    : null;
+
+  if (!template) {
+    throw new ApiError(404, `Template with ID "${templateId}" not found.`);
+  }
+  if (template.owner.toString() !== userId.toString()) {
+    throw new ApiError(403, "You can only modify your own templates.");
+  }
+  return template;
+};
+
+/**
+ * @description Validates the editable fields of a template.
+ * @param {object} fields - { name, description, prompt, visibility, documentType, requiredSections }; undefined fields are skipped.
+ * @param {boolean} [requireAll=false] - Whether name and prompt are required (on create).
+ */
+const validateTemplateFields = ({ name, description, prompt, visibility, documentType, requiredSections }, requireAll = false) => {
+  if (requireAll && (!name?.trim() || !prompt?.trim())) {
+    throw new ApiError(400, "Template name and prompt are required.");
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 80)) {
+    throw new ApiError(400, "Template name must be between 1 and 80 characters.");
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 300)) {
+    throw new ApiError(400, "Template description must be at most 300 characters.");
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    throw new ApiError(400, `Visibility must be one of: ${VISIBILITIES.join(', ')}.`);
+  }
+  if (documentType !== undefined && !DOCUMENT_TYPE_IDS.includes(documentType)) {
+    throw new ApiError(400, `Document type must be one of: ${DOCUMENT_TYPE_IDS.join(', ')}.`);
+  }
+  if (requiredSections !== undefined && (
+    !Array.isArray(requiredSections)
+    || requiredSections.length > MAX_REQUIRED_SECTIONS
+    || requiredSections.some(section => typeof section !== 'string' || !section.trim() || section.length > 80)
+  )) {
+    throw new ApiError(400, `Required sections must be a list of at most ${MAX_REQUIRED_SECTIONS} headings of up to 80 characters.`);
+  }
+  if (prompt !== undefined) {
+    if (typeof prompt !== 'string' || prompt.length > 20000) {
+      throw new ApiError(400, "Template prompt must be at most 20000 characters.");
+    }
+    validateTemplatePrompt(prompt);
+  }
+};
+
+/**
+ * @description Maps a duplicate-key error on (owner, name) to a 409.
+ * @param {Error} error - The error raised by MongoDB.
+ */
+const rethrowDuplicateName = (error) => {
+  if (error?.code === 11000) {
+    throw new ApiError(409, "You already have a template with this name.");
+  }
+  throw error;
+};
+
+/**
+ * @description Retrieves and sends the list of available templates, optionally only those
+ * for one document type (?documentType=contributing).
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
 const getAllTemplates = asyncHandler(async (req, res) => {
-  // Get the templates from our service
-  const templates = getAvailableTemplates();
+  const { documentType } = req.query;
+  if (documentType !== undefined && !DOCUMENT_TYPE_IDS.includes(documentType)) {
+    throw new ApiError(400, `Document type must be one of: ${DOCUMENT_TYPE_IDS.join(', ')}.`);
+  }
+
+  // Get the built-in, own and shared templates from our service
+  const available = await getAvailableTemplates(req.user?._id);
+  const templates = documentType ? available.filter(template => template.documentType === documentType) : available;
 
   // Send a successful response with the list of templates
   res.status(200).json(new ApiResponse(200, templates, "Templates fetched successfully."));
 });
 
-export { getAllTemplates };
+/**
+ * @description Lists the placeholders a template prompt may use, for the template editor.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getTemplatePlaceholders = asyncHandler(async (req, res) => {
+  res.status(200).json(new ApiResponse(200, {
+    placeholders: PROMPT_PLACEHOLDERS,
+    required: REQUIRED_PLACEHOLDERS,
+  }, "Template placeholders fetched successfully."));
+});
+
+/**
+ * @description Retrieves a single template, including its prompt.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = await getTemplateById(req.params.templateId, req.user?._id);
+
+  res.status(200).json(new ApiResponse(200, template, "Template fetched successfully."));
+});
+
+/**
+ * @description Creates a user-defined template.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const { name, description = '', prompt, visibility = 'private', documentType = 'readme', requiredSections = [] } = req.body;
+
+  validateTemplateFields({ name, description, prompt, visibility, documentType, requiredSections }, true);
+
+  const template = await Template.create({
+    name: name.trim(),
+    description,
+    prompt,
+    visibility,
+    documentType,
+    requiredSections: requiredSections.map(section => section.trim()),
+    owner: req.user._id,
+  }).catch(rethrowDuplicateName);
+
+  const created = await getTemplateById(template._id.toString(), req.user._id);
+  res.status(201).json(new ApiResponse(201, created, "Template created successfully."));
+});
+
+/**
+ * @description Updates a template owned by the current user.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const { name, description, prompt, visibility, documentType, requiredSections } = req.body;
+
+  validateTemplateFields({ name, description, prompt, visibility, documentType, requiredSections });
+
+  const template = await findOwnedTemplate(req.params.templateId, req.user._id);
+  if (name !== undefined) template.name = name.trim();
+  if (description !== undefined) template.description = description;
+  if (prompt !== undefined) template.prompt = prompt;
+  if (visibility !== undefined) template.visibility = visibility;
+  if (documentType !== undefined) template.documentType = documentType;
+  if (requiredSections !== undefined) template.requiredSections = requiredSections.map(section => section.trim());
+
+  await template.save().catch(rethrowDuplicateName);
+
+  const updated = await getTemplateById(template._id.toString(), req.user._id);
+  res.status(200).json(new ApiResponse(200, updated, "Template updated successfully."));
+});
+
+/**
+ * @description Deletes a template owned by the current user.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findOwnedTemplate(req.params.templateId, req.user._id);
+  await template.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "Template deleted successfully."));
+});
+
+export {
+  getAllTemplates,
+  getTemplatePlaceholders,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,16 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { getUsageSummary } from '../services/usage.Service.js';
+
+/**
+ * @description Summarizes the user's AI usage (generations and tokens) against their daily and monthly quotas,
+ * with a per-model breakdown for the month and the most recent generations.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+const getUsage = asyncHandler(async (req, res) => {
+  const usage = await getUsageSummary(req.user._id);
+  res.status(200).json(new ApiResponse(200, usage, "Usage fetched successfully."));
+});
+
+export { getUsage };
@@ -1,10 +1,12 @@
 import mongoose from 'mongoose';
 import { ApiError } from '../utils/ApiError.js';
+import runMigrations from './migrations.js';
 
 const connectDB = async () => {
   try {
     const connectionInstance = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`\n MongoDB connected !! DB HOST: ${connectionInstance.connection.host}`);
+    await runMigrations();
   } catch (error) {
     console.error("MONGODB connection FAILED ", error);
     throw new ApiError(500, "Failed to connect to the database.");
@@ -0,0 +1,71 @@
+import { Readme, README_PATH } from '../models/Readme.model.js';
+import { ReadmeRevision } from '../models/ReadmeRevision.model.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Drafts used to be one per repository, keyed by (repoFullName, owner). They are now keyed by
+ * path as well, so the old unique index is dropped and existing drafts become README drafts.
+ * Safe to run on every start.
+ */
+const migrateDraftPaths = async () => {
+  const { modifiedCount } = await Readme.updateMany(
+    { path: { $exists: false } },
+    { $set: { path: README_PATH, documentType: 'readme' } }
+  );
+  if (modifiedCount > 0) {
+    logger.info(`Keyed ${modifiedCount} existing drafts by the README path`);
+  }
+
+  const indexes = await Readme.collection.indexes().catch(() => []);
+  if (indexes.some(index => index.name === 'repoFullName_1_owner_1')) {
+    await Readme.collection.dropIndex('repoFullName_1_owner_1');
+    logger.info('Dropped the one-draft-per-repository index');
+  }
+  await Readme.createIndexes();
+};
+
+/**
+ * Drafts saved before revisions were kept have no history, so their first edit could neither be
+ * diffed against nor restored to the original. Their current content becomes revision 1.
+ * Safe to run on every start.
+ */
+const seedDraftRevisions = async () => {
+  const drafts = Readme.find({ latestRevision: { $in: [0, null] } })
+    .select('owner repoFullName content')
+    .lean()
+    .cursor();
+
+  let seeded = 0;
+  for await (const draft of drafts) {
+    try {
+      await ReadmeRevision.create({
+        readme: draft._id,
+        owner: draft.owner,
+        repoFullName: draft.repoFullName,
+        number: 1,
+        content: draft.content,
+        source: 'manual',
+      });
+      seeded += 1;
+    } catch (error) {
+      // Another instance seeded it first
+      if (error?.code !== 11000) {
+        throw error;
+      }
+    }
+    await Readme.updateOne({ _id: draft._id }, { $max: { latestRevision: 1 } });
+  }
+  if (seeded > 0) {
+    logger.info(`Seeded the history of ${seeded} existing drafts with their current content`);
+  }
+};
+
+/**
+ * Bring stored data up to date with the current models. Runs once the database is connected.
+ */
+const runMigrations = async () => {
+  await migrateDraftPaths();
+  await seedDraftRevisions();
+};
+
+export default runMigrations;
@@ -2,6 +2,20 @@ import jwt from 'jsonwebtoken';
 import { ApiError } from '../utils/ApiError.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { User } from '../models/User.model.js';
+import { Session } from '../models/Session.model.js';
+import { touchSession } from '../services/userService.js';
+
+/**
+ * Access tokens issued before sessions existed carry no `sid`, so they cannot be revoked. They are
+ * accepted until LEGACY_ACCESS_TOKENS_UNTIL (an ISO date, at most ACCESS_TOKEN_EXPIRY after the
+ * deploy that introduced sessions) to spare users a sign-in; when it is unset or has passed they are
+ * rejected and the user signs in again.
+ * @returns {boolean} Whether tokens without a session are still accepted
+ */
+const acceptsLegacyTokens = () => {
+  const until = Date.parse(process.env.LEGACY_ACCESS_TOKENS_UNTIL || '');
+  return Number.isFinite(until) && Date.now() < until;
+};
 
 export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
@@ -19,7 +33,21 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
       throw new ApiError(401, 'Invalid Access Token');
     }
 
+    // Access tokens die with their session (logout, revocation or refresh token reuse)
+    if (!decodedToken.sid && !acceptsLegacyTokens()) {
+      throw new ApiError(401, 'Session is missing; please sign in again');
+    }
+    if (decodedToken.sid) {
+      const session = await Session.findById(decodedToken.sid).select('revokedAt lastUsedAt');
+      if (!session || session.revokedAt) {
+        throw new ApiError(401, 'Session has been revoked');
+      }
+      // Best effort: a failed "last used" update must not fail the request
+      touchSession(session).catch(() => {});
+    }
+
     req.user = user;
+    req.sessionId = decodedToken.sid || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
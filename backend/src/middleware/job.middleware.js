@@ -0,0 +1,23 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { enqueueJob, toJobView, wakeJobWorker } from '../services/jobs/index.js';
+
+/**
+ * Lets a route run in the background: with `?async=true` the request body is queued as a job
+ * of the given type and the response is 202 with the job, to be followed through /api/v1/jobs/:jobId.
+ * Without it the request continues to the route's own handler.
+ * @param {string} type - One of JOB_TYPES
+ */
+export const runAsJob = (type) => asyncHandler(async (req, res, next) => {
+  if (req.query.async !== 'true') {
+    return next();
+  }
+
+  const job = await enqueueJob({ userId: req.user._id, type, payload: req.body });
+  wakeJobWorker();
+
+  res
+    .status(202)
+    .location(`/api/v1/jobs/${job._id}`)
+    .json(new ApiResponse(202, toJobView(job), "Job queued."));
+});
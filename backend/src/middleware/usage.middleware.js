@@ -0,0 +1,78 @@
+import rateLimit from 'express-rate-limit';
+import { ApiError } from '../utils/ApiError.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { assertWithinQuota } from '../services/usage.Service.js';
+
+/**
+ * Rate limit a route per signed-in user rather than per IP. Must run after verifyJWT.
+ * The limit is read from `${envPrefix}_MAX` on each request, so values loaded by dotenv after import are respected.
+ * Use the same middleware on several routes to make them share one budget.
+ * @param {Object} options
+ * @param {string} options.name - Label used in the error message, e.g. 'README generation'
+ * @param {string} options.envPrefix - Prefix of the environment variable holding the limit
+ * @param {number} options.max - Default requests per window
+ * @param {number} options.windowMinutes - Window length
+ */
+export const userRateLimit = ({ name, envPrefix, max, windowMinutes }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  limit: () => Number(process.env[`${envPrefix}_MAX`]) || max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => String(req.user._id),
+  handler: (req, res, next, options) => {
+    const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    next(new ApiError(options.statusCode, `Too many ${name} requests. You can make ${req.rateLimit.limit} every ${windowMinutes} minutes; try again in ${retryAfter} seconds.`));
+  },
+});
+
+// Shared by the blocking and streaming analyze routes
+export const analyzeRateLimit = userRateLimit({
+  name: 'README generation',
+  envPrefix: 'ANALYZE_RATE_LIMIT',
+  max: 10,
+  windowMinutes: 15,
+});
+
+// Background analyses (`?async=true`) are queued and run a few at a time per user by the job worker,
+// so they get their own, larger allowance: a batch over dozens of repositories fits in it
+export const analyzeJobRateLimit = userRateLimit({
+  name: 'background README generation',
+  envPrefix: 'ANALYZE_JOB_RATE_LIMIT',
+  max: 60,
+  windowMinutes: 15,
+});
+
+/**
+ * Rate limit for the analyze route: analyzeJobRateLimit for requests queued as jobs (see runAsJob),
+ * analyzeRateLimit otherwise.
+ */
+export const analyzeRouteRateLimit = (req, res, next) => (req.query.async === 'true'
+  ? analyzeJobRateLimit(req, res, next)
+  : analyzeRateLimit(req, res, next));
+
+// Section regenerations and refinements of an existing draft come in quick succession,
+// so they share a separate, larger allowance
+export const editRateLimit = userRateLimit({
+  name: 'README edit',
+  envPrefix: 'EDIT_RATE_LIMIT',
+  max: 30,
+  windowMinutes: 15,
+});
+
+// Quality checks run while the user types (debounced by the editor), so they get the largest allowance
+// and are left out of the global per-IP limit (see app.js). They do not use the AI model, only the GitHub API.
+export const lintRateLimit = userRateLimit({
+  name: 'README check',
+  envPrefix: 'LINT_RATE_LIMIT',
+  max: 120,
+  windowMinutes: 15,
+});
+
+/**
+ * Refuses AI generation requests once the user's daily or monthly quota is used up (429).
+ */
+export const enforceAiQuota = asyncHandler(async (req, res, next) => {
+  await assertWithinQuota(req.user._id);
+  next();
+});
@@ -0,0 +1,81 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const JOB_TYPES = ['analyze', 'save-readme', 'save-readme-branch'];
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// A unit of background work (README generation, commits) run by the job worker
+const jobSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    // The request body the job was created from
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // Response data of a succeeded job
+    result: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // { statusCode, message, data } of the last failed attempt
+    error: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Earliest time the next attempt may start; pushed back between retries
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refreshed while a worker runs the job; a stale lock means the worker died and the job is requeued
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the job succeeded, failed for good or was cancelled; finished jobs are removed after a week
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.model('Job', jobSchema);
@@ -1,5 +1,30 @@
 import mongoose, { Schema } from 'mongoose';
 
+// Kinds of documents a draft can hold; see services/documentType.Service.js
+export const DOCUMENT_TYPE_IDS = ['readme', 'contributing', 'changelog', 'code-of-conduct', 'security', 'docs'];
+
+// The README is keyed by this path whatever its file is called on GitHub (readme.md, README, ...)
+export const README_PATH = 'README.md';
+
+// One instruction of the conversational refinement and the revision it produced
+const refinementSchema = new Schema(
+  {
+    instruction: {
+      type: String,
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    provider: String,
+    model: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
 const readmeSchema = new Schema(
   {
     repoFullName: {
@@ -7,10 +32,52 @@ const readmeSchema = new Schema(
       required: true,
       index: true,
     },
+    // Path of the document in the repository; drafts are keyed by repository and path.
+    // The README is always stored as README.md, whatever its file is called on GitHub.
+    path: {
+      type: String,
+      required: true,
+      default: README_PATH,
+    },
+    documentType: {
+      type: String,
+      enum: DOCUMENT_TYPE_IDS,
+      default: 'readme',
+    },
     content: {
       type: String,
       required: true,
     },
+    // Number of the latest revision; every save appends one (see ReadmeRevision)
+    latestRevision: {
+      type: Number,
+      default: 0,
+    },
+    // 'committed' once this exact content was saved to GitHub; any new revision makes it a draft again
+    status: {
+      type: String,
+      enum: ['draft', 'committed'],
+      default: 'draft',
+    },
+    committedSha: {
+      type: String,
+      default: null,
+    },
+    committedAt: {
+      type: Date,
+      default: null,
+    },
+    // Summary of the repository the content was generated from (file list, key files, ref),
+    // reused when the draft is refined so GitHub does not have to be read again
+    generationContext: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Instructions the draft was refined with, oldest first
+    refinements: {
+      type: [refinementSchema],
+      default: [],
+    },
     // Create a reference to the User who owns this README
     owner: {
       type: Schema.Types.ObjectId,
@@ -23,7 +90,7 @@ const readmeSchema = new Schema(
   }
 );
 
-// Ensure a user can only have one saved README per repository
-readmeSchema.index({ repoFullName: 1, owner: 1 }, { unique: true });
+// Ensure a user can only have one draft per file of a repository
+readmeSchema.index({ repoFullName: 1, owner: 1, path: 1 }, { unique: true });
 
 export const Readme = mongoose.model('Readme', readmeSchema);
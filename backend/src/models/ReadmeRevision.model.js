@@ -0,0 +1,80 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const REVISION_SOURCES = ['ai', 'manual', 'imported', 'refined', 'changelog'];
+
+const readmeRevisionSchema = new Schema(
+  {
+    // The draft this revision belongs to
+    readme: {
+      type: Schema.Types.ObjectId,
+      ref: 'Readme',
+      required: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    repoFullName: {
+      type: String,
+      required: true,
+    },
+    // Sequential per draft, starting at 1
+    number: {
+      type: Number,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // How the content was produced: generated by AI, refined by AI following an instruction,
+    // edited by hand, or imported from the repository
+    source: {
+      type: String,
+      enum: REVISION_SOURCES,
+      required: true,
+    },
+    templateId: {
+      type: String,
+      default: null,
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    model: {
+      type: String,
+      default: null,
+    },
+    // Blob SHA of the README on GitHub that this content was based on (null if there was none)
+    baseReadmeSha: {
+      type: String,
+      default: null,
+    },
+    // Set when this revision was created by restoring an older one
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    // Revisions are never updated, so only the creation time is tracked
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+readmeRevisionSchema.index({ readme: 1, number: -1 }, { unique: true });
+
+// Revisions are immutable: history is only ever appended to
+readmeRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('README revisions are immutable.'));
+  }
+  next();
+});
+readmeRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+  next(new Error('README revisions are immutable.'));
+});
+
+export const ReadmeRevision = mongoose.model('ReadmeRevision', readmeRevisionSchema);
@@ -0,0 +1,69 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = ['logout', 'reuse', 'revoked'];
+
+// A login session: the family of refresh tokens issued from one sign-in.
+// Only the latest token of the family is valid; each refresh replaces it.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // `jti` of the refresh token that may be exchanged next
+    currentTokenId: {
+      type: String,
+      required: true,
+    },
+    // The token it replaced, tolerated briefly so parallel refreshes don't look like reuse
+    previousTokenId: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Expiry of the current refresh token; expired sessions are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: SESSION_REVOKE_REASONS,
+      default: null,
+    },
+    // Where the session is used from, shown on the sessions page; refreshed as the session is used
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    // Short label derived from the user agent, e.g. "Chrome on macOS"
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
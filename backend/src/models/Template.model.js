@@ -0,0 +1,58 @@
+import mongoose, { Schema } from 'mongoose';
+import { DOCUMENT_TYPE_IDS } from './Readme.model.js';
+
+const templateSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: '',
+    },
+    // The prompt sent to the AI model; must contain the required placeholders (e.g. {filePaths})
+    prompt: {
+      type: String,
+      required: true,
+      maxlength: 20000,
+    },
+    // The kind of document the template generates (README, CONTRIBUTING.md, ...)
+    documentType: {
+      type: String,
+      enum: DOCUMENT_TYPE_IDS,
+      default: 'readme',
+    },
+    // Headings the generated document should contain, checked by the quality report (e.g. ['Installation', 'Usage'])
+    requiredSections: {
+      type: [{ type: String, trim: true, maxlength: 80 }],
+      default: [],
+    },
+    // 'private' templates are only visible to their owner, 'public' ones to every user
+    visibility: {
+      type: String,
+      enum: ['private', 'public'],
+      default: 'private',
+    },
+    // Create a reference to the User who owns this template
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ensure a user cannot have two templates with the same name
+templateSchema.index({ owner: 1, name: 1 }, { unique: true });
+templateSchema.index({ visibility: 1 });
+
+export const Template = mongoose.model('Template', templateSchema);
@@ -0,0 +1,56 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const USAGE_ROUTES = ['analyze', 'analyze-stream', 'analyze-job', 'regenerate-section', 'refine', 'changelog'];
+
+// One AI generation and the tokens it used, counted against the user's quotas
+const usageRecordSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The endpoint the generation was requested through
+    route: {
+      type: String,
+      enum: USAGE_ROUTES,
+      required: true,
+    },
+    repoFullName: {
+      type: String,
+      default: null,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    inputTokens: {
+      type: Number,
+      default: 0,
+    },
+    outputTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    // True when the provider reported no token counts and they were estimated from the text length
+    estimated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+
+export const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
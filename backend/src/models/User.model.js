@@ -38,9 +38,6 @@ const userSchema = new Schema(
     githubAccessToken: {
       type: String,
     },
-    refreshToken: {
-      type: String,
-    },
   },
   {
     timestamps: true, // Automatically add createdAt and updatedAt fields
@@ -59,13 +56,14 @@ userSchema.methods.getDecryptedAccessToken = function () {
   return decrypt(this.githubAccessToken);
 };
 
-// Method to generate an access token
-userSchema.methods.generateAccessToken = function () {
+// Method to generate an access token, bound to a login session when one is given
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
+      ...(sessionId && { sid: String(sessionId) }),
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -74,11 +72,13 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-// Method to generate a refresh token
-userSchema.methods.generateRefreshToken = function () {
+// Method to generate a refresh token; `sid` names the session and `jti` this token within it
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: String(sessionId),
+      jti: tokenId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
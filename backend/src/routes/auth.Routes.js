@@ -3,9 +3,12 @@ import {
     logoutUser,
     redirectToGitHub, 
     handleGitHubCallback, 
+    refreshAccessToken,
     getAuthStatus
 } from '../controllers/auth.Controller.js';
+import { getSessions, revokeSessionById, revokeSessions } from '../controllers/session.Controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
+import { ApiError } from '../utils/ApiError.js';
 
 const router = Router();
 
@@ -17,12 +20,19 @@ const router = Router();
 router.route('/github').get(redirectToGitHub);
 router.route('/github/callback').get(handleGitHubCallback);
 
+// --- Token refresh (authenticated by the refresh cookie, not the access token) ---
+router.route('/refresh').post(refreshAccessToken);
+
 // --- Public auth status check (optional auth) ---
 router.route('/check').get((req, res, next) => {
     // Try to verify JWT, but don't fail if it's not there
     const token = req.cookies?.accessToken || req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
+        // The access cookie expired but the session can be refreshed: let the client rotate tokens
+        if (req.cookies?.refreshToken) {
+            return next(new ApiError(401, 'Access token expired'));
+        }
         return res.status(200).json({
             statusCode: 200,
             data: { authenticated: false, user: null },
@@ -39,6 +49,10 @@ router.route('/check').get((req, res, next) => {
 router.route('/logout').post(verifyJWT, logoutUser);
 router.route('/status').get(verifyJWT, getAuthStatus);
 
+// Signed-in devices: list them, sign out all others (?includeCurrent=true for all) or one
+router.route('/sessions').get(verifyJWT, getSessions).delete(verifyJWT, revokeSessions);
+router.route('/sessions/:sessionId').delete(verifyJWT, revokeSessionById);
+
 // Debug routes removed for production - use separate debug controller if needed
 
 export default router;
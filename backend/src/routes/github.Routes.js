@@ -1,24 +1,74 @@
 import { Router } from 'express';
-import { getUserRepos } from '../controllers/gitHub.Controller.js';
+import { getUserRepos, getRepoOwners, getRepoBranches, getRateLimit } from '../controllers/gitHub.Controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
-import { analyzeRepository } from '../controllers/analysis.Controller.js';
-import { saveReadmeToRepo,saveReadmeToNewBranch } from '../controllers/repo.Controller.js'; // 1. Import the new controller
+import { analyzeRepository, analyzeRepositoryStream, regenerateSection, refineReadme } from '../controllers/analysis.Controller.js';
+import { saveReadmeToRepo,saveReadmeToNewBranch, previewReadmeCommit } from '../controllers/repo.Controller.js'; // 1. Import the new controller
+import { generateChangelog } from '../controllers/changelog.Controller.js';
+import { lintReadme, checkDocumentLinks } from '../controllers/lint.Controller.js';
+import { getBadges } from '../controllers/badge.Controller.js';
+import { runAsJob } from '../middleware/job.middleware.js';
+import { analyzeRateLimit, analyzeRouteRateLimit, editRateLimit, lintRateLimit, enforceAiQuota } from '../middleware/usage.middleware.js';
 const router = Router();
 
 // --- Protected Route ---
 // This route is protected by the verifyJWT middleware.
 // A request must have a valid JWT in the Authorization header to access this.
+// Paginated and filterable: GET /api/v1/github/repos?cursor=&perPage=30&owner=&language=&archived=&fork=&q=
 router.route('/repos').get(verifyJWT, getUserRepos);
 
+// The user and their organizations, for the repository owner filter
+router.route('/repo-owners').get(verifyJWT, getRepoOwners);
+
+// Branches and tags of a single repository, loaded on demand by the dashboard
+// GET /api/v1/github/branches?repoFullName=username/repo-name
+router.route('/branches').get(verifyJWT, getRepoBranches);
+
+// Remaining GitHub API quota for the user's token, polled by the dashboard
+router.route('/rate-limit').get(verifyJWT, getRateLimit);
+
 // 2. Add the new route for repository analysis
 // It's a POST request because the frontend will send the repo name in the body.
-router.route('/analyze').post(verifyJWT, analyzeRepository);
+// Add ?async=true to run it as a background job (202 with the job; see /api/v1/jobs)
+// Generation is rate limited per user and counted against the user's daily and monthly AI quotas
+router.route('/analyze').post(verifyJWT, analyzeRouteRateLimit, enforceAiQuota, runAsJob('analyze'), analyzeRepository);
+
+// Streaming variant: relays the generated README as Server-Sent Events
+router.route('/analyze/stream').post(verifyJWT, analyzeRateLimit, enforceAiQuota, analyzeRepositoryStream);
+
+// Regenerate or rewrite one section of the README being edited; also counted against the AI quotas
+router.route('/regenerate-section').post(verifyJWT, editRateLimit, enforceAiQuota, regenerateSection);
+
+// Revise the whole draft following an instruction ("add a troubleshooting section"); the
+// instructions are kept with the draft (GET /api/v1/readme/refinements)
+router.route('/refine').post(verifyJWT, editRateLimit, enforceAiQuota, refineReadme);
+
+// CHANGELOG.md section from the commits and merged pull requests in a range (two tags, a tag and a
+// branch, or a date window), saved as a draft and committed through the save routes below.
+// Uses the edit allowance; only counted against the AI quotas when `polish` is set
+router.route('/changelog').post(verifyJWT, editRateLimit, generateChangelog);
+
+// Quality report for a draft or the README on a branch: a score out of 100 and the problems found
+// (missing template sections, broken relative links, placeholders, ...). No AI model is involved
+router.route('/lint').post(verifyJWT, lintRateLimit, lintReadme);
+
+// Relative links and images of a draft checked against the repository tree (and absolute URLs on
+// request), with a fix for each broken one; shares the quality check allowance
+router.route('/check-links').post(verifyJWT, lintRateLimit, checkDocumentLinks);
+
+// Badges derived from the repository (license, version, workflows, language, stars) for the managed
+// badge block of the README; shares the quality check allowance
+// GET /api/v1/github/badges?repoFullName=username/repo-name&ref=main
+router.route('/badges').get(verifyJWT, lintRateLimit, getBadges);
 
 // 2. Add the new route for saving the README
-router.route('/save-readme').post(verifyJWT, saveReadmeToRepo);
+router.route('/save-readme').post(verifyJWT, runAsJob('save-readme'), saveReadmeToRepo);
 
 // 3. Add the new route for saving the README to a new branch
-router.route('/save-readme-branch').post(verifyJWT, saveReadmeToNewBranch);
+router.route('/save-readme-branch').post(verifyJWT, runAsJob('save-readme-branch'), saveReadmeToNewBranch);
+
+// Diff of the README on the target ref against the draft, shown before saving
+// POST (the draft is sent in the body)
+router.route('/preview-readme').post(verifyJWT, previewReadmeCommit);
 
 
 
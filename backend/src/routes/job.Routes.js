@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { getJobs, getJobById, streamJobEvents, cancelJob } from '../controllers/job.Controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Every job belongs to a user, so all routes require authentication
+router.use(verifyJWT);
+
+// Route to list the user's recent jobs
+// GET /api/v1/jobs?status=queued,running
+router.route('/').get(getJobs);
+
+// Route to poll a single job
+// GET /api/v1/jobs/:jobId
+router.route('/:jobId').get(getJobById);
+
+// Route to cancel a queued or running job
+// DELETE /api/v1/jobs/:jobId
+router.route('/:jobId').delete(cancelJob);
+
+// Route to follow a job as Server-Sent Events until it finishes
+// GET /api/v1/jobs/:jobId/events
+router.route('/:jobId/events').get(streamJobEvents);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { getAllModels } from '../controllers/model.Controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// This route is protected, ensuring only logged-in users can see the available models.
+router.route('/').get(verifyJWT, getAllModels);
+
+export default router;
@@ -3,7 +3,13 @@ import {
   getReadme,
   saveReadme,
   deleteReadme,
-   checkDraftsStatus 
+   checkDraftsStatus,
+  listReadmeDrafts,
+  getReadmeRevisions,
+  getReadmeRevision,
+  diffReadmeRevisions,
+  restoreReadmeRevision,
+  getReadmeRefinements,
 } from '../controllers/readme.Controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
 
@@ -15,6 +21,8 @@ router.use(verifyJWT);
 
 // Route to get a saved README for a repo
 // GET /api/readme?repoFullName=username/repo-name
+// Like every route below, it takes an optional `path` (e.g. CONTRIBUTING.md) to address another
+// document of the repository; the README draft is used otherwise
 router.route('/').get(getReadme);
 
 // Route to save or update a README
@@ -25,4 +33,32 @@ router.route('/').post(saveReadme);
 // DELETE /api/readme
 router.route('/').delete(deleteReadme);
 
+// Route to list the user's drafts for review
+// GET /api/readme/drafts?status=draft&repoFullNames=username/a,username/b
+router.route('/drafts').get(listReadmeDrafts);
+
+// Route to check which repositories have a saved draft
+// POST /api/readme/drafts/status
+router.route('/drafts/status').post(checkDraftsStatus);
+
+// Route to list the revision history of a draft (without content)
+// GET /api/readme/revisions?repoFullName=username/repo-name
+router.route('/revisions').get(getReadmeRevisions);
+
+// Route to compare two revisions (declared before /revisions/:number)
+// GET /api/readme/revisions/diff?repoFullName=username/repo-name&from=1&to=3
+router.route('/revisions/diff').get(diffReadmeRevisions);
+
+// Route to fetch a single revision with its content
+// GET /api/readme/revisions/3?repoFullName=username/repo-name
+router.route('/revisions/:number').get(getReadmeRevision);
+
+// Route to restore an old revision as the newest one
+// POST /api/readme/revisions/3/restore
+router.route('/revisions/:number/restore').post(restoreReadmeRevision);
+
+// Route to list the instructions a draft was refined with (see POST /api/v1/github/refine)
+// GET /api/readme/refinements?repoFullName=username/repo-name
+router.route('/refinements').get(getReadmeRefinements);
+
 export default router;
@@ -1,10 +1,26 @@
 import { Router } from 'express';
-import { getAllTemplates } from '../controllers/template.Controller.js';
+import {
+  getAllTemplates,
+  getTemplatePlaceholders,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from '../controllers/template.Controller.js';
 import { verifyJWT } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
-// This route is protected, ensuring only logged-in users can see the templates.
-router.route('/').get(verifyJWT, getAllTemplates);
+// All template routes are protected, ensuring only logged-in users can see or manage templates.
+router.use(verifyJWT);
+
+// List built-in, own and shared templates / create a custom template
+router.route('/').get(getAllTemplates).post(createTemplate);
+
+// Placeholders a custom template prompt may use (must be declared before /:templateId)
+router.route('/placeholders').get(getTemplatePlaceholders);
+
+// Read, update or delete a single template (only the owner may update or delete)
+router.route('/:templateId').get(getTemplate).patch(updateTemplate).delete(deleteTemplate);
 
 export default router;
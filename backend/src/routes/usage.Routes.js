@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { getUsage } from '../controllers/usage.Controller.js';
+import { verifyJWT } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Route to get the user's AI usage and remaining quota
+// GET /api/v1/usage
+router.route('/').get(verifyJWT, getUsage);
+
+export default router;
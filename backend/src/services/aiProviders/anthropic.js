@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { readSseStream } from '../../utils/sse.js';
+import { ApiError } from '../../utils/ApiError.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_TOKENS = 8192;
+
+/**
+ * Create a provider for endpoints that speak the Anthropic messages API.
+ * @param {Object} config
+ * @param {string} config.id - Provider identifier used by clients
+ * @param {string} config.name - Human readable provider name
+ * @param {string} config.baseUrl - Base URL, without the trailing '/v1/messages'
+ * @param {string} config.apiKey - API key
+ * @param {Array<string>} config.models - Models offered to clients
+ * @param {string} config.defaultModel - Model used when the client does not pick one
+ * @returns {Object} Provider implementing { id, name, models, defaultModel, generate, stream };
+ *   both resolve with `usage` ({ inputTokens, outputTokens })
+ */
+export const createAnthropicProvider = ({ id, name, baseUrl, apiKey, models, defaultModel }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/v1/messages`;
+  const headers = {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+    'Content-Type': 'application/json',
+  };
+  const buildBody = ({ system, prompt, model }) => ({
+    model,
+    max_tokens: MAX_TOKENS,
+    system,
+    messages: [{ role: 'user', content: prompt }],
+  });
+
+  return {
+    id,
+    name,
+    models,
+    defaultModel,
+
+    async generate({ system, prompt, model, timeout, signal }) {
+      const response = await axios.post(url, buildBody({ system, prompt, model }), { headers, timeout, signal });
+
+      const content = (response.data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const usage = response.data?.usage
+        ? { inputTokens: response.data.usage.input_tokens ?? 0, outputTokens: response.data.usage.output_tokens ?? 0 }
+        : null;
+      return { content, raw: response.data, usage };
+    },
+
+    // Streams the message, calling onDelta with each text fragment; resolves with the full text and token usage
+    async stream({ system, prompt, model, timeout, signal, onDelta }) {
+      const response = await axios.post(
+        url,
+        { ...buildBody({ system, prompt, model }), stream: true },
+        { headers, timeout, signal, responseType: 'stream' }
+      );
+
+      let content = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      await readSseStream(response.data, ({ event, data }) => {
+        if (event === 'error') {
+          throw new ApiError(502, JSON.parse(data).error?.message || "The AI service reported an error while streaming.");
+        }
+        // Input tokens arrive with the first event, the output count with the last delta
+        if (event === 'message_start') {
+          usage.inputTokens = JSON.parse(data).message?.usage?.input_tokens ?? 0;
+          return;
+        }
+        if (event === 'message_delta') {
+          usage.outputTokens = JSON.parse(data).usage?.output_tokens ?? usage.outputTokens;
+          return;
+        }
+        if (event !== 'content_block_delta') return;
+        const delta = JSON.parse(data).delta;
+        if (delta?.type === 'text_delta' && delta.text) {
+          content += delta.text;
+          onDelta(delta.text);
+        }
+      });
+      return { content, usage };
+    },
+
+    // Extract a human readable message from an upstream error body
+    getErrorMessage(data) {
+      return data?.error?.message;
+    },
+  };
+};
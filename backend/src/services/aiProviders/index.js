@@ -0,0 +1,85 @@
+import { createOpenAiCompatibleProvider } from './openAiCompatible.js';
+import { createAnthropicProvider } from './anthropic.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+
+const DEFAULT_MODELS = {
+  openrouter: ['openai/gpt-oss-20b:free'],
+  openai: ['gpt-4o-mini'],
+  anthropic: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest'],
+};
+
+// Parse a comma-separated model list from the environment, falling back to defaults
+const parseModels = (value, fallback) => {
+  const models = (value || '').split(',').map(model => model.trim()).filter(Boolean);
+  return models.length > 0 ? models : fallback;
+};
+
+const withDefaultModel = (models, defaultModel) =>
+  defaultModel && !models.includes(defaultModel) ? [defaultModel, ...models] : models;
+
+/**
+ * Build the list of configured AI providers from environment variables.
+ * Read on every call so that values loaded by dotenv after import are respected.
+ *
+ * - OpenRouter: OPENROUTER_API_KEY, OPENROUTER_MODELS, OPENROUTER_DEFAULT_MODEL
+ * - OpenAI-compatible (OpenAI, Ollama, llama.cpp, stubs): OPENAI_BASE_URL, OPENAI_API_KEY,
+ *   OPENAI_MODELS, OPENAI_DEFAULT_MODEL
+ * - Anthropic messages API: ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL, ANTHROPIC_MODELS,
+ *   ANTHROPIC_DEFAULT_MODEL
+ *
+ * @returns {Array<Object>} Configured providers, in declaration order
+ */
+export const getConfiguredProviders = () => {
+  const env = process.env;
+  const providers = [];
+
+  if (env.OPENROUTER_API_KEY) {
+    const models = withDefaultModel(parseModels(env.OPENROUTER_MODELS, DEFAULT_MODELS.openrouter), env.OPENROUTER_DEFAULT_MODEL);
+    providers.push(createOpenAiCompatibleProvider({
+      id: 'openrouter',
+      name: 'OpenRouter',
+      baseUrl: OPENROUTER_BASE_URL,
+      apiKey: env.OPENROUTER_API_KEY,
+      models,
+      defaultModel: env.OPENROUTER_DEFAULT_MODEL || models[0],
+    }));
+  }
+
+  // A base URL is enough here: local servers such as Ollama do not need a key
+  if (env.OPENAI_BASE_URL || env.OPENAI_API_KEY) {
+    const models = withDefaultModel(parseModels(env.OPENAI_MODELS, DEFAULT_MODELS.openai), env.OPENAI_DEFAULT_MODEL);
+    providers.push(createOpenAiCompatibleProvider({
+      id: 'openai',
+      name: env.OPENAI_PROVIDER_NAME || 'OpenAI-compatible',
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: env.OPENAI_API_KEY,
+      models,
+      defaultModel: env.OPENAI_DEFAULT_MODEL || models[0],
+    }));
+  }
+
+  if (env.ANTHROPIC_API_KEY) {
+    const models = withDefaultModel(parseModels(env.ANTHROPIC_MODELS, DEFAULT_MODELS.anthropic), env.ANTHROPIC_DEFAULT_MODEL);
+    providers.push(createAnthropicProvider({
+      id: 'anthropic',
+      name: 'Anthropic',
+      baseUrl: env.ANTHROPIC_BASE_URL || ANTHROPIC_BASE_URL,
+      apiKey: env.ANTHROPIC_API_KEY,
+      models,
+      defaultModel: env.ANTHROPIC_DEFAULT_MODEL || models[0],
+    }));
+  }
+
+  return providers;
+};
+
+/**
+ * Get the provider selected by AI_PROVIDER, or the first configured one.
+ * @returns {Object|undefined} The default provider
+ */
+export const getDefaultProvider = () => {
+  const providers = getConfiguredProviders();
+  return providers.find(provider => provider.id === process.env.AI_PROVIDER) || providers[0];
+};
@@ -0,0 +1,82 @@
+import axios from 'axios';
+import { readSseStream } from '../../utils/sse.js';
+
+// Token counts reported by the API, in the shape shared by all providers
+const toUsage = (usage) => (usage
+  ? { inputTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0 }
+  : null);
+
+/**
+ * Create a provider for any endpoint that speaks the OpenAI chat-completions API
+ * (OpenAI itself, OpenRouter, a local Ollama or llama.cpp server, or a test stub).
+ * @param {Object} config
+ * @param {string} config.id - Provider identifier used by clients (e.g. 'openai')
+ * @param {string} config.name - Human readable provider name
+ * @param {string} config.baseUrl - Base URL, without the trailing '/chat/completions'
+ * @param {string} [config.apiKey] - API key; optional for local servers
+ * @param {Array<string>} config.models - Models offered to clients
+ * @param {string} config.defaultModel - Model used when the client does not pick one
+ * @param {Object} [config.extraHeaders] - Additional headers sent with every request
+ * @returns {Object} Provider implementing { id, name, models, defaultModel, generate, stream };
+ *   both resolve with `usage` ({ inputTokens, outputTokens }, or null when the server reports none)
+ */
+export const createOpenAiCompatibleProvider = ({ id, name, baseUrl, apiKey, models, defaultModel, extraHeaders = {} }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = {
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    'Content-Type': 'application/json',
+    ...extraHeaders,
+  };
+  const buildBody = ({ system, prompt, model }) => ({
+    model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ],
+  });
+
+  return {
+    id,
+    name,
+    models,
+    defaultModel,
+
+    async generate({ system, prompt, model, timeout, signal }) {
+      const response = await axios.post(url, buildBody({ system, prompt, model }), { headers, timeout, signal });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      return { content, raw: response.data, usage: toUsage(response.data?.usage) };
+    },
+
+    // Streams the completion, calling onDelta with each text fragment; resolves with the full text and token usage
+    async stream({ system, prompt, model, timeout, signal, onDelta }) {
+      const response = await axios.post(
+        url,
+        // Ask for a final chunk with token counts; servers that don't support it simply omit it
+        { ...buildBody({ system, prompt, model }), stream: true, stream_options: { include_usage: true } },
+        { headers, timeout, signal, responseType: 'stream' }
+      );
+
+      let content = '';
+      let usage = null;
+      await readSseStream(response.data, ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.usage) {
+          usage = toUsage(chunk.usage);
+        }
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      });
+      return { content, usage };
+    },
+
+    // Extract a human readable message from an upstream error body
+    getErrorMessage(data) {
+      return data?.error?.message;
+    },
+  };
+};
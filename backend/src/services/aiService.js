@@ -1,63 +1,178 @@
-import axios from 'axios';
 import { ApiError } from '../utils/ApiError.js';
+import { readStreamText } from '../utils/sse.js';
+import { getConfiguredProviders, getDefaultProvider } from './aiProviders/index.js';
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const REQUEST_TIMEOUT = 30000; // 30 seconds
 
-const generateContent = async (prompt, model = "openai/gpt-oss-20b:free") => {
-  const apiKey = process.env.OPENROUTER_API_KEY;
+const SYSTEM_PROMPT = "You are an expert README generator. Your response must be only the raw Markdown content for the requested README.md file. Do not include any conversational text, introductions, or the original prompt in your response. Begin the response directly with the Markdown content.";
 
-  if (!apiKey) {
-    throw new ApiError(500, "OpenRouter API key is not configured on the server.");
+/**
+ * @description Lists the configured AI providers and the models each one offers.
+ * @returns {Array} Provider summaries without credentials.
+ */
+const getAvailableModels = () => {
+  const defaultProvider = getDefaultProvider();
+  return getConfiguredProviders().map(({ id, name, models, defaultModel }) => ({
+    id,
+    name,
+    models,
+    defaultModel,
+    isDefault: id === defaultProvider?.id,
+  }));
+};
+
+/**
+ * @description Resolves the provider and model to use for a generation request.
+ * @param {object} [selection] - Optional { provider, model } chosen by the client.
+ * @returns {object} { provider, model }
+ */
+const resolveModel = ({ provider: providerId, model } = {}) => {
+  const provider = providerId
+    ? getConfiguredProviders().find(candidate => candidate.id === providerId)
+    : getDefaultProvider();
+
+  if (!provider) {
+    if (providerId) {
+      throw new ApiError(400, `AI provider "${providerId}" is not configured on the server.`);
+    }
+    throw new ApiError(500, "No AI provider is configured on the server.");
+  }
+
+  if (model && !provider.models.includes(model)) {
+    throw new ApiError(400, `Model "${model}" is not available for provider "${provider.id}".`);
+  }
+
+  return { provider, model: model || provider.defaultModel };
+};
+
+/**
+ * @description Maps an upstream provider failure to an ApiError.
+ * @param {Error} error - The error thrown while calling the provider.
+ * @param {object} provider - The provider that was called.
+ * @returns {Promise<ApiError>} The error to throw.
+ */
+const toApiError = async (error, provider) => {
+  if (error instanceof ApiError) {
+    return error;
   }
 
+  if (error.code === 'ERR_CANCELED') {
+    return new ApiError(499, "The AI request was cancelled.");
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    console.error(`${provider.name} API request timed out.`);
+    return new ApiError(408, "The request to the AI service timed out. Please try again.");
+  }
+
+  // Streamed requests expose the error body as a stream rather than parsed JSON
+  let data = error.response?.data;
+  if (data && typeof data.pipe === 'function') {
+    try {
+      data = JSON.parse(await readStreamText(data));
+    } catch {
+      data = null;
+    }
+  }
+
+  console.error(`Error calling ${provider.name} API:`, data || error.message);
+
+  const statusCode = error.response?.status || 502;
+  const message = provider.getErrorMessage(data) || "Failed to communicate with the AI service.";
+
+  return new ApiError(statusCode, message);
+};
+
+/**
+ * @description Estimates the token usage of a generation at four characters per token, flagged as such.
+ * Also used for streams cancelled before the provider reported their usage.
+ * @param {string} prompt - The prompt that was sent.
+ * @param {string} content - The content generated so far.
+ * @returns {object} { inputTokens, outputTokens, totalTokens, estimated }
+ */
+const estimateUsage = (prompt, content) => {
+  const inputTokens = Math.ceil((SYSTEM_PROMPT.length + prompt.length) / 4);
+  const outputTokens = Math.ceil(content.length / 4);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+};
+
+/**
+ * @description Completes the token usage reported by a provider. Servers that report none
+ * (e.g. some local ones) get an estimate instead.
+ * @param {object|null} usage - { inputTokens, outputTokens } from the provider.
+ * @param {string} prompt - The prompt that was sent.
+ * @param {string} content - The generated content.
+ * @returns {object} { inputTokens, outputTokens, totalTokens, estimated }
+ */
+const completeUsage = (usage, prompt, content) => {
+  if (usage && (usage.inputTokens || usage.outputTokens)) {
+    return { ...usage, totalTokens: usage.inputTokens + usage.outputTokens, estimated: false };
+  }
+  return estimateUsage(prompt, content);
+};
+
+/**
+ * @description Generates README content with the configured AI provider.
+ * @param {string} prompt - The final prompt built from a template.
+ * @param {object} [selection] - Optional { provider, model } chosen by the client.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. when a job is cancelled).
+ * @returns {Promise<object>} { content, usage } with the generated content and the tokens it used.
+ */
+const generateContent = async (prompt, selection = {}, { signal } = {}) => {
+  const { provider, model } = resolveModel(selection);
+
   try {
-    const response = await axios.post(
-      OPENROUTER_API_URL,
-      {
-        model: model,
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert README generator. Your response must be only the raw Markdown content for the requested README.md file. Do not include any conversational text, introductions, or the original prompt in your response. Begin the response directly with the Markdown content."
-          },
-          { role: "user", content: prompt }
-        ],
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: REQUEST_TIMEOUT, // Set a client-side timeout
-      }
-    );
-
-    if (!response.data || !response.data.choices || response.data.choices.length === 0) {
-      console.error("Invalid response structure from OpenRouter:", response.data);
+    const { content, raw, usage } = await provider.generate({
+      system: SYSTEM_PROMPT,
+      prompt,
+      model,
+      timeout: REQUEST_TIMEOUT, // Set a client-side timeout
+      signal,
+    });
+
+    if (!content) {
+      console.error(`Invalid or empty response from ${provider.name}:`, raw);
       throw new ApiError(500, "Received an invalid or empty response from the AI model.");
     }
 
-    const content = response.data.choices[0]?.message?.content;
+    return { content: content.trim(), usage: completeUsage(usage, prompt, content) };
+  } catch (error) {
+    throw await toApiError(error, provider);
+  }
+};
+
+/**
+ * @description Generates README content and relays it as it is produced.
+ * @param {string} prompt - The final prompt built from a template.
+ * @param {object} [selection] - Optional { provider, model } chosen by the client.
+ * @param {object} options
+ * @param {Function} options.onDelta - Called with each generated text fragment.
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. when the client disconnects).
+ * @returns {Promise<object>} { content, usage } with the full generated content and the tokens it used.
+ */
+const streamContent = async (prompt, selection = {}, { onDelta, signal } = {}) => {
+  const { provider, model } = resolveModel(selection);
+
+  try {
+    const { content, usage } = await provider.stream({
+      system: SYSTEM_PROMPT,
+      prompt,
+      model,
+      // Applies to socket inactivity, so long generations keep streaming
+      timeout: REQUEST_TIMEOUT,
+      signal,
+      onDelta,
+    });
 
     if (!content) {
-      throw new ApiError(500, "Failed to extract content from the AI model's response.");
+      throw new ApiError(500, "Received an invalid or empty response from the AI model.");
     }
 
-    return content.trim();
+    return { content: content.trim(), usage: completeUsage(usage, prompt, content) };
   } catch (error) {
-    if (error.code === 'ECONNABORTED') {
-      console.error("OpenRouter API request timed out.");
-      throw new ApiError(408, "The request to the AI service timed out. Please try again.");
-    }
-    
-    console.error("Error calling OpenRouter API:", error.response?.data || error.message);
-    
-    const statusCode = error.response?.status || 502;
-    const message = error.response?.data?.error?.message || "Failed to communicate with the AI service.";
-    
-    throw new ApiError(statusCode, message);
+    throw await toApiError(error, provider);
   }
 };
 
-export { generateContent };
\ No newline at end of file
+export { generateContent, streamContent, estimateUsage, getAvailableModels, resolveModel };
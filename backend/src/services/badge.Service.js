@@ -0,0 +1,245 @@
+import logger from '../utils/logger.js';
+import { fetchRepository, fetchBlobText } from './github.Service.js';
+import { detectLicense } from './projectContext.Service.js';
+
+// Badges derived from what a repository actually contains (LICENSE, package.json, pyproject.toml,
+// GitHub Actions workflows) and from its GitHub metadata, inserted into a README as a managed block
+// that the editor can regenerate without touching the rest of the document.
+
+export const BADGES_START = '<!-- badges:start -->';
+export const BADGES_END = '<!-- badges:end -->';
+
+const SHIELDS_URL = 'https://img.shields.io';
+
+const LICENSE_FILE = /^LICEN[CS]E(\.md|\.txt)?$/i;
+const WORKFLOW_FILE = /^\.github\/workflows\/([^/]+)\.ya?ml$/;
+
+// Workflows get one badge each; repositories with more are cut off in tree order
+const MAX_WORKFLOW_BADGES = 5;
+
+/**
+ * Escape a shields.io static badge part: dashes and underscores are separators there
+ * @param {string} text - Label or message
+ * @returns {string} The URL-encoded part
+ */
+const escapeBadgeText = (text) => encodeURIComponent(String(text).replace(/-/g, '--').replace(/_/g, '__'));
+
+const staticBadgeUrl = (label, message, color) =>
+  `${SHIELDS_URL}/badge/${escapeBadgeText(label)}-${escapeBadgeText(message)}-${color}`;
+
+const toBadge = ({ id, label, alt, image, link, selected = true }) => ({
+  id,
+  label,
+  alt,
+  image,
+  link,
+  markdown: link ? `[![${alt}](${image})](${link})` : `![${alt}](${image})`,
+  // Whether the badge is part of the block generated by default
+  selected,
+});
+
+/**
+ * Read the package name and version from a package.json
+ * @param {string|null} text - Contents of the file
+ * @returns {Object|null} { name, version, isPrivate }, or null when it cannot be parsed
+ */
+const parsePackageJson = (text) => {
+  if (!text) return null;
+  try {
+    const pkg = JSON.parse(text);
+    return { name: pkg.name || null, version: pkg.version || null, isPrivate: Boolean(pkg.private) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the package name and version from the [project] (PEP 621) or [tool.poetry] table of a pyproject.toml.
+ * Only plain string values are read; a dynamic version is left out.
+ * @param {string|null} text - Contents of the file
+ * @returns {Object|null} { name, version }, or null when neither table names a package
+ */
+const parsePyproject = (text) => {
+  if (!text) return null;
+  const tables = {};
+  let current = null;
+  text.split('\n').forEach(line => {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*(#.*)?$/);
+    if (header) {
+      current = header[1].trim();
+      tables[current] = tables[current] || {};
+      return;
+    }
+    const entry = line.match(/^\s*(name|version)\s*=\s*["']([^"']+)["']/);
+    if (current && entry) {
+      tables[current][entry[1]] = entry[2];
+    }
+  });
+  const table = [tables.project, tables['tool.poetry']].find(candidate => candidate?.name);
+  return table ? { name: table.name, version: table.version || null } : null;
+};
+
+/**
+ * Work out the badges a repository supports, in their default order
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {Object} options.repository - The repository from the GitHub API (visibility, language)
+ * @param {Array<string>} options.filePaths - Paths of every file in the tree
+ * @param {string|null} [options.packageJson] - Contents of the root package.json
+ * @param {string|null} [options.pyproject] - Contents of the root pyproject.toml
+ * @param {string|null} [options.licenseText] - Contents of the root LICENSE file
+ * @param {string|null} [options.licensePath] - Path of that file, which the license badge links to
+ * @returns {Array<Object>} Badges: { id, label, alt, image, link, markdown, selected }
+ */
+export const detectBadges = ({ repoFullName, repository, filePaths, packageJson = null, pyproject = null, licenseText = null, licensePath = null }) => {
+  // Shields cannot read private repositories, and their workflow badges do not render for visitors;
+  // only badges built from the files themselves are offered for them
+  const isPublic = !repository.private;
+  const badges = [];
+
+  if (isPublic) {
+    filePaths
+      .map(path => ({ path, match: path.match(WORKFLOW_FILE) }))
+      .filter(({ match }) => match)
+      .slice(0, MAX_WORKFLOW_BADGES)
+      .forEach(({ path, match }) => {
+        const file = path.split('/').pop();
+        badges.push(toBadge({
+          id: `workflow:${file}`,
+          label: `CI: ${match[1]}`,
+          alt: match[1],
+          image: `https://github.com/${repoFullName}/actions/workflows/${file}/badge.svg`,
+          link: `https://github.com/${repoFullName}/actions/workflows/${file}`,
+        }));
+      });
+  }
+
+  // The version of the manifest; the registry badges are offered too but not selected, since a
+  // package named in its manifest is not necessarily published
+  const npmPackage = parsePackageJson(packageJson);
+  const pythonPackage = parsePyproject(pyproject);
+  const version = npmPackage?.version || pythonPackage?.version;
+  if (version) {
+    badges.push(toBadge({
+      id: 'version',
+      label: `Version ${version}`,
+      alt: 'Version',
+      image: staticBadgeUrl('version', version, 'blue'),
+      link: null,
+    }));
+  }
+  if (npmPackage?.name && !npmPackage.isPrivate) {
+    badges.push(toBadge({
+      id: 'npm',
+      label: `npm: ${npmPackage.name}`,
+      alt: 'npm',
+      image: `${SHIELDS_URL}/npm/v/${npmPackage.name}`,
+      link: `https://www.npmjs.com/package/${npmPackage.name}`,
+      selected: false,
+    }));
+  }
+  if (pythonPackage?.name) {
+    badges.push(toBadge({
+      id: 'pypi',
+      label: `PyPI: ${pythonPackage.name}`,
+      alt: 'PyPI',
+      image: `${SHIELDS_URL}/pypi/v/${encodeURIComponent(pythonPackage.name)}`,
+      link: `https://pypi.org/project/${encodeURIComponent(pythonPackage.name)}/`,
+      selected: false,
+    }));
+  }
+
+  const spdxId = (licenseText && detectLicense(licenseText))
+    || (repository.license?.spdx_id && repository.license.spdx_id !== 'NOASSERTION' ? repository.license.spdx_id : null);
+  if (spdxId) {
+    badges.push(toBadge({
+      id: 'license',
+      label: `License: ${spdxId}`,
+      alt: `License: ${spdxId}`,
+      image: staticBadgeUrl('license', spdxId, 'green'),
+      link: licensePath,
+    }));
+  }
+
+  if (repository.language) {
+    badges.push(toBadge({
+      id: 'language',
+      label: `Language: ${repository.language}`,
+      alt: 'Top language',
+      image: isPublic
+        ? `${SHIELDS_URL}/github/languages/top/${repoFullName}`
+        : staticBadgeUrl('language', repository.language, 'informational'),
+      link: null,
+    }));
+  }
+
+  if (isPublic) {
+    badges.push(toBadge({
+      id: 'stars',
+      label: 'GitHub stars',
+      alt: 'GitHub stars',
+      image: `${SHIELDS_URL}/github/stars/${repoFullName}?style=social`,
+      link: `https://github.com/${repoFullName}/stargazers`,
+      selected: false,
+    }));
+  }
+
+  return badges;
+};
+
+/**
+ * Render badges as the managed block of a README
+ * @param {Array<Object>} badges - Badges in the order they are shown
+ * @returns {string} The block with its start and end markers, or '' without badges
+ */
+export const renderBadgeBlock = (badges) => {
+  if (badges.length === 0) return '';
+  return [BADGES_START, badges.map(badge => badge.markdown).join('\n'), BADGES_END].join('\n');
+};
+
+/**
+ * Fetch a file at the root of the tree
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {Array<Object>} options.tree - Nodes of the recursive tree
+ * @param {RegExp} options.pattern - Matched against the file name
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object|null>} { path, text }, or null when it is missing or cannot be read
+ */
+const fetchRootFile = async ({ repoFullName, tree, pattern, headers }) => {
+  const node = tree.find(candidate => candidate.type === 'blob' && !candidate.path.includes('/') && pattern.test(candidate.path));
+  if (!node) return null;
+  try {
+    return { path: node.path, text: await fetchBlobText({ repoFullName, sha: node.sha, headers }) };
+  } catch (error) {
+    logger.warn(`Skipping ${node.path} in ${repoFullName} for badges: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Read the files and metadata of a repository that badges are derived from and work out its badges
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {Array<Object>} options.tree - Nodes of the recursive tree, from fetchTree
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Array<Object>>} Badges, see detectBadges
+ */
+export const generateBadges = async ({ repoFullName, tree, headers }) => {
+  const [repository, packageJson, pyproject, license] = await Promise.all([
+    fetchRepository(repoFullName, headers),
+    fetchRootFile({ repoFullName, tree, pattern: /^package\.json$/, headers }),
+    fetchRootFile({ repoFullName, tree, pattern: /^pyproject\.toml$/, headers }),
+    fetchRootFile({ repoFullName, tree, pattern: LICENSE_FILE, headers }),
+  ]);
+
+  return detectBadges({
+    repoFullName,
+    repository,
+    filePaths: tree.filter(node => node.type === 'blob').map(node => node.path),
+    packageJson: packageJson?.text,
+    pyproject: pyproject?.text,
+    licenseText: license?.text,
+    licensePath: license?.path,
+  });
+};
@@ -0,0 +1,77 @@
+import logger from '../../utils/logger.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+
+let store;
+
+// Wrap a store so a failing backend (e.g. Redis being down) degrades to cache misses
+const withFailSafe = (inner) => ({
+  name: inner.name,
+
+  async get(key) {
+    try {
+      return await inner.get(key);
+    } catch (error) {
+      logger.warn(`Cache read failed (${inner.name}): ${error.message}`);
+      return undefined;
+    }
+  },
+
+  async set(key, value, ttlSeconds) {
+    try {
+      await inner.set(key, value, ttlSeconds);
+    } catch (error) {
+      logger.warn(`Cache write failed (${inner.name}): ${error.message}`);
+    }
+  },
+
+  async delete(key) {
+    try {
+      await inner.delete(key);
+    } catch (error) {
+      logger.warn(`Cache delete failed (${inner.name}): ${error.message}`);
+    }
+  },
+});
+
+/**
+ * Get the shared cache store, created on first use so values loaded by dotenv after import are respected.
+ *
+ * - REDIS_URL: use Redis (requires the optional `redis` package); otherwise an in-memory store is used
+ * - CACHE_MAX_ENTRIES: size of the in-memory store (default 500)
+ * - CACHE_MAX_MB: approximate memory the in-memory store may hold, in megabytes (default 64)
+ *
+ * @returns {Object} Store implementing { name, get, set, delete }; errors are logged, never thrown
+ */
+export const getCacheStore = () => {
+  if (!store) {
+    const env = process.env;
+    const inner = env.REDIS_URL
+      ? createRedisStore({ url: env.REDIS_URL })
+      : createMemoryStore({
+          maxEntries: Number(env.CACHE_MAX_ENTRIES) || 500,
+          maxBytes: (Number(env.CACHE_MAX_MB) || 64) * 1024 * 1024,
+        });
+    store = withFailSafe(inner);
+  }
+  return store;
+};
+
+/**
+ * Make sure the configured cache store can be used, so a missing package stops the server at startup
+ * instead of turning every cached request into a logged failure.
+ * @throws {Error} When REDIS_URL is set but the `redis` package is not installed
+ */
+export const assertCacheStoreAvailable = async () => {
+  if (!process.env.REDIS_URL) {
+    return;
+  }
+  try {
+    await import('redis');
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error('REDIS_URL is set but the `redis` package is not installed. Install the optional dependencies (`npm install`) or unset REDIS_URL.');
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Approximate the memory held by a cached value from the length of its JSON form. Strings take
+ * about two bytes per character in V8, which is close enough for bounding the store.
+ * @param {*} value - A JSON-serializable value
+ * @returns {number} Approximate size in bytes
+ */
+const estimateSize = (value) => (JSON.stringify(value)?.length ?? 0) * 2;
+
+/**
+ * Create an in-process cache store with per-entry expiry and least-recently-used eviction.
+ * Values are kept by reference, so callers must treat them as read-only.
+ * @param {Object} [config]
+ * @param {number} [config.maxEntries=500] - Entries kept before the least recently used ones are evicted
+ * @param {number} [config.maxBytes=64 MB] - Approximate total size kept before the least recently used entries
+ * are evicted; a value larger than this on its own is not cached
+ * @returns {Object} Store implementing { name, get, set, delete }
+ */
+export const createMemoryStore = ({ maxEntries = 500, maxBytes = 64 * 1024 * 1024 } = {}) => {
+  // Map iteration order doubles as recency order: re-inserting an entry moves it to the end
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      remove(key);
+      const size = estimateSize(value);
+      if (size > maxBytes) {
+        return;
+      }
+      entries.set(key, { value, size, expiresAt: Date.now() + ttlSeconds * 1000 });
+      totalBytes += size;
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * Create a cache store backed by Redis, so cached GitHub responses are shared between
+ * server instances and survive restarts. Requires the `redis` package (an optional dependency).
+ * Values are stored as JSON.
+ * @param {Object} config
+ * @param {string} config.url - Redis connection URL (e.g. 'redis://localhost:6379')
+ * @param {string} [config.prefix='readivine:'] - Prefix added to every key
+ * @returns {Object} Store implementing { name, get, set, delete }
+ */
+export const createRedisStore = ({ url, prefix = 'readivine:' }) => {
+  let clientPromise;
+
+  // Connect on first use; `redis` is only imported when a Redis URL is configured
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = import('redis')
+        .then(async ({ createClient }) => {
+          const client = createClient({ url });
+          client.on('error', () => {}); // Reconnects on its own; failed commands surface to the caller
+          await client.connect();
+          return client;
+        })
+        .catch((error) => {
+          clientPromise = undefined; // Retry the connection on the next call
+          throw error;
+        });
+    }
+    return clientPromise;
+  };
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const client = await getClient();
+      const value = await client.get(prefix + key);
+      return value === null ? undefined : JSON.parse(value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      const client = await getClient();
+      await client.set(prefix + key, JSON.stringify(value), {
+        expiration: { type: 'EX', value: Math.max(1, Math.ceil(ttlSeconds)) },
+      });
+    },
+
+    async delete(key) {
+      const client = await getClient();
+      await client.del(prefix + key);
+    },
+  };
+};
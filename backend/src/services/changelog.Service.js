@@ -0,0 +1,300 @@
+import { parseSections } from '../utils/markdown.js';
+
+// Changelog generation from a repository's history: commits and merged pull requests in a range
+// are grouped into the categories of Keep a Changelog (https://keepachangelog.com/en/1.1.0/).
+
+// Sections of a release, in the order Keep a Changelog lists them
+export const CHANGELOG_CATEGORIES = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Commits read for one section; larger ranges are cut off (the oldest commits are kept)
+export const MAX_CHANGELOG_COMMITS = 500;
+// Merged pull requests looked at when matching commits to pull requests
+export const MAX_CHANGELOG_PULL_REQUESTS = 300;
+
+export const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+// Conventional Commit types; null means the change is left out of the changelog
+const COMMIT_TYPE_CATEGORIES = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  revert: 'Changed',
+  deprecate: 'Deprecated',
+  remove: 'Removed',
+  security: 'Security',
+  docs: null,
+  chore: null,
+  ci: null,
+  build: null,
+  test: null,
+  style: null,
+};
+
+// Pull request labels, checked in order; a label matches when it contains the key. null leaves the pull request out.
+const LABEL_CATEGORIES = [
+  ['no-changelog', null],
+  ['skip-changelog', null],
+  ['security', 'Security'],
+  ['deprecat', 'Deprecated'],
+  ['remov', 'Removed'],
+  ['breaking', 'Changed'],
+  ['bug', 'Fixed'],
+  ['fix', 'Fixed'],
+  ['feature', 'Added'],
+  ['enhancement', 'Added'],
+  ['documentation', null],
+  ['dependencies', null],
+  ['chore', null],
+];
+
+const CONVENTIONAL_COMMIT = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+
+/**
+ * Parse the subject line of a Conventional Commit, e.g. 'feat(api)!: add pagination'
+ * @param {string} message - The full commit message or pull request title
+ * @returns {Object} { type, scope, breaking, description }; `type` is null when the message does not follow the convention
+ */
+export const parseConventionalCommit = (message) => {
+  const [subject, ...body] = (message || '').split('\n');
+  const breakingFooter = body.some(line => /^BREAKING[ -]CHANGE:/.test(line));
+  const match = subject.trim().match(CONVENTIONAL_COMMIT);
+  if (!match) {
+    return { type: null, scope: null, breaking: breakingFooter, description: subject.trim() };
+  }
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3]) || breakingFooter,
+    description: match[4].trim(),
+  };
+};
+
+/**
+ * Decide which section a change belongs in
+ * @param {Object} parsed - Result of parseConventionalCommit
+ * @param {Array<string>} [labels] - Pull request label names; they take precedence over the commit type
+ * @returns {string|null} One of CHANGELOG_CATEGORIES, or null to leave the change out
+ */
+export const categorize = (parsed, labels = []) => {
+  for (const [key, category] of LABEL_CATEGORIES) {
+    if (labels.some(label => label.toLowerCase().includes(key))) {
+      return category;
+    }
+  }
+  if (parsed.breaking) {
+    return parsed.type === 'feat' ? 'Added' : 'Changed';
+  }
+  if (parsed.type && Object.hasOwn(COMMIT_TYPE_CATEGORIES, parsed.type)) {
+    return COMMIT_TYPE_CATEGORIES[parsed.type];
+  }
+  // Unconventional messages are kept; dropping them could hide real changes
+  return 'Changed';
+};
+
+// Pull request numbers a commit message refers to: squash merges end with "(#12)", merge commits start with "Merge pull request #12"
+const referencedPullRequests = (message) => {
+  const subject = (message || '').split('\n')[0];
+  const numbers = [];
+  const squash = subject.match(/\(#(\d+)\)\s*$/);
+  if (squash) numbers.push(Number(squash[1]));
+  const merge = subject.match(/^Merge pull request #(\d+)/);
+  if (merge) numbers.push(Number(merge[1]));
+  return numbers;
+};
+
+/**
+ * Turn the commits and merged pull requests of a range into changelog entries.
+ * A commit that belongs to a pull request is represented by the pull request; other merge commits are left out.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository, for links
+ * @param {Array<Object>} options.commits - Raw GitHub commit objects in the range
+ * @param {Array<Object>} options.pullRequests - Raw GitHub pull request objects merged around the range
+ * @returns {Object} { entries, pullRequestCount, skipped } where each entry is
+ * { category, description, scope, breaking, reference: { label, url } }
+ */
+export const collectEntries = ({ repoFullName, commits, pullRequests }) => {
+  const byNumber = new Map(pullRequests.map(pullRequest => [pullRequest.number, pullRequest]));
+  const byMergeSha = new Map(pullRequests.map(pullRequest => [pullRequest.merge_commit_sha, pullRequest]));
+
+  const included = new Map();
+  const looseCommits = [];
+  for (const commit of commits) {
+    const pullRequest = byMergeSha.get(commit.sha)
+      || referencedPullRequests(commit.commit.message).map(number => byNumber.get(number)).find(Boolean);
+    if (pullRequest) {
+      included.set(pullRequest.number, pullRequest);
+    } else if ((commit.parents || []).length <= 1) {
+      looseCommits.push(commit);
+    }
+  }
+
+  const entries = [];
+  let skipped = 0;
+  const add = (parsed, labels, reference) => {
+    const category = categorize(parsed, labels);
+    if (category === null) {
+      skipped++;
+      return;
+    }
+    const breaking = parsed.breaking || labels.some(label => label.toLowerCase().includes('breaking'));
+    entries.push({ category, description: parsed.description, scope: parsed.scope, breaking, reference });
+  };
+
+  // Oldest first, like the commits
+  for (const pullRequest of [...included.values()].sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at))) {
+    add(
+      parseConventionalCommit(`${pullRequest.title}\n${pullRequest.body || ''}`),
+      (pullRequest.labels || []).map(label => label.name),
+      { label: `#${pullRequest.number}`, url: pullRequest.html_url }
+    );
+  }
+  for (const commit of looseCommits) {
+    add(
+      parseConventionalCommit(commit.commit.message),
+      [],
+      { label: commit.sha.slice(0, 7), url: `https://github.com/${repoFullName}/commit/${commit.sha}` }
+    );
+  }
+
+  return { entries, pullRequestCount: included.size, skipped };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Render a release as a Keep a Changelog section
+ * @param {Object} options
+ * @param {string} options.version - e.g. '1.2.0', or 'Unreleased'
+ * @param {string} [options.date] - Release date (YYYY-MM-DD); not shown for 'Unreleased'
+ * @param {Array<Object>} options.entries - Result of collectEntries
+ * @returns {string} Markdown starting with the '## [version]' heading
+ */
+export const renderChangelogSection = ({ version, date, entries }) => {
+  const heading = version.toLowerCase() === 'unreleased' || !date ? `## [${version}]` : `## [${version}] - ${date}`;
+  const parts = [heading];
+
+  for (const category of CHANGELOG_CATEGORIES) {
+    const items = entries.filter(entry => entry.category === category);
+    if (items.length === 0) continue;
+    const lines = items.map((entry) => {
+      const breaking = entry.breaking ? '**BREAKING:** ' : '';
+      const scope = entry.scope ? `**${entry.scope}:** ` : '';
+      return `- ${breaking}${scope}${capitalize(entry.description)} ([${entry.reference.label}](${entry.reference.url}))`;
+    });
+    parts.push(`### ${category}\n\n${lines.join('\n')}`);
+  }
+
+  if (parts.length === 1) {
+    parts.push('No notable changes.');
+  }
+  return `${parts.join('\n\n')}\n`;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Insert a release section into an existing CHANGELOG.md, replacing the section of the same version.
+ * New releases go below [Unreleased] and above older releases; the compare link is added to the
+ * link definitions at the end of the file.
+ * @param {Object} options
+ * @param {string} [options.existing] - Current CHANGELOG.md; a new file is started when empty
+ * @param {string} options.version - Version of the section
+ * @param {string} options.section - Result of renderChangelogSection (or its polished version)
+ * @param {string} [options.compareUrl] - GitHub compare URL for the version's link definition
+ * @returns {string} The updated CHANGELOG.md
+ */
+export const mergeIntoChangelog = ({ existing, version, section, compareUrl }) => {
+  const linkDefinition = compareUrl ? `[${version}]: ${compareUrl}` : null;
+  const current = (existing || '').trim() ? existing : CHANGELOG_HEADER;
+
+  const lines = current.replace(/\s+$/, '').split('\n');
+  // Reference-style link definitions at the end of the file stay at the end
+  let linksStart = lines.length;
+  while (linksStart > 0 && (/^\[[^\]]+\]:\s*\S+/.test(lines[linksStart - 1]) || !lines[linksStart - 1].trim())) {
+    linksStart--;
+  }
+  const body = lines.slice(0, linksStart);
+  const links = lines.slice(linksStart).filter(line => line.trim());
+
+  const releases = parseSections(body.join('\n')).filter(item => item.level === 2);
+  const versionOf = (release) => release.title.replace(/^\[([^\]]+)\].*$/, '$1').replace(/\s+-\s+.*$/, '').trim().toLowerCase();
+  const sectionLines = section.trim().split('\n');
+
+  const same = releases.find(release => versionOf(release) === version.toLowerCase());
+  if (same) {
+    // A release runs until the next release heading (its ### subsections are part of it)
+    const next = releases.find(release => release.startLine > same.startLine);
+    const end = next ? next.startLine : body.length;
+    body.splice(same.startLine, end - same.startLine, ...sectionLines, '');
+  } else {
+    const insertBefore = version.toLowerCase() === 'unreleased'
+      ? releases[0]
+      : releases.find(release => versionOf(release) !== 'unreleased');
+    if (insertBefore) {
+      body.splice(insertBefore.startLine, 0, ...sectionLines, '');
+    } else {
+      body.push('', ...sectionLines);
+    }
+  }
+
+  if (linkDefinition) {
+    const pattern = new RegExp(`^\\[${escapeRegExp(version)}\\]:`, 'i');
+    const index = links.findIndex(line => pattern.test(line));
+    if (index === -1) {
+      // Newest first, below [unreleased] if there is one
+      const unreleased = links.findIndex(line => /^\[unreleased\]:/i.test(line));
+      links.splice(unreleased === -1 ? 0 : unreleased + 1, 0, linkDefinition);
+    } else {
+      links[index] = linkDefinition;
+    }
+  }
+
+  const text = body.join('\n').replace(/\n{3,}/g, '\n\n').replace(/\s+$/, '');
+  return `${text}\n${links.length > 0 ? `\n${links.join('\n')}\n` : ''}`;
+};
+
+/**
+ * Build the prompt that rewrites a generated section for readers of the changelog
+ * @param {Object} options
+ * @param {string} options.section - Result of renderChangelogSection
+ * @param {string} [options.instruction] - Optional guidance from the user, e.g. 'mention the migration guide'
+ * @returns {string} The prompt
+ */
+export const buildChangelogPolishPrompt = ({ section, instruction }) => {
+  const parts = [
+    'Polish the following CHANGELOG.md release section, which was generated from commit messages and pull request titles.',
+    'Rewrite each entry as a short, user-facing description in the imperative or past tense, consistently. Merge entries that describe the same change, keeping all of their links.',
+    'Keep the version heading line exactly as it is, keep the Keep a Changelog section headings (### Added, ### Changed, ...) and their order, keep every link, and keep **BREAKING:** markers.',
+    'Do not invent changes that are not listed.',
+    `<section>\n${section}\n</section>`,
+  ];
+  if (instruction) {
+    parts.push(`The user's instruction: ${instruction}`);
+  }
+  parts.push('Provide only the raw Markdown of the polished section, starting with its version heading, without any explanation or code fence around it.');
+  return parts.join('\n\n');
+};
+
+/**
+ * Extract the polished section from the model's response. Falls back to the original section
+ * when the response does not contain its version heading.
+ * @param {string} response - Raw model output
+ * @param {string} section - The section that was polished
+ * @returns {string} The polished section, ending with a newline
+ */
+export const cleanPolishedSection = (response, section) => {
+  const heading = section.split('\n')[0];
+  const text = response.replace(/^```(?:markdown|md)?\s*\n/i, '').replace(/\n```\s*$/, '');
+  const start = text.indexOf(heading);
+  if (start === -1) {
+    return section;
+  }
+  return `${text.slice(start).trim()}\n`;
+};
@@ -0,0 +1,146 @@
+import { ApiError } from '../utils/ApiError.js';
+import { findReadmeNode } from './github.Service.js';
+import { DOCUMENT_TYPE_IDS, README_PATH } from '../models/Readme.model.js';
+
+export { DOCUMENT_TYPE_IDS, README_PATH };
+
+/**
+ * Kinds of documents that can be generated, edited and committed. Each has a default path and
+ * the places it is conventionally found, so an existing file is updated in place.
+ */
+export const DOCUMENT_TYPES = {
+  readme: {
+    name: 'README',
+    defaultPath: README_PATH,
+    defaultTemplate: 'default',
+    defaultCommitMessage: 'docs: update README.md',
+  },
+  contributing: {
+    name: 'Contributing guide',
+    defaultPath: 'CONTRIBUTING.md',
+    locations: ['CONTRIBUTING.md', '.github/CONTRIBUTING.md', 'docs/CONTRIBUTING.md'],
+    defaultTemplate: 'contributing',
+    defaultCommitMessage: 'docs: add contributing guide',
+  },
+  changelog: {
+    name: 'Changelog',
+    defaultPath: 'CHANGELOG.md',
+    locations: ['CHANGELOG.md', 'docs/CHANGELOG.md'],
+    defaultTemplate: 'changelog',
+    defaultCommitMessage: 'docs: update changelog',
+  },
+  'code-of-conduct': {
+    name: 'Code of conduct',
+    defaultPath: 'CODE_OF_CONDUCT.md',
+    locations: ['CODE_OF_CONDUCT.md', '.github/CODE_OF_CONDUCT.md', 'docs/CODE_OF_CONDUCT.md'],
+    defaultTemplate: 'code-of-conduct',
+    defaultCommitMessage: 'docs: add code of conduct',
+  },
+  security: {
+    name: 'Security policy',
+    defaultPath: 'SECURITY.md',
+    locations: ['SECURITY.md', '.github/SECURITY.md', 'docs/SECURITY.md'],
+    defaultTemplate: 'security',
+    defaultCommitMessage: 'docs: add security policy',
+  },
+  // Any other Markdown page, e.g. docs/getting-started.md; its path is chosen by the user
+  docs: {
+    name: 'Documentation page',
+    defaultPath: 'docs/index.md',
+    defaultTemplate: 'docs-page',
+    defaultCommitMessage: 'docs: add documentation page',
+  },
+};
+
+// Files written in one commit
+export const MAX_FILES_PER_COMMIT = 10;
+
+/**
+ * Look up a document type
+ * @param {string} [id='readme'] - One of DOCUMENT_TYPE_IDS
+ * @returns {Object} The type, with its `id`
+ * @throws {ApiError} 400 for an unknown type
+ */
+export const getDocumentType = (id = 'readme') => {
+  if (!Object.hasOwn(DOCUMENT_TYPES, id)) {
+    throw new ApiError(400, `Document type must be one of: ${DOCUMENT_TYPE_IDS.join(', ')}.`);
+  }
+  return { id, ...DOCUMENT_TYPES[id] };
+};
+
+/**
+ * Validate a repository-relative path to a Markdown file
+ * @param {string} path - e.g. 'docs/setup.md'
+ * @returns {string} The path without leading './'
+ * @throws {ApiError} 400 when it is not a plain relative path to a .md file
+ */
+export const normalizeDocumentPath = (path) => {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw new ApiError(400, 'The document path is required.');
+  }
+  const normalized = path.trim().replace(/^\.\//, '');
+  const segments = normalized.split('/');
+  if (
+    normalized.length > 255
+    || normalized.startsWith('/')
+    || normalized.includes('\\')
+    || segments.some(segment => !segment || segment === '.' || segment === '..')
+    || !/\.(md|markdown)$/i.test(normalized)
+  ) {
+    throw new ApiError(400, `"${path}" is not a valid document path. Use a relative path to a .md file, e.g. docs/setup.md.`);
+  }
+  return normalized;
+};
+
+/**
+ * Guess the type of a document from its path, e.g. '.github/SECURITY.md' is a security policy
+ * @param {string} [path] - Path of the document; none means the README
+ * @returns {string} One of DOCUMENT_TYPE_IDS; 'docs' for any other Markdown file
+ */
+export const inferDocumentType = (path) => {
+  if (!path || path === README_PATH) {
+    return 'readme';
+  }
+  const match = Object.entries(DOCUMENT_TYPES)
+    .find(([, type]) => type.defaultPath === path || type.locations?.includes(path));
+  return match ? match[0] : 'docs';
+};
+
+/**
+ * Resolve which document a request is about. The README is always keyed by README_PATH;
+ * other types use the given path, or their default one.
+ * @param {Object} options
+ * @param {string} [options.documentType] - One of DOCUMENT_TYPE_IDS; inferred from the path when omitted
+ * @param {string} [options.path] - Path of the document in the repository
+ * @returns {Object} { type, path }
+ */
+export const resolveDocument = ({ documentType, path } = {}) => {
+  const normalizedPath = path ? normalizeDocumentPath(path) : undefined;
+  const type = getDocumentType(documentType || inferDocumentType(normalizedPath));
+  if (type.id === 'readme') {
+    return { type, path: README_PATH };
+  }
+  return { type, path: normalizedPath || type.defaultPath };
+};
+
+/**
+ * Find the file a document is written to in a git tree: the existing README, an explicitly chosen path,
+ * or the first conventional location that exists. Falls back to the document's own path.
+ * @param {Array<Object>} treeNodes - Nodes from the GitHub git/trees API
+ * @param {Object} options
+ * @param {Object} options.type - Result of getDocumentType
+ * @param {string} options.path - The document's key path (see resolveDocument)
+ * @param {boolean} [options.explicitPath=false] - Whether the user chose the path (no other location is considered)
+ * @returns {Object} { path, sha } where `sha` is the existing blob's SHA, or null when the file does not exist yet
+ */
+export const findDocumentNode = (treeNodes, { type, path, explicitPath = false }) => {
+  if (type.id === 'readme') {
+    const readme = findReadmeNode(treeNodes);
+    return readme || { path: README_PATH, sha: null };
+  }
+
+  const blobs = new Map(treeNodes.filter(node => node.type === 'blob').map(node => [node.path, node.sha]));
+  const candidates = explicitPath || !type.locations ? [path] : [path, ...type.locations];
+  const existing = candidates.find(candidate => blobs.has(candidate));
+  return existing ? { path: existing, sha: blobs.get(existing) } : { path, sha: null };
+};
@@ -0,0 +1,660 @@
+import { ApiError } from '../utils/ApiError.js';
+import { getCacheStore } from './cache/index.js';
+import { getTokenKey, githubClient, recordRateLimit } from './githubClient.js';
+
+export const GITHUB_API_URL = 'https://api.github.com';
+
+// Forks are created asynchronously; poll this many times before giving up
+const FORK_READY_ATTEMPTS = 10;
+const FORK_READY_INTERVAL_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cached responses are kept this long so they can still be revalidated with their ETag
+const CACHE_RETENTION_SECONDS = 24 * 60 * 60;
+// Git trees are addressed by SHA and never change, so they can be kept much longer
+const TREE_CACHE_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Seconds a cached listing (repositories, organizations) is served without asking GitHub.
+ * Read on every call so that values loaded by dotenv after import are respected.
+ * @returns {number} GITHUB_CACHE_TTL, default 60
+ */
+const getCacheTtl = () => {
+  const ttl = Number(process.env.GITHUB_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : 60;
+};
+
+
+/**
+ * Build the authorization headers used for GitHub API requests
+ * @param {string} accessToken - Decrypted GitHub access token
+ * @returns {Object} Headers object for githubClient
+ */
+export const getGitHubHeaders = (accessToken) => ({
+  Authorization: `token ${accessToken}`,
+});
+
+/**
+ * GET a GitHub API URL through the per-user response cache.
+ * Within `ttl` seconds the cached response is returned without a request; after that it is
+ * revalidated with `If-None-Match`, and a 304 (which does not count against the rate limit)
+ * renews it. Only use this for reads where a response up to `ttl` seconds old is acceptable.
+ * @param {string} url - GitHub API URL, optionally with a query string
+ * @param {Object} options
+ * @param {Object} options.headers - GitHub authorization headers
+ * @param {Object} [options.params] - Query parameters appended to the URL
+ * @param {number} [options.ttl] - Freshness in seconds; 0 revalidates on every call (default GITHUB_CACHE_TTL)
+ * @returns {Promise<Object>} { data, headers: { link, etag } }
+ */
+export const cachedGet = async (url, { headers, params, ttl = getCacheTtl() } = {}) => {
+  const requestUrl = new URL(url);
+  for (const [name, value] of Object.entries(params || {})) {
+    requestUrl.searchParams.set(name, value);
+  }
+
+  const store = getCacheStore();
+  const key = `github:${getTokenKey(headers)}:${requestUrl}`;
+  const cached = await store.get(key);
+
+  if (cached && cached.freshUntil > Date.now()) {
+    return { data: cached.data, headers: cached.headers };
+  }
+
+  const response = await githubClient.get(requestUrl.toString(), {
+    headers: cached?.headers.etag ? { ...headers, 'If-None-Match': cached.headers.etag } : headers,
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+  });
+
+  const entry = response.status === 304
+    ? { ...cached, freshUntil: Date.now() + ttl * 1000 }
+    : {
+        data: response.data,
+        headers: { link: response.headers.link, etag: response.headers.etag },
+        freshUntil: Date.now() + ttl * 1000,
+      };
+
+  if (entry.headers.etag) {
+    await store.set(key, entry, CACHE_RETENTION_SECONDS);
+  }
+  return { data: entry.data, headers: entry.headers };
+};
+
+/**
+ * Fetch a git tree, cached per user by SHA (the tree of a given commit never changes)
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.treeSha - Tree or commit SHA (never a branch name, which would go stale)
+ * @param {boolean} [options.recursive=false] - Include every nested file
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Array<Object>>} Tree nodes ({ path, type, sha, ... })
+ */
+export const fetchTree = async ({ repoFullName, treeSha, recursive = false, headers }) => {
+  const store = getCacheStore();
+  const key = `github:${getTokenKey(headers)}:tree:${repoFullName}:${treeSha}${recursive ? ':recursive' : ''}`;
+  const cached = await store.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await githubClient.get(`${GITHUB_API_URL}/repos/${repoFullName}/git/trees/${treeSha}`, {
+    headers,
+    params: recursive ? { recursive: 1 } : {},
+  });
+
+  await store.set(key, response.data.tree, TREE_CACHE_SECONDS);
+  return response.data.tree;
+};
+
+/**
+ * Parse a GitHub `Link` pagination header
+ * @param {string} [header] - e.g. '<https://api.github.com/...&page=2>; rel="next", <...>; rel="last"'
+ * @returns {Object} URLs keyed by relation (next, prev, first, last)
+ */
+export const parseLinkHeader = (header) => {
+  const links = {};
+  for (const part of (header || '').split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  return links;
+};
+
+/**
+ * Encode a position in a paginated GitHub listing as an opaque cursor
+ * @param {Object} position
+ * @param {string} position.url - GitHub page URL (from a Link header) to resume from
+ * @param {number} [position.offset=0] - Number of items already consumed on that page
+ * @returns {string} base64url cursor
+ */
+export const encodePageCursor = ({ url, offset = 0 }) =>
+  Buffer.from(JSON.stringify({ url, offset })).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodePageCursor. Only GitHub API URLs are accepted
+ * so a crafted cursor can never send the user's token to another host.
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} { url, offset }
+ */
+export const decodePageCursor = (cursor) => {
+  try {
+    const { url, offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof url === 'string' && url.startsWith(`${GITHUB_API_URL}/`) && Number.isInteger(offset) && offset >= 0) {
+      return { url, offset };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ApiError(400, "Invalid pagination cursor.");
+};
+
+/**
+ * Collect items from a paginated GitHub listing, following `Link: rel="next"` URLs
+ * until `limit` items pass the filter or `maxPages` pages have been read.
+ * @param {Object} options
+ * @param {string} options.url - URL of the page to start from
+ * @param {number} [options.offset=0] - Items to skip on the first page
+ * @param {number} options.limit - Maximum number of items to return
+ * @param {Function} [options.filter] - Predicate applied to raw items
+ * @param {number} [options.maxPages=10] - Upper bound on GitHub requests
+ * @param {number} [options.ttl] - Freshness of each page in seconds (see cachedGet)
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { items, nextCursor } where nextCursor is null at the end of the listing
+ */
+export const fetchPaginated = async ({ url, offset = 0, limit, filter = () => true, maxPages = 10, ttl, headers }) => {
+  const items = [];
+  let pageUrl = url;
+  let skip = offset;
+
+  for (let page = 0; page < maxPages; page++) {
+    const response = await cachedGet(pageUrl, { headers, ttl });
+    const nextUrl = parseLinkHeader(response.headers.link).next;
+    const pageItems = response.data;
+
+    for (let index = skip; index < pageItems.length; index++) {
+      if (!filter(pageItems[index])) continue;
+      items.push(pageItems[index]);
+
+      if (items.length === limit) {
+        // Resume right after this item, on this page or the next one
+        if (index + 1 < pageItems.length) {
+          return { items, nextCursor: encodePageCursor({ url: pageUrl, offset: index + 1 }) };
+        }
+        return { items, nextCursor: nextUrl ? encodePageCursor({ url: nextUrl }) : null };
+      }
+    }
+
+    if (!nextUrl) {
+      return { items, nextCursor: null };
+    }
+    pageUrl = nextUrl;
+    skip = 0;
+  }
+
+  // Page budget spent: hand back what matched so far and let the client continue
+  return { items, nextCursor: encodePageCursor({ url: pageUrl }) };
+};
+
+/**
+ * Fetch repository metadata (default branch, permissions, etc.)
+ * @param {string} repoFullName - Full name of the repository (e.g. 'user/repo')
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Promise<Object>} Raw GitHub repository object
+ */
+export const fetchRepository = async (repoFullName, headers) => {
+  try {
+    // Always revalidated: a 304 is free and permissions or the default branch may have changed
+    const response = await cachedGet(`${GITHUB_API_URL}/repos/${repoFullName}`, { headers, ttl: 0 });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError(404, `Repository "${repoFullName}" not found or not accessible.`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether the authenticated user can push to a repository
+ * @param {Object} repository - Raw GitHub repository object (from fetchRepository)
+ * @returns {boolean} True when the token has push access
+ */
+export const canPushTo = (repository) => Boolean(repository.permissions?.push);
+
+/**
+ * Fork a repository into the authenticated user's account (or reuse the existing fork)
+ * and wait until the fork's git data is available.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the upstream repository
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} Raw GitHub repository object of the fork
+ */
+export const forkRepository = async ({ repoFullName, headers }) => {
+  let fork;
+  try {
+    // Returns the existing fork if the user already has one
+    const response = await githubClient.post(`${GITHUB_API_URL}/repos/${repoFullName}/forks`, {}, { headers });
+    fork = response.data;
+  } catch (error) {
+    if (error.response?.status === 403) {
+      throw new ApiError(403, `${repoFullName} cannot be forked: ${error.response.data?.message || 'forking is not allowed.'}`);
+    }
+    throw error;
+  }
+
+  for (let attempt = 0; attempt < FORK_READY_ATTEMPTS; attempt++) {
+    try {
+      await githubClient.get(`${GITHUB_API_URL}/repos/${fork.full_name}/branches`, { headers, params: { per_page: 1 } });
+      return fork;
+    } catch (error) {
+      if (![404, 409].includes(error.response?.status)) {
+        throw error;
+      }
+      await sleep(FORK_READY_INTERVAL_MS);
+    }
+  }
+
+  throw new ApiError(504, `The fork ${fork.full_name} is still being created. Please try again in a moment.`);
+};
+
+/**
+ * Resolve a branch, tag or commit SHA to a commit. Falls back to the repository's
+ * default branch when no ref is given.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.ref] - Branch name, tag name or commit SHA
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { ref, sha, treeSha }
+ */
+export const resolveCommit = async ({ repoFullName, ref, headers }) => {
+  const resolvedRef = ref || (await fetchRepository(repoFullName, headers)).default_branch;
+
+  try {
+    const response = await githubClient.get(
+      `${GITHUB_API_URL}/repos/${repoFullName}/commits/${encodeURIComponent(resolvedRef)}`,
+      { headers }
+    );
+
+    return {
+      ref: resolvedRef,
+      sha: response.data.sha,
+      treeSha: response.data.commit.tree.sha,
+    };
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 422) {
+      throw new ApiError(404, `Branch or tag "${resolvedRef}" does not exist in ${repoFullName}.`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Tell whether a ref names a branch, a tag or (neither) a commit. Only branches can be committed
+ * to or be the base of a pull request.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.ref - Branch name, tag name or commit SHA
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<string>} 'branch', 'tag' or 'commit'
+ */
+export const resolveRefType = async ({ repoFullName, ref, headers }) => {
+  for (const [namespace, type] of [['heads', 'branch'], ['tags', 'tag']]) {
+    try {
+      await cachedGet(`${GITHUB_API_URL}/repos/${repoFullName}/git/ref/${namespace}/${ref.split('/').map(encodeURIComponent).join('/')}`, { headers, ttl: 0 });
+      return type;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  return 'commit';
+};
+
+/**
+ * Load the full file tree of a ref, or of a tree SHA already known from an earlier analysis
+ * (served from the cache then, without resolving the ref again)
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the default branch
+ * @param {string} [options.treeSha] - Tree SHA returned by the analysis; takes precedence over `ref`
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { ref, commitSha, treeSha, tree, filePaths } where `commitSha` is null for a known tree
+ */
+export const fetchRepositoryTree = async ({ repoFullName, ref, treeSha, headers }) => {
+  if (treeSha !== undefined && (typeof treeSha !== 'string' || !/^[0-9a-f]{40}$/i.test(treeSha))) {
+    throw new ApiError(400, 'Tree SHA must be a 40 character hexadecimal SHA.');
+  }
+  const target = treeSha
+    ? { ref: ref ?? null, sha: null, treeSha }
+    : await resolveCommit({ repoFullName, ref, headers });
+  const tree = await fetchTree({ repoFullName, treeSha: target.treeSha, recursive: true, headers });
+  return {
+    ref: target.ref,
+    commitSha: target.sha,
+    treeSha: target.treeSha,
+    tree,
+    filePaths: tree.filter(node => node.type === 'blob').map(node => node.path),
+  };
+};
+
+/**
+ * Resolve a branch name to the SHA of its head commit. Falls back to the
+ * repository's default branch when no branch is given. Tags are rejected
+ * because they cannot be committed to.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.branch] - Branch name
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { branch, sha }
+ */
+export const resolveBranch = async ({ repoFullName, branch, headers }) => {
+  const resolvedBranch = branch || (await fetchRepository(repoFullName, headers)).default_branch;
+
+  try {
+    const response = await githubClient.get(
+      `${GITHUB_API_URL}/repos/${repoFullName}/branches/${encodeURIComponent(resolvedBranch)}`,
+      { headers }
+    );
+    return { branch: resolvedBranch, sha: response.data.commit.sha };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError(404, `Branch "${resolvedBranch}" does not exist in ${repoFullName}.`);
+    }
+    throw error;
+  }
+};
+
+// Branches or tags listed for a repository; larger repositories get a truncated list
+const MAX_REFS = 1000;
+
+/**
+ * List the names of a repository's refs of one kind, up to MAX_REFS
+ * @param {string} url - URL of the listing (branches or tags)
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Promise<Object>} { names, truncated }
+ */
+const fetchRefNames = async (url, headers) => {
+  const { items, nextCursor } = await fetchPaginated({
+    url: `${url}?per_page=100`,
+    limit: MAX_REFS,
+    maxPages: Math.ceil(MAX_REFS / 100),
+    // Revalidated on every call so a branch pushed a moment ago can be picked
+    ttl: 0,
+    headers,
+  });
+  return { names: items.map(item => item.name), truncated: nextCursor !== null };
+};
+
+/**
+ * List the branches of a repository
+ * @param {string} repoFullName - Full name of the repository
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Promise<Object>} { names, truncated } where `truncated` is set when there are more than MAX_REFS
+ */
+export const fetchBranches = (repoFullName, headers) =>
+  fetchRefNames(`${GITHUB_API_URL}/repos/${repoFullName}/branches`, headers);
+
+/**
+ * List the tags of a repository
+ * @param {string} repoFullName - Full name of the repository
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Promise<Object>} { names, truncated } where `truncated` is set when there are more than MAX_REFS
+ */
+export const fetchTags = (repoFullName, headers) =>
+  fetchRefNames(`${GITHUB_API_URL}/repos/${repoFullName}/tags`, headers);
+
+/**
+ * List the commits between two refs, oldest first
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.base - Branch, tag or commit SHA the range starts after
+ * @param {string} options.head - Branch, tag or commit SHA the range ends at
+ * @param {number} options.limit - Maximum number of commits to return (the oldest ones are dropped)
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { commits, totalCommits } with raw GitHub commit objects
+ */
+export const compareCommits = async ({ repoFullName, base, head, limit, headers }) => {
+  const url = `${GITHUB_API_URL}/repos/${repoFullName}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+  const pageSize = 100;
+  const fetchPage = async (page) => {
+    const response = await githubClient.get(url, { headers, params: { per_page: pageSize, page } });
+    return response.data;
+  };
+
+  try {
+    // GitHub lists the commits oldest first, so a long range is read from the page holding the newest `limit`
+    const first = await fetchPage(1);
+    const totalCommits = first.total_commits;
+    const startPage = Math.floor(Math.max(0, totalCommits - limit) / pageSize) + 1;
+    const commits = startPage === 1 ? [...first.commits] : [];
+    if (first.commits.length === pageSize) {
+      for (let page = Math.max(startPage, 2); (page - 1) * pageSize < totalCommits; page++) {
+        const data = await fetchPage(page);
+        commits.push(...data.commits);
+        if (data.commits.length < pageSize) {
+          break;
+        }
+      }
+    }
+    return { commits: commits.slice(-limit), totalCommits };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError(404, `Could not compare "${base}" with "${head}" in ${repoFullName}. Check that both refs exist.`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List the commits reachable from a ref within a date window, newest first
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.ref] - Branch, tag or commit SHA; the default branch when omitted
+ * @param {string} [options.since] - ISO 8601 date; only commits after it
+ * @param {string} [options.until] - ISO 8601 date; only commits before it
+ * @param {number} options.limit - Maximum number of commits to return
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { commits, truncated } with raw GitHub commit objects
+ */
+export const listCommits = async ({ repoFullName, ref, since, until, limit, headers }) => {
+  const params = new URLSearchParams({ per_page: '100' });
+  if (ref) params.set('sha', ref);
+  if (since) params.set('since', since);
+  if (until) params.set('until', until);
+
+  const { items, nextCursor } = await fetchPaginated({
+    url: `${GITHUB_API_URL}/repos/${repoFullName}/commits?${params}`,
+    limit,
+    maxPages: Math.ceil(limit / 100),
+    headers,
+  });
+  return { commits: items, truncated: nextCursor !== null };
+};
+
+/**
+ * List pull requests merged since a date, most recently updated first
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.since - ISO 8601 date; pull requests merged before it are left out
+ * @param {number} options.limit - Maximum number of pull requests to return
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Array<Object>>} Raw GitHub pull request objects
+ */
+export const listMergedPullRequests = async ({ repoFullName, since, limit, headers }) => {
+  const { items } = await fetchPaginated({
+    url: `${GITHUB_API_URL}/repos/${repoFullName}/pulls?state=closed&sort=updated&direction=desc&per_page=100`,
+    limit,
+    maxPages: Math.ceil(limit / 100),
+    filter: (pullRequest) => Boolean(pullRequest.merged_at) && new Date(pullRequest.merged_at) >= new Date(since),
+    headers,
+  });
+  return items;
+};
+
+/**
+ * Fetch and decode a blob by its SHA
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.sha - Blob SHA
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<string>} The blob's text content
+ */
+export const fetchBlobText = async ({ repoFullName, sha, headers }) => {
+  const response = await githubClient.get(`${GITHUB_API_URL}/repos/${repoFullName}/git/blobs/${sha}`, { headers });
+  return Buffer.from(response.data.content, response.data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+};
+
+/**
+ * Find the Markdown README at the root of a git tree, preferring `README.md`
+ * @param {Array<Object>} treeNodes - Nodes from the GitHub git/trees API
+ * @returns {Object|null} { path, sha } of the README blob, or null if there is none
+ */
+export const findReadmeNode = (treeNodes) => {
+  const candidates = treeNodes.filter(node => node.type === 'blob' && /^readme(\.md|\.markdown)?$/i.test(node.path));
+  const readme = candidates.find(node => node.path === 'README.md') || candidates[0];
+  return readme ? { path: readme.path, sha: readme.sha } : null;
+};
+
+/**
+ * Find the Markdown README at the root of a commit
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.ref - Commit or tree SHA (the tree is cached by SHA)
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object|null>} { path, sha } of the README blob, or null if there is none
+ */
+export const fetchRootReadme = async ({ repoFullName, ref, headers }) => {
+  return findReadmeNode(await fetchTree({ repoFullName, treeSha: ref, headers }));
+};
+
+/**
+ * Fetch the decoded content of a file at a given ref
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} options.path - Path of the file (e.g. 'README.md')
+ * @param {string} [options.ref] - Branch, tag or commit SHA; the default branch when omitted
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object|null>} { content, sha } where `sha` is the blob SHA, or null if the file does not exist
+ */
+export const fetchFileContent = async ({ repoFullName, path, ref, headers }) => {
+  try {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const response = await githubClient.get(`${GITHUB_API_URL}/repos/${repoFullName}/contents/${encodedPath}`, {
+      headers,
+      params: ref ? { ref } : {},
+    });
+    return {
+      content: Buffer.from(response.data.content, 'base64').toString('utf8'),
+      sha: response.data.sha,
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Open a pull request, then request reviewers and apply labels. Failing to add
+ * reviewers or labels does not fail the pull request; the problems are returned as warnings.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository the pull request is opened against
+ * @param {string} options.head - Branch containing the changes (`owner:branch` for forks)
+ * @param {string} options.base - Branch the changes should be merged into
+ * @param {string} options.title - Pull request title
+ * @param {string} [options.body] - Pull request description (Markdown)
+ * @param {boolean} [options.draft=false] - Open the pull request as a draft
+ * @param {Array<string>} [options.reviewers=[]] - GitHub usernames to request reviews from
+ * @param {Array<string>} [options.labels=[]] - Labels to apply
+ * @param {boolean} [options.maintainerCanModify] - Let upstream maintainers push to the head branch (cross-repo pull requests)
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { number, url, draft, reviewers, labels, warnings }
+ */
+export const createPullRequest = async ({
+  repoFullName,
+  head,
+  base,
+  title,
+  body = '',
+  draft = false,
+  reviewers = [],
+  labels = [],
+  maintainerCanModify,
+  headers,
+}) => {
+  let pullRequest;
+  try {
+    const response = await githubClient.post(
+      `${GITHUB_API_URL}/repos/${repoFullName}/pulls`,
+      { title, head, base, body, draft, maintainer_can_modify: maintainerCanModify },
+      { headers }
+    );
+    pullRequest = response.data;
+  } catch (error) {
+    if (error.response?.status === 422) {
+      const details = (error.response.data?.errors || []).map(detail => detail.message).filter(Boolean);
+      throw new ApiError(422, `Could not open the pull request: ${details.join(' ') || error.response.data?.message || 'validation failed.'}`);
+    }
+    throw error;
+  }
+
+  const warnings = [];
+  let requestedReviewers = [];
+  let appliedLabels = [];
+
+  if (reviewers.length > 0) {
+    try {
+      await githubClient.post(
+        `${GITHUB_API_URL}/repos/${repoFullName}/pulls/${pullRequest.number}/requested_reviewers`,
+        { reviewers },
+        { headers }
+      );
+      requestedReviewers = reviewers;
+    } catch (error) {
+      warnings.push(`Reviewers could not be requested: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  if (labels.length > 0) {
+    try {
+      const response = await githubClient.post(
+        `${GITHUB_API_URL}/repos/${repoFullName}/issues/${pullRequest.number}/labels`,
+        { labels },
+        { headers }
+      );
+      appliedLabels = response.data.map(label => label.name);
+    } catch (error) {
+      warnings.push(`Labels could not be applied: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  return {
+    number: pullRequest.number,
+    url: pullRequest.html_url,
+    draft: pullRequest.draft,
+    reviewers: requestedReviewers,
+    labels: appliedLabels,
+    warnings,
+  };
+};
+
+/**
+ * Fetch the token's current quota for every rate limit bucket (core, search, graphql, ...).
+ * Requests to /rate_limit do not count against the limit.
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Promise<Object>} { [resource]: { limit, remaining, used, resetAt } }
+ */
+export const fetchRateLimit = async (headers) => {
+  const response = await githubClient.get(`${GITHUB_API_URL}/rate_limit`, { headers });
+
+  const resources = {};
+  for (const [resource, { limit, remaining, used, reset }] of Object.entries(response.data.resources)) {
+    resources[resource] = { limit, remaining, used, resetAt: new Date(reset * 1000).toISOString() };
+    recordRateLimit(headers, { resource, ...resources[resource] });
+  }
+  return resources;
+};
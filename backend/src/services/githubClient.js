@@ -0,0 +1,150 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { GitHubRateLimitError } from '../utils/ApiError.js';
+
+// Secondary (burst) limits are retried this many times before the error reaches the caller
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+// Waits longer than this are not worth holding the HTTP request open for
+const MAX_RETRY_WAIT_MS = 60 * 1000;
+// Upper bound on tokens whose quota is remembered (least recently seen are dropped)
+const MAX_TRACKED_TOKENS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token key -> { [resource]: { limit, remaining, used, resetAt } }
+const rateLimits = new Map();
+
+/**
+ * Identify a token without keeping it in memory in the clear
+ * @param {Object} [headers] - Request headers carrying the `Authorization` token
+ * @returns {string} Stable key for the token ('anonymous' when there is none)
+ */
+export const getTokenKey = (headers) => {
+  const authorization = headers?.Authorization || headers?.authorization;
+  if (!authorization) {
+    return 'anonymous';
+  }
+  return crypto.createHash('sha256').update(authorization).digest('hex').slice(0, 32);
+};
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Read GitHub's X-RateLimit-* response headers
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} { resource, limit, remaining, used, resetAt }, or null if the headers are absent
+ */
+const readRateLimitHeaders = (headers = {}) => {
+  const remaining = toNumber(headers['x-ratelimit-remaining']);
+  if (remaining === null) {
+    return null;
+  }
+  const reset = toNumber(headers['x-ratelimit-reset']);
+  return {
+    resource: headers['x-ratelimit-resource'] || 'core',
+    limit: toNumber(headers['x-ratelimit-limit']),
+    remaining,
+    used: toNumber(headers['x-ratelimit-used']),
+    resetAt: reset ? new Date(reset * 1000).toISOString() : null,
+  };
+};
+
+/**
+ * Remember the latest quota GitHub reported for a token
+ * @param {Object} requestHeaders - Headers of the request (to identify the token)
+ * @param {Object} quota - Parsed rate limit ({ resource, limit, remaining, used, resetAt })
+ */
+export const recordRateLimit = (requestHeaders, { resource, ...quota }) => {
+  const key = getTokenKey(requestHeaders);
+  const resources = rateLimits.get(key) || {};
+  rateLimits.delete(key);
+  rateLimits.set(key, { ...resources, [resource]: quota });
+
+  while (rateLimits.size > MAX_TRACKED_TOKENS) {
+    rateLimits.delete(rateLimits.keys().next().value);
+  }
+};
+
+/**
+ * The quota last reported by GitHub for a token, per resource (core, search, graphql, ...)
+ * @param {Object} headers - GitHub authorization headers
+ * @returns {Object} { [resource]: { limit, remaining, used, resetAt } }; empty until a request was made
+ */
+export const getTrackedRateLimit = (headers) => rateLimits.get(getTokenKey(headers)) || {};
+
+/**
+ * Classify a failed response as a GitHub rate limit
+ * @param {Object} response - axios error response
+ * @returns {Object|null} { type, waitMs, quota } or null when the failure is not rate limiting
+ */
+const classifyRateLimit = (response) => {
+  if (!response || (response.status !== 403 && response.status !== 429)) {
+    return null;
+  }
+
+  const quota = readRateLimitHeaders(response.headers);
+  const retryAfter = toNumber(response.headers?.['retry-after']);
+  const message = typeof response.data?.message === 'string' ? response.data.message : '';
+
+  if (quota?.remaining === 0 && retryAfter === null) {
+    const waitMs = quota.resetAt ? new Date(quota.resetAt).getTime() - Date.now() : MAX_RETRY_WAIT_MS;
+    return { type: 'primary', waitMs, quota };
+  }
+
+  if (retryAfter !== null || response.status === 429 || /secondary rate limit|abuse/i.test(message)) {
+    return { type: 'secondary', waitMs: retryAfter !== null ? retryAfter * 1000 : null, quota };
+  }
+
+  return null;
+};
+
+/**
+ * Shared axios instance for every GitHub request (REST API and OAuth).
+ * - Records X-RateLimit-* headers per token (see getTrackedRateLimit)
+ * - Retries secondary rate limits with Retry-After or exponential backoff
+ * - Turns rate limit rejections into GitHubRateLimitError (429 with the reset time)
+ */
+export const githubClient = axios.create();
+
+githubClient.interceptors.response.use(
+  (response) => {
+    const quota = readRateLimitHeaders(response.headers);
+    if (quota) {
+      recordRateLimit(response.config.headers, quota);
+    }
+    return response;
+  },
+  async (error) => {
+    const { config, response } = error;
+    const quota = readRateLimitHeaders(response?.headers);
+    if (quota && config) {
+      recordRateLimit(config.headers, quota);
+    }
+
+    const rateLimit = classifyRateLimit(response);
+    if (!rateLimit || !config) {
+      throw error;
+    }
+
+    const attempt = config.rateLimitRetries || 0;
+    const waitMs = rateLimit.waitMs ?? BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * BASE_BACKOFF_MS);
+
+    if (rateLimit.type === 'secondary' && attempt < MAX_RETRIES && waitMs <= MAX_RETRY_WAIT_MS) {
+      logger.warn(`GitHub secondary rate limit on ${config.method?.toUpperCase()} ${config.url}; retrying in ${waitMs}ms (attempt ${attempt + 1}/${MAX_RETRIES}).`);
+      await sleep(waitMs);
+      return githubClient.request({ ...config, rateLimitRetries: attempt + 1 });
+    }
+
+    logger.warn(`GitHub ${rateLimit.type} rate limit hit on ${config.method?.toUpperCase()} ${config.url}.`);
+    throw new GitHubRateLimitError({
+      type: rateLimit.type,
+      resetAt: rateLimit.type === 'primary' && rateLimit.quota?.resetAt
+        ? new Date(rateLimit.quota.resetAt)
+        : new Date(Date.now() + Math.max(waitMs, 0)),
+      resource: rateLimit.quota?.resource,
+      limit: rateLimit.quota?.limit,
+    });
+  }
+);
@@ -1,6 +1,6 @@
-import axios from 'axios';
 import logger from '../utils/logger.js';
 import { ApiError } from '../utils/ApiError.js';
+import { githubClient } from './githubClient.js';
 
 /**
  * Exchange OAuth code for access token
@@ -15,7 +15,7 @@ export const exchangeCodeForToken = async (code) => {
     timestamp: new Date().toISOString()
   });
 
-  const tokenResponse = await axios.post(
+  const tokenResponse = await githubClient.post(
     'https://github.com/login/oauth/access_token',
     {
       client_id: process.env.GITHUB_CLIENT_ID,
@@ -50,7 +50,7 @@ export const exchangeCodeForToken = async (code) => {
  * @returns {Promise<Object>} GitHub user data
  */
 export const fetchGitHubUser = async (accessToken) => {
-  const userResponse = await axios.get('https://api.github.com/user', {
+  const userResponse = await githubClient.get('https://api.github.com/user', {
     headers: { Authorization: `token ${accessToken}` },
   });
   const githubUser = userResponse.data;
@@ -70,7 +70,7 @@ export const fetchGitHubUser = async (accessToken) => {
  * @returns {Promise<string>} Primary email address
  */
 export const fetchGitHubUserEmail = async (accessToken) => {
-  const userEmailResponse = await axios.get('https://api.github.com/user/emails', {
+  const userEmailResponse = await githubClient.get('https://api.github.com/user/emails', {
     headers: { Authorization: `token ${accessToken}` },
   });
 
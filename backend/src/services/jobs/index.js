@@ -0,0 +1,8 @@
+export {
+  toJobView,
+  enqueueJob,
+  findUserJob,
+  listUserJobs,
+  requestJobCancel,
+} from './queue.js';
+export { startJobWorker, stopJobWorker, wakeJobWorker, abortLocalJob } from './worker.js';
@@ -0,0 +1,257 @@
+import mongoose from 'mongoose';
+import { Job, FINISHED_JOB_STATUSES } from '../../models/Job.model.js';
+import { ApiError, GitHubRateLimitError, QuotaExceededError } from '../../utils/ApiError.js';
+
+// Creating a branch is not idempotent, so a failed attempt is not repeated blindly
+const MAX_ATTEMPTS_BY_TYPE = {
+  analyze: 3,
+  'save-readme': 3,
+  'save-readme-branch': 1,
+};
+
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - Job document
+ * @returns {Object} Public view of the job
+ */
+export const toJobView = (job) => ({
+  id: String(job._id),
+  type: job.type,
+  status: job.status,
+  repoFullName: job.payload?.repoFullName ?? null,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  cancelRequested: job.cancelRequested,
+  runAt: job.runAt,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Queue a job for the worker
+ * @param {Object} options
+ * @param {string} options.userId - ID of the user the job runs for
+ * @param {string} options.type - One of JOB_TYPES
+ * @param {Object} options.payload - Request body the job runs with
+ * @returns {Promise<Object>} The created job
+ */
+export const enqueueJob = async ({ userId, type, payload }) => {
+  const maxQueued = Number(process.env.JOB_MAX_QUEUED_PER_USER) || 50;
+  const pending = await Job.countDocuments({ user: userId, status: { $in: ['queued', 'running'] } });
+  if (pending >= maxQueued) {
+    throw new ApiError(429, `You already have ${pending} jobs waiting. Wait for some to finish before queueing more.`);
+  }
+
+  return Job.create({
+    user: userId,
+    type,
+    payload,
+    maxAttempts: MAX_ATTEMPTS_BY_TYPE[type] ?? 1,
+  });
+};
+
+/**
+ * Find one of the user's jobs
+ * @param {string} userId - ID of the user who owns the job
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object>} The job
+ * @throws {ApiError} 404 when the job does not exist or belongs to someone else
+ */
+export const findUserJob = async (userId, jobId) => {
+  const job = mongoose.isValidObjectId(jobId) ? await Job.findOne({ _id: jobId, user: userId }) : null;
+  if (!job) {
+    throw new ApiError(404, "Job not found.");
+  }
+  return job;
+};
+
+/**
+ * List the user's most recent jobs
+ * @param {Object} options
+ * @param {string} options.userId - ID of the user
+ * @param {Array<string>} [options.statuses] - Only jobs in these statuses
+ * @param {number} [options.limit=50] - Maximum number of jobs
+ * @returns {Promise<Array<Object>>} Jobs, newest first
+ */
+export const listUserJobs = async ({ userId, statuses, limit = 50 }) => {
+  const filter = { user: userId };
+  if (statuses?.length) {
+    filter.status = { $in: statuses };
+  }
+  return Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+};
+
+/**
+ * Cancel a job. Queued jobs are cancelled at once; running ones are flagged and
+ * stopped by the worker that runs them.
+ * @param {string} userId - ID of the user who owns the job
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object>} The updated job
+ * @throws {ApiError} 409 when the job has already finished
+ */
+export const requestJobCancel = async (userId, jobId) => {
+  const job = await findUserJob(userId, jobId);
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    throw new ApiError(409, `The job has already ${job.status}.`);
+  }
+
+  const now = new Date();
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: now } },
+    { new: true }
+  );
+  if (cancelled) {
+    return cancelled;
+  }
+
+  // It was picked up in the meantime
+  return Job.findOneAndUpdate({ _id: job._id }, { $set: { cancelRequested: true } }, { new: true });
+};
+
+/**
+ * Atomically claim the next due job, skipping users who already have `perUserLimit` jobs running.
+ * With several worker processes the per-user limit can briefly be exceeded by one claim per process.
+ * @param {Object} options
+ * @param {number} options.perUserLimit - Maximum running jobs per user
+ * @returns {Promise<Object|null>} The claimed job, now 'running', or null when none is due
+ */
+export const claimNextJob = async ({ perUserLimit }) => {
+  const running = await Job.aggregate([
+    { $match: { status: 'running' } },
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+  ]);
+  const busyUsers = running.filter(entry => entry.count >= perUserLimit).map(entry => entry._id);
+
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now }, user: { $nin: busyUsers } },
+    { $set: { status: 'running', lockedAt: now, startedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Refresh the lock of a running job
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<boolean>} Whether cancellation was requested meanwhile
+ */
+export const heartbeatJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  ).select('cancelRequested');
+  return Boolean(job?.cancelRequested);
+};
+
+/**
+ * Put jobs whose worker stopped refreshing the lock (e.g. the process crashed) back in the queue.
+ * A lost attempt counts like a failed one: jobs without attempts left (including those that must not
+ * run twice, such as opening a pull request) fail instead, so a job that crashes its worker cannot loop.
+ * @param {number} lockTimeoutMs - Age after which a lock is considered stale
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+export const requeueStaleJobs = async (lockTimeoutMs) => {
+  const now = new Date();
+  const stale = { status: 'running', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } };
+
+  await Job.updateMany(
+    { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: { statusCode: 500, message: "The worker running the job was lost.", data: null },
+        lockedAt: null,
+        finishedAt: now,
+      },
+    }
+  );
+  const result = await Job.updateMany(
+    { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'queued', lockedAt: null, runAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Record the result of a succeeded job
+ * @param {Object} job - The running job
+ * @param {*} result - Response data of the job
+ */
+export const completeJob = async (job, result) => {
+  await Job.updateOne(
+    { _id: job._id },
+    { $set: { status: 'succeeded', result, error: null, lockedAt: null, finishedAt: new Date() } }
+  );
+};
+
+/**
+ * Mark a running job as cancelled
+ * @param {Object} job - The running job
+ */
+export const markJobCancelled = async (job) => {
+  await Job.updateOne(
+    { _id: job._id },
+    { $set: { status: 'cancelled', lockedAt: null, finishedAt: new Date() } }
+  );
+};
+
+// Client errors will fail the same way again; server errors, throttling and network failures may not.
+// A used-up AI quota is only reset at the end of the day or month, so it is not retried either
+const isRetryable = (error) => {
+  if (!(error instanceof ApiError)) {
+    return true;
+  }
+  if (error instanceof QuotaExceededError) {
+    return false;
+  }
+  return error.statusCode >= 500 || error.statusCode === 429 || error.statusCode === 408;
+};
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, or until a GitHub rate limit resets
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} error - Its error
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, error) => {
+  const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = backoff * (0.8 + Math.random() * 0.4);
+  if (error instanceof GitHubRateLimitError) {
+    return Math.max(jittered, error.data.retryAfter * 1000);
+  }
+  return jittered;
+};
+
+/**
+ * Record a failed attempt: the job is queued again after a backoff delay, or fails for good
+ * when the error is not retryable or no attempts are left
+ * @param {Object} job - The running job
+ * @param {Error} error - The error the attempt failed with
+ * @returns {Promise<boolean>} Whether the job will be retried
+ */
+export const failJobAttempt = async (job, error) => {
+  const details = {
+    statusCode: error.statusCode || 500,
+    message: error instanceof ApiError ? error.message : "The job failed unexpectedly.",
+    data: error instanceof ApiError ? error.data : null,
+  };
+
+  const retry = isRetryable(error) && job.attempts < job.maxAttempts;
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      $set: retry
+        ? { status: 'queued', error: details, lockedAt: null, runAt: new Date(Date.now() + getRetryDelay(job.attempts, error)) }
+        : { status: 'failed', error: details, lockedAt: null, finishedAt: new Date() },
+    }
+  );
+  return retry;
+};
@@ -0,0 +1,148 @@
+import logger from '../../utils/logger.js';
+import {
+  claimNextJob,
+  heartbeatJob,
+  requeueStaleJobs,
+  completeJob,
+  markJobCancelled,
+  failJobAttempt,
+} from './queue.js';
+
+// A running job refreshes its lock this often; locks older than LOCK_TIMEOUT_MS are considered abandoned
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let handlers = {};
+let config = null;
+let timer = null;
+let polling = false;
+let activeJobs = 0;
+// Abort controllers of the jobs running in this process, by job ID
+const runningJobs = new Map();
+
+const scheduleNextPoll = (delay = config.pollInterval) => {
+  clearTimeout(timer);
+  timer = setTimeout(poll, delay);
+  // The worker alone should not keep the process alive
+  timer.unref?.();
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const abortController = new AbortController();
+  runningJobs.set(String(job._id), abortController);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (await heartbeatJob(job._id)) {
+        abortController.abort();
+      }
+    } catch (error) {
+      logger.warn(`Could not refresh the lock of job ${job._id}: ${error.message}`);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  logger.info(`Running ${job.type} job ${job._id} (attempt ${job.attempts} of ${job.maxAttempts})`);
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for ${job.type} jobs.`);
+    }
+    // A handler that finishes despite a cancellation request has done its work (e.g. committed), so it counts
+    const result = await handler(job, { signal: abortController.signal });
+    await completeJob(job, result);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info(`Job ${job._id} was cancelled.`);
+      await markJobCancelled(job);
+    } else {
+      const retry = await failJobAttempt(job, error);
+      logger.error(`Job ${job._id} failed${retry ? ', retrying later' : ''}: ${error.message}`, { stack: error.stack });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(String(job._id));
+  }
+};
+
+const poll = async () => {
+  if (polling || !config) return;
+  polling = true;
+  try {
+    await requeueStaleJobs(LOCK_TIMEOUT_MS);
+    while (activeJobs < config.concurrency) {
+      const job = await claimNextJob({ perUserLimit: config.perUserConcurrency });
+      if (!job) break;
+
+      activeJobs += 1;
+      runJob(job)
+        .catch(error => logger.error(`Could not record the outcome of job ${job._id}: ${error.message}`))
+        .finally(() => {
+          activeJobs -= 1;
+          // A slot is free (and the user may be under their limit again), so look for more work
+          wakeJobWorker();
+        });
+    }
+  } catch (error) {
+    logger.error(`Job worker poll failed: ${error.message}`);
+  } finally {
+    polling = false;
+    if (config) {
+      scheduleNextPoll();
+    }
+  }
+};
+
+/**
+ * Start polling for jobs. Settings are read from the environment:
+ *
+ * - JOB_CONCURRENCY: jobs run at once by this process (default 4)
+ * - JOB_USER_CONCURRENCY: jobs run at once per user, across processes (default 2)
+ * - JOB_POLL_INTERVAL_MS: how often the queue is checked when idle (default 2000)
+ *
+ * @param {Object} options
+ * @param {Object<string, Function>} options.handlers - Map of job type to `async (job, { signal }) => result`
+ */
+export const startJobWorker = ({ handlers: jobHandlers }) => {
+  const env = process.env;
+  handlers = jobHandlers;
+  config = {
+    concurrency: Number(env.JOB_CONCURRENCY) || 4,
+    perUserConcurrency: Number(env.JOB_USER_CONCURRENCY) || 2,
+    pollInterval: Number(env.JOB_POLL_INTERVAL_MS) || 2000,
+  };
+  logger.info(`Job worker started (concurrency ${config.concurrency}, ${config.perUserConcurrency} per user)`);
+  scheduleNextPoll(0);
+};
+
+/**
+ * Stop polling for new jobs. Jobs already running are left to finish.
+ */
+export const stopJobWorker = () => {
+  config = null;
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Check the queue now instead of waiting for the next poll, e.g. right after a job was queued
+ */
+export const wakeJobWorker = () => {
+  if (config && !polling) {
+    scheduleNextPoll(0);
+  }
+};
+
+/**
+ * Abort a job if it is running in this process
+ * @param {string} jobId - ID of the job
+ * @returns {boolean} Whether the job was running here
+ */
+export const abortLocalJob = (jobId) => {
+  const abortController = runningJobs.get(String(jobId));
+  if (!abortController) {
+    return false;
+  }
+  abortController.abort();
+  return true;
+};
@@ -0,0 +1,494 @@
+import path from 'node:path';
+import net from 'node:net';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+// Absolute URLs checked per request at most, and how many at once
+export const MAX_EXTERNAL_CHECKS = 40;
+const EXTERNAL_CHECK_CONCURRENCY = 4;
+// Redirects followed for one URL; each hop is checked like the URL itself
+const MAX_REDIRECTS = 5;
+
+const FENCE = /^\s*(```|~~~)/;
+const IMAGE = /!\[([^\]]*)\]\(([^)]*)\)/g;
+// A link whose text may be an image, as in the badge [![CI](badge.svg)](actions); images themselves are skipped
+const LINK = /(?<!!)\[((?:!\[[^\]]*\]\([^)]*\)|[^\]])*)\]\(([^)]*)\)/g;
+const REFERENCE_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?.*$/;
+const HTML_IMAGE = /<img\b[^>]*>/gi;
+const HTML_LINK = /<a\b[^>]*\bhref\s*=\s*["']([^"']*)["'][^>]*>/gi;
+
+// Malformed escapes such as '100%' are kept as written
+const decodeURIComponentSafe = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * @description Works out what a link points to, relative to the document's directory.
+ * @param {string} target - The link as written, e.g. './docs/setup.md#install', '/LICENSE' or 'https://...'.
+ * @param {string} documentPath - Path of the document in the repository, e.g. 'README.md'.
+ * @returns {object|null} { anchor } for same-document anchors, { path } for repository files, { url } for
+ * http(s) URLs, or null for other schemes (mailto:) and links outside the repository (e.g. GitHub's '../../issues')
+ */
+export const resolveLinkTarget = (target, documentPath) => {
+  if (/^https?:\/\//i.test(target)) {
+    return { url: target };
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(target) || target.startsWith('//')) {
+    return null;
+  }
+  if (target.startsWith('#')) {
+    return { anchor: decodeURIComponentSafe(target.slice(1)) };
+  }
+
+  const filePart = decodeURIComponentSafe(target.split(/[?#]/)[0]);
+  if (!filePart) {
+    return null;
+  }
+  const resolved = filePart.startsWith('/')
+    ? path.posix.normalize(filePart.slice(1))
+    : path.posix.normalize(path.posix.join(path.posix.dirname(documentPath), filePart));
+  if (resolved.startsWith('..')) {
+    return null;
+  }
+  return { path: resolved.replace(/\/$/, '') || '.' };
+};
+
+/**
+ * @description Lists every link and image of a Markdown document, outside code blocks and inline code:
+ * Markdown links and images, reference definitions ([id]: url) and HTML <a href> and <img src>.
+ * @param {string} content - The Markdown document.
+ * @param {string} [documentPath='README.md'] - Where the document lives, for resolving relative links.
+ * @returns {Array<object>} { kind: 'link'|'image', syntax: 'markdown'|'reference'|'html', target, text, markup,
+ * line, resolved } where `markup` is the exact text of the link (e.g. '![logo](docs/logo.png)'), `text` the
+ * link text or alt text, `line` is 1-based and `resolved` comes from resolveLinkTarget
+ */
+export const collectReferences = (content, documentPath = 'README.md') => {
+  const references = [];
+  const cleanTarget = (raw) => raw.trim().replace(/^<|>$/g, '').split(/\s+/)[0];
+  let fence = null;
+
+  (content || '').replace(/\r\n/g, '\n').split('\n').forEach((rawLine, index) => {
+    const fenceMatch = rawLine.match(FENCE);
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : fence === fenceMatch[1] ? null : fence;
+      return;
+    }
+    if (fence !== null) return;
+
+    // Blank out inline code so its length (and every other match's position) is kept
+    const line = rawLine.replace(/`[^`\n]*`/g, match => ' '.repeat(match.length));
+    // The markup as written, inline code included
+    const original = (match) => rawLine.slice(match.index, match.index + match[0].length);
+    const add = (reference) => {
+      if (reference.target) {
+        references.push({ ...reference, line: index + 1, resolved: resolveLinkTarget(reference.target, documentPath) });
+      }
+    };
+
+    for (const match of line.matchAll(IMAGE)) {
+      add({ kind: 'image', syntax: 'markdown', target: cleanTarget(match[2]), text: match[1].trim(), markup: original(match) });
+    }
+    for (const match of line.matchAll(LINK)) {
+      const markup = original(match);
+      add({ kind: 'link', syntax: 'markdown', target: cleanTarget(match[2]), text: markup.slice(1, match[1].length + 1).trim(), markup });
+    }
+    const definition = line.match(REFERENCE_DEFINITION);
+    if (definition) {
+      add({ kind: 'link', syntax: 'reference', target: definition[1], text: '', markup: original(definition) });
+    }
+    for (const match of line.matchAll(HTML_IMAGE)) {
+      const src = match[0].match(/\bsrc\s*=\s*["']([^"']*)["']/i);
+      const alt = match[0].match(/\balt\s*=\s*["']([^"']*)["']/i);
+      if (src) {
+        add({ kind: 'image', syntax: 'html', target: src[1].trim(), text: alt ? alt[1].trim() : '', markup: match[0] });
+      }
+    }
+    for (const match of line.matchAll(HTML_LINK)) {
+      add({ kind: 'link', syntax: 'html', target: match[1].trim(), text: '', markup: match[0] });
+    }
+  });
+
+  return references;
+};
+
+/**
+ * @description Indexes a repository's file list for resolving links and suggesting replacements.
+ * @param {string[]} filePaths - Every file in the repository (git tree blob paths).
+ * @returns {object} { files, directories, byLowerPath, byName }
+ */
+export const indexRepositoryPaths = (filePaths) => {
+  const files = new Set(filePaths);
+  const directories = new Set(filePaths.flatMap(file => {
+    const parts = file.split('/');
+    return parts.slice(1).map((_, index) => parts.slice(0, index + 1).join('/'));
+  }));
+  const byLowerPath = new Map();
+  const byName = new Map();
+  [...files, ...directories].forEach(file => {
+    byLowerPath.set(file.toLowerCase(), file);
+    const name = path.posix.basename(file).toLowerCase();
+    byName.set(name, [...(byName.get(name) || []), file]);
+  });
+  return { files, directories, byLowerPath, byName };
+};
+
+/**
+ * @description Finds the file a broken relative link most likely meant: the same path in another case,
+ * or the file with the same name closest to the repository root (e.g. .github/CONTRIBUTING.md).
+ * @param {string} missingPath - The resolved path that does not exist.
+ * @param {object} index - Result of indexRepositoryPaths.
+ * @returns {string|null} A path in the repository.
+ */
+const suggestPath = (missingPath, index) => {
+  const sameCase = index.byLowerPath.get(missingPath.toLowerCase());
+  if (sameCase) {
+    return sameCase;
+  }
+  const sameName = index.byName.get(path.posix.basename(missingPath).toLowerCase()) || [];
+  return [...sameName].sort((a, b) => a.split('/').length - b.split('/').length || a.length - b.length)[0] || null;
+};
+
+/**
+ * @description Checks a relative link or image against the repository.
+ * @param {object} reference - From collectReferences, with a `resolved.path`.
+ * @param {object} index - Result of indexRepositoryPaths.
+ * @param {string} documentPath - Path of the document the link is in.
+ * @returns {object|null} null when the file or directory exists, otherwise { reason, suggestion } where
+ * `suggestion` is a replacement link relative to the document (keeping any #anchor), or null
+ */
+export const checkRelativeReference = (reference, index, documentPath) => {
+  const { path: target } = reference.resolved;
+  if (target === '.' || index.files.has(target) || index.directories.has(target)) {
+    return null;
+  }
+
+  const suggested = suggestPath(target, index);
+  let suggestion = null;
+  if (suggested) {
+    const relative = path.posix.relative(path.posix.dirname(documentPath), suggested);
+    const suffix = reference.target.match(/[?#].*$/)?.[0] || '';
+    suggestion = `${relative}${suffix}`;
+  }
+  return { reason: `${target} is not in the repository.`, suggestion };
+};
+
+/**
+ * @description Whether an IP address is on the public internet: not loopback, private, link-local
+ * (cloud metadata endpoints), carrier-grade NAT, multicast or otherwise reserved.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const ip = address.toLowerCase();
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return !(
+      a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 192 && b === 0 && ip.split('.')[2] === '0')
+      || (a === 198 && (b === 18 || b === 19))
+      || (a === 100 && b >= 64 && b <= 127)
+    );
+  }
+  if (net.isIPv6(ip)) {
+    // IPv4-mapped and IPv4-compatible addresses reach the IPv4 host they embed
+    const embedded = ip.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+      return isPublicAddress(embedded[1]);
+    }
+    // ::/96 (loopback, unspecified, mapped), NAT64, unique local, link-local and multicast
+    return !(ip.startsWith('::') || ip.startsWith('64:ff9b:') || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff'));
+  }
+  return false;
+};
+
+/**
+ * @description Whether a URL may be requested from the server: http(s) to a host that is not
+ * internal by name or address. Names are only checked as written here; where they resolve to is
+ * checked when connecting (see createHttpFetcher).
+ * @param {string} url - An absolute URL.
+ * @returns {boolean}
+ */
+export const isPublicHttpUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return false;
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return false;
+  }
+  if (net.isIP(host)) {
+    return isPublicAddress(host);
+  }
+  return true;
+};
+
+/**
+ * DNS lookup for outgoing link checks that fails for names resolving to an internal address, so a
+ * public-looking name (e.g. 127.0.0.1.nip.io) cannot reach the internal network. Every address is
+ * checked, not only the one connected to.
+ * Same signature as dns.lookup, as expected by the `lookup` option of net.connect.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      const blocked = new Error(`${hostname} does not resolve to a public address.`);
+      blocked.code = 'ENOTPUBLIC';
+      callback(blocked);
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Create a fetcher that checks URLs over HTTP: a HEAD request, retried as GET for servers that do not
+ * support HEAD. A fetcher is an async function (url) => { status } where `status` is the HTTP status,
+ * or null when the server could not be reached or the URL leads to an internal host.
+ * Redirects are followed one hop at a time, each target checked with isPublicHttpUrl, and every
+ * connection resolves its host through publicLookup.
+ * @param {Object} [config]
+ * @param {number} [config.timeoutMs=5000] - Time allowed for each request
+ * @returns {Function} Fetcher
+ */
+export const createHttpFetcher = ({ timeoutMs = 5000 } = {}) => {
+  const httpAgent = new http.Agent({ lookup: publicLookup });
+  const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+  const request = async (url, method) => {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (!isPublicHttpUrl(target)) {
+        return { status: null };
+      }
+      const response = await axios.request({
+        url: target,
+        method,
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        // Only the status matters; GET responses are not read
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: { 'User-Agent': 'readme-generator-link-checker' },
+      });
+      response.data?.destroy?.();
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { status: response.status };
+      }
+      target = new URL(location, target).href;
+    }
+    // Too many redirects: reported like an unreachable server
+    return { status: null };
+  };
+
+  return async (url) => {
+    try {
+      let result = await request(url, 'HEAD');
+      if ([403, 405, 501].includes(result.status)) {
+        result = await request(url, 'GET');
+      }
+      return result;
+    } catch (error) {
+      logger.debug(`Link check of ${url} failed: ${error.message}`);
+      return { status: null };
+    }
+  };
+};
+
+/**
+ * Create a fetcher that makes no requests and reports every URL as unchecked,
+ * for running without network access.
+ * @returns {Function} Fetcher
+ */
+export const createOfflineFetcher = () => async () => ({ status: null, offline: true });
+
+let fetcher;
+
+/**
+ * Get the fetcher used for absolute URLs, created on first use so values loaded by dotenv after import are respected.
+ *
+ * - LINK_CHECK_OFFLINE=true: never request external URLs (createOfflineFetcher)
+ * - LINK_CHECK_TIMEOUT_MS: time allowed for each request (default 5000)
+ *
+ * @returns {Function} Fetcher
+ */
+export const getLinkFetcher = () => {
+  if (!fetcher) {
+    const env = process.env;
+    fetcher = env.LINK_CHECK_OFFLINE === 'true'
+      ? createOfflineFetcher()
+      : createHttpFetcher({ timeoutMs: Number(env.LINK_CHECK_TIMEOUT_MS) || 5000 });
+  }
+  return fetcher;
+};
+
+/**
+ * Replace the fetcher used for absolute URLs, e.g. with a stub in tests; pass nothing to restore the default.
+ * @param {Function} [custom] - Async (url) => { status }
+ */
+export const setLinkFetcher = (custom) => {
+  fetcher = custom;
+};
+
+/**
+ * @description Checks absolute URLs with the fetcher, each distinct URL once.
+ * @param {string[]} urls - URLs to check; only the first MAX_EXTERNAL_CHECKS distinct ones are requested.
+ * @param {Function} [linkFetcher] - Defaults to getLinkFetcher().
+ * @returns {Promise<Map>} URL -> { status, checked } for every URL requested
+ */
+const checkUrls = async (urls, linkFetcher = getLinkFetcher()) => {
+  const queue = [...new Set(urls)].filter(isPublicHttpUrl).slice(0, MAX_EXTERNAL_CHECKS);
+  const results = new Map();
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      const { status = null, offline = false } = await linkFetcher(url);
+      results.set(url, { status, checked: !offline });
+    }
+  };
+  await Promise.all(Array.from({ length: EXTERNAL_CHECK_CONCURRENCY }, worker));
+  return results;
+};
+
+/**
+ * @description The edit that repairs a broken reference: point it at the suggested file, or drop it
+ * (an image is removed, a link keeps its text).
+ * @param {object} reference - From collectReferences.
+ * @param {string|null} suggestion - Replacement target, if any.
+ * @returns {object|null} { action: 'replace'|'unlink'|'remove', line, original, replacement }, or null for
+ * HTML links without a replacement (their closing tag is on another part of the line or another line)
+ */
+const buildFix = (reference, suggestion) => {
+  const { markup, target, line } = reference;
+  if (suggestion) {
+    const at = markup.lastIndexOf(target);
+    return {
+      action: 'replace',
+      line,
+      original: markup,
+      replacement: `${markup.slice(0, at)}${suggestion}${markup.slice(at + target.length)}`,
+    };
+  }
+  if (reference.kind === 'image' || reference.syntax === 'reference') {
+    return { action: 'remove', line, original: markup, replacement: '' };
+  }
+  if (reference.syntax === 'markdown') {
+    return { action: 'unlink', line, original: markup, replacement: reference.text };
+  }
+  return null;
+};
+
+/**
+ * @description Applies fixes to a document. Each fix replaces the first occurrence of its `original`
+ * markup on its line; fixes whose markup is no longer there are skipped.
+ * @param {string} content - The Markdown document.
+ * @param {Array<object>} fixes - From checkLinks.
+ * @returns {object} { content, applied } with the number of fixes applied
+ */
+export const applyLinkFixes = (content, fixes) => {
+  const lines = (content || '').split('\n');
+  let applied = 0;
+  fixes.forEach(fix => {
+    const index = fix.line - 1;
+    if (lines[index] !== undefined && lines[index].includes(fix.original)) {
+      lines[index] = lines[index].replace(fix.original, () => fix.replacement);
+      applied += 1;
+    }
+  });
+  return { content: lines.join('\n'), applied };
+};
+
+/**
+ * @description Checks every link and image of a draft: relative ones against the repository's files,
+ * absolute URLs (optionally) with the link fetcher. Same-document anchors are left to the quality check.
+ * @param {object} options
+ * @param {string} options.content - The Markdown document.
+ * @param {string} [options.documentPath='README.md'] - Where the document lives.
+ * @param {string[]} options.filePaths - Every file in the repository.
+ * @param {boolean} [options.checkExternal=false] - Also request absolute URLs.
+ * @param {Function} [options.linkFetcher] - Fetcher for absolute URLs; defaults to getLinkFetcher().
+ * @returns {Promise<object>} { problems: [{ kind, target, text, line, status, reason, suggestion, fix }], summary }
+ * where `status` is 'broken' (the file or page does not exist) or 'unverified' (the server could not confirm it)
+ */
+export const checkLinks = async ({ content, documentPath = 'README.md', filePaths, checkExternal = false, linkFetcher }) => {
+  const references = collectReferences(content, documentPath);
+  const index = indexRepositoryPaths(filePaths);
+  const problems = [];
+  const report = (reference, status, reason, suggestion = null) => problems.push({
+    kind: reference.kind,
+    target: reference.target,
+    text: reference.text,
+    line: reference.line,
+    status,
+    reason,
+    suggestion,
+    fix: status === 'broken' ? buildFix(reference, suggestion) : null,
+  });
+
+  const relative = references.filter(reference => reference.resolved?.path);
+  relative.forEach(reference => {
+    const broken = checkRelativeReference(reference, index, documentPath);
+    if (broken) {
+      report(reference, 'broken', broken.reason, broken.suggestion);
+    }
+  });
+
+  const external = references.filter(reference => reference.resolved?.url);
+  const urlResults = checkExternal ? await checkUrls(external.map(reference => reference.target), linkFetcher) : new Map();
+  external.forEach(reference => {
+    const result = urlResults.get(reference.target);
+    if (!result || !result.checked) return;
+    if (result.status === 404 || result.status === 410) {
+      report(reference, 'broken', `The page returned ${result.status} Not Found.`);
+    } else if (result.status === null) {
+      report(reference, 'unverified', 'The server could not be reached.');
+    } else if (result.status >= 400 && ![401, 403, 429].includes(result.status)) {
+      report(reference, 'unverified', `The page returned ${result.status}.`);
+    }
+  });
+
+  const externalUrls = new Set(external.map(reference => reference.target));
+  const externalChecked = [...urlResults.values()].filter(result => result.checked).length;
+  return {
+    problems: problems.sort((a, b) => a.line - b.line),
+    summary: {
+      links: references.filter(reference => reference.kind === 'link').length,
+      images: references.filter(reference => reference.kind === 'image').length,
+      relativeChecked: relative.length,
+      // Distinct URLs requested, and those that were not (not asked for, over the limit, private or offline)
+      externalChecked,
+      externalSkipped: externalUrls.size - externalChecked,
+      broken: problems.filter(problem => problem.status === 'broken').length,
+      unverified: problems.filter(problem => problem.status === 'unverified').length,
+    },
+  };
+};
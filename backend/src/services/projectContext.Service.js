@@ -0,0 +1,280 @@
+import logger from '../utils/logger.js';
+import { fetchBlobText } from './github.Service.js';
+
+// Total characters of file content that may be fed into a prompt.
+// Read lazily so the value from .env is picked up after dotenv has loaded.
+const getContextBudget = () => parseInt(process.env.PROJECT_CONTEXT_BUDGET, 10) || 24000;
+// Maximum characters taken from any single file
+const MAX_FILE_CHARS = 6000;
+// Files larger than this (in bytes) are never downloaded
+const MAX_FILE_BYTES = 200 * 1024;
+// Only look this many directories deep for key files (covers frontend/ + backend/ monorepos);
+// entry points are matched by their full path instead
+const MAX_DEPTH = 1;
+
+// High-signal files, in priority order. `kind` decides how the content is summarized.
+const KEY_FILES = [
+  { pattern: /^package\.json$/, kind: 'package-json' },
+  { pattern: /^pyproject\.toml$/, kind: 'pyproject' },
+  { pattern: /^go\.mod$/, kind: 'raw' },
+  { pattern: /^Cargo\.toml$/, kind: 'raw' },
+  { pattern: /^requirements\.txt$/, kind: 'raw' },
+  { pattern: /^composer\.json$/, kind: 'raw' },
+  { pattern: /^Gemfile$/, kind: 'raw' },
+  { pattern: /^(pom\.xml|build\.gradle(\.kts)?)$/, kind: 'raw' },
+  { pattern: /^Dockerfile$/, kind: 'raw' },
+  { pattern: /^(docker-)?compose\.ya?ml$/, kind: 'raw' },
+  { pattern: /^Makefile$/, kind: 'makefile' },
+  { pattern: /^\.env\.(example|sample|template)$/, kind: 'env' },
+  { pattern: /^LICEN[CS]E(\.md|\.txt)?$/i, kind: 'license' },
+  { pattern: /^README(\.md|\.markdown|\.rst|\.txt)?$/i, kind: 'readme', rootOnly: true },
+];
+
+// Typical application entry points; only the first few found are included
+const ENTRY_POINTS = [
+  /^(src\/)?(index|main|app|server)\.(js|mjs|ts|jsx|tsx)$/,
+  /^(main|app|manage|wsgi|__main__)\.py$/,
+  /^(cmd\/[^/]+\/)?main\.go$/,
+  /^src\/(main|lib)\.rs$/,
+];
+const MAX_ENTRY_POINTS = 2;
+const MAX_ENTRY_POINT_LINES = 60;
+
+const LICENSE_PATTERNS = [
+  { name: 'MIT', pattern: /MIT License|Permission is hereby granted, free of charge/i },
+  { name: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+  { name: 'GPL-3.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { name: 'GPL-2.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+  { name: 'LGPL-3.0', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { name: 'AGPL-3.0', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+  { name: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(Version|v\.)\s*2\.0/i },
+  { name: 'BSD-3-Clause', pattern: /Redistributions of source code.*?Neither the name/is },
+  { name: 'BSD-2-Clause', pattern: /Redistributions of source code must retain/i },
+  { name: 'ISC', pattern: /ISC License|Permission to use, copy, modify, and\/or distribute/i },
+  { name: 'Unlicense', pattern: /This is free and unencumbered software/i },
+];
+
+const NONE_FOUND = 'None found.';
+
+const depthOf = (path) => path.split('/').length - 1;
+const baseName = (path) => path.split('/').pop();
+
+const truncate = (text, maxChars) => {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}\n... (truncated)`;
+};
+
+/**
+ * Select the high-signal files from a git tree, in priority order
+ * @param {Array<Object>} treeNodes - Nodes from the GitHub git/trees API
+ * @returns {Array<Object>} Selected nodes with an added `kind`
+ */
+export const selectKeyFiles = (treeNodes) => {
+  const blobs = treeNodes.filter(node => node.type === 'blob' && (node.size ?? 0) <= MAX_FILE_BYTES);
+
+  const selected = [];
+  for (const keyFile of KEY_FILES) {
+    blobs
+      .filter(node => depthOf(node.path) <= MAX_DEPTH)
+      .filter(node => keyFile.pattern.test(baseName(node.path)) && (!keyFile.rootOnly || depthOf(node.path) === 0))
+      // Root files first, then nested ones alphabetically
+      .sort((a, b) => depthOf(a.path) - depthOf(b.path) || a.path.localeCompare(b.path))
+      .forEach(node => selected.push({ ...node, kind: keyFile.kind }));
+  }
+
+  const entryPoints = blobs
+    .filter(node => ENTRY_POINTS.some(pattern => pattern.test(node.path)))
+    .slice(0, MAX_ENTRY_POINTS)
+    .map(node => ({ ...node, kind: 'entry-point' }));
+
+  return [...selected, ...entryPoints];
+};
+
+/**
+ * Detect the package manager used by a JavaScript project from its lockfiles
+ * @param {Array<string>} filePaths - All file paths in the repository
+ * @returns {string} 'pnpm', 'yarn', 'bun' or 'npm'
+ */
+export const detectPackageManager = (filePaths) => {
+  const names = new Set(filePaths.map(baseName));
+  if (names.has('pnpm-lock.yaml')) return 'pnpm';
+  if (names.has('yarn.lock')) return 'yarn';
+  if (names.has('bun.lockb') || names.has('bun.lock')) return 'bun';
+  return 'npm';
+};
+
+/**
+ * Detect the SPDX identifier of a license from its text
+ * @param {string} text - Contents of a LICENSE file
+ * @returns {string|null} SPDX identifier, or null when unrecognized
+ */
+export const detectLicense = (text) => {
+  const match = LICENSE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.name : null;
+};
+
+const summarizePackageJson = (path, text, packageManager) => {
+  let pkg;
+  try {
+    pkg = JSON.parse(text);
+  } catch {
+    return { manifest: truncate(text, MAX_FILE_CHARS), scripts: [] };
+  }
+
+  const lines = [];
+  if (pkg.name) lines.push(`name: ${pkg.name}`);
+  if (pkg.version) lines.push(`version: ${pkg.version}`);
+  if (pkg.description) lines.push(`description: ${pkg.description}`);
+  if (pkg.type) lines.push(`module type: ${pkg.type}`);
+  if (pkg.engines) lines.push(`engines: ${JSON.stringify(pkg.engines)}`);
+  if (pkg.bin) lines.push(`bin: ${JSON.stringify(pkg.bin)}`);
+  if (pkg.workspaces) lines.push(`workspaces: ${JSON.stringify(pkg.workspaces)}`);
+  if (pkg.dependencies) lines.push(`dependencies: ${Object.keys(pkg.dependencies).join(', ')}`);
+  if (pkg.devDependencies) lines.push(`devDependencies: ${Object.keys(pkg.devDependencies).join(', ')}`);
+
+  const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+  const runPrefix = packageManager === 'npm' ? 'npm run' : packageManager;
+  const scripts = Object.entries(pkg.scripts || {}).map(([name, command]) =>
+    `${dir ? `(in ${dir}/) ` : ''}${runPrefix} ${name}: ${command}`
+  );
+
+  return { manifest: lines.join('\n'), scripts };
+};
+
+const extractPyprojectScripts = (text) => {
+  const scripts = [];
+  let inScripts = false;
+  for (const line of text.split('\n')) {
+    const section = line.match(/^\s*\[(.+)\]\s*$/);
+    if (section) {
+      inScripts = ['project.scripts', 'tool.poetry.scripts'].includes(section[1].trim());
+      continue;
+    }
+    const entry = inScripts && line.match(/^\s*([\w.-]+)\s*=\s*["'](.+)["']/);
+    if (entry) scripts.push(`${entry[1]}: ${entry[2]}`);
+  }
+  return scripts;
+};
+
+const extractMakeTargets = (path, text) =>
+  [...text.matchAll(/^([A-Za-z0-9][\w.-]*)\s*:(?!=)/gm)]
+    .map(match => match[1])
+    .filter((target, index, all) => all.indexOf(target) === index)
+    .map(target => `make ${target}${path.includes('/') ? ` (in ${path.slice(0, path.lastIndexOf('/'))}/)` : ''}`);
+
+const extractEnvVars = (text) =>
+  text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.replace(/^export\s+/, '').split('=')[0].trim())
+    .filter(name => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+
+/**
+ * Fetch and summarize the high-signal files of a repository within a size budget.
+ * Individual files that cannot be fetched are skipped rather than failing the analysis.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {Array<Object>} options.treeNodes - Nodes from the GitHub git/trees API
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<Object>} { manifests, scripts, envVars, existingReadme, license, files }
+ */
+export const collectProjectContext = async ({ repoFullName, treeNodes, headers }) => {
+  const filePaths = treeNodes.filter(node => node.type === 'blob').map(node => node.path);
+  const packageManager = detectPackageManager(filePaths);
+  const keyFiles = selectKeyFiles(treeNodes);
+
+  const contents = await Promise.all(keyFiles.map(async (node) => {
+    try {
+      return await fetchBlobText({ repoFullName, sha: node.sha, headers });
+    } catch (error) {
+      logger.warn(`Skipping ${node.path} in ${repoFullName}: ${error.message}`);
+      return null;
+    }
+  }));
+
+  const manifests = [];
+  const scripts = [];
+  const envVars = [];
+  const files = [];
+  let existingReadme = '';
+  let license = null;
+  let budget = getContextBudget();
+
+  keyFiles.forEach((node, index) => {
+    const text = contents[index];
+    if (text === null || budget <= 0) return;
+
+    let section = null;
+    switch (node.kind) {
+      case 'package-json': {
+        const summary = summarizePackageJson(node.path, text, packageManager);
+        section = summary.manifest;
+        scripts.push(...summary.scripts);
+        break;
+      }
+      case 'pyproject':
+        section = truncate(text, MAX_FILE_CHARS);
+        scripts.push(...extractPyprojectScripts(text));
+        break;
+      case 'makefile':
+        section = truncate(text, MAX_FILE_CHARS);
+        scripts.push(...extractMakeTargets(node.path, text));
+        break;
+      case 'env':
+        envVars.push(...extractEnvVars(text).map(name => `${name} (from ${node.path})`));
+        break;
+      case 'license':
+        license = license || detectLicense(text);
+        section = license ? `License: ${license}` : truncate(text, 500);
+        break;
+      case 'readme':
+        existingReadme = truncate(text, Math.min(MAX_FILE_CHARS, budget));
+        budget -= existingReadme.length;
+        break;
+      case 'entry-point':
+        section = truncate(text.split('\n').slice(0, MAX_ENTRY_POINT_LINES).join('\n'), MAX_FILE_CHARS);
+        break;
+      default:
+        section = truncate(text, MAX_FILE_CHARS);
+    }
+
+    files.push(node.path);
+    if (section) {
+      const block = `--- ${node.path} ---\n${truncate(section, budget)}`;
+      budget -= block.length;
+      manifests.push(block);
+    }
+  });
+
+  return {
+    manifests: manifests.join('\n\n') || NONE_FOUND,
+    scripts: scripts.join('\n') || NONE_FOUND,
+    envVars: [...new Set(envVars)].join('\n') || NONE_FOUND,
+    existingReadme: existingReadme || NONE_FOUND,
+    license,
+    packageManager,
+    files,
+  };
+};
+
+/**
+ * Fetch the current content of the document being generated, for the {existingDocument} placeholder.
+ * A file that does not exist or cannot be fetched yields the usual "None found." text.
+ * @param {Object} options
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {Object} options.file - { path, sha } of the document; `sha` is null when it does not exist yet
+ * @param {Object} options.headers - GitHub authorization headers
+ * @returns {Promise<string>} The (truncated) content
+ */
+export const fetchExistingDocument = async ({ repoFullName, file, headers }) => {
+  if (!file.sha) {
+    return NONE_FOUND;
+  }
+  try {
+    const text = await fetchBlobText({ repoFullName, sha: file.sha, headers });
+    return truncate(text, Math.floor(getContextBudget() / 2)) || NONE_FOUND;
+  } catch (error) {
+    logger.warn(`Skipping ${file.path} in ${repoFullName}: ${error.message}`);
+    return NONE_FOUND;
+  }
+};
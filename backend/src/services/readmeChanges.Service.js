@@ -0,0 +1,66 @@
+import { MAX_DIFF_LINES, diffLines, countChanges } from '../utils/diff.js';
+import { parseSections } from '../utils/markdown.js';
+
+const MAX_LISTED_SECTIONS = 10;
+
+const formatSectionList = (label, titles) => {
+  if (titles.length === 0) return null;
+  const listed = titles.slice(0, MAX_LISTED_SECTIONS).map(title => `\`${title}\``).join(', ');
+  const more = titles.length > MAX_LISTED_SECTIONS ? ` and ${titles.length - MAX_LISTED_SECTIONS} more` : '';
+  return `- ${label}: ${listed}${more}`;
+};
+
+/**
+ * Compare the headed sections of two versions of a README
+ * @param {string|null} oldContent - The current README, or null if there is none
+ * @param {string} newContent - The new README
+ * @returns {Object} { added, removed, updated } arrays of section titles
+ */
+export const compareSections = (oldContent, newContent) => {
+  const toMap = (content) => new Map(
+    parseSections(content || '')
+      .filter(section => section.title !== null)
+      .map(section => [section.title, section.content.trim()])
+  );
+  const oldSections = toMap(oldContent);
+  const newSections = toMap(newContent);
+
+  return {
+    added: [...newSections.keys()].filter(title => !oldSections.has(title)),
+    removed: [...oldSections.keys()].filter(title => !newSections.has(title)),
+    updated: [...newSections.keys()].filter(title => oldSections.has(title) && oldSections.get(title) !== newSections.get(title)),
+  };
+};
+
+/**
+ * Summarize what changed between two versions of a README, as Markdown suitable for a pull request body
+ * @param {string|null} oldContent - The current README, or null if there is none
+ * @param {string} newContent - The new README
+ * @returns {string} Markdown summary
+ */
+export const summarizeReadmeChanges = (oldContent, newContent) => {
+  if (oldContent === null || oldContent === undefined) {
+    const lineCount = newContent.split('\n').length;
+    return `Adds a new \`README.md\` (${lineCount} ${lineCount === 1 ? 'line' : 'lines'}).`;
+  }
+
+  // Too large to diff: the pull request is not held up for its summary
+  const lineCount = oldContent.split('\n').length + newContent.split('\n').length;
+  if (lineCount > MAX_DIFF_LINES) {
+    return 'Rewrites `README.md` (too large to summarize the changes).';
+  }
+
+  const { additions, deletions } = countChanges(diffLines(oldContent, newContent));
+  if (additions === 0 && deletions === 0) {
+    return 'No changes to `README.md`.';
+  }
+
+  const { added, removed, updated } = compareSections(oldContent, newContent);
+  return [
+    `Updates \`README.md\` (+${additions} / -${deletions} lines).`,
+    '',
+    formatSectionList('New sections', added),
+    formatSectionList('Updated sections', updated),
+    formatSectionList('Removed sections', removed),
+  ].filter(line => line !== null).join('\n').trim();
+};
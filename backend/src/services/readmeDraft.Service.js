@@ -0,0 +1,228 @@
+import { Readme, README_PATH } from '../models/Readme.model.js';
+import { ReadmeRevision, REVISION_SOURCES } from '../models/ReadmeRevision.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// Refinement instructions kept per draft
+const MAX_REFINEMENTS = 50;
+
+/**
+ * Save content as the current draft of a repository's document and append it to the draft's history
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document (see resolveDocument)
+ * @param {string} [options.documentType='readme'] - One of DOCUMENT_TYPE_IDS
+ * @param {string} options.content - Document content
+ * @param {string} [options.source='manual'] - One of REVISION_SOURCES
+ * @param {string} [options.templateId] - Template used to generate the content
+ * @param {string} [options.provider] - AI provider used to generate the content
+ * @param {string} [options.model] - AI model used to generate the content
+ * @param {string} [options.baseReadmeSha] - Blob SHA of the document on GitHub the content was based on
+ * @param {number} [options.restoredFrom] - Number of the revision this one restores
+ * @param {Object} [options.generationContext] - Repository summary the content was generated from; kept for refinement
+ * @returns {Promise<Object>} { readme, revision }
+ */
+export const appendRevision = async ({
+  owner,
+  repoFullName,
+  path = README_PATH,
+  documentType = 'readme',
+  content,
+  source = 'manual',
+  templateId = null,
+  provider = null,
+  model = null,
+  baseReadmeSha = null,
+  restoredFrom = null,
+  generationContext,
+}) => {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new ApiError(400, `Source must be one of: ${REVISION_SOURCES.join(', ')}.`);
+  }
+
+  const changes = { content, documentType, status: 'draft' };
+  if (generationContext) {
+    changes.generationContext = generationContext;
+  }
+
+  // Incrementing the counter atomically gives every revision a unique, sequential number
+  const saveDraft = () => Readme.findOneAndUpdate(
+    { repoFullName, owner, path },
+    { $set: changes, $inc: { latestRevision: 1 } },
+    { new: true, upsert: true, projection: { generationContext: 0 } }
+  );
+  let readme;
+  try {
+    readme = await saveDraft();
+  } catch (error) {
+    // Two first saves of the same draft can both try to insert it; the one that loses updates the other's
+    if (error?.code !== 11000) {
+      throw error;
+    }
+    readme = await saveDraft();
+  }
+
+  const revision = await ReadmeRevision.create({
+    readme: readme._id,
+    owner,
+    repoFullName,
+    number: readme.latestRevision,
+    content,
+    source,
+    templateId,
+    provider,
+    model,
+    baseReadmeSha,
+    restoredFrom,
+  });
+
+  return { readme, revision };
+};
+
+/**
+ * Record an instruction the draft was refined with. Only the most recent ones are kept.
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document
+ * @param {string} options.instruction - The user's instruction
+ * @param {number} options.revision - Number of the revision the refinement produced
+ * @param {string} [options.provider] - AI provider that produced it
+ * @param {string} [options.model] - AI model that produced it
+ * @returns {Promise<Object>} The recorded refinement
+ */
+export const recordRefinement = async ({ owner, repoFullName, path = README_PATH, instruction, revision, provider, model }) => {
+  const readme = await Readme.findOneAndUpdate(
+    { repoFullName, owner, path },
+    { $push: { refinements: { $each: [{ instruction, revision, provider, model }], $slice: -MAX_REFINEMENTS } } },
+    { new: true, projection: { refinements: { $slice: -1 } } }
+  );
+  return readme?.refinements[0] ?? null;
+};
+
+/**
+ * Find the refinement history of a user's draft along with the repository summary it was generated from
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document
+ * @returns {Promise<Object>} { refinements, generationContext }; empty when there is no draft
+ */
+export const getRefinementState = async ({ owner, repoFullName, path = README_PATH }) => {
+  const readme = await Readme.findOne({ repoFullName, owner, path }).select('refinements generationContext').lean();
+  return {
+    refinements: readme?.refinements ?? [],
+    generationContext: readme?.generationContext ?? null,
+  };
+};
+
+/**
+ * Find a single revision of a user's draft
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document
+ * @param {number|string} options.number - Revision number
+ * @returns {Promise<Object>} ReadmeRevision document
+ */
+export const findRevision = async ({ owner, repoFullName, path = README_PATH, number }) => {
+  const revisionNumber = Number(number);
+  if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+    throw new ApiError(400, "Revision number must be a positive integer.");
+  }
+
+  const readme = await Readme.findOne({ repoFullName, owner, path }).select('_id');
+  const revision = readme && await ReadmeRevision.findOne({ readme: readme._id, number: revisionNumber });
+  if (!revision) {
+    throw new ApiError(404, `Revision ${revisionNumber} of ${path} not found for this repository.`);
+  }
+  return revision;
+};
+
+/**
+ * Delete a user's draft together with its whole history
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document
+ * @returns {Promise<boolean>} Whether a draft existed
+ */
+export const deleteDraft = async ({ owner, repoFullName, path = README_PATH }) => {
+  const readme = await Readme.findOneAndDelete({ repoFullName, owner, path });
+  if (!readme) {
+    return false;
+  }
+  await ReadmeRevision.deleteMany({ readme: readme._id });
+  return true;
+};
+
+/**
+ * Mark a draft as committed after its content was saved to GitHub.
+ * Nothing changes if the draft was edited since (its content no longer matches).
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the draft
+ * @param {string} options.repoFullName - Full name of the repository
+ * @param {string} [options.path='README.md'] - Path of the document
+ * @param {string} options.content - The content that was committed
+ * @param {string} options.commitSha - SHA of the commit that saved it
+ * @returns {Promise<boolean>} Whether a matching draft was marked
+ */
+export const markDraftCommitted = async ({ owner, repoFullName, path = README_PATH, content, commitSha }) => {
+  const result = await Readme.updateOne(
+    { owner, repoFullName, path, content },
+    { $set: { status: 'committed', committedSha: commitSha, committedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * List a user's drafts with the metadata of their latest revision
+ * @param {Object} options
+ * @param {string} options.owner - ID of the user who owns the drafts
+ * @param {Array<string>} [options.repoFullNames] - Only these repositories
+ * @param {string} [options.status] - 'draft' or 'committed'
+ * @param {string} [options.documentType] - Only drafts of this document type
+ * @returns {Promise<Array<Object>>} Drafts, most recently updated first
+ */
+export const listDrafts = async ({ owner, repoFullNames, status, documentType }) => {
+  const filter = { owner };
+  if (documentType) {
+    filter.documentType = documentType;
+  }
+  if (repoFullNames?.length) {
+    filter.repoFullName = { $in: repoFullNames };
+  }
+  if (status) {
+    // Drafts saved before statuses were tracked have none and count as drafts
+    filter.status = status === 'draft' ? { $ne: 'committed' } : status;
+  }
+
+  const drafts = await Readme.find(filter).select('-generationContext -refinements').sort({ updatedAt: -1 }).lean();
+  if (drafts.length === 0) {
+    return [];
+  }
+
+  const latest = await ReadmeRevision.find({
+    $or: drafts.map(draft => ({ readme: draft._id, number: draft.latestRevision })),
+  }).select('readme source templateId provider model baseReadmeSha').lean();
+  const latestByReadme = new Map(latest.map(revision => [String(revision.readme), revision]));
+
+  return drafts.map(draft => {
+    const revision = latestByReadme.get(String(draft._id));
+    return {
+      repoFullName: draft.repoFullName,
+      path: draft.path,
+      documentType: draft.documentType,
+      content: draft.content,
+      status: draft.status,
+      latestRevision: draft.latestRevision,
+      updatedAt: draft.updatedAt,
+      committedSha: draft.committedSha,
+      source: revision?.source ?? null,
+      templateId: revision?.templateId ?? null,
+      provider: revision?.provider ?? null,
+      model: revision?.model ?? null,
+      baseReadmeSha: revision?.baseReadmeSha ?? null,
+    };
+  });
+};
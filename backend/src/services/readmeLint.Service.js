@@ -0,0 +1,263 @@
+import { collectReferences, indexRepositoryPaths, checkRelativeReference } from './linkCheck.Service.js';
+
+// Documents shorter than this read as a stub; longer ones are hard to scan
+export const MIN_WORDS = 150;
+export const MAX_WORDS = 5000;
+
+// Every rule with its severity and how many points each finding costs. A rule never costs more
+// than `maxPenalty`, so one noisy rule (e.g. twenty badges without alt text) cannot sink the score alone.
+export const LINT_RULES = {
+  'empty-document': { severity: 'error', penalty: 100, maxPenalty: 100, description: 'The document has no content.' },
+  'required-section': { severity: 'error', penalty: 12, maxPenalty: 36, description: 'A section the template asks for is missing.' },
+  'broken-link': { severity: 'error', penalty: 8, maxPenalty: 24, description: 'A relative link or image points to a file that is not in the repository.' },
+  'placeholder-text': { severity: 'error', penalty: 6, maxPenalty: 24, description: 'Template placeholder text was left in.' },
+  'broken-anchor': { severity: 'warning', penalty: 4, maxPenalty: 12, description: 'A link points to a heading that does not exist.' },
+  'heading-hierarchy': { severity: 'warning', penalty: 4, maxPenalty: 12, description: 'Headings skip a level, or the title is not a single level 1 heading.' },
+  'empty-code-block': { severity: 'warning', penalty: 4, maxPenalty: 12, description: 'A fenced code block is empty.' },
+  'missing-alt-text': { severity: 'warning', penalty: 3, maxPenalty: 12, description: 'An image has no alternative text.' },
+  'length': { severity: 'warning', penalty: 15, maxPenalty: 15, description: `The document is shorter than ${MIN_WORDS} or longer than ${MAX_WORDS} words.` },
+  'code-block-language': { severity: 'info', penalty: 1, maxPenalty: 5, description: 'A fenced code block does not name its language.' },
+};
+
+// Other headings that satisfy a required section, keyed by the normalized section name
+const SECTION_ALIASES = {
+  'installation': ['install', 'getting started', 'setup', 'quick start', 'quickstart'],
+  'installation and setup': ['installation', 'install', 'getting started', 'setup', 'quick start'],
+  'getting started': ['installation', 'install', 'setup', 'quick start', 'quickstart'],
+  'usage': ['example', 'how to use', 'quick start', 'getting started'],
+  'features': ['feature', 'highlights', 'what it does'],
+  'overview': ['about', 'introduction', 'description', 'what is'],
+  'tech stack': ['built with', 'technologies', 'stack'],
+  'technology stack': ['tech stack', 'built with', 'technologies', 'stack'],
+  'quick start': ['quickstart', 'getting started', 'installation', 'install'],
+  'environment variables': ['configuration', 'environment', 'env'],
+  'available scripts': ['scripts', 'commands', 'development'],
+  'api reference': ['api', 'endpoints', 'reference'],
+  'contributing': ['contribute', 'contribution'],
+  'license': ['licence', 'licensing'],
+  'development setup': ['development', 'local setup', 'getting started'],
+  'pull requests': ['pull request', 'submitting changes'],
+  'our pledge': ['pledge'],
+  'our standards': ['standards'],
+  'reporting a vulnerability': ['report a vulnerability', 'reporting', 'vulnerability'],
+};
+
+// Text generators and template authors leave behind. Matched outside code blocks and inline code.
+const PLACEHOLDER_PATTERNS = [
+  /\byour[-_ ]?(?:github[-_ ]?)?(?:user[-_ ]?name|org(?:anization)?|repo(?:sitory)?(?:[-_ ]?name)?|project(?:[-_ ]?name)?|email|api[-_ ]?key|domain)\b/i,
+  /\b(?:user[-_ ]?name|owner)\/(?:repo(?:sitory)?|project)(?:[-_]name)?\b/i,
+  /\blorem ipsum\b/i,
+  /\[(?:insert|add your|your)\b[^\]]*\](?!\()/i,
+  /\b(?:via\.placeholder\.com|placehold\.co|placehold\.it|placekitten\.com)\b/i,
+  /\b(?:TODO|TBD|FIXME)\b/,
+];
+
+const FENCE = /^\s*(```|~~~)\s*([^\s`]*)/;
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const HTML_HEADING = /<h([1-6])\b[^>]*>(.*?)<\/h\1>/i;
+/**
+ * @description Lowercases a heading and drops emoji and punctuation, for comparing section names.
+ * @param {string} title - e.g. '🚀 Getting Started!'
+ * @returns {string} e.g. 'getting started'
+ */
+const normalizeTitle = (title) => title
+  .toLowerCase()
+  .replace(/<[^>]+>/g, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * @description The anchor GitHub gives a heading: lowercase, punctuation removed, spaces as hyphens.
+ * @param {string} title - The heading text.
+ * @returns {string} e.g. 'getting-started' for 'Getting Started'
+ */
+const toAnchor = (title) => title
+  .toLowerCase()
+  .replace(/<[^>]+>/g, '')
+  .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+  .trim()
+  .replace(/\s/g, '-');
+
+/**
+ * @description Splits a document into lines, marking the ones inside fenced code blocks, and lists the blocks.
+ * @param {string[]} lines - The document's lines.
+ * @returns {object} { inCode: boolean per line, blocks: [{ line, language, empty }] } with 1-based lines
+ */
+const scanCodeBlocks = (lines) => {
+  const inCode = new Array(lines.length).fill(false);
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, index) => {
+    const fence = line.match(FENCE);
+    if (open) {
+      inCode[index] = true;
+      if (fence && fence[1] === open.marker && !fence[2]) {
+        blocks.push({ line: open.index + 1, language: open.language, empty: !lines.slice(open.index + 1, index).some(text => text.trim()) });
+        open = null;
+      }
+      return;
+    }
+    if (fence) {
+      inCode[index] = true;
+      open = { marker: fence[1], language: fence[2], index };
+    }
+  });
+  // An unclosed block runs to the end of the document
+  if (open) {
+    blocks.push({ line: open.index + 1, language: open.language, empty: !lines.slice(open.index + 1).some(text => text.trim()) });
+  }
+  return { inCode, blocks };
+};
+
+/**
+ * @description Turns the number of findings of each rule into a score out of 100 and a letter grade.
+ * @param {Array<object>} issues - The findings ({ rule }).
+ * @returns {object} { score, grade }
+ */
+const scoreIssues = (issues) => {
+  const counts = issues.reduce((acc, issue) => ({ ...acc, [issue.rule]: (acc[issue.rule] || 0) + 1 }), {});
+  const penalty = Object.entries(counts).reduce((total, [rule, count]) => {
+    const { penalty: each, maxPenalty } = LINT_RULES[rule];
+    return total + Math.min(maxPenalty, each * count);
+  }, 0);
+  const score = Math.max(0, 100 - penalty);
+  const grade = score >= 90 ? 'A' : score >= 75 ? 'B' : score >= 60 ? 'C' : score >= 40 ? 'D' : 'F';
+  return { score, grade };
+};
+
+/**
+ * @description Checks a README (or another Markdown document) for common problems and scores it.
+ * Rules: required sections of the template, broken relative links and anchors, images without alt text,
+ * heading hierarchy, empty code blocks, leftover placeholder text and overall length (see LINT_RULES).
+ * @param {object} options
+ * @param {string} options.content - The Markdown document.
+ * @param {string} [options.documentPath='README.md'] - Where the document lives, for resolving relative links.
+ * @param {string[]} [options.requiredSections=[]] - Section names the template asks for, e.g. ['Installation', 'Usage'].
+ * @param {string[]|null} [options.filePaths=null] - Every file in the repository; relative links are only
+ * checked when it is given.
+ * @returns {object} { score, grade, issues: [{ rule, severity, message, line }], summary, stats, linksChecked }
+ */
+export const lintDocument = ({ content, documentPath = 'README.md', requiredSections = [], filePaths = null }) => {
+  const text = (content || '').replace(/\r\n/g, '\n');
+  const lines = text.split('\n');
+  const issues = [];
+  const report = (rule, message, line = null) => issues.push({ rule, severity: LINT_RULES[rule].severity, message, line });
+
+  const { inCode, blocks } = scanCodeBlocks(lines);
+  const proseLines = lines.map((line, index) => (inCode[index] ? '' : line.replace(/`[^`\n]*`/g, '')));
+  const words = proseLines.join(' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+
+  if (!text.trim()) {
+    report('empty-document', `${documentPath} is empty.`);
+  }
+
+  // Headings, Markdown or HTML (centered titles are often written as <h1 align="center">)
+  const headings = [];
+  proseLines.forEach((line, index) => {
+    const heading = line.match(HEADING) || line.match(HTML_HEADING);
+    if (heading) {
+      const level = heading[1].startsWith('#') ? heading[1].length : Number(heading[1]);
+      headings.push({ level, title: heading[2].replace(/<[^>]+>/g, '').trim(), line: index + 1 });
+    }
+  });
+
+  // Required sections
+  const titles = headings.map(heading => normalizeTitle(heading.title));
+  requiredSections.forEach(section => {
+    const name = normalizeTitle(section);
+    const accepted = [name, ...(SECTION_ALIASES[name] || [])];
+    if (!titles.some(title => accepted.some(alias => title.includes(alias)))) {
+      report('required-section', `Missing a "${section}" section.`);
+    }
+  });
+
+  // Heading hierarchy
+  if (headings.length > 0 && headings[0].level !== 1) {
+    report('heading-hierarchy', `The first heading "${headings[0].title}" should be a level 1 title.`, headings[0].line);
+  }
+  headings.forEach((heading, index) => {
+    if (index === 0) return;
+    if (heading.level === 1) {
+      report('heading-hierarchy', `"${heading.title}" is a second level 1 heading; use ## for sections.`, heading.line);
+    } else if (heading.level > headings[index - 1].level + 1) {
+      report('heading-hierarchy', `"${heading.title}" skips from level ${headings[index - 1].level} to level ${heading.level}.`, heading.line);
+    }
+  });
+
+  // Code blocks
+  blocks.forEach(block => {
+    if (block.empty) {
+      report('empty-code-block', 'Empty code block.', block.line);
+    } else if (!block.language) {
+      report('code-block-language', 'Code block without a language, e.g. ```bash.', block.line);
+    }
+  });
+
+  // Heading anchors; repeated headings get -1, -2, ... appended, as on GitHub
+  const anchors = new Set();
+  const seen = {};
+  headings.forEach(heading => {
+    const anchor = toAnchor(heading.title);
+    anchors.add(seen[anchor] ? `${anchor}-${seen[anchor]}` : anchor);
+    seen[anchor] = (seen[anchor] || 0) + 1;
+  });
+  // Explicit anchors such as <a name="install"></a> or <div id="top">
+  for (const match of text.matchAll(/<[a-z][^>]*\b(?:name|id)\s*=\s*["']([^"']+)["']/gi)) {
+    anchors.add(match[1].toLowerCase());
+  }
+
+  // Links and images; relative ones against the repository (linkCheck.Service.js also checks absolute URLs)
+  const index = filePaths ? indexRepositoryPaths(filePaths) : null;
+  collectReferences(text, documentPath).forEach(reference => {
+    const { resolved, line } = reference;
+    const label = reference.kind === 'image' ? 'Image' : 'Link';
+    if (resolved?.anchor && !anchors.has(resolved.anchor.toLowerCase())) {
+      report('broken-anchor', `No heading matches the anchor "#${resolved.anchor}".`, line);
+    }
+    if (resolved?.path && index) {
+      const broken = checkRelativeReference(reference, index, documentPath);
+      if (broken) {
+        const hint = broken.suggestion ? ` Did you mean ${broken.suggestion}?` : '';
+        report('broken-link', `${label} "${reference.target}": ${broken.reason}${hint}`, line);
+      }
+    }
+    if (reference.kind === 'image' && !reference.text) {
+      report('missing-alt-text', `Image "${reference.target}" has no alt text.`, line);
+    }
+  });
+
+  // Placeholders
+  proseLines.forEach((line, lineIndex) => {
+    const placeholder = PLACEHOLDER_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+    if (placeholder) {
+      report('placeholder-text', `Placeholder text "${placeholder[0]}" was left in.`, lineIndex + 1);
+    }
+  });
+
+  // Length
+  if (text.trim() && words < MIN_WORDS) {
+    report('length', `Only ${words} words; a useful README usually has at least ${MIN_WORDS}.`);
+  } else if (words > MAX_WORDS) {
+    report('length', `${words} words; consider moving details into docs/ pages (over ${MAX_WORDS}).`);
+  }
+
+  const issuesInOrder = issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  return {
+    ...scoreIssues(issuesInOrder),
+    issues: issuesInOrder,
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      info: issues.filter(issue => issue.severity === 'info').length,
+    },
+    stats: {
+      words,
+      lines: lines.length,
+      headings: headings.length,
+      codeBlocks: blocks.length,
+    },
+    linksChecked: Boolean(filePaths),
+  };
+};
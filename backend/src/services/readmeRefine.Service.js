@@ -0,0 +1,70 @@
+import { BADGES_START, BADGES_END } from './badge.Service.js';
+
+// Conversational refinement of a generated README: the user gives an instruction such as
+// "add a troubleshooting section" and the whole draft is revised accordingly.
+
+// Stored file lists are capped so very large repositories do not bloat the draft
+const MAX_STORED_PATHS = 2000;
+// Earlier instructions repeated in the prompt, most recent last
+const MAX_PROMPT_HISTORY = 10;
+
+/**
+ * Summarize what a README was generated from, to be stored with the draft and reused when refining it
+ * @param {Object} options
+ * @param {Object} options.commit - Result of resolveCommit ({ ref, sha })
+ * @param {Array<string>} options.filePaths - Paths of the files in the repository
+ * @param {Object} options.projectContext - Result of collectProjectContext
+ * @returns {Object} { ref, commitSha, filePaths, manifests, scripts, envVars, license }
+ */
+export const toGenerationContext = ({ commit, filePaths, projectContext }) => ({
+  ref: commit.ref,
+  commitSha: commit.sha,
+  filePaths: filePaths.length > MAX_STORED_PATHS
+    ? `${filePaths.slice(0, MAX_STORED_PATHS).join('\n')}\n... and ${filePaths.length - MAX_STORED_PATHS} more files`
+    : filePaths.join('\n'),
+  manifests: projectContext.manifests,
+  scripts: projectContext.scripts,
+  envVars: projectContext.envVars,
+  license: projectContext.license,
+});
+
+/**
+ * Build the prompt that revises a whole README following one instruction
+ * @param {Object} options
+ * @param {string} options.readme - The current draft, including any manual edits
+ * @param {string} options.instruction - The user's new instruction
+ * @param {Array<string>} [options.previousInstructions] - Instructions the draft was already refined with, oldest first
+ * @param {Object} options.context - Result of toGenerationContext
+ * @param {string} [options.documentPath='README.md'] - The file being refined, e.g. CONTRIBUTING.md
+ * @returns {string} The prompt
+ */
+export const buildRefinePrompt = ({ readme, instruction, previousInstructions = [], context, documentPath = 'README.md' }) => {
+  const parts = [
+    `Revise the ${documentPath} below following the user's instruction.`,
+    'Change only what the instruction asks for (and what it implies elsewhere, e.g. renamed commands); keep every other part, including wording, order and formatting, as it is.',
+    `Current ${documentPath}:\n<readme>\n${readme}\n</readme>`,
+    `For reference, here is the list of file paths in the project:\n${context.filePaths}`,
+    `Key project files (manifests, build and configuration files, entry points):\n${context.manifests}`,
+    `Available scripts and commands:\n${context.scripts}`,
+    `Environment variables the project expects:\n${context.envVars}`,
+    `Detected license: ${context.license || 'Not detected'}`,
+    'When the instruction corrects a fact about the project, trust the instruction over the files above.',
+  ];
+
+  if (readme.includes(BADGES_START)) {
+    parts.push(`Keep the badge block between the ${BADGES_START} and ${BADGES_END} markers unchanged, markers included; the editor manages it.`);
+  }
+
+  const history = previousInstructions.slice(-MAX_PROMPT_HISTORY);
+  if (history.length > 0) {
+    parts.push(
+      `Earlier instructions, already applied to ${documentPath}; do not undo them:\n${history.map(item => `- ${item}`).join('\n')}`
+    );
+  }
+
+  parts.push(
+    `The user's instruction: ${instruction}`,
+    `Provide only the raw Markdown content of the complete revised ${documentPath} file.`
+  );
+  return parts.join('\n\n');
+};
@@ -0,0 +1,148 @@
+import { ApiError } from '../utils/ApiError.js';
+import { parseSections } from '../utils/markdown.js';
+
+export const SECTION_MODES = ['regenerate', 'rewrite'];
+
+// Keeps the prompt bounded for very long READMEs; the section itself is always sent in full
+const MAX_OUTLINE_SECTIONS = 60;
+const MAX_INSTRUCTION_LENGTH = 500;
+
+/**
+ * Find the section of a README the user asked to change.
+ * The title is checked as well so an index computed from a stale copy of the README is rejected.
+ * @param {string} readme - The full README as currently edited
+ * @param {number} sectionIndex - Index into parseSections(readme)
+ * @param {string|null} [sectionTitle] - Expected title of the section (null for the preamble)
+ * @returns {Object} The section ({ title, level, startLine, endLine, content }) and all sections
+ * @throws {ApiError} 400 for an invalid index, 409 when the title does not match
+ */
+export const findSection = (readme, sectionIndex, sectionTitle) => {
+  const sections = parseSections(readme);
+  const section = Number.isInteger(sectionIndex) ? sections[sectionIndex] : undefined;
+  if (!section) {
+    throw new ApiError(400, `The README has no section ${sectionIndex}.`);
+  }
+  if (sectionTitle !== undefined && section.title !== sectionTitle) {
+    throw new ApiError(409, "The README changed since the section was selected. Select it again.");
+  }
+  return { section, sections };
+};
+
+/**
+ * Validate the optional free-text instruction
+ * @param {*} instruction - e.g. "shorter" or "add Docker steps"
+ * @returns {string} The trimmed instruction, or an empty string
+ */
+export const normalizeInstruction = (instruction) => {
+  if (instruction === undefined || instruction === null) {
+    return '';
+  }
+  if (typeof instruction !== 'string') {
+    throw new ApiError(400, 'The instruction must be a string.');
+  }
+  const trimmed = instruction.trim();
+  if (trimmed.length > MAX_INSTRUCTION_LENGTH) {
+    throw new ApiError(400, `The instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters.`);
+  }
+  return trimmed;
+};
+
+const describeSection = (section) => (section.title === null
+  ? 'the introduction before the first heading'
+  : `the "${section.title}" section (a level ${section.level} heading)`);
+
+const outline = (sections, current) => sections
+  .slice(0, MAX_OUTLINE_SECTIONS)
+  .map(section => {
+    const label = section.title === null ? '(introduction)' : `${'#'.repeat(section.level)} ${section.title}`;
+    return section === current ? `${label}   <-- this section` : label;
+  })
+  .join('\n');
+
+/**
+ * Build the prompt for regenerating or rewriting one section of a README.
+ *
+ * - 'regenerate' writes the section again from the repository's files (projectContext is required)
+ * - 'rewrite' only reworks the existing text, e.g. to make it shorter or change its tone
+ *
+ * @param {Object} options
+ * @param {Object} options.section - The section to replace
+ * @param {Array<Object>} options.sections - All sections of the README, for the outline
+ * @param {string} options.mode - One of SECTION_MODES
+ * @param {string} [options.instruction] - Optional instruction from the user
+ * @param {string} [options.filePaths] - File list of the repository (regenerate only)
+ * @param {Object} [options.projectContext] - Result of collectProjectContext (regenerate only)
+ * @param {string} [options.documentPath='README.md'] - The file being edited, e.g. CONTRIBUTING.md
+ * @returns {string} The prompt
+ */
+export const buildSectionPrompt = ({ section, sections, mode, instruction, filePaths, projectContext, documentPath = 'README.md' }) => {
+  const heading = section.title === null
+    ? 'It has no heading; do not add one.'
+    : `Keep its heading line exactly as it is: ${section.content.split('\n')[0]}`;
+
+  const parts = [
+    mode === 'regenerate'
+      ? `Write ${describeSection(section)} of a project's ${documentPath} again, based on the project's files below.`
+      : `Rewrite ${describeSection(section)} of a project's ${documentPath}.`,
+    heading,
+    `Subsections that belong to it may be added, removed or changed, but do not write any other part of ${documentPath}.`,
+    `Outline of the whole ${documentPath}, for context:\n${outline(sections, section)}`,
+    `Current text of the section:\n<section>\n${section.content}\n</section>`,
+  ];
+
+  if (mode === 'regenerate') {
+    parts.push(
+      `Here is the list of file paths in the project:\n${filePaths}`,
+      `Here are the key project files (manifests, build and configuration files, entry points):\n${projectContext.manifests}`,
+      `Available scripts and commands:\n${projectContext.scripts}`,
+      `Environment variables the project expects:\n${projectContext.envVars}`,
+      `Detected license: ${projectContext.license || 'Not detected'}`,
+      'Only document commands and environment variables that appear above; do not invent them.'
+    );
+  } else {
+    parts.push('Keep the facts, commands and links of the current text; do not invent new ones.');
+  }
+
+  if (instruction) {
+    parts.push(`The user's instruction for this section: ${instruction}`);
+  }
+  parts.push('Provide only the raw Markdown of the new section, without any explanation or code fence around it.');
+
+  return parts.join('\n\n');
+};
+
+/**
+ * Clean the model's output for a section: drops a Markdown code fence around it and any
+ * text before the heading, and puts the original heading back if the model changed it
+ * @param {string} response - Raw model output
+ * @param {Object} section - The section that was replaced
+ * @returns {string} The new section, ending with a newline so it can be spliced back in
+ */
+export const cleanSectionResponse = (response, section) => {
+  let cleaned = (response || '').trim();
+
+  // The whole answer in a code fence, or a ```markdown block after some introduction
+  const fenced = cleaned.match(/^(```|~~~)[\w-]*\n([\s\S]*)\n\1$/)
+    || cleaned.match(/^[\s\S]*?(```)(?:markdown|md)\n([\s\S]*)\n```$/);
+  if (fenced) {
+    cleaned = fenced[2].trim();
+  }
+  cleaned = cleaned.replace(/^<section>\n?|\n?<\/section>$/g, '').trim();
+
+  if (section.title !== null) {
+    const originalHeading = section.content.split('\n')[0];
+    const [first] = parseSections(cleaned).filter(part => part.title !== null);
+    if (first && first.level === section.level) {
+      // Skip any introduction before the heading and keep the heading exactly as it was
+      const lines = cleaned.split('\n');
+      cleaned = [originalHeading, ...lines.slice(first.startLine + 1)].join('\n');
+    } else {
+      cleaned = `${originalHeading}\n\n${cleaned}`;
+    }
+  }
+
+  if (!cleaned.trim()) {
+    throw new ApiError(502, 'The model returned an empty section. Please try again.');
+  }
+  return `${cleaned.replace(/\n{3,}/g, '\n\n').trimEnd()}\n`;
+};
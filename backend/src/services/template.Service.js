@@ -1,10 +1,70 @@
+import mongoose from 'mongoose';
 import { ApiError } from '../utils/ApiError.js';
+import { Template } from '../models/Template.model.js';
 
-// A simple in-memory store for our README templates.
+// Placeholders that are filled in from the repository analysis.
+// {filePaths} is the full file list; {documentPath} and {existingDocument} are the file being
+// generated and its current content; {badges} is the badge block of badge.Service.js (only read
+// from the repository when the prompt uses it); the rest come from projectContext.Service.js.
+const PROMPT_PLACEHOLDERS = ['filePaths', 'manifests', 'scripts', 'envVars', 'existingReadme', 'license', 'documentPath', 'existingDocument', 'badges'];
+
+// Placeholders every user-defined template must contain
+const REQUIRED_PLACEHOLDERS = ['filePaths'];
+
+// Shared prompt section with the real contents of the project's key files.
+const projectContext = `
+      Here are the key project files (manifests, build and configuration files, entry points):
+      {manifests}
+
+      Available scripts and commands:
+      {scripts}
+
+      Environment variables the project expects:
+      {envVars}
+
+      Detected license: {license}
+
+      Existing README (may be outdated or empty):
+      {existingReadme}
+
+      Base the tech stack, installation, usage and configuration sections on these files.
+      Only document commands and environment variables that appear above; do not invent them.
+`;
+
+// Shared prompt instruction for templates that show badges, so none are made up.
+const badgeInstruction = `copy this block exactly as given, markers included, and do not add any other badges
+        (leave the badges out when it says "None found."):
+        {badges}`;
+
+// Shared prompt section for documents other than the README.
+const companionContext = `
+      Here is the list of file paths in the project:
+      {filePaths}
+
+      Key project files (manifests, build and configuration files, entry points):
+      {manifests}
+
+      Available scripts and commands:
+      {scripts}
+
+      Detected license: {license}
+
+      The project's README, for what the project is and does:
+      {existingReadme}
+
+      The current {documentPath} (may be outdated or empty); keep any project-specific rules it contains:
+      {existingDocument}
+
+      Only mention commands, tools and files that appear above; do not invent them.
+`;
+
+// A simple in-memory store for our templates. Templates without a documentType generate the README.
+// `requiredSections` are the headings the quality check (readmeLint.Service.js) expects in the result.
 const templates = {
   'default': {
     name: 'Default',
     description: 'A standard, all-purpose README template.',
+    requiredSections: ['Features', 'Tech Stack', 'Getting Started', 'Usage', 'License'],
     prompt: `
       Generate a comprehensive and well-structured README.md file for a project with the following file structure.
       
@@ -19,6 +79,7 @@ const templates = {
 
       Here is the list of file paths in the project:
       {filePaths}
+${projectContext}
 
       Please provide only the raw Markdown content for the README.md file.
     `
@@ -26,6 +87,7 @@ const templates = {
   'web-app': {
     name: 'Web Application',
     description: 'A template tailored for web applications.',
+    requiredSections: ['Features', 'Tech Stack', 'Environment Variables', 'Installation', 'Available Scripts', 'License'],
     prompt: `
       Generate a professional README.md for a web application with the following file structure.
       
@@ -43,6 +105,7 @@ const templates = {
 
       Here is the list of file paths in the project:
       {filePaths}
+${projectContext}
 
       Provide only the raw Markdown content for the README.md file.
     `
@@ -50,12 +113,13 @@ const templates = {
   'library': {
     name: 'Library / Package',
     description: 'A template for libraries, packages, or frameworks.',
+    requiredSections: ['Overview', 'Installation', 'Usage', 'API Reference', 'Contributing', 'License'],
     prompt: `
       Generate a detailed README.md for a library/package with the following file structure.
       
       The README must include these specific sections:
       - Project Title
-      - Badges (include placeholders for version, license, etc.)
+      - Badges: ${badgeInstruction}
       - Overview (a short paragraph explaining what the library does)
       - Installation (show how to install it using common package managers like npm, pip, etc.)
       - Usage (provide clear code examples of how to use the main functions)
@@ -65,6 +129,7 @@ const templates = {
 
       Here is the list of file paths in the project:
       {filePaths}
+${projectContext}
 
       Provide only the raw Markdown content for the README.md file.
     `
@@ -72,6 +137,7 @@ const templates = {
   'classic': {
     name: 'Classic Aesthetic',
     description: 'An elegant, comprehensive template with classic styling and visual appeal.',
+    requiredSections: ['Overview', 'Features', 'Technology Stack', 'Quick Start', 'Usage', 'Contributing', 'License'],
     prompt: `
       Generate an elegant and visually appealing README.md file with classic styling for a project with the following file structure.
       
@@ -81,6 +147,7 @@ const templates = {
         - Use the following Markdown and HTML structure *exactly* as provided.
         - Replace only the placeholder text like "Project Title" and "A short tagline." with relevant information inferred from the project files.
         - make the project title big in the center.
+        - In place of the "badges go here" comment, ${badgeInstruction}
 
         <h1 align="center">Project Title</h1>
 
@@ -88,11 +155,7 @@ const templates = {
           <em>A short, impactful tagline about the project.</em>
         </p>
 
-        <p align="center">
-          <img src="https://img.shields.io/badge/version-1.0.0-blue.svg" alt="Version">
-          <img src="https://img.shields.io/badge/license-MIT-green.svg" alt="License">
-          <img src="https://img.shields.io/badge/build-passing-brightgreen.svg" alt="Build Status">
-        </p>
+        <!-- badges go here -->
 
         ---
             
@@ -185,6 +248,7 @@ const templates = {
 
       Here is the list of file paths in the project:
       {filePaths}
+${projectContext}
 
       Create a README that feels both timeless and modern, with careful attention to typography, spacing, and visual hierarchy. Provide only the raw Markdown content for the README.md file.
     `
@@ -192,6 +256,7 @@ const templates = {
   'aesthetic-pro': {
   name: 'Aesthetic Pro',
   description: 'A template for creating a stunning, visually-rich, and highly accurate README with a professional design.',
+  requiredSections: ['Overview', 'Features', 'Tech Stack', 'Getting Started', 'Contributing', 'License'],
   prompt: `
     Generate a stunning, visually-rich, and highly accurate README.md file by performing a deep analysis of the provided project file structure. The final output must be a beautifully formatted, professional document that is as impressive as it is informative.
 
@@ -209,7 +274,7 @@ const templates = {
     - **Project Title:** A large, centered H1 heading for the project name.
       \`<h1 align="center">Project Title</h1>\`
     - **Tagline:** A centered, italicized, and concise tagline that captures the project's essence.
-    - **Badges:** A centered collection of stylish badges (e.g., from shields.io). Include placeholders for Version, License, Build Status, and any relevant technologies.
+    - **Badges:** ${badgeInstruction}
 
     ---
 
@@ -279,36 +344,208 @@ const templates = {
 
     Here is the list of file paths in the project:
     {filePaths}
+${projectContext}
   `
-}
+},
+  'contributing': {
+    name: 'Contributing Guide',
+    description: 'CONTRIBUTING.md: development setup, workflow and pull request process.',
+    requiredSections: ['Development Setup', 'Pull Requests'],
+    documentType: 'contributing',
+    prompt: `
+      Generate a CONTRIBUTING.md for the project described below.
+
+      It should include:
+      - A short welcome and the kinds of contributions that are wanted.
+      - Development setup: prerequisites and the exact commands to install dependencies and run the project locally.
+      - How to run the tests, linters and formatters the project uses.
+      - The branch, commit message and pull request workflow.
+      - How to report bugs and propose features.
+      - A reference to the code of conduct.
+${companionContext}
+      Provide only the raw Markdown content for the CONTRIBUTING.md file.
+    `
+  },
+  'code-of-conduct': {
+    name: 'Code of Conduct',
+    description: 'CODE_OF_CONDUCT.md based on the Contributor Covenant.',
+    requiredSections: ['Our Pledge', 'Our Standards', 'Enforcement'],
+    documentType: 'code-of-conduct',
+    prompt: `
+      Generate a CODE_OF_CONDUCT.md for the project described below, based on the Contributor Covenant version 2.1.
+
+      Include the pledge, the standards of acceptable and unacceptable behavior, enforcement responsibilities,
+      scope, how to report incidents and the enforcement guidelines, and the attribution to the Contributor Covenant.
+      Use a placeholder such as [INSERT CONTACT METHOD] for the reporting contact unless one appears below.
+${companionContext}
+      Provide only the raw Markdown content for the CODE_OF_CONDUCT.md file.
+    `
+  },
+  'security': {
+    name: 'Security Policy',
+    description: 'SECURITY.md: supported versions and how to report vulnerabilities.',
+    requiredSections: ['Supported Versions', 'Reporting a Vulnerability'],
+    documentType: 'security',
+    prompt: `
+      Generate a SECURITY.md for the project described below.
+
+      It should include:
+      - A "Supported Versions" table (infer the current version from the manifests; use placeholders otherwise).
+      - How to report a vulnerability privately (GitHub private vulnerability reporting, or a placeholder contact), and what to include in a report.
+      - What reporters can expect: response times and the disclosure process.
+${companionContext}
+      Provide only the raw Markdown content for the SECURITY.md file.
+    `
+  },
+  'changelog': {
+    name: 'Changelog',
+    description: 'CHANGELOG.md in the Keep a Changelog format.',
+    requiredSections: ['Unreleased'],
+    documentType: 'changelog',
+    prompt: `
+      Generate a CHANGELOG.md for the project described below, following the Keep a Changelog format
+      (https://keepachangelog.com/en/1.1.0/) and Semantic Versioning.
+
+      Keep every existing entry of the current changelog unchanged. If there is none, start with an
+      "Unreleased" section and one entry for the current version from the manifests, summarizing the main features.
+${companionContext}
+      Provide only the raw Markdown content for the CHANGELOG.md file.
+    `
+  },
+  'docs-page': {
+    name: 'Documentation Page',
+    description: 'A focused documentation page, e.g. docs/getting-started.md.',
+    requiredSections: [],
+    documentType: 'docs',
+    prompt: `
+      Generate the documentation page {documentPath} for the project described below.
+
+      Infer the topic of the page from its file name (e.g. getting-started, configuration, api, deployment)
+      and write a focused, practical guide on that topic with headings, examples and code blocks.
+      Link back to the README for the project overview instead of repeating it.
+${companionContext}
+      Provide only the raw Markdown content for the {documentPath} file.
+    `
+  }
 };
 
 /**
- * @description Retrieves a list of all available templates.
- * @returns {Array} An array of template objects without the prompt.
+ * @description Converts a stored user template into the summary shape used by the template list.
+ * @param {object} template - A Template document (owner populated with username).
+ * @param {string} userId - The ID of the requesting user.
+ * @returns {object} Template summary without the prompt.
+ */
+const toTemplateSummary = (template, userId) => ({
+  id: template._id.toString(),
+  name: template.name,
+  description: template.description,
+  documentType: template.documentType || 'readme',
+  requiredSections: template.requiredSections || [],
+  visibility: template.visibility,
+  builtIn: false,
+  isOwner: template.owner?._id?.toString() === userId?.toString(),
+  ownerUsername: template.owner?.username,
+});
+
+/**
+ * @description Retrieves a list of all templates available to a user: the built-in ones,
+ * the user's own templates and public templates shared by other users.
+ * @param {string} [userId] - The ID of the requesting user.
+ * @returns {Promise<Array>} An array of template objects without the prompt.
  */
-const getAvailableTemplates = () => {
-    // return an object which matches id like 'default' is an id it will return an object like 
-    // { id: 'default', name: 'Default', description: 'A standard, all-purpose README template.' }
-  return Object.entries(templates).map(([id, { name, description }]) => ({
+const getAvailableTemplates = async (userId) => {
+  // Built-in templates are keyed by their id, e.g. 'default' -> { id: 'default', name: 'Default', ... }
+  const builtInTemplates = Object.entries(templates).map(([id, { name, description, documentType = 'readme', requiredSections }]) => ({
     id,
     name,
     description,
+    documentType,
+    requiredSections,
+    builtIn: true,
   }));
+
+  if (!userId) {
+    return builtInTemplates;
+  }
+
+  const userTemplates = await Template.find({
+    $or: [{ owner: userId }, { visibility: 'public' }],
+  })
+    .select('-prompt')
+    .populate('owner', 'username')
+    .sort({ name: 1 });
+
+  return [...builtInTemplates, ...userTemplates.map(template => toTemplateSummary(template, userId))];
 };
 
 /**
- * @description Retrieves a specific template by its ID.
- * @param {string} templateId - The ID of the template (e.g., 'web-app').
- * @returns {object} The full template object, including the prompt.
+ * @description Retrieves a specific template by its ID, resolving both built-in and user templates.
+ * Private user templates are only visible to their owner.
+ * @param {string} templateId - A built-in ID (e.g. 'web-app') or a user template's ObjectId.
+ * @param {string} [userId] - The ID of the requesting user.
+ * @returns {Promise<object>} The full template object, including the prompt.
  */
-const getTemplateById = (templateId) => {
-    //templateId is expected to be a string like 'default', 'web-app', etc.
-  const template = templates[templateId];
-  if (!template) {
+const getTemplateById = async (templateId, userId) => {
+  const builtInTemplate = Object.hasOwn(templates, templateId) ? templates[templateId] : null;
+  if (builtInTemplate) {
+    return { id: templateId, documentType: 'readme', ...builtInTemplate, builtIn: true };
+  }
+
+  const template = mongoose.isValidObjectId(templateId)
+    ? await Template.findById(templateId).populate('owner', 'username')
+    : null;
+
+  const isOwner = template && template.owner?._id?.toString() === userId?.toString();
+  if (!template || (!isOwner && template.visibility !== 'public')) {
     throw new ApiError(404, `Template with ID "${templateId}" not found.`);
   }
-  return template;
+
+  return { ...toTemplateSummary(template, userId), prompt: template.prompt };
 };
 
-export { getAvailableTemplates, getTemplateById };
+/**
+ * @description Checks that a template prompt contains every required placeholder
+ * and no unknown ones.
+ * @param {string} prompt - The prompt to validate.
+ * @throws {ApiError} 400 listing every problem found.
+ */
+const validateTemplatePrompt = (prompt) => {
+  const errors = [];
+  const used = [...prompt.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+  REQUIRED_PLACEHOLDERS
+    .filter(placeholder => !used.includes(placeholder))
+    .forEach(placeholder => errors.push(`The prompt must contain the {${placeholder}} placeholder.`));
+
+  [...new Set(used)]
+    .filter(placeholder => !PROMPT_PLACEHOLDERS.includes(placeholder))
+    .forEach(placeholder => errors.push(`Unknown placeholder {${placeholder}}. Supported placeholders: ${PROMPT_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}.`));
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "The template prompt is invalid.", errors);
+  }
+};
+
+/**
+ * @description Fills a template's placeholders with the values gathered during analysis.
+ * Unknown placeholders are left untouched.
+ * @param {object} template - A template object with a `prompt`.
+ * @param {object} values - Placeholder values keyed by name (e.g. { filePaths, manifests }).
+ * @returns {string} The final prompt to send to the AI model.
+ */
+const buildPrompt = (template, values) => {
+  return template.prompt.replace(/\{(\w+)\}/g, (match, key) =>
+    PROMPT_PLACEHOLDERS.includes(key) && values[key] !== undefined && values[key] !== null
+      ? String(values[key])
+      : match
+  );
+};
+
+export {
+  getAvailableTemplates,
+  getTemplateById,
+  buildPrompt,
+  validateTemplatePrompt,
+  PROMPT_PLACEHOLDERS,
+  REQUIRED_PLACEHOLDERS,
+};
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import { UsageRecord } from '../models/UsageRecord.model.js';
+import { QuotaExceededError } from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+
+const RECENT_USAGE_LIMIT = 10;
+
+// A missing or empty variable takes the default; 0 means unlimited
+const readLimit = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+};
+
+/**
+ * Read the AI quotas from the environment (on every call, so values loaded by dotenv after import are respected).
+ *
+ * - AI_DAILY_GENERATION_LIMIT / AI_MONTHLY_GENERATION_LIMIT: generations per user (default 50 / 500)
+ * - AI_DAILY_TOKEN_LIMIT / AI_MONTHLY_TOKEN_LIMIT: tokens per user (default unlimited)
+ *
+ * A limit of 0 disables that quota.
+ * @returns {Object} { daily: { generations, tokens }, monthly: { generations, tokens } }
+ */
+export const getQuotaLimits = () => {
+  const env = process.env;
+  return {
+    daily: {
+      generations: readLimit(env.AI_DAILY_GENERATION_LIMIT, 50),
+      tokens: readLimit(env.AI_DAILY_TOKEN_LIMIT, 0),
+    },
+    monthly: {
+      generations: readLimit(env.AI_MONTHLY_GENERATION_LIMIT, 500),
+      tokens: readLimit(env.AI_MONTHLY_TOKEN_LIMIT, 0),
+    },
+  };
+};
+
+// Quota periods are calendar days and months in UTC
+const getPeriods = (now = new Date()) => {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return {
+    daily: { start: dayStart, resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) },
+    monthly: { start: monthStart, resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) },
+  };
+};
+
+const toObjectId = (userId) => new mongoose.Types.ObjectId(String(userId));
+
+// Generations and tokens used since `since`
+const sumUsage = async (userId, since) => {
+  const [totals] = await UsageRecord.aggregate([
+    { $match: { user: toObjectId(userId), createdAt: { $gte: since } } },
+    { $group: { _id: null, generations: { $sum: 1 }, tokens: { $sum: '$totalTokens' } } },
+  ]);
+  return { generations: totals?.generations ?? 0, tokens: totals?.tokens ?? 0 };
+};
+
+/**
+ * Record a finished generation. Failures are logged, not thrown: the README was already generated.
+ * @param {Object} options
+ * @param {string} options.userId - ID of the user
+ * @param {string} options.route - One of USAGE_ROUTES
+ * @param {string} [options.repoFullName] - The analyzed repository
+ * @param {string} options.provider - Provider ID
+ * @param {string} options.model - Model name
+ * @param {Object} options.usage - { inputTokens, outputTokens, totalTokens, estimated }
+ */
+export const recordUsage = async ({ userId, route, repoFullName, provider, model, usage }) => {
+  try {
+    await UsageRecord.create({
+      user: userId,
+      route,
+      repoFullName,
+      provider,
+      model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.totalTokens,
+      estimated: usage.estimated,
+    });
+  } catch (error) {
+    logger.error(`Failed to record AI usage for user ${userId}: ${error.message}`);
+  }
+};
+
+/**
+ * Make sure the user has quota left for another generation
+ * @param {string} userId - ID of the user
+ * @throws {QuotaExceededError} When a daily or monthly quota is used up
+ */
+export const assertWithinQuota = async (userId) => {
+  const limits = getQuotaLimits();
+  const periods = getPeriods();
+
+  for (const period of ['daily', 'monthly']) {
+    const { generations, tokens } = limits[period];
+    if (!generations && !tokens) continue;
+
+    const used = await sumUsage(userId, periods[period].start);
+    if (generations && used.generations >= generations) {
+      throw new QuotaExceededError({ period, metric: 'generations', limit: generations, used: used.generations, resetAt: periods[period].resetAt });
+    }
+    if (tokens && used.tokens >= tokens) {
+      throw new QuotaExceededError({ period, metric: 'tokens', limit: tokens, used: used.tokens, resetAt: periods[period].resetAt });
+    }
+  }
+};
+
+/**
+ * Summarize a user's AI usage against their quotas
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} { daily, monthly, byModel, recent }; each period has
+ *   { used: { generations, tokens }, limits: { generations, tokens }, resetAt } (a limit of 0 is unlimited)
+ */
+export const getUsageSummary = async (userId) => {
+  const limits = getQuotaLimits();
+  const periods = getPeriods();
+
+  const [daily, monthly, byModel, recent] = await Promise.all([
+    sumUsage(userId, periods.daily.start),
+    sumUsage(userId, periods.monthly.start),
+    UsageRecord.aggregate([
+      { $match: { user: toObjectId(userId), createdAt: { $gte: periods.monthly.start } } },
+      {
+        $group: {
+          _id: { provider: '$provider', model: '$model' },
+          generations: { $sum: 1 },
+          tokens: { $sum: '$totalTokens' },
+        },
+      },
+      { $sort: { tokens: -1 } },
+    ]),
+    UsageRecord.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_USAGE_LIMIT)
+      .select('route repoFullName provider model inputTokens outputTokens totalTokens estimated createdAt')
+      .lean(),
+  ]);
+
+  return {
+    daily: { used: daily, limits: limits.daily, resetAt: periods.daily.resetAt },
+    monthly: { used: monthly, limits: limits.monthly, resetAt: periods.monthly.resetAt },
+    byModel: byModel.map(({ _id, generations, tokens }) => ({ ..._id, generations, tokens })),
+    recent: recent.map(({ _id, ...record }) => ({ id: String(_id), ...record })),
+  };
+};
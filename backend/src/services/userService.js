@@ -1,27 +1,176 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { User } from '../models/User.model.js';
+import { Session } from '../models/Session.model.js';
 import { ApiError } from '../utils/ApiError.js';
 import logger from '../utils/logger.js';
 
+// A token replaced less than this long ago is answered with 409 instead of being treated as stolen,
+// so two tabs refreshing at the same moment don't sign each other out
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const newTokenId = () => crypto.randomUUID();
+
+// Expiry of a signed refresh token, used to expire its session
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Refreshing lastUsedAt on every authenticated request would mean a write per request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
 /**
- * Generate access and refresh tokens for a user
+ * Start a new login session and generate its access and refresh tokens
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Object containing accessToken and refreshToken
+ * @param {Object} [client] - { userAgent, device, ip } of the signing-in client (see getClientInfo)
+ * @returns {Promise<Object>} Object containing accessToken, refreshToken and sessionId
  */
-export const generateAccessAndRefreshTokens = async (userId) => {
+export const generateAccessAndRefreshTokens = async (userId, client = {}) => {
   try {
     const user = await User.findById(userId);
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    const session = new Session({ user: user._id, currentTokenId: newTokenId(), ...client });
+
+    const accessToken = user.generateAccessToken(session._id);
+    const refreshToken = user.generateRefreshToken(session._id, session.currentTokenId);
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    session.expiresAt = getTokenExpiry(refreshToken);
+    await session.save();
 
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, sessionId: session._id };
   } catch (error) {
     throw new ApiError(500, 'Something went wrong while generating refresh and access tokens');
   }
 };
 
+/**
+ * Revoke a login session; its refresh and access tokens stop working immediately
+ * @param {string} sessionId - Session ID (the `sid` claim of the tokens)
+ * @param {string} [reason='revoked'] - One of SESSION_REVOKE_REASONS
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId, reason = 'revoked') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (usually the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: 'revoked' } });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - The caller's session, flagged as `current`
+ * @returns {Promise<Array<Object>>} Session summaries (no token identifiers)
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+/**
+ * Record that a session was just used, at most once per LAST_USED_RESOLUTION_MS
+ * @param {Object} session - Session document with `_id` and `lastUsedAt`
+ * @returns {Promise<void>}
+ */
+export const touchSession = async (session) => {
+  if (Date.now() - new Date(session.lastUsedAt).getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token pair (rotation).
+ * Presenting a refresh token that was already exchanged means it was copied: the whole
+ * session is revoked, so neither the thief nor the legitimate client can continue with it.
+ * @param {string} incomingRefreshToken - Refresh token from the cookie or request body
+ * @param {Object} [client] - { userAgent, device, ip } of the refreshing client (see getClientInfo)
+ * @returns {Promise<Object>} { accessToken, refreshToken, user }
+ * @throws {ApiError} 401 for invalid, expired, revoked or reused tokens; 409 when the token was rotated moments ago
+ */
+export const rotateRefreshToken = async (incomingRefreshToken, client = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token');
+  }
+
+  // Tokens issued before sessions existed carry no session and cannot be rotated
+  if (!decoded.sid || !decoded.jti) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(decoded._id);
+  if (!user) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  const nextTokenId = newTokenId();
+  const accessToken = user.generateAccessToken(decoded.sid);
+  const refreshToken = user.generateRefreshToken(decoded.sid, nextTokenId);
+
+  // Atomic compare-and-swap: only the current token of a live session can be exchanged, once
+  const session = await Session.findOneAndUpdate(
+    { _id: decoded.sid, user: user._id, currentTokenId: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        currentTokenId: nextTokenId,
+        previousTokenId: decoded.jti,
+        rotatedAt: new Date(),
+        expiresAt: getTokenExpiry(refreshToken),
+        lastUsedAt: new Date(),
+        ...client,
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { accessToken, refreshToken, user };
+  }
+
+  const existing = await Session.findOne({ _id: decoded.sid, user: user._id });
+  if (!existing || existing.revokedAt) {
+    throw new ApiError(401, 'Session has been revoked. Please log in again.');
+  }
+
+  if (existing.previousTokenId === decoded.jti && Date.now() - existing.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+    throw new ApiError(409, 'Session was refreshed by another request. Retry with the new cookies.');
+  }
+
+  logger.warn('Refresh token reuse detected; revoking session', {
+    userId: user._id,
+    sessionId: existing._id,
+  });
+  await revokeSession(existing._id, 'reuse');
+  throw new ApiError(401, 'Refresh token reuse detected. Please log in again.');
+};
+
 /**
  * Find or create user from GitHub data
  * @param {Object} githubUser - GitHub user data
@@ -1,7 +1,7 @@
 class ApiError extends Error {
-  constructor(statuscode, message = "something went wrong", errors = [], stack = "") {
+  constructor(statusCode, message = "something went wrong", errors = [], stack = "") {
     super(message);
-    this.statuscode = statuscode;
+    this.statusCode = statusCode;
     this.data = null;
     this.message = message;
     //not require becoz we handling error no respomce
@@ -16,6 +16,62 @@ class ApiError extends Error {
   }
 }
 
-export { ApiError };
+/**
+ * Raised when GitHub rejects a request because a rate limit was hit.
+ * `data` tells the client when it can try again.
+ */
+class GitHubRateLimitError extends ApiError {
+  /**
+   * @param {object} details
+   * @param {Date} details.resetAt - When GitHub will accept requests again.
+   * @param {string} details.type - 'primary' (hourly quota used up) or 'secondary' (abuse/burst limit).
+   * @param {string} [details.resource] - Rate limit bucket, e.g. 'core' or 'search'.
+   * @param {number} [details.limit] - Requests allowed per window for the bucket.
+   */
+  constructor({ resetAt, type, resource = 'core', limit = null }) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    super(429, type === 'primary'
+      ? `GitHub API rate limit exceeded. It resets at ${resetAt.toISOString()}.`
+      : `GitHub is throttling requests. Please retry in ${retryAfter} seconds.`);
+    this.data = {
+      type,
+      resource,
+      limit,
+      remaining: type === 'primary' ? 0 : null,
+      resetAt: resetAt.toISOString(),
+      retryAfter,
+    };
+  }
+}
+
+/**
+ * Raised when a user has used up their AI generation quota for the day or the month.
+ * `data` says which quota was hit and when it resets.
+ */
+class QuotaExceededError extends ApiError {
+  /**
+   * @param {object} details
+   * @param {string} details.period - 'daily' or 'monthly'.
+   * @param {string} details.metric - 'generations' or 'tokens'.
+   * @param {number} details.limit - The quota for the period.
+   * @param {number} details.used - What was used so far in the period.
+   * @param {Date} details.resetAt - When the period ends.
+   */
+  constructor({ period, metric, limit, used, resetAt }) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    super(429, `You have reached your ${period} limit of ${limit.toLocaleString('en-US')} ${metric === 'tokens' ? 'AI tokens' : 'README generations'}. It resets at ${resetAt.toISOString()}.`);
+    this.data = {
+      type: 'quota',
+      period,
+      metric,
+      limit,
+      used,
+      resetAt: resetAt.toISOString(),
+      retryAfter,
+    };
+  }
+}
+
+export { ApiError, GitHubRateLimitError, QuotaExceededError };
 
 
@@ -0,0 +1,308 @@
+import { ApiError } from './ApiError.js';
+
+// Line-based text diffing (Myers' O(ND) algorithm, in its linear-space variant), used to compare
+// README revisions and drafts against what is on GitHub.
+
+// Lines of both texts together beyond which they are not compared: two unrelated documents take
+// O((N+M)·D) time, which is quadratic in their length
+const MAX_DIFF_LINES = 10000;
+
+const splitLines = (text) => (text ? text.split(/\r?\n/) : []);
+
+/**
+ * Finds the middle snake of the shortest edit script between a[aLo, aHi) and b[bLo, bHi): the
+ * diagonal run crossed halfway, where the forward and the backward searches meet.
+ * `forward` and `backward` are scratch arrays of at least 2·(N+M)+3 entries.
+ * @returns {object} { x, y, u, v }: the snake runs from (x, y) to (u, v), in absolute line indexes
+ */
+const findMiddleSnake = (a, aLo, aHi, b, bLo, bHi, forward, backward) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const offset = n + m + 1;
+  // forward[k] is the furthest x reached on diagonal k from the start; backward[k] the furthest
+  // distance reached from the end on diagonal k of the reversed texts (which is diagonal delta - k)
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const reverseK = delta - k;
+      if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+        return { x: aLo + startX, y: bLo + startY, u: aLo + x, v: bLo + y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const forwardK = delta - k;
+      if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+        return { x: aHi - x, y: bHi - y, u: aHi - startX, v: bHi - startY };
+      }
+    }
+  }
+
+  // Not reached: the searches always meet within ceil((N+M)/2) steps
+  throw new Error('Diff search did not converge.');
+};
+
+/**
+ * Computes the line-by-line changes that turn `oldText` into `newText`.
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The changed text.
+ * @returns {Array<object>} Changes in order: { type: 'equal'|'add'|'remove', text, oldLine, newLine }.
+ * Line numbers are 1-based; `oldLine` is null for additions and `newLine` is null for removals.
+ * @throws {ApiError} 413 when the texts together have more than MAX_DIFF_LINES lines.
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  if (a.length + b.length > MAX_DIFF_LINES) {
+    throw new ApiError(413, `The documents are too large to compare (more than ${MAX_DIFF_LINES} lines together).`);
+  }
+
+  const size = 2 * (a.length + b.length) + 3;
+  const forward = new Int32Array(size);
+  const backward = new Int32Array(size);
+  const changes = [];
+
+  const pushEqual = (from, to, offset) => {
+    for (let x = from; x < to; x++) {
+      changes.push({ type: 'equal', text: a[x], oldLine: x + 1, newLine: x + offset + 1 });
+    }
+  };
+
+  // Splits the ranges around their middle snake until only additions or removals are left. Common
+  // lines at both ends are taken off first, so that each split halves the edit distance (and one
+  // edit leaves a side empty): the recursion is O(log D) deep
+  const compare = (aLo, aHi, bLo, bHi) => {
+    const prefixStart = aLo;
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      aLo++;
+      bLo++;
+    }
+    pushEqual(prefixStart, aLo, bLo - aLo);
+    const suffixEnd = aHi;
+    while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+    }
+
+    compareMiddle(aLo, aHi, bLo, bHi);
+    pushEqual(aHi, suffixEnd, bHi - aHi);
+  };
+
+  const compareMiddle = (aLo, aHi, bLo, bHi) => {
+    if (aLo === aHi) {
+      for (let y = bLo; y < bHi; y++) {
+        changes.push({ type: 'add', text: b[y], oldLine: null, newLine: y + 1 });
+      }
+      return;
+    }
+    if (bLo === bHi) {
+      for (let x = aLo; x < aHi; x++) {
+        changes.push({ type: 'remove', text: a[x], oldLine: x + 1, newLine: null });
+      }
+      return;
+    }
+
+    const snake = findMiddleSnake(a, aLo, aHi, b, bLo, bHi, forward, backward);
+    compare(aLo, snake.x, bLo, snake.y);
+    pushEqual(snake.x, snake.u, snake.y - snake.x);
+    compare(snake.u, aHi, snake.v, bHi);
+  };
+
+  compare(0, a.length, 0, b.length);
+  return changes;
+};
+
+/**
+ * Groups changes into unified-diff style hunks with surrounding context.
+ * Changes closer together than twice the context share a hunk.
+ * @param {Array<object>} changes - The output of `diffLines`.
+ * @param {number} [context=3] - Unchanged lines to keep around each change.
+ * @returns {Array<object>} Hunks: { oldStart, oldLines, newStart, newLines, lines }.
+ */
+const toHunks = (changes, context = 3) => {
+  const hunks = [];
+  let start = null;
+  let end = null;
+
+  const flush = () => {
+    const lines = changes.slice(start, end + 1);
+    const before = changes.slice(0, start);
+    hunks.push({
+      // A hunk of pure additions starts after the last old line before it (and vice versa)
+      oldStart: lines.find(line => line.oldLine)?.oldLine ?? before.filter(line => line.type !== 'add').length,
+      oldLines: lines.filter(line => line.type !== 'add').length,
+      newStart: lines.find(line => line.newLine)?.newLine ?? before.filter(line => line.type !== 'remove').length,
+      newLines: lines.filter(line => line.type !== 'remove').length,
+      lines,
+    });
+  };
+
+  changes.forEach((change, index) => {
+    if (change.type === 'equal') return;
+
+    const from = Math.max(index - context, 0);
+    const to = Math.min(index + context, changes.length - 1);
+    if (start !== null && from <= end + 1) {
+      end = to;
+      return;
+    }
+    if (start !== null) flush();
+    start = from;
+    end = to;
+  });
+  if (start !== null) flush();
+
+  return hunks;
+};
+
+/**
+ * Counts added and removed lines.
+ * @param {Array<object>} changes - The output of `diffLines`.
+ * @returns {object} { additions, deletions }
+ */
+const countChanges = (changes) => ({
+  additions: changes.filter(change => change.type === 'add').length,
+  deletions: changes.filter(change => change.type === 'remove').length,
+});
+
+/**
+ * Collapses a diff into the regions of `base` each side replaced: { start, end, lines },
+ * where [start, end) is the 0-based range of base lines and `lines` is the replacement.
+ */
+const toEdits = (changes) => {
+  const edits = [];
+  let baseIndex = 0;
+  let current = null;
+
+  changes.forEach((change) => {
+    if (change.type === 'equal') {
+      current = null;
+      baseIndex++;
+      return;
+    }
+    if (!current) {
+      current = { start: baseIndex, end: baseIndex, lines: [] };
+      edits.push(current);
+    }
+    if (change.type === 'remove') {
+      current.end++;
+      baseIndex++;
+    } else {
+      current.lines.push(change.text);
+    }
+  });
+
+  return edits;
+};
+
+// Applies one side's edits that fall inside [start, end) to that range of base lines
+const applyEdits = (baseLines, start, end, edits) => {
+  const result = [];
+  let index = start;
+  edits.forEach((edit) => {
+    result.push(...baseLines.slice(index, edit.start), ...edit.lines);
+    index = edit.end;
+  });
+  result.push(...baseLines.slice(index, end));
+  return result;
+};
+
+/**
+ * Three-way merges two versions of a text that were both derived from `base`.
+ * Regions changed by only one side are taken from that side; regions changed by both
+ * in different ways are reported as conflicts (adjacent edits count as overlapping).
+ * @param {string} base - The common ancestor.
+ * @param {string} ours - Our version (e.g. the edited draft).
+ * @param {string} theirs - Their version (e.g. the README now on GitHub).
+ * @param {object} [labels] - Conflict marker labels: { ours, base, theirs }.
+ * @returns {object} { chunks, conflicts, merged } where `chunks` are
+ * { type: 'stable'|'ours'|'theirs'|'both', lines } or { type: 'conflict', base, ours, theirs },
+ * and `merged` is the merged text with git-style markers around conflicts.
+ */
+const diff3Merge = (base, ours, theirs, labels = {}) => {
+  const { ours: oursLabel = 'ours', base: baseLabel = 'base', theirs: theirsLabel = 'theirs' } = labels;
+  const baseLines = splitLines(base);
+  const edits = [
+    ...toEdits(diffLines(base, ours)).map(edit => ({ ...edit, side: 'ours' })),
+    ...toEdits(diffLines(base, theirs)).map(edit => ({ ...edit, side: 'theirs' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const chunks = [];
+  let baseIndex = 0;
+  let i = 0;
+
+  while (i < edits.length) {
+    // Gather every edit overlapping (or touching) the current region
+    const group = [edits[i]];
+    const start = edits[i].start;
+    let end = edits[i].end;
+    i++;
+    while (i < edits.length && edits[i].start <= end) {
+      end = Math.max(end, edits[i].end);
+      group.push(edits[i]);
+      i++;
+    }
+
+    if (start > baseIndex) {
+      chunks.push({ type: 'stable', lines: baseLines.slice(baseIndex, start) });
+    }
+
+    const oursEdits = group.filter(edit => edit.side === 'ours');
+    const theirsEdits = group.filter(edit => edit.side === 'theirs');
+    const oursLines = applyEdits(baseLines, start, end, oursEdits);
+    const theirsLines = applyEdits(baseLines, start, end, theirsEdits);
+
+    if (theirsEdits.length === 0) {
+      chunks.push({ type: 'ours', lines: oursLines });
+    } else if (oursEdits.length === 0) {
+      chunks.push({ type: 'theirs', lines: theirsLines });
+    } else if (oursLines.join('\n') === theirsLines.join('\n')) {
+      chunks.push({ type: 'both', lines: oursLines });
+    } else {
+      chunks.push({ type: 'conflict', base: baseLines.slice(start, end), ours: oursLines, theirs: theirsLines });
+    }
+    baseIndex = end;
+  }
+
+  if (baseIndex < baseLines.length) {
+    chunks.push({ type: 'stable', lines: baseLines.slice(baseIndex) });
+  }
+
+  const merged = chunks.flatMap(chunk => chunk.type === 'conflict'
+    ? [`<<<<<<< ${oursLabel}`, ...chunk.ours, `||||||| ${baseLabel}`, ...chunk.base, '=======', ...chunk.theirs, `>>>>>>> ${theirsLabel}`]
+    : chunk.lines);
+
+  return {
+    chunks,
+    conflicts: chunks.filter(chunk => chunk.type === 'conflict').length,
+    merged: merged.join('\n'),
+  };
+};
+
+export { MAX_DIFF_LINES, diffLines, toHunks, countChanges, diff3Merge };
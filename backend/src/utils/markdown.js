@@ -0,0 +1,44 @@
+// Helpers for working with the structure of Markdown documents.
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Splits a Markdown document into sections, one per ATX heading (`#` ... `######`).
+ * Headings inside fenced code blocks are ignored. Any text before the first heading
+ * becomes a section with a `null` title and level 0.
+ * @param {string} markdown - The Markdown document.
+ * @returns {Array<object>} Sections in order: { title, level, startLine, endLine, content },
+ * where lines are 0-based, `endLine` is exclusive and `content` includes the heading line.
+ */
+const parseSections = (markdown) => {
+  const lines = (markdown || '').split('\n');
+  const sections = [];
+  let current = { title: null, level: 0, startLine: 0 };
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      // A fence is closed only by the same marker that opened it
+      fence = fence === null ? fenceMatch[1] : fence === fenceMatch[1] ? null : fence;
+      return;
+    }
+
+    const heading = fence === null && line.match(HEADING);
+    if (!heading) return;
+
+    if (index > current.startLine || current.title !== null) {
+      sections.push({ ...current, endLine: index });
+    }
+    current = { title: heading[2].trim(), level: heading[1].length, startLine: index };
+  });
+  sections.push({ ...current, endLine: lines.length });
+
+  return sections
+    .map(section => ({ ...section, content: lines.slice(section.startLine, section.endLine).join('\n') }))
+    // Drop an empty preamble
+    .filter(section => section.title !== null || section.content.trim());
+};
+
+export { parseSections };
@@ -0,0 +1,83 @@
+// Helpers for Server-Sent Events, both for relaying upstream AI streams
+// and for streaming our own responses to the frontend.
+
+/**
+ * Reads a Server-Sent Events byte stream and calls `onEvent` for every complete event.
+ * @param {AsyncIterable<Buffer>} stream - The readable stream (e.g. an axios `responseType: 'stream'` body).
+ * @param {Function} onEvent - Called with { event, data } where `data` is the raw data string.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+const readSseStream = async (stream, onEvent) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of rawEvent.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    if (dataLines.length > 0) {
+      onEvent({ event, data: dataLines.join('\n') });
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      flushEvent(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+};
+
+/**
+ * Reads a whole stream into a string. Used to recover error bodies from streamed requests.
+ * @param {AsyncIterable<Buffer>} stream - The readable stream.
+ * @returns {Promise<string>} The stream contents.
+ */
+const readStreamText = async (stream) => {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of stream) {
+    text += decoder.decode(chunk, { stream: true });
+  }
+  return text + decoder.decode();
+};
+
+/**
+ * Sends the headers that open an SSE response.
+ * @param {object} res - Express response object.
+ */
+const openSseResponse = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Writes a single named SSE event with a JSON payload.
+ * @param {object} res - Express response object.
+ * @param {string} event - Event name (e.g. 'delta', 'done', 'error').
+ * @param {object} data - JSON-serializable payload.
+ */
+const sendSseEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export { readSseStream, readStreamText, openSseResponse, sendSseEvent };
@@ -0,0 +1,46 @@
+// Small user agent parser for labelling sessions; order matters because
+// most browsers also claim to be the ones they are derived from.
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+  [/curl\//, 'curl'],
+];
+
+const SYSTEMS = [
+  [/Windows/, 'Windows'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Android/, 'Android'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+const match = (userAgent, patterns) => patterns.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+/**
+ * Describe the device behind a user agent string
+ * @param {string} [userAgent] - The User-Agent request header
+ * @returns {string} e.g. "Firefox on Windows", or "Unknown device"
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = match(userAgent, BROWSERS);
+  const system = match(userAgent, SYSTEMS);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+/**
+ * Collect the client details recorded on a login session
+ * @param {object} req - Express request object
+ * @returns {object} { userAgent, device, ip }
+ */
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 512);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || null };
+};
+
+export { describeDevice, getClientInfo };
@@ -8,6 +8,9 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 // Import the page components we created
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
+import TemplatesPage from './pages/TemplatesPage';
+import SettingsPage from './pages/SettingsPage';
+import DraftReviewPage from './pages/DraftReviewPage';
 import DebugPage from './pages/DebugPage';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -166,6 +169,36 @@ const AppRoutes = () => {
         } 
       />
 
+      {/* Protected route for managing custom templates */}
+      <Route 
+        path="/templates" 
+        element={
+          <ProtectedRoute>
+            <TemplatesPage />
+          </ProtectedRoute>
+        } 
+      />
+
+      {/* Protected route for reviewing generated drafts before committing them */}
+      <Route 
+        path="/drafts" 
+        element={
+          <ProtectedRoute>
+            <DraftReviewPage />
+          </ProtectedRoute>
+        } 
+      />
+
+      {/* Protected route for account settings (signed-in sessions) */}
+      <Route 
+        path="/settings" 
+        element={
+          <ProtectedRoute>
+            <SettingsPage />
+          </ProtectedRoute>
+        } 
+      />
+
       {/* Debug route - only accessible in development or with special flag */}
       <Route 
         path="/debug" 
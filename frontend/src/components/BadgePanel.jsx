@@ -0,0 +1,109 @@
+import React, { useEffect } from 'react';
+import InlineSpinner from './InlineSpinner';
+import { useBadges } from '../hooks/useBadges';
+
+// Badges derived from the repository itself, to pick and order before they are written into the
+// README as a managed block; updating them later replaces that block and nothing else.
+const BadgePanel = ({ selectedRepo, selectedRef, treeSha, content, setContent, isAnalyzing, activeTab, onClose }) => {
+  const { badges, selectedIds, hasBlock, isLoading, loadBadges, toggleBadge, moveBadge, applyBadges } = useBadges({
+    selectedRepo,
+    selectedRef,
+    treeSha,
+    content,
+    setContent,
+  });
+
+  useEffect(() => {
+    loadBadges();
+  }, [loadBadges]);
+
+  const canApply = !isAnalyzing && badges !== null && (selectedIds.length > 0 || hasBlock);
+
+  return (
+    <div className={`flex-col flex-1 overflow-hidden bg-gradient-to-br from-amber-100/60 via-yellow-100/20 to-amber-100/60 backdrop-blur-xl rounded-3xl border border-amber-500/20 ${
+      activeTab === 'editor' ? 'xl:flex hidden' : 'flex'
+    }`}>
+      <div className="flex items-center justify-between p-6 pb-4 shrink-0">
+        <h3 className="text-xl font-bold text-amber-800">Badges</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={applyBadges}
+            disabled={!canApply}
+            className="px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            {hasBlock ? (selectedIds.length > 0 ? 'Update badges' : 'Remove badges') : 'Insert badges'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-2xl font-semibold bg-amber-200/50 hover:bg-amber-300 text-amber-700 transition-colors duration-200"
+          >
+            Hide
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 px-6 pb-6 overflow-y-auto space-y-4">
+        {isLoading && !badges ? (
+          <div className="flex items-center gap-2 text-amber-700 text-sm">
+            <InlineSpinner size="xs" />
+            <span>Reading the repository...</span>
+          </div>
+        ) : !badges ? (
+          <p className="text-amber-700 text-sm">The badges could not be loaded.</p>
+        ) : badges.length === 0 ? (
+          <p className="text-amber-700 text-sm">
+            No badges found: the repository has no license, manifest version or workflows to show.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-amber-700">
+              {hasBlock
+                ? 'The README has a badge block; updating it replaces the badges between its markers.'
+                : 'The badges are inserted below the title, between markers that let them be updated later.'}
+            </p>
+            <ul className="space-y-2">
+              {badges.map((badge, index) => (
+                <li key={badge.id} className="bg-white/70 rounded-2xl p-3 border border-amber-300/20 flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(badge.id)}
+                    onChange={() => toggleBadge(badge.id)}
+                    className="accent-green-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-amber-900 truncate">{badge.label}</p>
+                    <img src={badge.image} alt={badge.alt} className="h-5 mt-1" />
+                  </div>
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => moveBadge(badge.id, -1)}
+                      disabled={index === 0}
+                      className="text-amber-700 hover:text-amber-900 disabled:opacity-30"
+                      aria-label={`Move ${badge.label} up`}
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => moveBadge(badge.id, 1)}
+                      disabled={index === badges.length - 1}
+                      className="text-amber-700 hover:text-amber-900 disabled:opacity-30"
+                      aria-label={`Move ${badge.label} down`}
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                      </svg>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BadgePanel;
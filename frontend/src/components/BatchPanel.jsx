@@ -0,0 +1,123 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const STATUS_STYLES = {
+  queued: 'bg-stone-200/60 text-stone-700 border-stone-400/30',
+  running: 'bg-amber-200/60 text-amber-800 border-amber-400/30',
+  done: 'bg-green-200/60 text-green-800 border-green-400/30',
+  failed: 'bg-red-200/60 text-red-800 border-red-400/30',
+  cancelled: 'bg-stone-200/60 text-stone-600 border-stone-400/30',
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Generating...',
+  done: 'Draft saved',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const BatchPanel = ({
+  selectedRepos,
+  templateName,
+  items,
+  isRunning,
+  onStart,
+  onCancel,
+  onClearSelection,
+  onClearResults,
+}) => {
+  if (selectedRepos.size === 0 && items.length === 0) {
+    return null;
+  }
+
+  const finished = items.filter(item => !['queued', 'running'].includes(item.status)).length;
+  const hasDrafts = items.some(item => item.status === 'done');
+
+  return (
+    <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl p-6 rounded-3xl border border-amber-300/20 shadow-xl space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-amber-800">Batch generation</h2>
+          <p className="text-amber-700 text-sm mt-1">
+            {isRunning
+              ? `Generated ${finished} of ${items.length} READMEs...`
+              : `${selectedRepos.size} repositor${selectedRepos.size === 1 ? 'y' : 'ies'} selected · template "${templateName}"`}
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3">
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-6 py-3 text-sm font-semibold rounded-2xl text-white bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 transition-all duration-300 shadow-lg"
+            >
+              Cancel
+            </button>
+          ) : (
+            <>
+              {selectedRepos.size > 0 && (
+                <button
+                  type="button"
+                  onClick={onClearSelection}
+                  className="px-6 py-3 text-sm font-semibold rounded-2xl border-2 border-amber-300/50 text-amber-800 bg-white/80 hover:bg-white transition-all duration-300"
+                >
+                  Clear selection
+                </button>
+              )}
+              {items.length > 0 && (
+                <button
+                  type="button"
+                  onClick={onClearResults}
+                  className="px-6 py-3 text-sm font-semibold rounded-2xl border-2 border-amber-300/50 text-amber-800 bg-white/80 hover:bg-white transition-all duration-300"
+                >
+                  Dismiss results
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={onStart}
+                disabled={selectedRepos.size === 0}
+                className="px-6 py-3 text-sm font-semibold rounded-2xl text-white bg-gradient-to-r from-amber-500 via-yellow-500 to-orange-500 hover:from-amber-600 hover:via-yellow-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-lg"
+              >
+                Generate {selectedRepos.size} README{selectedRepos.size === 1 ? '' : 's'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {items.length > 0 && (
+        <ul className="divide-y divide-amber-300/30 bg-white/60 rounded-2xl border border-amber-300/20">
+          {items.map(item => (
+            <li key={item.repoFullName} className="flex items-center justify-between gap-4 px-4 py-3">
+              <div className="min-w-0">
+                <p className="font-mono text-sm text-amber-900 truncate">{item.repoFullName}</p>
+                {item.error && <p className="text-xs text-red-700 mt-1">{item.error}</p>}
+                {item.notice && <p className="text-xs text-amber-700 mt-1">{item.notice}</p>}
+              </div>
+              <span className={`shrink-0 px-3 py-1 text-xs font-medium rounded-full border ${STATUS_STYLES[item.status]}`}>
+                {STATUS_LABELS[item.status]}
+                {item.status === 'done' && item.revision ? ` (rev ${item.revision})` : ''}
+                {['queued', 'running'].includes(item.status) && item.attempts > 1 ? ` (attempt ${item.attempts})` : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!isRunning && hasDrafts && (
+        <div className="flex justify-end">
+          <Link
+            to="/drafts"
+            className="text-sm font-semibold text-amber-800 hover:text-amber-600 underline"
+          >
+            Review drafts before committing →
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+const inputClassName = 'px-3 py-1.5 text-sm rounded-xl border-2 border-amber-300/40 bg-white/80 text-amber-900 placeholder-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50';
+
+// Range of history a changelog section is built from: two refs (e.g. v1.1.0 to main) or a date window
+const ChangelogRangeFields = ({ range, onChange, disabled }) => {
+  const update = (name) => (e) => onChange({ ...range, [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  return (
+    <>
+      <select value={range.mode} onChange={update('mode')} disabled={disabled} aria-label="Changelog range" className={inputClassName}>
+        <option value="tags">Between tags</option>
+        <option value="dates">Between dates</option>
+      </select>
+      {range.mode === 'tags' ? (
+        <>
+          <input type="text" value={range.from} onChange={update('from')} disabled={disabled} placeholder="From, e.g. v1.1.0" aria-label="From tag or commit" className={`w-36 font-mono ${inputClassName}`} />
+          <input type="text" value={range.to} onChange={update('to')} disabled={disabled} placeholder="To (branch head)" aria-label="To tag or commit" className={`w-36 font-mono ${inputClassName}`} />
+        </>
+      ) : (
+        <>
+          <input type="date" value={range.since} onChange={update('since')} disabled={disabled} aria-label="Since" className={inputClassName} />
+          <input type="date" value={range.until} onChange={update('until')} disabled={disabled} aria-label="Until" className={inputClassName} />
+        </>
+      )}
+      <input type="text" value={range.version} onChange={update('version')} disabled={disabled} placeholder="Version (Unreleased)" aria-label="Version" maxLength={50} className={`w-40 ${inputClassName}`} />
+      <label className="flex items-center gap-1.5 text-sm text-amber-800" title="Rewrite the entries for readers with the selected model">
+        <input type="checkbox" checked={range.polish} onChange={update('polish')} disabled={disabled} className="accent-green-500" />
+        Polish with AI
+      </label>
+    </>
+  );
+};
+
+export default ChangelogRangeFields;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import InlineSpinner from './InlineSpinner';
+import ChangelogRangeFields from './ChangelogRangeFields';
+import { COMPANION_DOCUMENT_TYPES, getDocumentTypeLabel } from '../utils/documentTypes';
+import { EMPTY_CHANGELOG_RANGE, toChangelogRequest, isChangelogRangeComplete } from '../utils/changelog';
+
+// Tabs for the README and the documents generated next to it, plus a picker to generate another one.
+// Checked documents are committed together with the README. The changelog is built from the
+// repository's history (commits and merged pull requests) rather than from its files.
+const CompanionDocsBar = ({
+  documents,
+  activePath,
+  onSelect,
+  pendingType,
+  onGenerate,
+  onGenerateChangelog,
+  onToggleInclude,
+  onRemove,
+  disabled,
+}) => {
+  const [documentType, setDocumentType] = useState(COMPANION_DOCUMENT_TYPES[0].id);
+  const [docsPath, setDocsPath] = useState('docs/index.md');
+  const [changelogRange, setChangelogRange] = useState(EMPTY_CHANGELOG_RANGE);
+  const isPending = pendingType !== null;
+  const isIncomplete = (documentType === 'docs' && !docsPath.trim())
+    || (documentType === 'changelog' && !isChangelogRangeComplete(changelogRange));
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    const generated = documentType === 'changelog'
+      ? await onGenerateChangelog(toChangelogRequest(changelogRange))
+      : await onGenerate(documentType, documentType === 'docs' ? docsPath.trim() : undefined);
+    if (generated) {
+      onSelect(generated.path);
+    }
+  };
+
+  const tabClassName = (isActive) => `flex items-center gap-2 px-3 py-1.5 rounded-xl text-sm font-semibold transition-colors duration-200 ${
+    isActive
+      ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow'
+      : 'bg-white/70 text-amber-800 border border-amber-300/40 hover:bg-white'
+  }`;
+
+  return (
+    <div className="flex flex-col lg:flex-row lg:items-center gap-3 px-4 pt-4 shrink-0">
+      <div className="flex flex-wrap items-center gap-2 flex-1 min-w-0">
+        <button type="button" onClick={() => onSelect(null)} className={tabClassName(activePath === null)}>
+          README.md
+        </button>
+        {documents.map(doc => (
+          <div key={doc.path} className={tabClassName(activePath === doc.path)}>
+            <input
+              type="checkbox"
+              checked={doc.include}
+              onChange={() => onToggleInclude(doc.path)}
+              title="Commit with the README"
+              aria-label={`Commit ${doc.path} with the README`}
+              className="accent-green-500"
+            />
+            <button type="button" onClick={() => onSelect(doc.path)} title={getDocumentTypeLabel(doc.documentType)} className="font-mono">
+              {doc.path}
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(doc.path)}
+              aria-label={`Remove ${doc.path}`}
+              className="opacity-70 hover:opacity-100"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleGenerate} className="flex flex-wrap items-center gap-2">
+        <select
+          value={documentType}
+          onChange={(e) => setDocumentType(e.target.value)}
+          disabled={disabled || isPending}
+          aria-label="Document to generate"
+          className="px-3 py-1.5 text-sm rounded-xl border-2 border-amber-300/40 bg-white/80 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50"
+        >
+          {COMPANION_DOCUMENT_TYPES.map(type => (
+            <option key={type.id} value={type.id}>{type.label}</option>
+          ))}
+        </select>
+        {documentType === 'docs' && (
+          <input
+            type="text"
+            value={docsPath}
+            onChange={(e) => setDocsPath(e.target.value)}
+            disabled={disabled || isPending}
+            aria-label="Path of the documentation page"
+            placeholder="docs/getting-started.md"
+            className="w-48 px-3 py-1.5 text-sm font-mono rounded-xl border-2 border-amber-300/40 bg-white/80 text-amber-900 placeholder-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50"
+          />
+        )}
+        {documentType === 'changelog' && (
+          <ChangelogRangeFields range={changelogRange} onChange={setChangelogRange} disabled={disabled || isPending} />
+        )}
+        <button
+          type="submit"
+          disabled={disabled || isPending || isIncomplete}
+          className="flex items-center space-x-2 px-4 py-1.5 text-sm font-semibold rounded-xl text-white bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow"
+        >
+          {isPending && <InlineSpinner size="xs" />}
+          <span>{isPending ? `Generating ${getDocumentTypeLabel(pendingType).toLowerCase()}...` : 'Generate'}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CompanionDocsBar;
@@ -0,0 +1,65 @@
+import React, { useEffect, useRef } from 'react';
+import { useCommitPreview } from '../hooks/useCommitPreview';
+import DiffView from './DiffView';
+
+// What saving would change: the committed README (or `document`, e.g. CONTRIBUTING.md) on the target ref vs. the draft
+const DiffTab = ({ selectedRepo, selectedRef, generatedReadme, isAnalyzing, document }) => {
+  const { preview, previewedContent, isLoading, fetchPreview } = useCommitPreview(
+    selectedRepo,
+    selectedRef,
+    document?.documentType,
+    document?.path
+  );
+  const isStale = preview && previewedContent !== generatedReadme;
+
+  // Read through a ref so typing does not trigger a request; edits are picked up with the refresh button
+  const contentRef = useRef(generatedReadme);
+  contentRef.current = generatedReadme;
+
+  // Compare as soon as the tab is opened (and generation has finished)
+  useEffect(() => {
+    if (!isAnalyzing && contentRef.current) {
+      fetchPreview(contentRef.current);
+    }
+  }, [isAnalyzing, fetchPreview]);
+
+  return (
+    <div className="flex flex-col flex-1 overflow-hidden bg-gradient-to-br from-amber-100/60 via-yellow-100/20 to-orange-100/60 backdrop-blur-xl rounded-3xl border border-amber-500/20">
+      <div className="flex items-center space-x-4 p-6 pb-4 shrink-0">
+        <div className="w-10 h-10 bg-gradient-to-br from-amber-400 via-yellow-500 to-orange-500 rounded-3xl flex items-center justify-center shadow-lg">
+          <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+          </svg>
+        </div>
+        <div className="min-w-0">
+          <h3 className="text-xl font-bold text-amber-800">Changes</h3>
+          {preview && (
+            <p className="text-xs text-amber-600 truncate">
+              {preview.exists ? `${preview.path} on ${preview.ref}` : `New ${preview.path} on ${preview.ref}`}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => fetchPreview(generatedReadme)}
+          disabled={isLoading || isAnalyzing || !generatedReadme}
+          className={`ml-auto px-4 py-2 rounded-2xl font-semibold transition-colors duration-200 disabled:opacity-50 ${
+            isStale ? 'bg-amber-500 text-white hover:bg-amber-600' : 'bg-amber-200/50 hover:bg-amber-300 text-amber-700'
+          }`}
+        >
+          {isLoading ? 'Comparing...' : isStale ? 'Draft changed · Refresh' : 'Refresh'}
+        </button>
+      </div>
+      <div className="flex-1 px-6 pb-6 overflow-y-auto">
+        {isAnalyzing ? (
+          <p className="text-amber-700 text-sm">The comparison is available once generation has finished.</p>
+        ) : preview ? (
+          <DiffView hunks={preview.hunks} stats={preview.stats} />
+        ) : (
+          <p className="text-amber-700 text-sm">{isLoading ? 'Comparing with GitHub...' : 'Nothing to compare yet.'}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiffTab;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const LINE_STYLES = {
+  add: 'bg-green-100 text-green-900',
+  remove: 'bg-red-100 text-red-900',
+  equal: 'text-amber-800',
+};
+
+const LINE_PREFIX = { add: '+', remove: '-', equal: ' ' };
+
+// Renders the hunks of a line diff returned by the backend
+const DiffView = ({ hunks, stats }) => {
+  if (!hunks || hunks.length === 0) {
+    return <p className="text-amber-700 text-sm p-4">No differences.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {stats && (
+        <p className="text-sm font-semibold">
+          <span className="text-green-700">+{stats.additions}</span>{' '}
+          <span className="text-red-600">-{stats.deletions}</span>
+        </p>
+      )}
+      {hunks.map((hunk) => (
+        <div key={`${hunk.oldStart}-${hunk.newStart}`} className="bg-white/80 rounded-2xl border border-amber-300/30 overflow-x-auto">
+          <div className="px-3 py-1 text-xs font-mono text-amber-600 bg-amber-100/80">
+            @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+          </div>
+          <pre className="text-xs font-mono">
+            {hunk.lines.map((line, index) => (
+              <div key={index} className={`px-3 whitespace-pre-wrap ${LINE_STYLES[line.type]}`}>
+                {LINE_PREFIX[line.type]} {line.text}
+              </div>
+            ))}
+          </pre>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize from 'rehype-sanitize';
+
+const buttonClassName = "px-5 py-2 text-sm font-semibold rounded-2xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+const secondaryButtonClassName = `${buttonClassName} border-2 border-amber-300/50 text-amber-800 bg-white/80 hover:bg-white`;
+
+const DraftReviewCard = ({ draft, isBusy, onSave, onApprove, onDiscard }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [content, setContent] = useState(draft.content);
+  const [commitMessage, setCommitMessage] = useState(`docs: add generated ${draft.path}`);
+
+  const handleSave = async () => {
+    if (await onSave(draft, content)) {
+      setIsEditing(false);
+    }
+  };
+
+  const handleCancelEdit = () => {
+    setContent(draft.content);
+    setIsEditing(false);
+  };
+
+  const generatedWith = [draft.templateId && `template "${draft.templateId}"`, draft.model].filter(Boolean).join(' · ');
+
+  return (
+    <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl rounded-3xl p-6 border border-amber-300/20 shadow-xl space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+        <div className="min-w-0">
+          <h2 className="text-xl font-bold text-amber-800 font-mono truncate">
+            {draft.repoFullName}
+            {draft.path !== 'README.md' && <span className="text-amber-600"> · {draft.path}</span>}
+          </h2>
+          <p className="text-amber-700 text-sm mt-1">
+            Revision {draft.latestRevision}
+            {draft.source && ` · ${draft.source === 'ai' ? 'generated' : draft.source}`}
+            {generatedWith && ` · ${generatedWith}`}
+            {draft.updatedAt && ` · updated ${new Date(draft.updatedAt).toLocaleString()}`}
+          </p>
+        </div>
+        {!isEditing && (
+          <button type="button" onClick={() => setIsEditing(true)} disabled={isBusy} className={secondaryButtonClassName}>
+            Edit
+          </button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          aria-label={`${draft.path} draft for ${draft.repoFullName}`}
+          className="w-full h-96 p-4 bg-white/80 text-amber-900 font-mono text-sm rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 resize-y"
+        />
+      ) : (
+        <div className="max-h-96 overflow-y-auto bg-white/60 rounded-2xl border border-amber-300/20 p-6 scrollbar-thin">
+          <div className="markdown-preview text-amber-900 leading-relaxed break-words">
+            <ReactMarkdown
+              remarkPlugins={[remarkGfm]}
+              rehypePlugins={[rehypeRaw, rehypeSanitize]}
+            >
+              {draft.content}
+            </ReactMarkdown>
+          </div>
+        </div>
+      )}
+
+      {isEditing ? (
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={handleCancelEdit} disabled={isBusy} className={secondaryButtonClassName}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isBusy || !content.trim() || content === draft.content}
+            className={`${buttonClassName} text-white bg-gradient-to-r from-amber-500 via-yellow-500 to-orange-500 hover:from-amber-600 hover:via-yellow-600 hover:to-orange-600 shadow-lg`}
+          >
+            Save draft
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+          <input
+            type="text"
+            value={commitMessage}
+            onChange={(e) => setCommitMessage(e.target.value)}
+            aria-label={`Commit message for ${draft.repoFullName}`}
+            className="flex-1 bg-white/80 text-amber-900 px-4 py-2 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 text-sm"
+          />
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => onDiscard(draft)}
+              disabled={isBusy}
+              className={`${buttonClassName} text-white bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 shadow-lg`}
+            >
+              Discard
+            </button>
+            <button
+              type="button"
+              onClick={() => onApprove(draft, commitMessage.trim())}
+              disabled={isBusy || !commitMessage.trim()}
+              className={`${buttonClassName} text-white bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 shadow-lg`}
+            >
+              Approve &amp; commit
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DraftReviewCard;
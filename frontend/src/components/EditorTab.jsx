@@ -1,14 +1,49 @@
-import React from 'react';
+import React, { useState, useMemo, useRef } from 'react';
+import SectionRegenerator from './SectionRegenerator';
+import ReadmeLintPanel from './ReadmeLintPanel';
+import { parseSections, findSectionAt } from '../utils/markdown';
 
 const EditorTab = ({ 
   generatedReadme, 
   setGeneratedReadme, 
   isAnalyzing, 
-  activeTab 
+  isRefining,
+  onCancelAnalysis,
+  activeTab,
+  pendingSection,
+  onRegenerateSection,
+  canUndoSection,
+  onUndoSection,
+  lint
 }) => {
+  const sections = useMemo(() => parseSections(generatedReadme), [generatedReadme]);
+  const [selectedSection, setSelectedSection] = useState(0);
+  const textareaRef = useRef(null);
+
+  // Select a line reported by the quality check and scroll it into view
+  const handleJumpToLine = (line) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const lines = generatedReadme.split('\n');
+    const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+    const lineHeight = parseFloat(window.getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  };
+
+  // Follow the cursor so the section being edited is the one offered for regeneration
+  const handleCursorMove = (e) => {
+    if (pendingSection !== null && pendingSection !== undefined) return;
+    const index = findSectionAt(sections, generatedReadme, e.target.selectionStart);
+    if (index !== -1 && index !== selectedSection) {
+      setSelectedSection(index);
+    }
+  };
+
   return (
     <div className={`flex flex-col flex-1 overflow-y-auto bg-gradient-to-br from-amber-100/60 via-green-100/20 to-amber-100/60 backdrop-blur-xl rounded-3xl border border-green-500/20 ${
-      activeTab === 'preview' ? 'xl:block hidden' : 'block'
+      activeTab !== 'editor' ? 'xl:block hidden' : 'block'
     }`}>
       <div className="flex items-center space-x-4 p-6 pb-4 shrink-0">
         <div className="w-10 h-10 bg-gradient-to-br from-green-400 via-green-500 to-emerald-500 rounded-3xl flex items-center justify-center shadow-lg">
@@ -17,13 +52,46 @@ const EditorTab = ({
           </svg>
         </div>
         <h3 className="text-xl font-bold text-amber-800">Editor</h3>
+        {isAnalyzing && onCancelAnalysis && (
+          <button
+            onClick={onCancelAnalysis}
+            className="ml-auto flex items-center space-x-2 px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 text-white shadow-lg transition-all duration-300"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+            <span>Stop generating</span>
+          </button>
+        )}
       </div>
+      {onRegenerateSection && !isAnalyzing && (
+        <SectionRegenerator
+          sections={sections}
+          selectedIndex={Math.min(selectedSection, sections.length - 1)}
+          onSelectIndex={setSelectedSection}
+          pendingSection={pendingSection}
+          onRegenerate={onRegenerateSection}
+          canUndo={canUndoSection}
+          onUndo={onUndoSection}
+          disabled={isRefining || !generatedReadme.trim()}
+        />
+      )}
+      {lint && !isAnalyzing && (
+        <ReadmeLintPanel
+          report={lint.report}
+          isLinting={lint.isLinting}
+          error={lint.error}
+          onJumpToLine={handleJumpToLine}
+        />
+      )}
       <div className="flex-1 px-6 pb-6 overflow-y-auto">
         <textarea
+          ref={textareaRef}
           className="w-full h-full min-h-[500px] bg-white/80 text-amber-900 p-4 rounded-2xl font-mono text-sm resize-none border-2 border-green-500/30 focus:outline-none focus:ring-2 focus:ring-green-400 focus:border-green-400 transition-all duration-300 placeholder-amber-500 shadow-lg scrollbar-thin"
-          value={isAnalyzing ? "Generating content..." : generatedReadme}
+          value={isAnalyzing && !generatedReadme ? "Generating content..." : generatedReadme}
           onChange={(e) => setGeneratedReadme(e.target.value)}
-          disabled={isAnalyzing}
+          onSelect={handleCursorMove}
+          readOnly={isAnalyzing || isRefining}
           placeholder="Your README content will appear here..."
           spellCheck={false}
         />
@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Below this share of the hourly quota the indicator turns red
+const LOW_QUOTA_RATIO = 0.1;
+
+const formatResetTime = (resetAt) =>
+  new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const GitHubQuota = ({ quota }) => {
+  const core = quota?.core;
+  if (!core) {
+    return null;
+  }
+
+  const ratio = core.limit ? core.remaining / core.limit : 0;
+  const isLow = ratio < LOW_QUOTA_RATIO;
+
+  return (
+    <div
+      className={`flex flex-col sm:flex-row sm:items-center gap-3 px-6 py-4 rounded-3xl border backdrop-blur-xl shadow-lg ${
+        isLow ? 'bg-red-100/60 border-red-300/40' : 'bg-amber-100/40 border-amber-300/20'
+      }`}
+    >
+      <div className="flex items-center gap-3 flex-1">
+        <svg className={`w-5 h-5 ${isLow ? 'text-red-600' : 'text-amber-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        <span className={`text-sm font-medium ${isLow ? 'text-red-800' : 'text-amber-800'}`}>
+          GitHub API: {core.remaining.toLocaleString()} of {core.limit.toLocaleString()} requests left
+        </span>
+        <div className="hidden sm:block flex-1 max-w-xs h-2 bg-white/70 rounded-full overflow-hidden">
+          <div
+            className={`h-full rounded-full ${isLow ? 'bg-red-500' : 'bg-gradient-to-r from-amber-400 to-orange-500'}`}
+            style={{ width: `${Math.round(ratio * 100)}%` }}
+          />
+        </div>
+      </div>
+      <span className={`text-sm ${isLow ? 'text-red-700' : 'text-amber-700'}`}>
+        Resets at {formatResetTime(core.resetAt)}
+      </span>
+    </div>
+  );
+};
+
+export default GitHubQuota;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 
 const Header = ({ onLogout }) => {
   return (
@@ -20,17 +21,37 @@ const Header = ({ onLogout }) => {
             <p className="text-amber-700 mt-2 text-lg">Generate stunning READMEs for your projects</p>
           </div>
         </div>
-        <button
-          onClick={onLogout}
-          className="bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 text-white px-8 py-4 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 shadow-xl w-full lg:w-auto"
-        >
-          <span className="flex items-center space-x-2">
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-            </svg>
-            <span>Sign Out</span>
-          </span>
-        </button>
+        <div className="flex flex-col sm:flex-row gap-4 w-full lg:w-auto">
+          <Link
+            to="/templates"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 transform hover:scale-105 shadow-xl text-center"
+          >
+            Templates
+          </Link>
+          <Link
+            to="/drafts"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 transform hover:scale-105 shadow-xl text-center"
+          >
+            Drafts
+          </Link>
+          <Link
+            to="/settings"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 transform hover:scale-105 shadow-xl text-center"
+          >
+            Settings
+          </Link>
+          <button
+            onClick={onLogout}
+            className="bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 text-white px-8 py-4 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 shadow-xl w-full lg:w-auto"
+          >
+            <span className="flex items-center space-x-2">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+              </svg>
+              <span>Sign Out</span>
+            </span>
+          </button>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import InlineSpinner from './InlineSpinner';
+import { useLinkCheck } from '../hooks/useLinkCheck';
+
+const FIX_LABELS = {
+  replace: 'Fix',
+  unlink: 'Unlink',
+  remove: 'Remove',
+};
+
+// Broken links and images of the draft, each with a one-click fix: point it at the file that exists
+// elsewhere in the repository, or drop it. Absolute URLs are only requested when asked for.
+const LinkCheckPanel = ({ selectedRepo, selectedRef, treeSha, document, content, setContent, isAnalyzing, activeTab, onClose }) => {
+  const [checkExternal, setCheckExternal] = useState(false);
+  const { problems, summary, isStale, isChecking, checkLinks, fixAll, fixProblem } = useLinkCheck({
+    selectedRepo,
+    selectedRef,
+    treeSha,
+    document,
+    content,
+    setContent,
+  });
+  const fixable = problems ? problems.filter(problem => problem.fix) : [];
+  const isDisabled = isChecking || isAnalyzing || !content.trim();
+
+  return (
+    <div className={`flex-col flex-1 overflow-hidden bg-gradient-to-br from-amber-100/60 via-yellow-100/20 to-amber-100/60 backdrop-blur-xl rounded-3xl border border-amber-500/20 ${
+      activeTab === 'editor' ? 'xl:flex hidden' : 'flex'
+    }`}>
+      <div className="flex items-center justify-between p-6 pb-4 shrink-0">
+        <h3 className="text-xl font-bold text-amber-800">Links</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => checkLinks({ checkExternal })}
+            disabled={isDisabled}
+            className="flex items-center space-x-2 px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            {isChecking && <InlineSpinner size="xs" />}
+            <span>{problems ? 'Check again' : 'Check links'}</span>
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-2xl font-semibold bg-amber-200/50 hover:bg-amber-300 text-amber-700 transition-colors duration-200"
+          >
+            Hide
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 px-6 pb-6 overflow-y-auto space-y-4">
+        <label className="flex items-center gap-2 text-sm text-amber-800">
+          <input
+            type="checkbox"
+            checked={checkExternal}
+            onChange={(e) => setCheckExternal(e.target.checked)}
+            className="accent-green-500"
+          />
+          Also check absolute URLs (slower)
+        </label>
+
+        {!problems ? (
+          <p className="text-amber-700 text-sm">
+            Checks that every relative link and image points to a file in the repository{treeSha ? ' the draft was generated from' : ''}.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-amber-700">
+              {summary.links} links and {summary.images} images
+              {summary.externalChecked > 0 && `, ${summary.externalChecked} URLs requested`}
+              {summary.externalSkipped > 0 && `, ${summary.externalSkipped} URLs not requested`}.
+              {isStale && ' The draft has changed since; check again to update.'}
+            </p>
+            {problems.length === 0 ? (
+              <p className="text-green-700 font-semibold">No broken links or images.</p>
+            ) : (
+              <ul className="space-y-2">
+                {problems.map((problem, index) => (
+                  <li key={`${problem.line}-${problem.target}-${index}`} className="bg-white/70 rounded-2xl p-3 border border-amber-300/20">
+                    <div className="flex items-start gap-3">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-amber-900">
+                          <span className="font-mono text-amber-600 mr-2">L{problem.line}</span>
+                          <span className={problem.status === 'broken' ? 'text-red-700 font-semibold' : 'text-orange-700 font-semibold'}>
+                            {problem.status === 'broken' ? 'Broken' : 'Unverified'} {problem.kind}
+                          </span>{' '}
+                          <span className="font-mono break-all">{problem.target}</span>
+                        </p>
+                        <p className="text-xs text-amber-700 mt-1">
+                          {problem.reason}
+                          {problem.suggestion && <> Replace with <span className="font-mono">{problem.suggestion}</span>.</>}
+                        </p>
+                      </div>
+                      {problem.fix && (
+                        <button
+                          onClick={() => fixProblem(problem)}
+                          disabled={isChecking || isAnalyzing}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900 disabled:opacity-50"
+                        >
+                          {FIX_LABELS[problem.fix.action]}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {fixable.length > 1 && (
+              <button
+                onClick={() => fixAll({ checkExternal })}
+                disabled={isDisabled}
+                className="w-full py-2 rounded-2xl font-semibold bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+              >
+                Fix all {fixable.length}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinkCheckPanel;
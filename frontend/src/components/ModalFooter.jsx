@@ -1,15 +1,126 @@
 import React from 'react';
 
+const fieldClassName = 'w-full bg-white/80 text-amber-900 p-3 rounded-2xl border-2 border-yellow-500/30 focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:border-yellow-400 transition-all duration-300';
+
 const ModalFooter = ({ 
   commitMessage, 
   setCommitMessage, 
+  selectedRef,
+  selectedRefType,
+  canPush = true,
+  saveMode,
+  setSaveMode,
+  pullRequestOptions,
+  setPullRequestOptions,
+  pullRequest,
   onSave, 
   isSaving, 
   saveSuccess, 
   hasContent 
 }) => {
+  const isPullRequest = saveMode === 'pull-request';
+  // Tags and commits cannot be committed to; a pull request branches off them into the default branch
+  const isBranchRef = !selectedRefType || selectedRefType === 'branch';
+  const commitDisabledReason = !canPush
+    ? 'You do not have push access to this repository.'
+    : !isBranchRef
+      ? `${selectedRef} is a ${selectedRefType}, not a branch. Open a pull request to propose the changes to the default branch.`
+      : undefined;
+  const updateOption = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setPullRequestOptions(prev => ({ ...prev, [name]: value }));
+  };
+
   return (
-    <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 p-6 rounded-b-3xl border-t border-amber-300/20 shrink-0">
+    <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 p-6 rounded-b-3xl border-t border-amber-300/20 shrink-0 space-y-4">
+      {/* Save mode */}
+      <div className="flex flex-wrap items-center gap-3">
+        {[
+          { mode: 'commit', label: `Commit to ${selectedRef || 'default branch'}`, disabledReason: commitDisabledReason },
+          { mode: 'pull-request', label: canPush ? 'Open pull request' : 'Open pull request from your fork' },
+        ].map(({ mode, label, disabledReason }) => (
+          <button
+            key={mode}
+            onClick={() => setSaveMode(mode)}
+            disabled={isSaving || Boolean(disabledReason)}
+            title={disabledReason}
+            className={`px-4 py-2 rounded-2xl text-sm font-semibold transition-all duration-300 ${
+              saveMode === mode
+                ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg'
+                : 'bg-amber-100/80 text-amber-700 hover:bg-amber-200/80 border border-amber-500/30'
+            } disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {label}
+          </button>
+        ))}
+        {pullRequest && (
+          <a
+            href={pullRequest.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="ml-auto text-sm font-semibold text-green-700 hover:text-green-900 underline"
+          >
+            View pull request #{pullRequest.number}
+          </a>
+        )}
+      </div>
+
+      {isPullRequest && (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-3">
+          <input
+            aria-label="Branch name"
+            value={pullRequestOptions.branchName}
+            onChange={updateOption('branchName')}
+            placeholder="Branch name"
+            className={`${fieldClassName} font-mono text-sm`}
+            disabled={isSaving}
+          />
+          <input
+            aria-label="Pull request title"
+            value={pullRequestOptions.title}
+            onChange={updateOption('title')}
+            placeholder="Title (defaults to the commit message)"
+            className={fieldClassName}
+            disabled={isSaving}
+          />
+          <input
+            aria-label="Reviewers"
+            value={pullRequestOptions.reviewers}
+            onChange={updateOption('reviewers')}
+            placeholder="Reviewers (comma-separated)"
+            className={fieldClassName}
+            disabled={isSaving}
+          />
+          <input
+            aria-label="Labels"
+            value={pullRequestOptions.labels}
+            onChange={updateOption('labels')}
+            placeholder="Labels (comma-separated)"
+            className={fieldClassName}
+            disabled={isSaving}
+          />
+          <textarea
+            aria-label="Pull request description"
+            value={pullRequestOptions.body}
+            onChange={updateOption('body')}
+            placeholder="Description (a summary of the README changes is added automatically)"
+            rows={2}
+            className={`${fieldClassName} md:col-span-2 xl:col-span-3 resize-none`}
+            disabled={isSaving}
+          />
+          <label className="flex items-center space-x-2 text-amber-800 font-medium">
+            <input
+              type="checkbox"
+              checked={pullRequestOptions.draft}
+              onChange={updateOption('draft')}
+              className="accent-amber-500 w-4 h-4"
+              disabled={isSaving}
+            />
+            <span>Open as draft</span>
+          </label>
+        </div>
+      )}
+
       <div className="flex flex-col lg:flex-row justify-between items-center gap-6">
         <div className="flex items-center space-x-4 flex-1">
           <div className="w-10 h-10 bg-gradient-to-br from-yellow-400 via-yellow-500 to-orange-500 rounded-3xl flex items-center justify-center shadow-lg">
@@ -40,7 +151,7 @@ const ModalFooter = ({
               ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white'
               : 'bg-gradient-to-r from-amber-500 via-yellow-500 to-orange-500 hover:from-amber-600 hover:via-yellow-600 hover:to-orange-600 text-white'
           } disabled:opacity-50`}
-          disabled={isSaving || !hasContent}
+          disabled={isSaving || !hasContent || (isPullRequest && !pullRequestOptions.branchName.trim())}
         >
           {isSaving ? (
             <span className="flex items-center space-x-2">
@@ -48,21 +159,21 @@ const ModalFooter = ({
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
               </svg>
-              <span>Saving...</span>
+              <span>{isPullRequest ? 'Opening...' : 'Saving...'}</span>
             </span>
           ) : saveSuccess ? (
             <span className="flex items-center space-x-2">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
               </svg>
-              <span>Saved!</span>
+              <span>{isPullRequest ? 'Pull request opened!' : 'Saved!'}</span>
             </span>
           ) : (
             <span className="flex items-center space-x-2">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M9 19l3 3m0 0l3-3m-3 3V10" />
               </svg>
-              <span>Save to GitHub</span>
+              <span>{isPullRequest ? 'Open Pull Request' : 'Save to GitHub'}</span>
             </span>
           )}
         </button>
@@ -1,6 +1,15 @@
 import React from 'react';
 
-const ModalHeader = ({ selectedRepo, onClose }) => {
+// Side panels that can be opened next to the editor
+const PANELS = [
+  { id: 'refine', label: 'Refine', icon: 'M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z' },
+  { id: 'history', label: 'History', icon: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z' },
+  { id: 'links', label: 'Links', icon: 'M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1' },
+  { id: 'badges', label: 'Badges', icon: 'M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z' },
+];
+
+// `availablePanels` limits the panels offered (ids of PANELS); all of them by default
+const ModalHeader = ({ selectedRepo, selectedRef, sidePanel, onTogglePanel, availablePanels, onClose }) => {
   return (
     <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 p-8 rounded-t-3xl border-b border-amber-300/20 shrink-0">
       <div className="flex justify-between items-center">
@@ -12,17 +21,37 @@ const ModalHeader = ({ selectedRepo, onClose }) => {
           </div>
           <div>
             <h2 className="text-2xl font-bold text-amber-800">{selectedRepo}</h2>
-            <p className="text-amber-600 text-sm mt-1">Edit your README</p>
+            <p className="text-amber-600 text-sm mt-1">
+              Edit your README{selectedRef && <> on <span className="font-mono font-semibold">{selectedRef}</span></>}
+            </p>
           </div>
         </div>
-        <button
-          onClick={onClose}
-          className="w-10 h-10 bg-amber-200/50 hover:bg-amber-300 text-amber-700 hover:text-amber-800 rounded-2xl flex items-center justify-center transition-colors duration-200"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-          </svg>
-        </button>
+        <div className="flex items-center gap-3">
+          {onTogglePanel && PANELS.filter(panel => !availablePanels || availablePanels.includes(panel.id)).map(panel => (
+            <button
+              key={panel.id}
+              onClick={() => onTogglePanel(panel.id)}
+              className={`px-4 h-10 rounded-2xl flex items-center space-x-2 font-semibold transition-colors duration-200 ${
+                sidePanel === panel.id
+                  ? 'bg-amber-500 text-white hover:bg-amber-600'
+                  : 'bg-amber-200/50 hover:bg-amber-300 text-amber-700 hover:text-amber-800'
+              }`}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={panel.icon} />
+              </svg>
+              <span>{panel.label}</span>
+            </button>
+          ))}
+          <button
+            onClick={onClose}
+            className="w-10 h-10 bg-amber-200/50 hover:bg-amber-300 text-amber-700 hover:text-amber-800 rounded-2xl flex items-center justify-center transition-colors duration-200"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
       </div>
     </div>
   );
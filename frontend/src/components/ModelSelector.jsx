@@ -0,0 +1,56 @@
+import React from 'react';
+
+// Provider and model are combined into a single option value
+const SEPARATOR = '::';
+
+const ModelSelector = ({ providers, selectedModel, onModelChange }) => {
+  const defaultProvider = providers.find(provider => provider.isDefault) || providers[0];
+  const current = selectedModel || (defaultProvider && { provider: defaultProvider.id, model: defaultProvider.defaultModel });
+
+  const handleChange = (value) => {
+    const [provider, ...modelParts] = value.split(SEPARATOR);
+    onModelChange({ provider, model: modelParts.join(SEPARATOR) });
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-xl">
+      <div className="flex items-center space-x-6 mb-6">
+        <div className="relative">
+          <div className="w-14 h-14 bg-gradient-to-br from-orange-500 via-amber-500 to-yellow-500 rounded-3xl flex items-center justify-center shadow-xl">
+            <svg className="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+            </svg>
+          </div>
+        </div>
+        <div>
+          <label htmlFor="model-select" className="block text-2xl font-bold text-amber-800">
+            Model
+          </label>
+          <p className="text-amber-700 text-lg">Choose the AI that writes it</p>
+        </div>
+      </div>
+      <select
+        id="model-select"
+        value={current ? `${current.provider}${SEPARATOR}${current.model}` : ''}
+        onChange={(e) => handleChange(e.target.value)}
+        disabled={providers.length === 0}
+        className="w-full bg-white/80 text-amber-900 p-4 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300 text-lg font-medium shadow-lg"
+      >
+        {providers.length === 0 && (
+          <option value="">No AI provider configured</option>
+        )}
+        {providers.map(provider => (
+          <optgroup key={provider.id} label={provider.name}>
+            {provider.models.map(model => (
+              <option key={`${provider.id}-${model}`} value={`${provider.id}${SEPARATOR}${model}`}>
+                {model}{model === provider.defaultModel && provider.isDefault ? ' (default)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ModelSelector;
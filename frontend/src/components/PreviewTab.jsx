@@ -21,9 +21,15 @@ const PreviewTab = ({
           </svg>
         </div>
         <h3 className="text-xl font-bold text-amber-800">Preview</h3>
+        {isAnalyzing && generatedReadme && (
+          <span className="ml-auto flex items-center space-x-2 text-sm text-amber-600">
+            <span className="w-2 h-2 bg-amber-500 rounded-full animate-pulse"></span>
+            <span>Writing...</span>
+          </span>
+        )}
       </div>
       <div className="flex-1 overflow-y-auto px-6 pb-6 scrollbar-thin">
-        {isAnalyzing ? (
+        {isAnalyzing && !generatedReadme ? (
           <div className="text-amber-600 text-center py-8">
             <svg className="w-8 h-8 animate-spin mx-auto mb-3" fill="none" viewBox="0 0 24 24">
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
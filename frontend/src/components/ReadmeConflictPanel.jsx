@@ -0,0 +1,51 @@
+import React from 'react';
+import DiffView from './DiffView';
+
+// Shown when saving is refused because the README (or a document saved with it) changed on GitHub after generation
+const ReadmeConflictPanel = ({ conflict, isSaving, activeTab, onApplyMerge, onOverwrite, onDismiss }) => {
+  const { path, upstreamChanges, merge } = conflict;
+
+  return (
+    <div className={`flex-col flex-1 overflow-hidden bg-gradient-to-br from-red-100/60 via-amber-100/20 to-orange-100/60 backdrop-blur-xl rounded-3xl border border-red-400/30 ${
+      activeTab === 'editor' ? 'xl:flex hidden' : 'flex'
+    }`}>
+      <div className="p-6 pb-4 shrink-0 space-y-2">
+        <h3 className="text-xl font-bold text-red-700">{path} changed on GitHub</h3>
+        <p className="text-sm text-amber-800">
+          Someone edited {path} after this draft was generated. These are their changes.{' '}
+          {merge.conflicts === 0
+            ? 'They do not overlap with your edits and can be merged into your draft.'
+            : `${merge.conflicts} ${merge.conflicts === 1 ? 'region overlaps' : 'regions overlap'} with your edits; merging inserts conflict markers for you to resolve.`}
+        </p>
+        <div className="flex flex-wrap gap-2 pt-2">
+          <button
+            onClick={onApplyMerge}
+            disabled={isSaving}
+            className="px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            Merge into my draft
+          </button>
+          <button
+            onClick={onOverwrite}
+            disabled={isSaving}
+            className="px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            Overwrite their changes
+          </button>
+          <button
+            onClick={onDismiss}
+            disabled={isSaving}
+            className="px-4 py-2 rounded-2xl font-semibold bg-amber-200/50 hover:bg-amber-300 text-amber-700 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 px-6 pb-6 overflow-y-auto">
+        <DiffView hunks={upstreamChanges} />
+      </div>
+    </div>
+  );
+};
+
+export default ReadmeConflictPanel;
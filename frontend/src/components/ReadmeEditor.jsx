@@ -1,35 +1,83 @@
 import React, { useEffect } from 'react';
 import { useReadmeSaving } from '../hooks/useDashboard';
+import { useCompanionDocs } from '../hooks/useCompanionDocs';
 import ReadmeEditorModal from './ReadmeEditorModal';
 
 const ReadmeEditor = ({
   selectedRepo,
+  selectedRef,
+  selectedRefType,
+  selectedModel,
+  selectedTemplate,
+  treeSha,
+  canPush,
+  baseReadmeSha,
+  setBaseReadmeSha,
   generatedReadme,
   setGeneratedReadme,
   isAnalyzing,
+  onCancelAnalysis,
   onClose,
   onError
 }) => {
+  const companionDocs = useCompanionDocs({ selectedRepo, selectedRef, selectedModel });
   const {
     commitMessage,
     setCommitMessage,
+    saveMode,
+    setSaveMode,
+    pullRequestOptions,
+    setPullRequestOptions,
+    pullRequest,
+    conflict,
+    setConflict,
     isSaving,
     saveSuccess,
     handleSaveToGithub,
     resetSaveState
-  } = useReadmeSaving(selectedRepo, generatedReadme, onClose);
+  } = useReadmeSaving(selectedRepo, generatedReadme, onClose, selectedRef, baseReadmeSha, companionDocs.includedFiles, selectedRefType);
+  const { resetDocuments, updateDocument } = companionDocs;
 
-  // Reset save state when modal opens for a new repository
+  // Reset save state when modal opens for a new repository.
+  // Read-only repositories can only be changed through a pull request from a fork.
   useEffect(() => {
     if (selectedRepo) {
       resetSaveState();
+      resetDocuments();
+      if (!canPush) {
+        setSaveMode('pull-request');
+      }
     }
-  }, [selectedRepo, resetSaveState]);
+  }, [selectedRepo, canPush, resetSaveState, resetDocuments, setSaveMode]);
+
+  // A tag or commit is known once the analysis resolved the ref; it can only be the base of a pull request
+  const isBranchRef = !selectedRefType || selectedRefType === 'branch';
+  useEffect(() => {
+    if (!isBranchRef) {
+      setSaveMode('pull-request');
+    }
+  }, [isBranchRef, setSaveMode]);
 
   const onSave = () => {
     handleSaveToGithub(onError);
   };
 
+  // Take the three-way merge of the draft and the upstream file, and treat
+  // the upstream file as the new baseline for the next save
+  const onApplyMerge = () => {
+    if (conflict.documentType && conflict.documentType !== 'readme') {
+      updateDocument(conflict.draftPath, { content: conflict.merge.merged, baseSha: conflict.currentReadmeSha });
+    } else {
+      setGeneratedReadme(conflict.merge.merged);
+      setBaseReadmeSha(conflict.currentReadmeSha);
+    }
+    setConflict(null);
+  };
+
+  const onOverwrite = () => {
+    handleSaveToGithub(onError, { force: true });
+  };
+
   const handleClose = () => {
     resetSaveState();
     onClose();
@@ -42,13 +90,31 @@ const ReadmeEditor = ({
   return (
     <ReadmeEditorModal
       selectedRepo={selectedRepo}
+      selectedRef={selectedRef}
+      selectedRefType={selectedRefType}
+      selectedModel={selectedModel}
+      selectedTemplate={selectedTemplate}
+      treeSha={treeSha}
+      baseReadmeSha={baseReadmeSha}
+      canPush={canPush}
       generatedReadme={generatedReadme}
       setGeneratedReadme={setGeneratedReadme}
+      companionDocs={companionDocs}
       isAnalyzing={isAnalyzing}
+      onCancelAnalysis={onCancelAnalysis}
       onClose={handleClose}
       onSave={onSave}
       commitMessage={commitMessage}
       setCommitMessage={setCommitMessage}
+      saveMode={saveMode}
+      setSaveMode={setSaveMode}
+      pullRequestOptions={pullRequestOptions}
+      setPullRequestOptions={setPullRequestOptions}
+      pullRequest={pullRequest}
+      conflict={conflict}
+      onApplyMerge={onApplyMerge}
+      onOverwrite={onOverwrite}
+      onDismissConflict={() => setConflict(null)}
       isSaving={isSaving}
       saveSuccess={saveSuccess}
     />
@@ -4,20 +4,68 @@ import TabSwitcher from './TabSwitcher';
 import EditorTab from './EditorTab';
 import PreviewTab from './PreviewTab';
 import ModalFooter from './ModalFooter';
+import ReadmeHistoryPanel from './ReadmeHistoryPanel';
+import ReadmeRefinePanel from './ReadmeRefinePanel';
+import ReadmeConflictPanel from './ReadmeConflictPanel';
+import DiffTab from './DiffTab';
+import CompanionDocsBar from './CompanionDocsBar';
+import LinkCheckPanel from './LinkCheckPanel';
+import BadgePanel from './BadgePanel';
+import { useSectionRegeneration } from '../hooks/useSectionRegeneration';
+import { useReadmeRefinement } from '../hooks/useReadmeRefinement';
+import { useReadmeLint } from '../hooks/useReadmeLint';
 
 const ReadmeEditorModal = ({ 
   selectedRepo, 
+  selectedRef,
+  selectedRefType,
+  selectedModel,
+  selectedTemplate,
+  treeSha,
+  baseReadmeSha,
+  canPush,
   generatedReadme, 
   setGeneratedReadme,
+  companionDocs,
   isAnalyzing, 
+  onCancelAnalysis,
   onClose, 
   onSave, 
   commitMessage, 
   setCommitMessage,
+  saveMode,
+  setSaveMode,
+  pullRequestOptions,
+  setPullRequestOptions,
+  pullRequest,
+  conflict,
+  onApplyMerge,
+  onOverwrite,
+  onDismissConflict,
   isSaving,
   saveSuccess 
 }) => {
   const [activeTab, setActiveTab] = useState('editor');
+  // 'history', 'refine', 'links' or 'badges': a side panel that takes the place of the preview while it is open
+  const [sidePanel, setSidePanel] = useState(null);
+  // Path of the companion document in the editor (e.g. CONTRIBUTING.md), or null for the README
+  const [activePath, setActivePath] = useState(null);
+  const activeDocument = companionDocs.documents.find(doc => doc.path === activePath) || null;
+  const { pendingSection, regenerateSection, canUndo, undoLastChange } = useSectionRegeneration({
+    selectedRepo,
+    selectedRef,
+    selectedModel,
+    generatedReadme,
+    setGeneratedReadme,
+  });
+  const refinement = useReadmeRefinement({
+    selectedRepo,
+    selectedRef,
+    selectedModel,
+    baseReadmeSha,
+    generatedReadme,
+    setGeneratedReadme,
+  });
   
   const sanitizeContent = useCallback((content) => {
     if (!content) return '';
@@ -33,7 +81,7 @@ const ReadmeEditorModal = ({
     // Additional safe clean-up rules
     cleaned = cleaned
       .replace(/\n{3,}/g, '\n\n') // Collapse excessive newlines
-      .replace(/<!--[\s\S]*?-->/g, ''); // Remove HTML comments
+      .replace(/<!--(?!\s*badges:(?:start|end)\s*-->)[\s\S]*?-->/g, ''); // Remove HTML comments, except the badge block markers
 
     return cleaned;
   }, []);
@@ -48,6 +96,50 @@ const ReadmeEditorModal = ({
     }
   }, [generatedReadme, isAnalyzing, sanitizeContent, setGeneratedReadme]);
 
+  // On small screens, switch to the second pane so a save conflict is visible
+  useEffect(() => {
+    if (conflict) {
+      setActiveTab('preview');
+    }
+  }, [conflict]);
+
+  const handleTogglePanel = (panel) => {
+    setSidePanel(prev => (prev === panel ? null : panel));
+    setActiveTab('preview');
+  };
+
+  // Refinement, section regeneration, history and badges apply to the README only; links are checked in any document
+  const handleSelectDocument = (path) => {
+    setActivePath(path);
+    if (path !== null && sidePanel !== 'links') {
+      setSidePanel(null);
+    }
+  };
+
+  const handleRemoveDocument = (path) => {
+    companionDocs.removeDocument(path);
+    if (path === activePath) {
+      setActivePath(null);
+    }
+  };
+
+  // The editor and preview show whichever document is selected
+  const editedContent = activeDocument ? activeDocument.content : generatedReadme;
+  const setEditedContent = activeDocument
+    ? (content) => companionDocs.updateDocument(activeDocument.path, { content })
+    : setGeneratedReadme;
+
+  // Quality report of whichever document is in the editor, refreshed as it is edited
+  const lint = useReadmeLint({
+    selectedRepo,
+    selectedRef,
+    treeSha,
+    templateId: selectedTemplate,
+    document: activeDocument,
+    content: editedContent,
+    enabled: !isAnalyzing && !refinement.isRefining && pendingSection === null,
+  });
+
   // Handler for modal close
   const handleClose = () => {
     onClose();
@@ -60,12 +152,31 @@ const ReadmeEditorModal = ({
         {/* Modal Header */}
         <ModalHeader 
           selectedRepo={selectedRepo} 
+          selectedRef={selectedRef}
+          sidePanel={sidePanel}
+          onTogglePanel={handleTogglePanel}
+          availablePanels={activeDocument ? ['links'] : undefined}
           onClose={handleClose} 
         />
 
+        {/* README and companion documents (CONTRIBUTING.md, SECURITY.md, ...) */}
+        <CompanionDocsBar
+          documents={companionDocs.documents}
+          activePath={activeDocument ? activeDocument.path : null}
+          onSelect={handleSelectDocument}
+          pendingType={companionDocs.pendingType}
+          onGenerate={companionDocs.generateDocument}
+          onGenerateChangelog={companionDocs.generateChangelog}
+          onToggleInclude={(path) => companionDocs.updateDocument(path, {
+            include: !companionDocs.documents.find(doc => doc.path === path)?.include,
+          })}
+          onRemove={handleRemoveDocument}
+          disabled={isAnalyzing || isSaving}
+        />
+
         {/* Modal Body */}
-        <div className="flex-grow flex flex-col xl:grid xl:grid-cols-2 gap-4 p-4 overflow-hidden">
-          {/* Mobile Toggle Buttons */}
+        <div className="flex-grow flex flex-col xl:grid xl:grid-cols-2 xl:grid-rows-[auto_1fr] gap-4 p-4 overflow-hidden">
+          {/* Tab Buttons (Editor/Preview on mobile, Preview/Changes beside the editor on desktop) */}
           <TabSwitcher 
             activeTab={activeTab} 
             setActiveTab={setActiveTab} 
@@ -73,24 +184,103 @@ const ReadmeEditorModal = ({
           
           {/* Editor */}
           <EditorTab 
-            generatedReadme={generatedReadme}
-            setGeneratedReadme={setGeneratedReadme}
-            isAnalyzing={isAnalyzing}
+            generatedReadme={editedContent}
+            setGeneratedReadme={setEditedContent}
+            isAnalyzing={isAnalyzing && !activeDocument}
+            isRefining={refinement.isRefining && !activeDocument}
+            onCancelAnalysis={onCancelAnalysis}
             activeTab={activeTab}
+            pendingSection={pendingSection}
+            onRegenerateSection={activeDocument ? undefined : regenerateSection}
+            canUndoSection={canUndo}
+            onUndoSection={undoLastChange}
+            lint={lint}
           />
 
-          {/* Preview */}
-          <PreviewTab 
-            generatedReadme={generatedReadme}
-            isAnalyzing={isAnalyzing}
-            activeTab={activeTab}
-          />
+          {/* Preview, or the changes / save conflict / draft history / refinement chat when open */}
+          {conflict ? (
+            <ReadmeConflictPanel
+              conflict={conflict}
+              isSaving={isSaving}
+              activeTab={activeTab}
+              onApplyMerge={onApplyMerge}
+              onOverwrite={onOverwrite}
+              onDismiss={onDismissConflict}
+            />
+          ) : activeTab === 'diff' ? (
+            <DiffTab
+              key={activePath || 'readme'}
+              selectedRepo={selectedRepo}
+              selectedRef={selectedRef}
+              generatedReadme={editedContent}
+              isAnalyzing={isAnalyzing && !activeDocument}
+              document={activeDocument}
+            />
+          ) : sidePanel === 'history' ? (
+            <ReadmeHistoryPanel
+              selectedRepo={selectedRepo}
+              generatedReadme={generatedReadme}
+              setGeneratedReadme={setGeneratedReadme}
+              isAnalyzing={isAnalyzing}
+              activeTab={activeTab}
+              onClose={() => setSidePanel(null)}
+            />
+          ) : sidePanel === 'links' ? (
+            <LinkCheckPanel
+              selectedRepo={selectedRepo}
+              selectedRef={selectedRef}
+              treeSha={treeSha}
+              document={activeDocument}
+              content={editedContent}
+              setContent={setEditedContent}
+              isAnalyzing={isAnalyzing && !activeDocument}
+              activeTab={activeTab}
+              onClose={() => setSidePanel(null)}
+            />
+          ) : sidePanel === 'badges' ? (
+            <BadgePanel
+              selectedRepo={selectedRepo}
+              selectedRef={selectedRef}
+              treeSha={treeSha}
+              content={generatedReadme}
+              setContent={setGeneratedReadme}
+              isAnalyzing={isAnalyzing}
+              activeTab={activeTab}
+              onClose={() => setSidePanel(null)}
+            />
+          ) : sidePanel === 'refine' ? (
+            <ReadmeRefinePanel
+              refinements={refinement.refinements}
+              isLoading={refinement.isLoading}
+              pendingInstruction={refinement.pendingInstruction}
+              onLoad={refinement.fetchRefinements}
+              onSend={refinement.sendInstruction}
+              isAnalyzing={isAnalyzing}
+              hasContent={!!generatedReadme.trim()}
+              activeTab={activeTab}
+              onClose={() => setSidePanel(null)}
+            />
+          ) : (
+            <PreviewTab 
+              generatedReadme={editedContent}
+              isAnalyzing={isAnalyzing && !activeDocument}
+              activeTab={activeTab}
+            />
+          )}
         </div>
 
         {/* Modal Footer */}
         <ModalFooter 
           commitMessage={commitMessage}
           setCommitMessage={setCommitMessage}
+          selectedRef={selectedRef}
+          selectedRefType={selectedRefType}
+          canPush={canPush}
+          saveMode={saveMode}
+          setSaveMode={setSaveMode}
+          pullRequestOptions={pullRequestOptions}
+          setPullRequestOptions={setPullRequestOptions}
+          pullRequest={pullRequest}
           onSave={onSave}
           isSaving={isSaving}
           saveSuccess={saveSuccess}
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { useReadmeHistory } from '../hooks/useReadmeHistory';
+import DiffView from './DiffView';
+
+const SOURCE_LABELS = {
+  ai: 'AI',
+  manual: 'Manual',
+  imported: 'Imported',
+  refined: 'Refined',
+};
+
+const SOURCE_STYLES = {
+  ai: 'bg-amber-200 text-amber-800',
+  manual: 'bg-green-200 text-green-800',
+  imported: 'bg-orange-200 text-orange-800',
+  refined: 'bg-yellow-200 text-yellow-800',
+};
+
+const ReadmeHistoryPanel = ({ selectedRepo, generatedReadme, setGeneratedReadme, isAnalyzing, activeTab, onClose }) => {
+  const {
+    revisions,
+    diff,
+    isLoading,
+    isSavingDraft,
+    fetchRevisions,
+    saveDraft,
+    compareRevisions,
+    restoreRevision,
+    clearDiff,
+  } = useReadmeHistory(selectedRepo);
+
+  // Up to two revision numbers picked for comparison
+  const [selected, setSelected] = useState([]);
+
+  // Reload when the panel opens and after each generation, which records an AI revision
+  useEffect(() => {
+    if (!isAnalyzing) {
+      fetchRevisions();
+    }
+  }, [isAnalyzing, fetchRevisions]);
+
+  const toggleSelected = (number) => {
+    clearDiff();
+    setSelected(prev => prev.includes(number)
+      ? prev.filter(candidate => candidate !== number)
+      : [...prev, number].slice(-2));
+  };
+
+  const handleCompare = () => {
+    const [from, to] = [...selected].sort((a, b) => a - b);
+    compareRevisions(from, to);
+  };
+
+  const handleRestore = async (number) => {
+    const content = await restoreRevision(number);
+    if (content !== null) {
+      setGeneratedReadme(content);
+    }
+  };
+
+  return (
+    <div className={`flex-col flex-1 overflow-hidden bg-gradient-to-br from-amber-100/60 via-yellow-100/20 to-amber-100/60 backdrop-blur-xl rounded-3xl border border-amber-500/20 ${
+      activeTab === 'editor' ? 'xl:flex hidden' : 'flex'
+    }`}>
+      <div className="flex items-center justify-between p-6 pb-4 shrink-0">
+        <h3 className="text-xl font-bold text-amber-800">History</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => saveDraft(generatedReadme)}
+            disabled={isSavingDraft || isAnalyzing || !generatedReadme.trim()}
+            className="px-4 py-2 rounded-2xl font-semibold bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            {isSavingDraft ? 'Saving...' : 'Save draft'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-2xl font-semibold bg-amber-200/50 hover:bg-amber-300 text-amber-700 transition-colors duration-200"
+          >
+            Hide
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 px-6 pb-6 overflow-y-auto space-y-4">
+        {isLoading && revisions.length === 0 ? (
+          <p className="text-amber-700 text-sm">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-amber-700 text-sm">No revisions yet. Generated READMEs and saved drafts appear here.</p>
+        ) : (
+          <ul className="space-y-2">
+            {revisions.map(revision => (
+              <li key={revision.number} className="flex items-center gap-3 bg-white/70 rounded-2xl p-3 border border-amber-300/20">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(revision.number)}
+                  onChange={() => toggleSelected(revision.number)}
+                  aria-label={`Select revision ${revision.number} for comparison`}
+                  className="accent-amber-500"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-amber-900">#{revision.number}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${SOURCE_STYLES[revision.source]}`}>
+                      {SOURCE_LABELS[revision.source]}
+                    </span>
+                    {revision.restoredFrom && (
+                      <span className="text-xs text-amber-600">restored from #{revision.restoredFrom}</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-amber-600 truncate">
+                    {new Date(revision.createdAt).toLocaleString()}
+                    {revision.templateId && ` · ${revision.templateId}`}
+                    {revision.model && ` · ${revision.model}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRestore(revision.number)}
+                  disabled={isAnalyzing}
+                  className="text-sm font-medium text-amber-700 hover:text-amber-900 disabled:opacity-50"
+                >
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {revisions.length > 1 && (
+          <button
+            onClick={handleCompare}
+            disabled={selected.length !== 2}
+            className="w-full py-2 rounded-2xl font-semibold bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            {selected.length === 2 ? `Compare #${Math.min(...selected)} and #${Math.max(...selected)}` : 'Select two revisions to compare'}
+          </button>
+        )}
+
+        {diff && <DiffView hunks={diff.hunks} stats={diff.stats} />}
+      </div>
+    </div>
+  );
+};
+
+export default ReadmeHistoryPanel;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import InlineSpinner from './InlineSpinner';
+import { getScoreClassName, SEVERITY_CLASS_NAMES, describeLintSummary } from '../utils/readmeLint';
+
+// Quality score of the draft with the problems found; a problem with a line number selects that line
+const ReadmeLintPanel = ({ report, isLinting, error, onJumpToLine }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!report && !isLinting && !error) {
+    return null;
+  }
+
+  return (
+    <div className="mx-6 mb-4 rounded-2xl border border-amber-300/40 bg-white/60 text-sm shrink-0">
+      <div className="flex items-center gap-3 px-4 py-2">
+        {report && (
+          <span
+            className={`px-2.5 py-0.5 rounded-full border font-bold ${getScoreClassName(report.score)}`}
+            title="README quality score out of 100"
+          >
+            {report.score} · {report.grade}
+          </span>
+        )}
+        <span className="text-amber-800 flex-1 min-w-0 truncate">
+          {error && !report ? error : report ? describeLintSummary(report.summary) : 'Checking the README...'}
+        </span>
+        {isLinting && <InlineSpinner size="xs" />}
+        {report && report.issues.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setIsExpanded(prev => !prev)}
+            className="font-semibold text-amber-700 hover:text-amber-900"
+            aria-expanded={isExpanded}
+          >
+            {isExpanded ? 'Hide' : 'Show'}
+          </button>
+        )}
+      </div>
+      {report && isExpanded && (
+        <ul className="max-h-40 overflow-y-auto border-t border-amber-300/40 px-4 py-2 space-y-1 scrollbar-thin">
+          {report.issues.map((issue, index) => (
+            <li key={`${issue.rule}-${issue.line}-${index}`} className="flex items-baseline gap-2">
+              <span className={`uppercase text-xs font-bold w-16 shrink-0 ${SEVERITY_CLASS_NAMES[issue.severity]}`}>
+                {issue.severity}
+              </span>
+              {issue.line ? (
+                <button
+                  type="button"
+                  onClick={() => onJumpToLine(issue.line)}
+                  className="text-left text-amber-900 hover:underline"
+                >
+                  <span className="font-mono text-amber-600 mr-2">L{issue.line}</span>
+                  {issue.message}
+                </button>
+              ) : (
+                <span className="text-amber-900">{issue.message}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReadmeLintPanel;
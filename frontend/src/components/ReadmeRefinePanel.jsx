@@ -0,0 +1,158 @@
+import React, { useEffect, useRef, useState } from 'react';
+import InlineSpinner from './InlineSpinner';
+
+const SUGGESTIONS = [
+  'Add a troubleshooting section',
+  'The project uses pnpm, not npm',
+  'Make the introduction shorter',
+  'Add a contributing section',
+];
+
+// Chat-style side panel: every instruction revises the whole README in the editor
+const ReadmeRefinePanel = ({
+  refinements,
+  isLoading,
+  pendingInstruction,
+  onLoad,
+  onSend,
+  isAnalyzing,
+  hasContent,
+  activeTab,
+  onClose,
+}) => {
+  const [instruction, setInstruction] = useState('');
+  const bottomRef = useRef(null);
+  const isRefining = pendingInstruction !== null;
+
+  // Reload when the panel opens and after each generation
+  useEffect(() => {
+    if (!isAnalyzing) {
+      onLoad();
+    }
+  }, [isAnalyzing, onLoad]);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+  }, [refinements.length, pendingInstruction]);
+
+  const canSend = !isRefining && !isAnalyzing && hasContent && instruction.trim();
+
+  const handleSend = async () => {
+    if (!canSend) return;
+    const text = instruction.trim();
+    setInstruction('');
+    if (!(await onSend(text))) {
+      // Give the text back so it can be retried or adjusted
+      setInstruction(text);
+    }
+  };
+
+  // Enter sends; Shift+Enter starts a new line
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <div className={`flex-col flex-1 overflow-hidden bg-gradient-to-br from-amber-100/60 via-yellow-100/20 to-amber-100/60 backdrop-blur-xl rounded-3xl border border-amber-500/20 ${
+      activeTab === 'editor' ? 'xl:flex hidden' : 'flex'
+    }`}>
+      <div className="flex items-center justify-between p-6 pb-4 shrink-0">
+        <div>
+          <h3 className="text-xl font-bold text-amber-800">Refine</h3>
+          <p className="text-xs text-amber-600 mt-1">Tell the AI what to change; the whole README is revised.</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-2xl font-semibold bg-amber-200/50 hover:bg-amber-300 text-amber-700 transition-colors duration-200"
+        >
+          Hide
+        </button>
+      </div>
+
+      <div className="flex-1 px-6 pb-4 overflow-y-auto space-y-3">
+        {isLoading && refinements.length === 0 ? (
+          <p className="text-amber-700 text-sm">Loading conversation...</p>
+        ) : refinements.length === 0 && !isRefining ? (
+          <div className="space-y-3">
+            <p className="text-amber-700 text-sm">No refinements yet. Try one of these:</p>
+            <div className="flex flex-wrap gap-2">
+              {SUGGESTIONS.map(suggestion => (
+                <button
+                  key={suggestion}
+                  onClick={() => setInstruction(suggestion)}
+                  className="text-sm px-3 py-1.5 rounded-full bg-white/70 border border-amber-300/40 text-amber-800 hover:bg-white transition-colors duration-200"
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {refinements.map((refinement, index) => (
+              <li key={`${refinement.revision}-${index}`} className="space-y-2">
+                <div className="flex justify-end">
+                  <p className="max-w-[85%] whitespace-pre-wrap text-sm px-4 py-2 rounded-2xl rounded-br-md bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow">
+                    {refinement.instruction}
+                  </p>
+                </div>
+                <div className="flex justify-start">
+                  <p className="max-w-[85%] text-sm px-4 py-2 rounded-2xl rounded-bl-md bg-white/80 text-amber-900 border border-amber-300/30">
+                    Revised the README (revision #{refinement.revision})
+                    <span className="block text-xs text-amber-600 mt-1">
+                      {refinement.createdAt && new Date(refinement.createdAt).toLocaleString()}
+                      {refinement.model && ` · ${refinement.model}`}
+                    </span>
+                  </p>
+                </div>
+              </li>
+            ))}
+            {isRefining && (
+              <li className="space-y-2">
+                <div className="flex justify-end">
+                  <p className="max-w-[85%] whitespace-pre-wrap text-sm px-4 py-2 rounded-2xl rounded-br-md bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow opacity-80">
+                    {pendingInstruction}
+                  </p>
+                </div>
+                <div className="flex justify-start">
+                  <div className="text-sm px-4 py-2 rounded-2xl rounded-bl-md bg-white/80 border border-amber-300/30">
+                    <InlineSpinner size="xs" message="Revising..." />
+                  </div>
+                </div>
+              </li>
+            )}
+          </ul>
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      <div className="px-6 pb-6 shrink-0">
+        <div className="flex gap-2 items-end">
+          <textarea
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            onKeyDown={handleKeyDown}
+            rows={2}
+            maxLength={500}
+            disabled={isRefining || isAnalyzing}
+            placeholder={hasContent ? 'e.g. "Add a troubleshooting section"' : 'Generate a README first'}
+            className="flex-1 resize-none bg-white/80 text-amber-900 p-3 rounded-2xl text-sm border-2 border-amber-300/40 focus:outline-none focus:ring-2 focus:ring-amber-400 placeholder-amber-500 disabled:opacity-50"
+          />
+          <button
+            onClick={handleSend}
+            disabled={!canSend}
+            className="px-4 py-3 rounded-2xl font-semibold bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white shadow-lg transition-all duration-300 disabled:opacity-50"
+          >
+            Send
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReadmeRefinePanel;
@@ -1,20 +1,71 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getScoreClassName, describeLintSummary } from '../utils/readmeLint';
+
+const RepositoryCard = ({ repo, isAnalyzing, selectedRepo, onAnalyzeRepo, branches, onLoadBranches, isSelected = false, onToggleSelect, readmeScore, onCheckReadme }) => {
+  // The ref (branch or tag) to analyze; empty means the repository's default branch
+  const [selectedRef, setSelectedRef] = useState(repo.defaultBranch || '');
 
-const RepositoryCard = ({ repo, isAnalyzing, selectedRepo, onAnalyzeRepo }) => {
   return (
     <div className="group bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl p-8 rounded-3xl border border-amber-300/20 hover:border-amber-400/50 hover:from-amber-100/80 hover:via-yellow-100/50 hover:to-orange-100/80 transition-all duration-500 transform hover:-translate-y-2 hover:shadow-2xl flex flex-col justify-between">
       <div className="space-y-6">
         <div className="flex items-start justify-between">
+          <div className="flex items-center gap-4">
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={() => onToggleSelect(repo.fullName)}
+              aria-label={`Select ${repo.fullName} for batch generation`}
+              className="w-5 h-5 accent-amber-600 cursor-pointer"
+            />
+          )}
           <div className="w-14 h-14 bg-gradient-to-br from-amber-500 via-yellow-500 to-orange-500 rounded-3xl flex items-center justify-center shadow-xl group-hover:shadow-2xl transition-all duration-300">
             <svg className="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
             </svg>
           </div>
-          <span className={`px-4 py-2 text-sm font-medium rounded-full ${
-            repo.private ? 'bg-gradient-to-r from-red-400/20 to-pink-400/20 text-red-700 border border-red-400/30' : 'bg-gradient-to-r from-green-400/20 to-emerald-400/20 text-green-700 border border-green-400/30'
-          }`}>
-            {repo.private ? 'Private' : 'Public'}
-          </span>
+          </div>
+          <div className="flex flex-col items-end gap-2">
+            <span className={`px-4 py-2 text-sm font-medium rounded-full ${
+              repo.private ? 'bg-gradient-to-r from-red-400/20 to-pink-400/20 text-red-700 border border-red-400/30' : 'bg-gradient-to-r from-green-400/20 to-emerald-400/20 text-green-700 border border-green-400/30'
+            }`}>
+              {repo.private ? 'Private' : 'Public'}
+            </span>
+            {repo.canPush === false && (
+              <span
+                className="px-3 py-1 text-xs font-medium rounded-full bg-amber-200/60 text-amber-800 border border-amber-400/30"
+                title="You cannot push to this repository. READMEs are proposed through a pull request from your fork."
+              >
+                Read-only
+              </span>
+            )}
+            {onCheckReadme && (
+              <button
+                type="button"
+                onClick={() => onCheckReadme(repo.fullName, selectedRef)}
+                disabled={readmeScore?.isLoading}
+                title={readmeScore?.report
+                  ? `${readmeScore.path} on ${readmeScore.ref}: ${describeLintSummary(readmeScore.report.summary)}. Click to check again.`
+                  : 'Check the quality of the committed README'}
+                className={`px-3 py-1 text-xs font-medium rounded-full border transition-opacity duration-300 disabled:opacity-60 ${
+                  readmeScore?.report ? getScoreClassName(readmeScore.report.score) : 'bg-white/60 text-amber-800 border-amber-400/30 hover:bg-white'
+                }`}
+              >
+                {readmeScore?.isLoading
+                  ? 'Checking...'
+                  : readmeScore?.report
+                    ? `README ${readmeScore.report.score} · ${readmeScore.report.grade}`
+                    : readmeScore && readmeScore.report === null
+                      ? 'No README'
+                      : 'Score README'}
+              </button>
+            )}
+            {(repo.archived || repo.fork) && (
+              <span className="px-3 py-1 text-xs font-medium rounded-full bg-stone-200/60 text-stone-700 border border-stone-400/30">
+                {repo.archived ? 'Archived' : 'Fork'}
+              </span>
+            )}
+          </div>
         </div>
         
         <div>
@@ -30,10 +81,52 @@ const RepositoryCard = ({ repo, isAnalyzing, selectedRepo, onAnalyzeRepo }) => {
             {repo.description || 'No description provided'}
           </p>
         </div>
+
+        <div>
+          <label htmlFor={`ref-select-${repo.id}`} className="block text-sm font-medium text-amber-700 mb-2">
+            Branch or tag
+          </label>
+          <select
+            id={`ref-select-${repo.id}`}
+            value={selectedRef}
+            onFocus={() => onLoadBranches && onLoadBranches(repo.fullName)}
+            onChange={(e) => setSelectedRef(e.target.value)}
+            disabled={isAnalyzing}
+            className="w-full bg-white/80 text-amber-900 p-3 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300 font-mono text-sm shadow-lg"
+          >
+            {!branches && (
+              <option value={selectedRef}>{selectedRef || 'Default branch'}</option>
+            )}
+            {branches && (
+              <>
+                <optgroup label="Branches">
+                  {branches.branches.map(branch => (
+                    <option key={`branch-${branch}`} value={branch}>
+                      {branch}{branch === branches.defaultBranch ? ' (default)' : ''}
+                    </option>
+                  ))}
+                  {branches.truncated?.branches && (
+                    <option disabled>Only the first {branches.branches.length} branches are listed</option>
+                  )}
+                </optgroup>
+                {branches.tags.length > 0 && (
+                  <optgroup label="Tags">
+                    {branches.tags.map(tag => (
+                      <option key={`tag-${tag}`} value={tag}>{tag}</option>
+                    ))}
+                    {branches.truncated?.tags && (
+                      <option disabled>Only the first {branches.tags.length} tags are listed</option>
+                    )}
+                  </optgroup>
+                )}
+              </>
+            )}
+          </select>
+        </div>
       </div>
       
       <button
-        onClick={() => onAnalyzeRepo(repo.fullName)}
+        onClick={() => onAnalyzeRepo(repo.fullName, selectedRef || undefined)}
         className={`mt-6 w-full py-4 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
           isAnalyzing && selectedRepo === repo.fullName
             ? 'bg-gradient-to-r from-yellow-500 to-orange-500 text-white shadow-xl'
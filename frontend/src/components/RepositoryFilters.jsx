@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_REPO_FILTERS } from '../hooks/useDashboard';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const selectClassName = "w-full bg-white/80 text-amber-900 p-3 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300 text-sm shadow-lg";
+const labelClassName = "block text-sm font-medium text-amber-700 mb-2";
+
+const RepositoryFilters = ({ filters, owners = [], languages = [], onChange, isLoading }) => {
+  // Search and language are typed, so they are debounced before reloading the list
+  const [search, setSearch] = useState(filters.q);
+  const [language, setLanguage] = useState(filters.language);
+
+  useEffect(() => {
+    const q = search.trim();
+    const trimmedLanguage = language.trim();
+    if (q === filters.q && trimmedLanguage === filters.language) {
+      return undefined;
+    }
+    const timer = setTimeout(() => onChange({ q, language: trimmedLanguage }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search, language, filters.q, filters.language, onChange]);
+
+  const hasFilters = Boolean(
+    filters.q || filters.owner || filters.affiliation || filters.language || filters.archived || filters.fork
+  ) || filters.visibility !== 'all';
+
+  const clearFilters = () => {
+    setSearch('');
+    setLanguage('');
+    onChange(DEFAULT_REPO_FILTERS);
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl p-6 rounded-3xl border border-amber-300/20 shadow-xl space-y-4">
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <svg className="w-5 h-5 text-amber-500 absolute left-4 top-1/2 -translate-y-1/2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-4.35-4.35M11 19a8 8 0 100-16 8 8 0 000 16z" />
+          </svg>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search repositories by name or description"
+            aria-label="Search repositories"
+            className="w-full bg-white/80 text-amber-900 placeholder-amber-500 pl-12 pr-4 py-3 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300 shadow-lg"
+          />
+        </div>
+        {isLoading && (
+          <div className="w-6 h-6 border-2 border-amber-400 border-t-transparent rounded-full animate-spin" aria-label="Loading repositories" />
+        )}
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="px-4 py-3 text-sm font-medium text-amber-800 bg-amber-200/60 hover:bg-amber-200 rounded-2xl border border-amber-400/30 transition-colors duration-300"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4">
+        <div>
+          <label htmlFor="repo-filter-owner" className={labelClassName}>Owner</label>
+          <select
+            id="repo-filter-owner"
+            value={filters.owner}
+            onChange={(e) => onChange({ owner: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Any owner</option>
+            {owners.map(owner => (
+              <option key={owner.login} value={owner.login}>
+                {owner.login}{owner.type === 'Organization' ? ' (org)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="repo-filter-affiliation" className={labelClassName}>Affiliation</label>
+          <select
+            id="repo-filter-affiliation"
+            value={filters.affiliation}
+            onChange={(e) => onChange({ affiliation: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Any</option>
+            <option value="owner">Owner</option>
+            <option value="collaborator">Collaborator</option>
+            <option value="organization_member">Organization member</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="repo-filter-visibility" className={labelClassName}>Visibility</label>
+          <select
+            id="repo-filter-visibility"
+            value={filters.visibility}
+            onChange={(e) => onChange({ visibility: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="all">All</option>
+            <option value="public">Public</option>
+            <option value="private">Private</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="repo-filter-language" className={labelClassName}>Language</label>
+          <input
+            id="repo-filter-language"
+            list="repo-filter-languages"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            placeholder="Any language"
+            className={selectClassName}
+          />
+          <datalist id="repo-filter-languages">
+            {languages.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </div>
+
+        <div>
+          <label htmlFor="repo-filter-archived" className={labelClassName}>Archived</label>
+          <select
+            id="repo-filter-archived"
+            value={filters.archived}
+            onChange={(e) => onChange({ archived: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Include</option>
+            <option value="false">Exclude</option>
+            <option value="true">Only archived</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="repo-filter-fork" className={labelClassName}>Forks</label>
+          <select
+            id="repo-filter-fork"
+            value={filters.fork}
+            onChange={(e) => onChange({ fork: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Include</option>
+            <option value="false">Exclude</option>
+            <option value="true">Only forks</option>
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RepositoryFilters;
@@ -1,7 +1,79 @@
-import React from 'react';
+import React, { useEffect, useMemo, useRef } from 'react';
 import RepositoryCard from './RepositoryCard';
+import RepositoryFilters from './RepositoryFilters';
+
+const RepositoryList = ({
+  repos,
+  isAnalyzing,
+  selectedRepo,
+  onAnalyzeRepo,
+  branchesByRepo = {},
+  onLoadBranches,
+  filters,
+  owners,
+  onFiltersChange,
+  isLoadingRepos = false,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore,
+  selectedRepos,
+  onToggleSelect,
+  readmeScores = {},
+  onCheckReadme,
+}) => {
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || !onLoadMore) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
+  // Suggestions for the language filter, from the repositories loaded so far
+  const languages = useMemo(
+    () => [...new Set(repos.map(repo => repo.language).filter(Boolean))].sort(),
+    [repos]
+  );
+
+  const hasActiveFilters = filters && Object.entries(filters).some(([key, value]) =>
+    key === 'visibility' ? value !== 'all' : Boolean(value)
+  );
+
+  const filterControls = filters && onFiltersChange && (
+    <RepositoryFilters
+      filters={filters}
+      owners={owners}
+      languages={languages}
+      onChange={onFiltersChange}
+      isLoading={isLoadingRepos}
+    />
+  );
+
+  if (repos.length === 0 && hasActiveFilters) {
+    return (
+      <div className="space-y-6">
+        {filterControls}
+        <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl rounded-3xl p-12 text-center border-2 border-amber-300/20 shadow-xl">
+          <h3 className="text-2xl font-bold text-amber-800 mb-3">
+            {isLoadingRepos ? 'Searching repositories...' : 'No repositories match your filters'}
+          </h3>
+          {!isLoadingRepos && (
+            <p className="text-amber-700 text-lg">Try a different search or clear some filters.</p>
+          )}
+        </div>
+      </div>
+    );
+  }
 
-const RepositoryList = ({ repos, isAnalyzing, selectedRepo, onAnalyzeRepo }) => {
   if (repos.length === 0) {
     return (
       <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl rounded-3xl p-16 text-center border-2 border-amber-300/20 shadow-2xl">
@@ -24,16 +96,43 @@ const RepositoryList = ({ repos, isAnalyzing, selectedRepo, onAnalyzeRepo }) =>
   }
 
   return (
-    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 lg:gap-6">
-      {repos.map((repo) => (
-        <RepositoryCard
-          key={repo.id}
-          repo={repo}
-          isAnalyzing={isAnalyzing}
-          selectedRepo={selectedRepo}
-          onAnalyzeRepo={onAnalyzeRepo}
-        />
-      ))}
+    <div className="space-y-6">
+      {filterControls}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 lg:gap-6">
+        {repos.map((repo) => (
+          <RepositoryCard
+            key={repo.id}
+            repo={repo}
+            isAnalyzing={isAnalyzing}
+            selectedRepo={selectedRepo}
+            onAnalyzeRepo={onAnalyzeRepo}
+            branches={branchesByRepo[repo.fullName]}
+            onLoadBranches={onLoadBranches}
+            isSelected={selectedRepos?.has(repo.fullName) ?? false}
+            onToggleSelect={onToggleSelect}
+            readmeScore={readmeScores[repo.fullName]}
+            onCheckReadme={onCheckReadme}
+          />
+        ))}
+      </div>
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center py-4">
+          {isLoadingMore ? (
+            <div className="flex items-center gap-3 text-amber-700">
+              <div className="w-5 h-5 border-2 border-amber-400 border-t-transparent rounded-full animate-spin" />
+              Loading more repositories...
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={onLoadMore}
+              className="px-6 py-3 text-sm font-medium text-amber-800 bg-amber-200/60 hover:bg-amber-200 rounded-2xl border border-amber-400/30 transition-colors duration-300"
+            >
+              Load more repositories
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 };
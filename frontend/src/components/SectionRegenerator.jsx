@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import InlineSpinner from './InlineSpinner';
+
+const MODES = [
+  { id: 'regenerate', label: 'Regenerate', hint: "Write it again from the repository's files" },
+  { id: 'rewrite', label: 'Rewrite', hint: 'Rework the current text only' },
+];
+
+const INSTRUCTION_SUGGESTIONS = ['shorter', 'more detail', 'add Docker steps', 'friendlier tone'];
+
+// Picks one heading-delimited section of the README and regenerates or rewrites just that section.
+// Placing the cursor in the editor selects the section it is in.
+const SectionRegenerator = ({
+  sections,
+  selectedIndex,
+  onSelectIndex,
+  pendingSection,
+  onRegenerate,
+  canUndo,
+  onUndo,
+  disabled,
+}) => {
+  const [mode, setMode] = useState('regenerate');
+  const [instruction, setInstruction] = useState('');
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const isPending = pendingSection !== null;
+  const selected = sections[selectedIndex];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected) return;
+    const applied = await onRegenerate({ ...selected, index: selectedIndex }, { mode, instruction: instruction.trim() });
+    if (applied) {
+      setInstruction('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mx-6 mb-4 p-4 bg-white/60 rounded-2xl border border-green-500/20 space-y-3 shrink-0">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          value={selected ? selectedIndex : ''}
+          onChange={(e) => onSelectIndex(Number(e.target.value))}
+          disabled={disabled || isPending}
+          className="flex-1 min-w-0 px-3 py-2 text-sm rounded-xl border-2 border-green-500/30 bg-white/80 text-amber-900 focus:outline-none focus:ring-2 focus:ring-green-400 disabled:opacity-50"
+        >
+          {sections.map((section, index) => (
+            <option key={`${index}-${section.startLine}`} value={index}>
+              {section.title === null
+                ? '(Introduction)'
+                : `${'  '.repeat(Math.max(0, section.level - 1))}${section.title}`}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          {MODES.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              title={option.hint}
+              onClick={() => setMode(option.id)}
+              disabled={isPending}
+              className={`px-3 py-2 text-sm font-semibold rounded-xl transition-colors duration-200 ${
+                mode === option.id
+                  ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow'
+                  : 'bg-amber-100/80 text-amber-700 hover:bg-amber-200/80 border border-green-500/30'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          maxLength={500}
+          disabled={disabled || isPending}
+          list="section-instruction-suggestions"
+          placeholder='Optional instruction, e.g. "shorter" or "add Docker steps"'
+          className="flex-1 min-w-0 px-3 py-2 text-sm rounded-xl border-2 border-green-500/30 bg-white/80 text-amber-900 placeholder-amber-500 focus:outline-none focus:ring-2 focus:ring-green-400 disabled:opacity-50"
+        />
+        <datalist id="section-instruction-suggestions">
+          {INSTRUCTION_SUGGESTIONS.map(suggestion => <option key={suggestion} value={suggestion} />)}
+        </datalist>
+        <div className="flex gap-2">
+          {canUndo && !isPending && (
+            <button
+              type="button"
+              onClick={onUndo}
+              className="px-4 py-2 text-sm font-semibold rounded-xl border-2 border-amber-300/50 text-amber-800 bg-white/80 hover:bg-white transition-all duration-300"
+            >
+              Undo
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={disabled || isPending || !selected}
+            className="flex items-center space-x-2 px-4 py-2 text-sm font-semibold rounded-xl text-white bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow"
+          >
+            {isPending && <InlineSpinner size="xs" />}
+            <span>{isPending ? 'Working...' : `${mode === 'rewrite' ? 'Rewrite' : 'Regenerate'} section`}</span>
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default SectionRegenerator;
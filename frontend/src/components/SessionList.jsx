@@ -0,0 +1,62 @@
+import React from 'react';
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const SessionList = ({ sessions, revoking, onRevoke }) => {
+  if (sessions.length === 0) {
+    return (
+      <p className="text-amber-700 text-center py-8">No active sessions.</p>
+    );
+  }
+
+  return (
+    <ul className="space-y-4">
+      {sessions.map((session) => (
+        <li
+          key={session.id}
+          className={`flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-6 rounded-2xl border ${
+            session.current ? 'bg-white/80 border-amber-400/50' : 'bg-white/50 border-amber-300/20'
+          }`}
+        >
+          <div className="flex items-start gap-4">
+            <div className="w-12 h-12 bg-gradient-to-br from-amber-400 via-yellow-500 to-orange-500 rounded-2xl flex items-center justify-center shadow-lg shrink-0">
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+            </div>
+            <div>
+              <p className="text-lg font-semibold text-amber-900 flex items-center gap-2">
+                {session.device}
+                {session.current && (
+                  <span className="px-3 py-1 text-xs font-medium rounded-full bg-green-400/20 text-green-700 border border-green-400/30">
+                    This device
+                  </span>
+                )}
+              </p>
+              <p className="text-sm text-amber-700 mt-1">
+                {session.ip ? `${session.ip} · ` : ''}Last active {formatDate(session.lastUsedAt)}
+              </p>
+              <p className="text-xs text-amber-600 mt-1">Signed in {formatDate(session.createdAt)}</p>
+              {session.userAgent && (
+                <p className="text-xs text-amber-500 mt-1 break-all" title={session.userAgent}>
+                  {session.userAgent}
+                </p>
+              )}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => onRevoke(session)}
+            disabled={Boolean(revoking)}
+            className="px-6 py-3 text-sm font-semibold rounded-2xl border-2 border-red-300/50 text-red-700 bg-white/80 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shrink-0"
+          >
+            {revoking === session.id ? 'Signing out...' : session.current ? 'Sign out' : 'Revoke'}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SessionList;
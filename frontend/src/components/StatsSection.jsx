@@ -1,6 +1,30 @@
 import React from 'react';
 
-const StatsSection = ({ repos, templates, isAnalyzing }) => {
+// Usage above this share of a quota is shown in amber, then red
+const WARNING_RATIO = 0.8;
+
+const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens));
+
+const UsageBar = ({ label, used, limit }) => {
+  if (!limit) {
+    return <p className="text-green-700 text-sm mt-3">{label}: {used} (no limit)</p>;
+  }
+  const ratio = Math.min(1, used / limit);
+  const color = ratio >= 1 ? 'bg-red-500' : ratio >= WARNING_RATIO ? 'bg-amber-500' : 'bg-green-500';
+  return (
+    <div className="mt-3 text-left">
+      <div className="flex justify-between text-xs text-green-700 mb-1">
+        <span>{label}</span>
+        <span>{used} / {limit}</span>
+      </div>
+      <div className="h-2 bg-green-200/60 rounded-full overflow-hidden">
+        <div className={`h-full ${color} transition-all duration-500`} style={{ width: `${ratio * 100}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const StatsSection = ({ repos, templates, isAnalyzing, usage }) => {
   return (
     <div className="grid grid-cols-1 sm:grid-cols-3 gap-6">
       <div className="group bg-gradient-to-br from-amber-100/60 via-yellow-100/40 to-orange-100/60 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 text-center transform transition-all duration-300 hover:scale-105 hover:shadow-2xl">
@@ -25,12 +49,42 @@ const StatsSection = ({ repos, templates, isAnalyzing }) => {
       
       <div className="group bg-gradient-to-br from-green-100/60 via-emerald-100/40 to-teal-100/60 backdrop-blur-xl rounded-3xl p-8 border border-green-300/20 text-center transform transition-all duration-300 hover:scale-105 hover:shadow-2xl">
         <div className="w-16 h-16 bg-gradient-to-br from-green-400 via-emerald-500 to-teal-500 rounded-3xl flex items-center justify-center mx-auto mb-4 shadow-xl group-hover:shadow-2xl transition-all duration-300">
-          <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-          </svg>
+          {isAnalyzing ? (
+            <svg className="w-8 h-8 text-white animate-spin" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+          ) : (
+            <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+            </svg>
+          )}
         </div>
-        <p className="text-4xl font-bold text-green-800 mb-2">{isAnalyzing ? 'Working' : 'Ready'}</p>
-        <p className="text-green-700 text-lg font-medium">Status</p>
+        {usage ? (
+          <>
+            <p className="text-4xl font-bold text-green-800 mb-2">
+              {usage.daily.used.generations}
+              {usage.daily.limits.generations > 0 && (
+                <span className="text-2xl text-green-700"> / {usage.daily.limits.generations}</span>
+              )}
+            </p>
+            <p className="text-green-700 text-lg font-medium">Generations today</p>
+            <UsageBar
+              label="This month"
+              used={usage.monthly.used.generations}
+              limit={usage.monthly.limits.generations}
+            />
+            <p className="text-green-700 text-xs mt-2" title={`${usage.monthly.used.tokens.toLocaleString()} tokens this month`}>
+              {formatTokens(usage.daily.used.tokens)} tokens today
+              {usage.daily.limits.tokens > 0 && ` of ${formatTokens(usage.daily.limits.tokens)}`}
+            </p>
+          </>
+        ) : (
+          <>
+            <p className="text-4xl font-bold text-green-800 mb-2">{isAnalyzing ? 'Working' : '—'}</p>
+            <p className="text-green-700 text-lg font-medium">AI usage</p>
+          </>
+        )}
       </div>
     </div>
   );
@@ -1,14 +1,20 @@
 import React from 'react';
 
+// On small screens the tabs switch between panes. On wide screens the editor is always
+// shown, so only the right-hand pane (Preview or Changes) is switched.
 const TabSwitcher = ({ activeTab, setActiveTab }) => {
+  const inactive = 'bg-amber-100/80 text-amber-700 hover:bg-amber-200/80';
+  // With the editor tab selected, wide screens show the preview next to it
+  const previewActive = activeTab === 'preview' || activeTab === 'editor';
+
   return (
-    <div className="flex xl:hidden gap-3 mb-4 shrink-0">
+    <div className="flex gap-3 mb-4 xl:mb-0 shrink-0 xl:col-span-2">
       <button
         onClick={() => setActiveTab('editor')}
-        className={`flex-1 py-3 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
+        className={`xl:hidden flex-1 py-3 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
           activeTab === 'editor'
             ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow-xl'
-            : 'bg-amber-100/80 text-amber-700 hover:bg-amber-200/80 border border-green-500/30'
+            : `${inactive} border border-green-500/30`
         }`}
       >
         <span className="flex items-center justify-center space-x-2">
@@ -20,10 +26,12 @@ const TabSwitcher = ({ activeTab, setActiveTab }) => {
       </button>
       <button
         onClick={() => setActiveTab('preview')}
-        className={`flex-1 py-3 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
+        className={`flex-1 xl:flex-none py-3 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
           activeTab === 'preview'
             ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-xl'
-            : 'bg-amber-100/80 text-amber-700 hover:bg-amber-200/80 border border-amber-500/30'
+            : previewActive
+              ? `${inactive} border border-amber-500/30 xl:bg-gradient-to-r xl:from-amber-500 xl:to-orange-500 xl:text-white xl:shadow-xl`
+              : `${inactive} border border-amber-500/30`
         }`}
       >
         <span className="flex items-center justify-center space-x-2">
@@ -34,8 +42,23 @@ const TabSwitcher = ({ activeTab, setActiveTab }) => {
           <span>Preview</span>
         </span>
       </button>
+      <button
+        onClick={() => setActiveTab('diff')}
+        className={`flex-1 xl:flex-none py-3 px-6 rounded-2xl font-semibold transition-all duration-300 transform hover:scale-105 ${
+          activeTab === 'diff'
+            ? 'bg-gradient-to-r from-yellow-500 to-orange-500 text-white shadow-xl'
+            : `${inactive} border border-orange-500/30`
+        }`}
+      >
+        <span className="flex items-center justify-center space-x-2">
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+          </svg>
+          <span>Changes</span>
+        </span>
+      </button>
     </div>
   );
 };
 
-export default TabSwitcher;
\ No newline at end of file
+export default TabSwitcher;
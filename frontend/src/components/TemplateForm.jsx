@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { DOCUMENT_TYPES } from '../utils/documentTypes';
+
+const inputClassName = 'w-full bg-white/80 text-amber-900 p-3 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300';
+
+const TemplateForm = ({ initialValues, isNew, placeholders, isSaving, onSave }) => {
+  const [fields, setFields] = useState(initialValues);
+  // Edited as a comma-separated list, e.g. "Installation, Usage, License"
+  const [sectionsText, setSectionsText] = useState((initialValues.requiredSections || []).join(', '));
+
+  const updateField = (name) => (e) => setFields(prev => ({ ...prev, [name]: e.target.value }));
+
+  // Mirror the server-side check so problems show up before saving
+  const missingPlaceholders = placeholders.required.filter(name => !fields.prompt.includes(`{${name}}`));
+  const canSave = fields.name.trim() && fields.prompt.trim() && missingPlaceholders.length === 0 && !isSaving;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (canSave) {
+      onSave({
+        ...fields,
+        requiredSections: sectionsText.split(',').map(section => section.trim()).filter(Boolean),
+      });
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 backdrop-blur-xl rounded-3xl p-6 border border-amber-300/20 shadow-xl space-y-5"
+    >
+      <h2 className="text-2xl font-bold text-amber-800">{isNew ? 'New Template' : 'Edit Template'}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor="template-name" className="block text-sm font-semibold text-amber-800 mb-1">Name</label>
+          <input id="template-name" value={fields.name} onChange={updateField('name')} maxLength={80} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="template-visibility" className="block text-sm font-semibold text-amber-800 mb-1">Visibility</label>
+          <select id="template-visibility" value={fields.visibility} onChange={updateField('visibility')} className={inputClassName}>
+            <option value="private">Private</option>
+            <option value="public">Public</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="template-document-type" className="block text-sm font-semibold text-amber-800 mb-1">Generates</label>
+          <select id="template-document-type" value={fields.documentType} onChange={updateField('documentType')} className={inputClassName}>
+            {DOCUMENT_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="template-description" className="block text-sm font-semibold text-amber-800 mb-1">Description</label>
+        <input id="template-description" value={fields.description} onChange={updateField('description')} maxLength={300} className={inputClassName} />
+      </div>
+
+      <div>
+        <label htmlFor="template-required-sections" className="block text-sm font-semibold text-amber-800 mb-1">Required sections</label>
+        <input
+          id="template-required-sections"
+          value={sectionsText}
+          onChange={(e) => setSectionsText(e.target.value)}
+          placeholder="Installation, Usage, License"
+          className={inputClassName}
+        />
+        <p className="text-sm text-amber-700 mt-2">
+          Headings the quality check expects in documents generated with this template, separated by commas.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="template-prompt" className="block text-sm font-semibold text-amber-800 mb-1">Prompt</label>
+        <textarea
+          id="template-prompt"
+          value={fields.prompt}
+          onChange={updateField('prompt')}
+          maxLength={20000}
+          rows={18}
+          className={`${inputClassName} font-mono text-sm resize-y`}
+        />
+        <p className="text-sm text-amber-700 mt-2">
+          Available placeholders:{' '}
+          {placeholders.placeholders.map(name => (
+            <code key={name} className="bg-amber-200/60 rounded px-1 mr-1">{`{${name}}`}</code>
+          ))}
+        </p>
+        {missingPlaceholders.length > 0 && (
+          <p className="text-sm text-red-600 mt-1">
+            Required: {missingPlaceholders.map(name => `{${name}}`).join(', ')}
+          </p>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={!canSave}
+        className="bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-8 py-3 rounded-2xl font-semibold transition-all duration-300 shadow-lg"
+      >
+        {isSaving ? 'Saving...' : isNew ? 'Create Template' : 'Save Changes'}
+      </button>
+    </form>
+  );
+};
+
+export default TemplateForm;
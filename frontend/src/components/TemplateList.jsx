@@ -0,0 +1,64 @@
+import React from 'react';
+import { getDocumentTypeLabel } from '../utils/documentTypes';
+
+const TemplateList = ({ templates, selectedId, onNew, onEdit, onDuplicate, onDelete }) => {
+  return (
+    <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 backdrop-blur-xl rounded-3xl p-6 border border-amber-300/20 shadow-xl space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-amber-800">All Templates</h2>
+        <button
+          onClick={onNew}
+          className="bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white px-4 py-2 rounded-xl font-semibold transition-all duration-300 shadow-lg"
+        >
+          New
+        </button>
+      </div>
+
+      <ul className="space-y-3">
+        {templates.map(template => (
+          <li
+            key={template.id}
+            className={`bg-white/70 rounded-2xl p-4 border-2 transition-all duration-300 ${
+              selectedId === template.id ? 'border-amber-400' : 'border-amber-300/20'
+            }`}
+          >
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="font-semibold text-amber-900 truncate">{template.name}</p>
+                <p className="text-xs text-amber-600 mt-1">
+                  {template.builtIn
+                    ? 'Built-in'
+                    : template.isOwner
+                      ? template.visibility === 'public' ? 'Yours · Public' : 'Yours · Private'
+                      : `Shared by ${template.ownerUsername || 'another user'}`}
+                  {template.documentType && template.documentType !== 'readme' && ` · ${getDocumentTypeLabel(template.documentType)}`}
+                </p>
+              </div>
+              <div className="flex shrink-0 gap-2 text-sm">
+                {template.isOwner ? (
+                  <>
+                    <button onClick={() => onEdit(template)} className="text-amber-700 hover:text-amber-900 font-medium">
+                      Edit
+                    </button>
+                    <button onClick={() => onDelete(template)} className="text-red-500 hover:text-red-700 font-medium">
+                      Delete
+                    </button>
+                  </>
+                ) : (
+                  <button onClick={() => onDuplicate(template)} className="text-amber-700 hover:text-amber-900 font-medium">
+                    Duplicate
+                  </button>
+                )}
+              </div>
+            </div>
+            {template.description && (
+              <p className="text-sm text-amber-700 mt-2 line-clamp-2">{template.description}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TemplateList;
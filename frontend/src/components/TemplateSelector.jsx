@@ -1,6 +1,9 @@
 import React from 'react';
 
 const TemplateSelector = ({ templates, selectedTemplate, onTemplateChange }) => {
+  // Templates for companion documents (CONTRIBUTING.md, ...) are picked in the editor instead
+  const readmeTemplates = templates.filter(template => (template.documentType || 'readme') === 'readme');
+
   return (
     <div className="bg-gradient-to-r from-amber-100/60 via-yellow-100/40 to-orange-100/60 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-xl">
       <div className="flex items-center space-x-6 mb-6">
@@ -25,11 +28,22 @@ const TemplateSelector = ({ templates, selectedTemplate, onTemplateChange }) =>
         onChange={(e) => onTemplateChange(e.target.value)}
         className="w-full bg-white/80 text-amber-900 p-4 rounded-2xl border-2 border-amber-300/30 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-amber-400 transition-all duration-300 text-lg font-medium shadow-lg"
       >
-        {templates.map(template => (
-          <option key={template.id} value={template.id}>
-            {template.name}
-          </option>
-        ))}
+        <optgroup label="Built-in">
+          {readmeTemplates.filter(template => template.builtIn).map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}
+            </option>
+          ))}
+        </optgroup>
+        {readmeTemplates.some(template => !template.builtIn) && (
+          <optgroup label="Custom">
+            {readmeTemplates.filter(template => !template.builtIn).map(template => (
+              <option key={template.id} value={template.id}>
+                {template.isOwner ? template.name : `${template.name} (by ${template.ownerUsername})`}
+              </option>
+            ))}
+          </optgroup>
+        )}
       </select>
     </div>
   );
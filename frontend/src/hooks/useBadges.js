@@ -0,0 +1,94 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { findBadgeBlock, selectedBadgeIds, upsertBadgeBlock } from '../utils/badges';
+
+// Custom hook for the managed badge block of the README: the badges the repository supports
+// (license, version, workflows, language, stars), which of them to show and in what order.
+// Until the user changes it, the choice follows the block already in the draft, or the server's defaults.
+export const useBadges = ({ selectedRepo, selectedRef, treeSha, content, setContent }) => {
+  const key = `${selectedRepo}@${treeSha || selectedRef || ''}`;
+  // { key, badges } of the last load
+  const [result, setResult] = useState(null);
+  // { key, order, selected } once the user has changed the choice; `order` holds every badge id
+  const [choice, setChoice] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadBadges = useCallback(async () => {
+    if (!selectedRepo) return;
+
+    setIsLoading(true);
+    try {
+      const response = await api.get('/github/badges', {
+        params: {
+          repoFullName: selectedRepo,
+          ref: selectedRef || undefined,
+          treeSha: treeSha || undefined,
+        },
+      });
+      setResult({ key, badges: response.data.data.badges });
+    } catch (err) {
+      console.error('Failed to load badges:', err);
+      toast.error(err.response?.data?.message || 'Failed to load the badges.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedRepo, selectedRef, treeSha, key]);
+
+  // Badges of another repository or ref are not shown
+  const badges = result?.key === key ? result.badges : null;
+
+  const currentChoice = (() => {
+    if (!badges) return { order: [], selected: [] };
+    if (choice?.key === key) return choice;
+    const existing = selectedBadgeIds(content, badges);
+    const selected = existing ?? badges.filter(badge => badge.selected).map(badge => badge.id);
+    return {
+      order: [...selected, ...badges.map(badge => badge.id).filter(id => !selected.includes(id))],
+      selected,
+    };
+  })();
+
+  const toggleBadge = useCallback((id) => {
+    setChoice({
+      key,
+      order: currentChoice.order,
+      selected: currentChoice.selected.includes(id)
+        ? currentChoice.selected.filter(candidate => candidate !== id)
+        : [...currentChoice.selected, id],
+    });
+  }, [key, currentChoice]);
+
+  // Moves a badge one place up (-1) or down (1)
+  const moveBadge = useCallback((id, direction) => {
+    const order = [...currentChoice.order];
+    const index = order.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+    setChoice({ key, order, selected: currentChoice.selected });
+  }, [key, currentChoice]);
+
+  const orderedBadges = badges
+    ? currentChoice.order.map(id => badges.find(badge => badge.id === id)).filter(Boolean)
+    : [];
+  const selectedBadges = orderedBadges.filter(badge => currentChoice.selected.includes(badge.id));
+  const hasBlock = Boolean(findBadgeBlock(content));
+
+  // Writes the chosen badges into the draft, replacing the managed block when there is one
+  const applyBadges = useCallback(() => {
+    setContent(upsertBadgeBlock(content, selectedBadges));
+    toast.success(selectedBadges.length === 0 ? 'Badges removed.' : hasBlock ? 'Badges updated.' : 'Badges inserted.');
+  }, [content, setContent, selectedBadges, hasBlock]);
+
+  return {
+    badges: badges ? orderedBadges : null,
+    selectedIds: currentChoice.selected,
+    hasBlock,
+    isLoading,
+    loadBadges,
+    toggleBadge,
+    moveBadge,
+    applyBadges,
+  };
+};
@@ -0,0 +1,150 @@
+import { useState, useCallback, useRef } from 'react';
+import api, { runJob } from '../services/api';
+import toast from 'react-hot-toast';
+
+// How many repositories are analyzed at the same time
+const BATCH_CONCURRENCY = 2;
+// A repository refused by the generation rate limit waits for it and is retried, unless the wait is
+// longer than this (e.g. a used-up daily quota)
+const MAX_RATE_LIMIT_WAIT_SECONDS = 15 * 60;
+
+// Resolves after `ms`, or rejects once the signal is aborted
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Seconds to wait before retrying a request refused with 429, or null when it should not be retried
+const getRetryDelay = (err) => {
+  const retryAfter = Number(err.response?.headers?.['retry-after']);
+  return err.response?.status === 429 && retryAfter > 0 && retryAfter <= MAX_RATE_LIMIT_WAIT_SECONDS
+    ? retryAfter
+    : null;
+};
+
+// Custom hook for generating READMEs for several repositories, saving each result as a draft.
+// Each repository is analyzed as a background job on the server, so slow models do not hit request timeouts.
+export const useBatchGeneration = () => {
+  // One entry per repository: { repoFullName, status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled', error, notice, revision }
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  const updateItem = useCallback((repoFullName, changes) => {
+    setItems(prev => prev.map(item => (item.repoFullName === repoFullName ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Queues the analysis as a job and waits for its result, waiting out the rate limit when it is hit
+  const analyze = useCallback(async (repoFullName, { templateId, provider, model }, signal) => {
+    for (;;) {
+      try {
+        return await runJob(
+          '/github/analyze',
+          { repoFullName, templateId, provider, model },
+          {
+            signal,
+            // A retried job is queued again; show it as waiting until it runs
+            onUpdate: (job) => updateItem(repoFullName, { status: job.status === 'queued' ? 'queued' : 'running', attempts: job.attempts, notice: null }),
+          }
+        );
+      } catch (err) {
+        const retryDelay = signal.aborted ? null : getRetryDelay(err);
+        if (retryDelay === null) {
+          throw err;
+        }
+        updateItem(repoFullName, { status: 'queued', notice: `Rate limited; retrying in ${retryDelay} seconds.` });
+        await waitFor(retryDelay * 1000, signal);
+      }
+    }
+  }, [updateItem]);
+
+  const generateOne = useCallback(async (repoFullName, { templateId, provider, model }, signal) => {
+    try {
+      const { readme, revision, readmeSha } = await analyze(repoFullName, { templateId, provider, model }, signal);
+
+      // The server saves generated content as a draft revision; save it here if that failed
+      let savedRevision = revision;
+      if (savedRevision === null || savedRevision === undefined) {
+        const saved = await api.post('/readme', {
+          repoFullName,
+          content: readme,
+          source: 'ai',
+          templateId,
+          provider,
+          model,
+          baseReadmeSha: readmeSha,
+        }, { signal });
+        savedRevision = saved.data.data.latestRevision;
+      }
+
+      updateItem(repoFullName, { status: 'done', revision: savedRevision, error: null, notice: null });
+      return true;
+    } catch (err) {
+      if (signal.aborted) {
+        updateItem(repoFullName, { status: 'cancelled', notice: null });
+        return false;
+      }
+      console.error(`Batch generation failed for ${repoFullName}:`, err);
+      updateItem(repoFullName, {
+        status: 'failed',
+        error: err.response?.data?.message || 'Generation failed.',
+        notice: null,
+      });
+      return false;
+    }
+  }, [analyze, updateItem]);
+
+  // Queues every repository and works through them a few at a time
+  const startBatch = useCallback(async (repoFullNames, { templateId, provider, model } = {}) => {
+    if (repoFullNames.length === 0) return;
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setItems(repoFullNames.map(repoFullName => ({ repoFullName, status: 'queued', error: null, revision: null })));
+    setIsRunning(true);
+
+    const queue = [...repoFullNames];
+    let succeeded = 0;
+    const worker = async () => {
+      while (queue.length > 0 && !abortController.signal.aborted) {
+        const repoFullName = queue.shift();
+        if (await generateOne(repoFullName, { templateId, provider, model }, abortController.signal)) {
+          succeeded += 1;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, queue.length) }, worker));
+
+    if (abortController.signal.aborted) {
+      // Repositories that never started are marked cancelled as well
+      setItems(prev => prev.map(item => (item.status === 'queued' ? { ...item, status: 'cancelled' } : item)));
+    } else {
+      const failed = repoFullNames.length - succeeded;
+      if (failed === 0) {
+        toast.success(`Generated ${succeeded} README draft${succeeded === 1 ? '' : 's'}. Review them before committing.`);
+      } else {
+        toast.error(`Generated ${succeeded} of ${repoFullNames.length} READMEs; ${failed} failed.`);
+      }
+    }
+
+    abortControllerRef.current = null;
+    setIsRunning(false);
+  }, [generateOne]);
+
+  const cancelBatch = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      toast('Batch generation cancelled.');
+    }
+  }, []);
+
+  const clearBatch = useCallback(() => {
+    setItems([]);
+  }, []);
+
+  return { items, isRunning, startBatch, cancelBatch, clearBatch };
+};
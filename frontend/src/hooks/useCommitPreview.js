@@ -0,0 +1,34 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Custom hook for previewing how a draft differs from the README committed on GitHub.
+// `documentType` and `path` select another document instead, e.g. CONTRIBUTING.md.
+export const useCommitPreview = (selectedRepo, selectedRef, documentType, path) => {
+  const [preview, setPreview] = useState(null);
+  // The draft the current preview was computed for, to tell when it is out of date
+  const [previewedContent, setPreviewedContent] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const fetchPreview = useCallback(async (readmeContent) => {
+    setIsLoading(true);
+    try {
+      const response = await api.post('/github/preview-readme', {
+        repoFullName: selectedRepo,
+        readmeContent,
+        ref: selectedRef || undefined,
+        documentType,
+        path,
+      });
+      setPreview(response.data.data);
+      setPreviewedContent(readmeContent);
+    } catch (err) {
+      console.error('Failed to preview README commit:', err);
+      toast.error(err.response?.data?.message || 'Failed to compare with the README on GitHub.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedRepo, selectedRef, documentType, path]);
+
+  return { preview, previewedContent, isLoading, fetchPreview };
+};
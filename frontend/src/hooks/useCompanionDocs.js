@@ -0,0 +1,126 @@
+import { useState, useCallback, useMemo } from 'react';
+import api, { runJob } from '../services/api';
+import toast from 'react-hot-toast';
+import { getDocumentTypeLabel } from '../utils/documentTypes';
+
+// Custom hook for the documents generated next to the README (CONTRIBUTING.md, SECURITY.md, ...).
+// Each is edited on its own and, while `include` is set, committed together with the README.
+export const useCompanionDocs = ({ selectedRepo, selectedRef, selectedModel }) => {
+  // [{ documentType, path, content, baseSha, include }], `path` being the file the document is written to
+  const [documents, setDocuments] = useState([]);
+  // Document type being generated, or null
+  const [pendingType, setPendingType] = useState(null);
+
+  // Adds a document, or replaces the one with the same path
+  const upsertDocument = useCallback((document) => {
+    setDocuments(prev => (prev.some(doc => doc.path === document.path)
+      ? prev.map(doc => (doc.path === document.path ? document : doc))
+      : [...prev, document]));
+  }, []);
+
+  // Generates a document (or generates it again) from the repository, with its type's built-in template.
+  // `path` is only needed for documentation pages; other types are found at their usual locations.
+  const generateDocument = useCallback(async (documentType, path) => {
+    const label = getDocumentTypeLabel(documentType);
+    setPendingType(documentType);
+    const loadingToast = toast.loading(`Generating the ${label.toLowerCase()} for ${selectedRepo}...`);
+
+    try {
+      // Generated as a background job, like batch generation, so slow models do not time out the request
+      const result = await runJob('/github/analyze', {
+        repoFullName: selectedRepo,
+        ref: selectedRef || undefined,
+        documentType,
+        path: path || undefined,
+        provider: selectedModel?.provider,
+        model: selectedModel?.model,
+      });
+
+      const generated = {
+        documentType,
+        path: result.path,
+        content: result.readme,
+        baseSha: result.baseSha,
+        include: true,
+      };
+      upsertDocument(generated);
+      toast.success(`Generated ${result.path}.`, { id: loadingToast });
+      return generated;
+    } catch (err) {
+      console.error(`Failed to generate the ${label} for ${selectedRepo}:`, err);
+      toast.error(err.response?.data?.message || err.message || `Failed to generate the ${label.toLowerCase()}.`, { id: loadingToast });
+      return null;
+    } finally {
+      setPendingType(null);
+    }
+  }, [selectedRepo, selectedRef, selectedModel, upsertDocument]);
+
+  // Builds a CHANGELOG.md release section from the commits and merged pull requests in a range:
+  // `range` is { from, to } (tags or commits) or { since, until } (dates), plus `version` and `polish`
+  const generateChangelog = useCallback(async (range) => {
+    setPendingType('changelog');
+    const loadingToast = toast.loading(`Reading the history of ${selectedRepo}...`);
+
+    try {
+      const response = await api.post('/github/changelog', {
+        repoFullName: selectedRepo,
+        ref: selectedRef || undefined,
+        ...range,
+        provider: range.polish ? selectedModel?.provider : undefined,
+        model: range.polish ? selectedModel?.model : undefined,
+      });
+      const result = response.data.data;
+
+      const generated = {
+        documentType: 'changelog',
+        path: result.path,
+        content: result.changelog,
+        baseSha: result.baseSha,
+        include: true,
+      };
+      upsertDocument(generated);
+      toast.success(
+        `Added ${result.version} to ${result.path} from ${result.stats.commits} commits and ${result.stats.pullRequests} pull requests.`,
+        { id: loadingToast }
+      );
+      if (result.stats.truncated) {
+        toast(`The range has more than ${result.stats.commits} commits; only the oldest ones were included.`);
+      }
+      return generated;
+    } catch (err) {
+      console.error(`Failed to generate the changelog for ${selectedRepo}:`, err);
+      toast.error(err.response?.data?.message || 'Failed to generate the changelog.', { id: loadingToast });
+      return null;
+    } finally {
+      setPendingType(null);
+    }
+  }, [selectedRepo, selectedRef, selectedModel, upsertDocument]);
+
+  const updateDocument = useCallback((path, changes) => {
+    setDocuments(prev => prev.map(doc => (doc.path === path ? { ...doc, ...changes } : doc)));
+  }, []);
+
+  const removeDocument = useCallback((path) => {
+    setDocuments(prev => prev.filter(doc => doc.path !== path));
+  }, []);
+
+  const resetDocuments = useCallback(() => {
+    setDocuments([]);
+  }, []);
+
+  // The `files` sent with the README when saving
+  const includedFiles = useMemo(() => documents
+    .filter(doc => doc.include && doc.content.trim())
+    .map(({ documentType, path, content, baseSha }) => ({ documentType, path, content, baseSha })), [documents]);
+
+  return {
+    documents,
+    pendingType,
+    generateDocument,
+    generateChangelog,
+    updateDocument,
+    removeDocument,
+    resetDocuments,
+    includedFiles,
+  };
+};
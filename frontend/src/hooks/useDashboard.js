@@ -1,17 +1,50 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import api from '../services/api';
+import api, { streamPost } from '../services/api';
 import toast from 'react-hot-toast';
 
+// Repository list filters; empty values are not sent to the API
+export const DEFAULT_REPO_FILTERS = {
+  q: '',
+  owner: '',
+  affiliation: '',
+  visibility: 'all',
+  language: '',
+  archived: '',
+  fork: '',
+};
+
+const toRepoParams = (filters, cursor) => ({
+  ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '')),
+  ...(cursor && { cursor }),
+});
+
 // Custom hook for managing dashboard data (repos and templates)
 export const useDashboardData = () => {
   const { logout, isAuthenticated, refreshAuthStatus } = useAuth();
   const [repos, setRepos] = useState([]);
+  const [repoFilters, setRepoFiltersState] = useState(DEFAULT_REPO_FILTERS);
+  const [repoOwners, setRepoOwners] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingRepos, setIsLoadingRepos] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [templates, setTemplates] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [branchesByRepo, setBranchesByRepo] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // Incremented on every first-page load so responses for outdated filters are ignored
+  const repoRequestRef = useRef(0);
+  // Latest filters, read by fetchData so a dashboard reload keeps the current filters
+  const repoFiltersRef = useRef(DEFAULT_REPO_FILTERS);
+
+  const applyRepoPage = (page, append) => {
+    setRepos(prev => (append ? [...prev, ...page.repos] : page.repos));
+    setNextCursor(page.nextCursor);
+  };
+
   // Fetch repositories and templates from API
   const fetchData = useCallback(async () => {
     // Don't fetch if not authenticated
@@ -20,15 +53,29 @@ export const useDashboardData = () => {
       return;
     }
 
-    setIsLoading(true);
-    setError('');
-    try {
-      const [repoResponse, templateResponse] = await Promise.all([
-        api.get('/github/repos'),
+    const loadAll = async () => {
+      const requestId = ++repoRequestRef.current;
+      const [repoResponse, templateResponse, modelResponse] = await Promise.all([
+        api.get('/github/repos', { params: toRepoParams(repoFiltersRef.current) }),
         api.get('/templates'),
+        api.get('/models'),
       ]);
-      setRepos(repoResponse.data.data || []);
+      if (requestId === repoRequestRef.current) {
+        applyRepoPage(repoResponse.data.data, false);
+      }
       setTemplates(templateResponse.data.data || []);
+      setProviders(modelResponse.data.data || []);
+
+      // The owner filter still works as free text if organizations can't be listed
+      api.get('/github/repo-owners')
+        .then(response => setRepoOwners(response.data.data || []))
+        .catch(err => console.error('Failed to fetch repository owners:', err));
+    };
+
+    setIsLoading(true);
+    setError('');
+    try {
+      await loadAll();
     } catch (err) {
       console.error('Failed to fetch data:', err);
       if (err.response?.status === 401) {
@@ -36,12 +83,7 @@ export const useDashboardData = () => {
         try {
           await refreshAuthStatus();
           // If refresh succeeds, the user is still authenticated, retry the request
-          const [repoResponse, templateResponse] = await Promise.all([
-            api.get('/github/repos'),
-            api.get('/templates'),
-          ]);
-          setRepos(repoResponse.data.data || []);
-          setTemplates(templateResponse.data.data || []);
+          await loadAll();
           return; // Success after refresh, exit early
         } catch (refreshErr) {
           // If refresh also fails, then truly not authenticated
@@ -60,6 +102,65 @@ export const useDashboardData = () => {
     }
   }, [logout, isAuthenticated, refreshAuthStatus]);
 
+  // Apply new filters and reload the first page of repositories
+  const setRepoFilters = useCallback(async (changes) => {
+    const filters = { ...repoFiltersRef.current, ...changes };
+    repoFiltersRef.current = filters;
+    setRepoFiltersState(filters);
+
+    const requestId = ++repoRequestRef.current;
+    setIsLoadingRepos(true);
+    try {
+      const response = await api.get('/github/repos', { params: toRepoParams(filters) });
+      if (requestId === repoRequestRef.current) {
+        applyRepoPage(response.data.data, false);
+      }
+    } catch (err) {
+      console.error('Failed to filter repositories:', err);
+      toast.error(err.response?.data?.message || 'Failed to load repositories.');
+    } finally {
+      if (requestId === repoRequestRef.current) {
+        setIsLoadingRepos(false);
+      }
+    }
+  }, []);
+
+  // Append the next page of repositories (used by infinite scroll)
+  const loadMoreRepos = useCallback(async () => {
+    if (!nextCursor || isLoadingMore || isLoadingRepos) {
+      return;
+    }
+
+    const requestId = repoRequestRef.current;
+    setIsLoadingMore(true);
+    try {
+      const response = await api.get('/github/repos', { params: toRepoParams(repoFiltersRef.current, nextCursor) });
+      if (requestId === repoRequestRef.current) {
+        applyRepoPage(response.data.data, true);
+      }
+    } catch (err) {
+      console.error('Failed to load more repositories:', err);
+      toast.error('Failed to load more repositories.');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore, isLoadingRepos]);
+
+  // Lazily fetch the branches and tags of a repository (only once per repo)
+  const fetchBranches = useCallback(async (repoFullName) => {
+    if (branchesByRepo[repoFullName]) {
+      return;
+    }
+
+    try {
+      const response = await api.get('/github/branches', { params: { repoFullName } });
+      setBranchesByRepo(prev => ({ ...prev, [repoFullName]: response.data.data }));
+    } catch (err) {
+      console.error(`Failed to fetch branches for ${repoFullName}:`, err);
+      toast.error(`Failed to load branches for ${repoFullName}.`);
+    }
+  }, [branchesByRepo]);
+
   const handleRetry = useCallback(() => {
     setError('');
     toast.dismiss(); // Clear any existing toasts
@@ -68,10 +169,20 @@ export const useDashboardData = () => {
 
   return {
     repos,
+    repoFilters,
+    repoOwners,
+    hasMoreRepos: Boolean(nextCursor),
+    isLoadingRepos,
+    isLoadingMore,
+    setRepoFilters,
+    loadMoreRepos,
     templates,
+    providers,
+    branchesByRepo,
     isLoading,
     error,
     fetchData,
+    fetchBranches,
     handleRetry,
     setError
   };
@@ -80,14 +191,33 @@ export const useDashboardData = () => {
 // Custom hook for managing README generation workflow
 export const useReadmeGeneration = () => {
   const [selectedTemplate, setSelectedTemplate] = useState('default');
+  // { provider, model } picked by the user; null means the server's default
+  const [selectedModel, setSelectedModel] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [generatedReadme, setGeneratedReadme] = useState('');
   const [selectedRepo, setSelectedRepo] = useState(null);
+  const [selectedRef, setSelectedRef] = useState(null);
+  // 'branch', 'tag' or 'commit' once the analysis resolved the ref; only a branch can be committed to
+  const [selectedRefType, setSelectedRefType] = useState(null);
+  // Blob SHA of the README on GitHub when the repository was analyzed (null if it had none);
+  // sent back on save so the backend can detect upstream edits made in the meantime
+  const [baseReadmeSha, setBaseReadmeSha] = useState(undefined);
+  // Git tree the README was generated from, so links are checked against the files the model saw
+  const [treeSha, setTreeSha] = useState(null);
 
-  const handleAnalyzeRepo = useCallback(async (repoFullName, onError) => {
+  // Aborts the in-flight streaming request when the user cancels
+  const abortControllerRef = useRef(null);
+
+  // `ref` is an optional branch or tag; the backend falls back to the default branch.
+  // The README is streamed into `generatedReadme` as the model produces it.
+  const handleAnalyzeRepo = useCallback(async (repoFullName, onError, ref) => {
     setIsAnalyzing(true);
     setGeneratedReadme('');
     setSelectedRepo(repoFullName);
+    setSelectedRef(ref || null);
+    setSelectedRefType(null);
+    setBaseReadmeSha(undefined);
+    setTreeSha(null);
     
     // Clear any previous errors when starting new analysis
     if (onError) {
@@ -96,15 +226,54 @@ export const useReadmeGeneration = () => {
     
     // Show loading toast
     const loadingToast = toast.loading(`Analyzing ${repoFullName}...`);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
     
     try {
-      const response = await api.post('/github/analyze', {
+      let streamError = null;
+      await streamPost('/github/analyze/stream', {
         repoFullName: repoFullName,
         templateId: selectedTemplate,
+        ref,
+        provider: selectedModel?.provider,
+        model: selectedModel?.model,
+      }, {
+        signal: abortController.signal,
+        onEvent: ({ event, data }) => {
+          if (event === 'meta') {
+            setSelectedRef(data.ref);
+            setSelectedRefType(data.refType);
+            setBaseReadmeSha(data.readmeSha);
+            setTreeSha(data.treeSha);
+            toast.loading(`Writing README for ${repoFullName}...`, { id: loadingToast });
+          } else if (event === 'delta') {
+            setGeneratedReadme(prev => prev + data.text);
+          } else if (event === 'done') {
+            setGeneratedReadme(data.readme);
+          } else if (event === 'error') {
+            streamError = data;
+          }
+        },
       });
-      setGeneratedReadme(response.data.data.readme);
+
+      if (streamError) {
+        throw new Error(streamError.message);
+      }
       toast.success(`Successfully analyzed ${repoFullName}!`, { id: loadingToast });
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Keep whatever was generated so far so the user can still edit it
+        toast('README generation cancelled.', { id: loadingToast });
+        return;
+      }
+
+      // Rate limits and AI quotas are not failures of the dashboard; just say when to try again
+      if (err.response?.status === 429) {
+        toast.error(err.response.data?.message || 'You have reached your generation limit. Please try again later.', { id: loadingToast });
+        return;
+      }
+
       console.error('Failed to analyze repository:', err);
       const errorMsg = `Failed to analyze ${repoFullName}. Please try again.`;
       
@@ -113,12 +282,25 @@ export const useReadmeGeneration = () => {
       }
       toast.error(errorMsg, { id: loadingToast });
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
       setIsAnalyzing(false);
     }
-  }, [selectedTemplate]);
+  }, [selectedTemplate, selectedModel]);
+
+  // Cancel the in-flight generation; the backend aborts the upstream AI request
+  const handleCancelAnalysis = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
 
   const resetReadmeState = useCallback((clearError) => {
+    abortControllerRef.current?.abort();
     setSelectedRepo(null);
+    setSelectedRef(null);
+    setSelectedRefType(null);
+    setBaseReadmeSha(undefined);
+    setTreeSha(null);
     setGeneratedReadme('');
     // Clear errors if error clearing function is provided
     if (clearError && typeof clearError === 'function') {
@@ -129,58 +311,153 @@ export const useReadmeGeneration = () => {
   return {
     selectedTemplate,
     setSelectedTemplate,
+    selectedModel,
+    setSelectedModel,
     isAnalyzing,
     generatedReadme,
     setGeneratedReadme,
     selectedRepo,
+    selectedRef,
+    selectedRefType,
+    baseReadmeSha,
+    setBaseReadmeSha,
+    treeSha,
     handleAnalyzeRepo,
+    handleCancelAnalysis,
     resetReadmeState
   };
 };
 
+// Suggest a fresh branch name for README pull requests, e.g. docs/readme-2024-05-01-1430
+const suggestBranchName = () =>
+  `docs/readme-${new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '')}`;
+
+const createPullRequestOptions = () => ({
+  branchName: suggestBranchName(),
+  title: '',
+  body: '',
+  reviewers: '',
+  labels: '',
+  draft: false,
+});
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
 // Custom hook for managing README saving workflow
-export const useReadmeSaving = (selectedRepo, generatedReadme, onClose) => {
+// `saveMode` is 'commit' (commit to the selected branch) or 'pull-request' (new branch + pull request)
+// A 409 response means the README changed on GitHub since analysis; its details are kept in `conflict`
+// `companionFiles` ([{ documentType, path, content, baseSha }]) are committed together with the README
+// A tag or commit (`selectedRefType`) cannot be committed to: it is only the base of the pull request's new branch
+export const useReadmeSaving = (selectedRepo, generatedReadme, onClose, selectedRef, baseReadmeSha, companionFiles, selectedRefType) => {
   const defaultCommitMessage = 'docs: add generated README.md';
   const [commitMessage, setCommitMessage] = useState(defaultCommitMessage);
+  const [saveMode, setSaveMode] = useState('commit');
+  const [pullRequestOptions, setPullRequestOptions] = useState(createPullRequestOptions);
+  const [pullRequest, setPullRequest] = useState(null);
+  const [conflict, setConflict] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
 
-  const handleSaveToGithub = useCallback(async (onError) => {
+  // The README alone keeps the original request shape; with other documents, all are sent as `files`
+  const contentFields = useMemo(() => (companionFiles?.length
+    ? { files: [{ documentType: 'readme', content: generatedReadme, baseSha: baseReadmeSha }, ...companionFiles] }
+    : { readmeContent: generatedReadme, baseReadmeSha }
+  ), [generatedReadme, baseReadmeSha, companionFiles]);
+  const savedLabel = companionFiles?.length
+    ? `README and ${companionFiles.length} other ${companionFiles.length === 1 ? 'file' : 'files'}`
+    : 'README';
+
+  const commitToBranch = useCallback(async (force) => {
+    if (selectedRefType && selectedRefType !== 'branch') {
+      throw new Error(`${selectedRef} is a ${selectedRefType}, not a branch. Open a pull request instead.`);
+    }
+    await api.post('/github/save-readme', {
+      repoFullName: selectedRepo,
+      ...contentFields,
+      commitMessage: commitMessage,
+      branch: selectedRef || undefined,
+      force,
+    });
+  }, [selectedRepo, selectedRef, selectedRefType, contentFields, commitMessage]);
+
+  const openPullRequest = useCallback(async (force) => {
+    const response = await api.post('/github/save-readme-branch', {
+      repoFullName: selectedRepo,
+      ...contentFields,
+      commitMessage: commitMessage,
+      newBranchName: pullRequestOptions.branchName.trim(),
+      baseRef: selectedRef || undefined,
+      force,
+      pullRequest: {
+        title: pullRequestOptions.title,
+        body: pullRequestOptions.body,
+        reviewers: splitList(pullRequestOptions.reviewers),
+        labels: splitList(pullRequestOptions.labels),
+        draft: pullRequestOptions.draft,
+      },
+    });
+    return response.data.data.pullRequest;
+  }, [selectedRepo, selectedRef, contentFields, commitMessage, pullRequestOptions]);
+
+  // `force` overwrites README changes made on GitHub since the analysis
+  const handleSaveToGithub = useCallback(async (onError, { force = false } = {}) => {
     setIsSaving(true);
     setSaveSuccess(false);
+    setConflict(null);
     
     // Show loading toast
-    const loadingToast = toast.loading(`Saving README to ${selectedRepo}...`);
+    const loadingToast = toast.loading(
+      saveMode === 'pull-request' ? `Opening a pull request on ${selectedRepo}...` : `Saving ${savedLabel} to ${selectedRepo}...`
+    );
     
     try {
-      await api.post('/github/save-readme', {
-        repoFullName: selectedRepo,
-        readmeContent: generatedReadme,
-        commitMessage: commitMessage,
-      });
+      if (saveMode === 'pull-request') {
+        const created = await openPullRequest(force);
+        setPullRequest(created);
+        setSaveSuccess(true);
+        toast.success(`Opened pull request #${created.number} on ${selectedRepo}!`, { id: loadingToast });
+        created.warnings.forEach(warning => toast(warning));
+        // Keep the modal open so the pull request link stays visible
+        return;
+      }
+
+      await commitToBranch(force);
       setSaveSuccess(true);
       // Reset commit message to default after successful save
       setCommitMessage(defaultCommitMessage);
-      toast.success(`Successfully saved README to ${selectedRepo}!`, { id: loadingToast });
+      toast.success(`Successfully saved ${savedLabel} to ${selectedRepo}!`, { id: loadingToast });
       setTimeout(() => {
         setSaveSuccess(false);
         if (onClose) onClose();
       }, 2000);
     } catch (err) {
+      if (err.response?.status === 409) {
+        setConflict(err.response.data.data);
+        toast.error(`${err.response.data.data?.path || 'The README'} changed on GitHub since it was generated. Review the changes before saving.`, { id: loadingToast });
+        return;
+      }
+
       console.error('Failed to save README:', err);
-      const errorMsg = `Failed to save README to ${selectedRepo}.`;
+      const errorMsg = saveMode === 'pull-request'
+        ? err.response?.data?.message || `Failed to open a pull request on ${selectedRepo}.`
+        : `Failed to save ${savedLabel} to ${selectedRepo}.`;
       
-      if (onError) {
+      // A failed pull request is usually fixable in the form (e.g. branch name taken), so keep the editor open
+      if (onError && saveMode !== 'pull-request') {
         onError(errorMsg);
       }
       toast.error(errorMsg, { id: loadingToast });
     } finally {
       setIsSaving(false);
     }
-  }, [selectedRepo, generatedReadme, commitMessage, onClose]);
+  }, [selectedRepo, saveMode, savedLabel, commitToBranch, openPullRequest, onClose]);
 
   const resetSaveState = useCallback(() => {
     setCommitMessage(defaultCommitMessage);
+    setSaveMode('commit');
+    setPullRequestOptions(createPullRequestOptions());
+    setPullRequest(null);
+    setConflict(null);
     setIsSaving(false);
     setSaveSuccess(false);
   }, []);
@@ -188,6 +465,13 @@ export const useReadmeSaving = (selectedRepo, generatedReadme, onClose) => {
   return {
     commitMessage,
     setCommitMessage,
+    saveMode,
+    setSaveMode,
+    pullRequestOptions,
+    setPullRequestOptions,
+    pullRequest,
+    conflict,
+    setConflict,
     isSaving,
     saveSuccess,
     handleSaveToGithub,
@@ -0,0 +1,106 @@
+import { useState, useCallback } from 'react';
+import api, { runJob } from '../services/api';
+import toast from 'react-hot-toast';
+
+// A repository can have a draft per document (README.md, CONTRIBUTING.md, ...)
+export const getDraftKey = (draft) => `${draft.repoFullName}:${draft.path || 'README.md'}`;
+
+// Identifies the draft's document in requests to the server
+const toDocumentFields = (draft) => ({ documentType: draft.documentType, path: draft.path });
+
+// Custom hook for reviewing saved drafts: edit, approve (commit to GitHub) or discard each one
+export const useDrafts = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Key (see getDraftKey) of the draft being saved, committed or discarded
+  const [busyKey, setBusyKey] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchDrafts = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/readme/drafts', { params: { status: 'draft' } });
+      setDrafts(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch drafts:', err);
+      const errorMsg = 'Failed to load your drafts. Please try again.';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Saves an edited draft as a new manual revision
+  const saveDraft = useCallback(async (draft, content) => {
+    setBusyKey(getDraftKey(draft));
+    try {
+      const response = await api.post('/readme', {
+        repoFullName: draft.repoFullName,
+        ...toDocumentFields(draft),
+        content,
+        source: 'manual',
+        baseReadmeSha: draft.baseReadmeSha,
+      });
+      const saved = response.data.data;
+      setDrafts(prev => prev.map(item => (getDraftKey(item) === getDraftKey(draft)
+        ? { ...item, content, latestRevision: saved.latestRevision, updatedAt: saved.updatedAt, source: 'manual' }
+        : item)));
+      toast.success(`Saved the ${draft.path} draft for ${draft.repoFullName}.`);
+      return true;
+    } catch (err) {
+      console.error(`Failed to save draft for ${draft.repoFullName}:`, err);
+      toast.error(err.response?.data?.message || 'Failed to save the draft.');
+      return false;
+    } finally {
+      setBusyKey(null);
+    }
+  }, []);
+
+  // Commits a draft to the repository's default branch; approved drafts leave the review list
+  const approveDraft = useCallback(async (draft, commitMessage = `docs: add generated ${draft.path}`) => {
+    setBusyKey(getDraftKey(draft));
+    const loadingToast = toast.loading(`Committing ${draft.path} to ${draft.repoFullName}...`);
+    try {
+      // Committed as a background job so a slow GitHub response does not time out the request
+      await runJob('/github/save-readme', {
+        repoFullName: draft.repoFullName,
+        files: [{ ...toDocumentFields(draft), content: draft.content, baseSha: draft.baseReadmeSha }],
+        commitMessage,
+      });
+      setDrafts(prev => prev.filter(item => getDraftKey(item) !== getDraftKey(draft)));
+      toast.success(`Committed ${draft.path} to ${draft.repoFullName}.`, { id: loadingToast });
+      return true;
+    } catch (err) {
+      if (err.response?.status === 409) {
+        toast.error(`${draft.path} in ${draft.repoFullName} changed on GitHub since this draft was generated. Open the repository from the dashboard to merge the changes.`, { id: loadingToast });
+        return false;
+      }
+      console.error(`Failed to commit draft for ${draft.repoFullName}:`, err);
+      toast.error(err.response?.data?.message || `Failed to save ${draft.path} to ${draft.repoFullName}.`, { id: loadingToast });
+      return false;
+    } finally {
+      setBusyKey(null);
+    }
+  }, []);
+
+  // Deletes a draft along with its revision history
+  const discardDraft = useCallback(async (draft) => {
+    setBusyKey(getDraftKey(draft));
+    try {
+      await api.delete('/readme', { data: { repoFullName: draft.repoFullName, ...toDocumentFields(draft) } });
+      setDrafts(prev => prev.filter(item => getDraftKey(item) !== getDraftKey(draft)));
+      toast.success(`Discarded the ${draft.path} draft for ${draft.repoFullName}.`);
+      return true;
+    } catch (err) {
+      console.error(`Failed to discard draft for ${draft.repoFullName}:`, err);
+      toast.error(err.response?.data?.message || 'Failed to discard the draft.');
+      return false;
+    } finally {
+      setBusyKey(null);
+    }
+  }, []);
+
+  return { drafts, isLoading, busyKey, error, fetchDrafts, saveDraft, approveDraft, discardDraft };
+};
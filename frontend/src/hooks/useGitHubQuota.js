@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Custom hook that polls the user's remaining GitHub API quota while the dashboard is visible
+export const useGitHubQuota = () => {
+  const [quota, setQuota] = useState(null);
+
+  const fetchQuota = useCallback(async () => {
+    try {
+      const response = await api.get('/github/rate-limit');
+      setQuota(response.data.data);
+    } catch (err) {
+      // The quota is informational; keep showing the last known value
+      console.error('Failed to fetch GitHub rate limit:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQuota();
+
+    const interval = setInterval(() => {
+      if (document.visibilityState === 'visible') {
+        fetchQuota();
+      }
+    }, POLL_INTERVAL_MS);
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        fetchQuota();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [fetchQuota]);
+
+  return { quota, fetchQuota };
+};
@@ -0,0 +1,106 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+/**
+ * Applies one fix returned by the link checker: replaces its markup on its line
+ * @param {string} content - The draft
+ * @param {Object} fix - { line, original, replacement }
+ * @returns {string|null} The fixed draft, or null when the markup is no longer on that line
+ */
+const applyLinkFix = (content, fix) => {
+  const lines = content.split('\n');
+  const line = lines[fix.line - 1];
+  if (line === undefined || !line.includes(fix.original)) {
+    return null;
+  }
+  lines[fix.line - 1] = line.replace(fix.original, () => fix.replacement);
+  return lines.join('\n');
+};
+
+// Custom hook for checking the links and images of the draft being edited against the repository
+// (the tree the draft was generated from, when known) and fixing the broken ones.
+// `document` selects a companion document instead of the README.
+export const useLinkCheck = ({ selectedRepo, selectedRef, treeSha, document, content, setContent }) => {
+  // { path, problems, summary, checkedContent } of the last check
+  const [result, setResult] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const documentType = document?.documentType;
+  const path = document?.path;
+
+  const requestCheck = useCallback((body) => api.post('/github/check-links', {
+    repoFullName: selectedRepo,
+    ref: selectedRef || undefined,
+    treeSha: treeSha || undefined,
+    content,
+    documentType,
+    path,
+    ...body,
+  }), [selectedRepo, selectedRef, treeSha, content, documentType, path]);
+
+  const checkLinks = useCallback(async ({ checkExternal = false } = {}) => {
+    setIsChecking(true);
+    try {
+      const response = await requestCheck({ checkExternal });
+      const { problems, summary } = response.data.data;
+      setResult({ path, problems, summary, checkedContent: content });
+    } catch (err) {
+      console.error('Failed to check links:', err);
+      toast.error(err.response?.data?.message || 'Failed to check the links.');
+    } finally {
+      setIsChecking(false);
+    }
+  }, [requestCheck, path, content]);
+
+  // Fixes every broken reference of the draft as it is now, checked again on the server
+  const fixAll = useCallback(async ({ checkExternal = false } = {}) => {
+    setIsChecking(true);
+    try {
+      const response = await requestCheck({ checkExternal, fix: true });
+      const { problems, summary, content: fixedContent, fixed } = response.data.data;
+      setContent(fixedContent);
+      setResult({
+        path,
+        problems: problems.filter(problem => !problem.fix),
+        summary,
+        checkedContent: fixedContent,
+      });
+      toast.success(fixed > 0 ? `Fixed ${fixed} broken link${fixed === 1 ? '' : 's'}.` : 'Nothing to fix.');
+    } catch (err) {
+      console.error('Failed to fix links:', err);
+      toast.error(err.response?.data?.message || 'Failed to fix the links.');
+    } finally {
+      setIsChecking(false);
+    }
+  }, [requestCheck, path, setContent]);
+
+  // Applies the fix of one problem to the draft and drops it from the list
+  const fixProblem = useCallback((problem) => {
+    const fixedContent = applyLinkFix(content, problem.fix);
+    if (fixedContent === null) {
+      toast.error('That link has changed since the check; check the links again.');
+      return;
+    }
+    setContent(fixedContent);
+    setResult(prev => prev && {
+      ...prev,
+      problems: prev.problems.filter(candidate => candidate !== problem),
+      checkedContent: fixedContent,
+    });
+  }, [content, setContent]);
+
+  // Results of another document are not shown
+  const current = result?.path === path ? result : null;
+
+  return {
+    problems: current?.problems ?? null,
+    summary: current?.summary ?? null,
+    // Whether the draft was edited since the last check
+    isStale: Boolean(current) && current.checkedContent !== content,
+    isChecking,
+    checkLinks,
+    fixAll,
+    fixProblem,
+  };
+};
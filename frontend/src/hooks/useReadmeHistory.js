@@ -0,0 +1,81 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Custom hook for the revision history of a repository's README draft
+export const useReadmeHistory = (selectedRepo) => {
+  const [revisions, setRevisions] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+
+  const fetchRevisions = useCallback(async () => {
+    if (!selectedRepo) return;
+
+    setIsLoading(true);
+    try {
+      const response = await api.get('/readme/revisions', { params: { repoFullName: selectedRepo } });
+      setRevisions(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch README revisions:', err);
+      toast.error('Failed to load the draft history.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedRepo]);
+
+  // Saves the editor content as a new manual revision
+  const saveDraft = useCallback(async (content) => {
+    setIsSavingDraft(true);
+    try {
+      await api.post('/readme', { repoFullName: selectedRepo, content, source: 'manual' });
+      toast.success('Draft saved.');
+      await fetchRevisions();
+    } catch (err) {
+      console.error('Failed to save README draft:', err);
+      toast.error('Failed to save the draft.');
+    } finally {
+      setIsSavingDraft(false);
+    }
+  }, [selectedRepo, fetchRevisions]);
+
+  const compareRevisions = useCallback(async (from, to) => {
+    try {
+      const response = await api.get('/readme/revisions/diff', {
+        params: { repoFullName: selectedRepo, from, to },
+      });
+      setDiff(response.data.data);
+    } catch (err) {
+      console.error('Failed to compare README revisions:', err);
+      toast.error('Failed to compare the revisions.');
+    }
+  }, [selectedRepo]);
+
+  // Appends a copy of an old revision and returns its content, or null on failure
+  const restoreRevision = useCallback(async (number) => {
+    try {
+      const response = await api.post(`/readme/revisions/${number}/restore`, { repoFullName: selectedRepo });
+      toast.success(`Revision ${number} restored.`);
+      await fetchRevisions();
+      return response.data.data.revision.content;
+    } catch (err) {
+      console.error('Failed to restore README revision:', err);
+      toast.error(`Failed to restore revision ${number}.`);
+      return null;
+    }
+  }, [selectedRepo, fetchRevisions]);
+
+  const clearDiff = useCallback(() => setDiff(null), []);
+
+  return {
+    revisions,
+    diff,
+    isLoading,
+    isSavingDraft,
+    fetchRevisions,
+    saveDraft,
+    compareRevisions,
+    restoreRevision,
+    clearDiff,
+  };
+};
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+
+// How long typing has to pause before the draft is checked again; keeps a long editing session
+// within the server's allowance for checks (LINT_RATE_LIMIT_MAX, 120 per 15 minutes)
+const LINT_DELAY_MS = 8000;
+
+// Custom hook for the quality report of the draft being edited: the draft is checked on the server
+// (missing sections, broken relative links, placeholders, ...) once typing pauses. A draft that was
+// already checked as it is (e.g. after an undo) is not sent again.
+// `document` selects a companion document instead of the README; its type's template is used then.
+// `treeSha` (from the analysis) checks links against the tree the draft was generated from.
+export const useReadmeLint = ({ selectedRepo, selectedRef, treeSha, templateId, document, content, enabled }) => {
+  // { path, report }: the path of the document the report is for (undefined for the README)
+  const [result, setResult] = useState(null);
+  const [isLinting, setIsLinting] = useState(false);
+  const [error, setError] = useState(null);
+  // Only the latest request may update the report; slower earlier ones are ignored
+  const latestRequest = useRef(0);
+  // What the report was last requested for, as a string key
+  const lastChecked = useRef(null);
+
+  const documentType = document?.documentType;
+  const path = document?.path;
+  const hasContent = Boolean(content && content.trim());
+
+  useEffect(() => {
+    if (!enabled || !selectedRepo || !hasContent) {
+      return undefined;
+    }
+
+    const checkKey = JSON.stringify([selectedRepo, selectedRef, treeSha, templateId, documentType, path, content]);
+    if (checkKey === lastChecked.current) {
+      return undefined;
+    }
+
+    const requestId = latestRequest.current + 1;
+    latestRequest.current = requestId;
+    const timer = setTimeout(async () => {
+      lastChecked.current = checkKey;
+      setIsLinting(true);
+      try {
+        const response = await api.post('/github/lint', {
+          repoFullName: selectedRepo,
+          ref: selectedRef || undefined,
+          treeSha: treeSha || undefined,
+          content,
+          templateId: documentType ? undefined : templateId,
+          documentType,
+          path,
+        });
+        if (latestRequest.current === requestId) {
+          setResult({ path, report: response.data.data.report });
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Failed to check the README:', err);
+        if (latestRequest.current === requestId) {
+          // Checked again after the next change, even if it restores this draft
+          lastChecked.current = null;
+          setError(err.response?.data?.message || 'Failed to check the README.');
+        }
+      } finally {
+        if (latestRequest.current === requestId) {
+          setIsLinting(false);
+        }
+      }
+    }, LINT_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [enabled, selectedRepo, selectedRef, treeSha, templateId, documentType, path, content, hasContent]);
+
+  // A report for another document, or for an emptied editor, is not shown
+  const isCurrent = hasContent && result?.path === path;
+  return {
+    report: isCurrent ? result.report : null,
+    isLinting: enabled && hasContent && isLinting,
+    error: hasContent ? error : null,
+  };
+};
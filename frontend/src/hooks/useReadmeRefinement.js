@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Custom hook for refining the README in conversation: each instruction ("add a troubleshooting
+// section") revises the whole draft, and the instructions are kept with the draft on the server
+export const useReadmeRefinement = ({ selectedRepo, selectedRef, selectedModel, baseReadmeSha, generatedReadme, setGeneratedReadme }) => {
+  // [{ instruction, revision, provider, model, createdAt }], oldest first
+  const [refinements, setRefinements] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  // The instruction being applied, shown in the conversation until the answer arrives
+  const [pendingInstruction, setPendingInstruction] = useState(null);
+
+  const fetchRefinements = useCallback(async () => {
+    if (!selectedRepo) return;
+
+    setIsLoading(true);
+    try {
+      const response = await api.get('/readme/refinements', { params: { repoFullName: selectedRepo } });
+      setRefinements(response.data.data.refinements || []);
+    } catch (err) {
+      console.error('Failed to fetch README refinements:', err);
+      toast.error('Failed to load the refinement history.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedRepo]);
+
+  // Returns whether the instruction was applied, so the caller can keep the text for another try
+  const sendInstruction = useCallback(async (instruction) => {
+    setPendingInstruction(instruction);
+    try {
+      const response = await api.post('/github/refine', {
+        repoFullName: selectedRepo,
+        readme: generatedReadme,
+        instruction,
+        ref: selectedRef || undefined,
+        baseReadmeSha,
+        provider: selectedModel?.provider,
+        model: selectedModel?.model,
+      });
+      const { readme, refinement } = response.data.data;
+      setGeneratedReadme(readme);
+      if (refinement) {
+        setRefinements(prev => [...prev, refinement]);
+      }
+      return true;
+    } catch (err) {
+      console.error('Failed to refine README:', err);
+      toast.error(err.response?.data?.message || 'Failed to refine the README. Please try again.');
+      return false;
+    } finally {
+      setPendingInstruction(null);
+    }
+  }, [selectedRepo, selectedRef, selectedModel, baseReadmeSha, generatedReadme, setGeneratedReadme]);
+
+  return {
+    refinements,
+    isLoading,
+    pendingInstruction,
+    isRefining: pendingInstruction !== null,
+    fetchRefinements,
+    sendInstruction,
+  };
+};
@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Custom hook for the quality scores of the READMEs committed to the listed repositories.
+// Scores are checked on demand, one repository at a time, to spare the GitHub API quota.
+export const useReadmeScores = () => {
+  // { [repoFullName]: { isLoading, report, path, ref } }; `report` is null when there is no README
+  const [scores, setScores] = useState({});
+
+  const checkReadme = useCallback(async (repoFullName, ref) => {
+    setScores(prev => ({ ...prev, [repoFullName]: { ...prev[repoFullName], isLoading: true } }));
+    try {
+      const response = await api.post('/github/lint', { repoFullName, ref: ref || undefined });
+      const { report, path, ref: checkedRef } = response.data.data;
+      setScores(prev => ({ ...prev, [repoFullName]: { isLoading: false, report, path, ref: checkedRef } }));
+    } catch (err) {
+      console.error(`Failed to check the README of ${repoFullName}:`, err);
+      toast.error(err.response?.data?.message || `Failed to check the README of ${repoFullName}.`);
+      setScores(prev => ({ ...prev, [repoFullName]: { ...prev[repoFullName], isLoading: false } }));
+    }
+  }, []);
+
+  return { scores, checkReadme };
+};
@@ -0,0 +1,73 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { replaceSection } from '../utils/markdown';
+
+// Custom hook for regenerating or rewriting a single section of the README being edited.
+// The result is spliced back into the editor content, leaving every other section (and the
+// user's manual edits) untouched.
+export const useSectionRegeneration = ({ selectedRepo, selectedRef, selectedModel, generatedReadme, setGeneratedReadme }) => {
+  // Index of the section being generated, or null
+  const [pendingSection, setPendingSection] = useState(null);
+  // { before, after } of the last replacement, so it can be undone
+  const [lastChange, setLastChange] = useState(null);
+
+  // The request takes a while; splice into whatever the editor holds when it returns
+  const latestReadmeRef = useRef(generatedReadme);
+  useEffect(() => {
+    latestReadmeRef.current = generatedReadme;
+  }, [generatedReadme]);
+
+  // `section` is an entry of parseSections(generatedReadme) plus its `index`;
+  // `mode` is 'regenerate' (from the repository's files) or 'rewrite' (rework the current text)
+  const regenerateSection = useCallback(async (section, { mode, instruction } = {}) => {
+    const label = section.title ?? 'the introduction';
+    setPendingSection(section.index);
+    const loadingToast = toast.loading(`${mode === 'rewrite' ? 'Rewriting' : 'Regenerating'} "${label}"...`);
+
+    try {
+      const response = await api.post('/github/regenerate-section', {
+        repoFullName: selectedRepo,
+        ref: selectedRef || undefined,
+        readme: latestReadmeRef.current,
+        sectionIndex: section.index,
+        sectionTitle: section.title,
+        mode,
+        instruction: instruction || undefined,
+        provider: selectedModel?.provider,
+        model: selectedModel?.model,
+      });
+
+      const before = latestReadmeRef.current;
+      const after = replaceSection(before, section, response.data.data.content);
+      if (after === null) {
+        toast.error(`"${label}" was edited while it was being generated, so the result was not applied.`, { id: loadingToast });
+        return false;
+      }
+
+      setGeneratedReadme(after);
+      setLastChange({ before, after, label });
+      toast.success(`Updated "${label}".`, { id: loadingToast });
+      return true;
+    } catch (err) {
+      console.error(`Failed to regenerate section "${label}":`, err);
+      toast.error(err.response?.data?.message || `Failed to regenerate "${label}".`, { id: loadingToast });
+      return false;
+    } finally {
+      setPendingSection(null);
+    }
+  }, [selectedRepo, selectedRef, selectedModel, setGeneratedReadme]);
+
+  // Only possible while the editor still holds the result of the last replacement
+  const canUndo = lastChange !== null && lastChange.after === generatedReadme;
+
+  const undoLastChange = useCallback(() => {
+    if (lastChange && lastChange.after === latestReadmeRef.current) {
+      setGeneratedReadme(lastChange.before);
+      toast(`Restored the previous "${lastChange.label}".`);
+    }
+    setLastChange(null);
+  }, [lastChange, setGeneratedReadme]);
+
+  return { pendingSection, regenerateSection, canUndo, undoLastChange };
+};
@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Custom hook for listing and revoking the user's signed-in sessions (devices)
+export const useSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // ID of the session being revoked, or 'all' while revoking several
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch sessions:', err);
+      const errorMsg = 'Failed to load your sessions. Please try again.';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Resolves to true when the revoked session was the current one (the user is now signed out)
+  const revokeSession = useCallback(async (session) => {
+    setRevoking(session.id);
+    try {
+      const response = await api.delete(`/auth/sessions/${encodeURIComponent(session.id)}`);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      toast.success(`Signed out ${session.device}.`);
+      return response.data.data.current;
+    } catch (err) {
+      console.error(`Failed to revoke session ${session.id}:`, err);
+      toast.error(err.response?.data?.message || 'Failed to sign out the session.');
+      return false;
+    } finally {
+      setRevoking(null);
+    }
+  }, []);
+
+  // Signs out every other session, or all of them (including this one) with includeCurrent
+  const revokeAllSessions = useCallback(async ({ includeCurrent = false } = {}) => {
+    setRevoking('all');
+    try {
+      const response = await api.delete('/auth/sessions', { params: includeCurrent ? { includeCurrent: true } : {} });
+      const { revoked } = response.data.data;
+      setSessions(prev => (includeCurrent ? [] : prev.filter(item => item.current)));
+      toast.success(`Signed out ${revoked} session${revoked === 1 ? '' : 's'}.`);
+      return true;
+    } catch (err) {
+      console.error('Failed to revoke sessions:', err);
+      toast.error(err.response?.data?.message || 'Failed to sign out your sessions.');
+      return false;
+    } finally {
+      setRevoking(null);
+    }
+  }, []);
+
+  return { sessions, isLoading, revoking, error, fetchSessions, revokeSession, revokeAllSessions };
+};
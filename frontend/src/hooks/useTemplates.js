@@ -0,0 +1,97 @@
+import { useState, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Pull a readable message (and any placeholder errors) out of an API error
+const getErrorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  if (data?.errors?.length) {
+    return `${data.message} ${data.errors.join(' ')}`;
+  }
+  return data?.message || fallback;
+};
+
+// Custom hook for listing and managing custom README templates
+export const useTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState({ placeholders: [], required: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchTemplates = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const [templateResponse, placeholderResponse] = await Promise.all([
+        api.get('/templates'),
+        api.get('/templates/placeholders'),
+      ]);
+      setTemplates(templateResponse.data.data || []);
+      setPlaceholders(placeholderResponse.data.data);
+    } catch (err) {
+      console.error('Failed to fetch templates:', err);
+      const errorMsg = 'Failed to load templates. Please try again.';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // The list omits prompts, so they are loaded when a template is opened in the editor
+  const fetchTemplate = useCallback(async (templateId) => {
+    try {
+      const response = await api.get(`/templates/${encodeURIComponent(templateId)}`);
+      return response.data.data;
+    } catch (err) {
+      console.error(`Failed to fetch template ${templateId}:`, err);
+      toast.error(getErrorMessage(err, 'Failed to load the template.'));
+      return null;
+    }
+  }, []);
+
+  // Creates a template, or updates it when `templateId` is given. Returns the saved template.
+  const saveTemplate = useCallback(async (fields, templateId) => {
+    setIsSaving(true);
+    try {
+      const response = templateId
+        ? await api.patch(`/templates/${templateId}`, fields)
+        : await api.post('/templates', fields);
+      toast.success(`Template "${fields.name}" saved.`);
+      await fetchTemplates();
+      return response.data.data;
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      toast.error(getErrorMessage(err, 'Failed to save the template.'));
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [fetchTemplates]);
+
+  const deleteTemplate = useCallback(async (template) => {
+    try {
+      await api.delete(`/templates/${template.id}`);
+      toast.success(`Template "${template.name}" deleted.`);
+      setTemplates(prev => prev.filter(candidate => candidate.id !== template.id));
+      return true;
+    } catch (err) {
+      console.error('Failed to delete template:', err);
+      toast.error(getErrorMessage(err, 'Failed to delete the template.'));
+      return false;
+    }
+  }, []);
+
+  return {
+    templates,
+    placeholders,
+    isLoading,
+    isSaving,
+    error,
+    fetchTemplates,
+    fetchTemplate,
+    saveTemplate,
+    deleteTemplate,
+  };
+};
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// Custom hook for the user's AI usage against their daily and monthly quotas.
+// Call fetchUsage to load it (e.g. whenever a generation finishes); it is also refreshed when the tab becomes visible.
+export const useUsage = () => {
+  const [usage, setUsage] = useState(null);
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      const response = await api.get('/usage');
+      setUsage(response.data.data);
+    } catch (err) {
+      // Usage is informational; keep showing the last known value
+      console.error('Failed to fetch AI usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        fetchUsage();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [fetchUsage]);
+
+  return { usage, fetchUsage };
+};
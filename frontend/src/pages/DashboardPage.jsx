@@ -1,4 +1,4 @@
-import { useEffect } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 
 // Import custom hooks
 import {
@@ -6,30 +6,98 @@ import {
   useReadmeGeneration,
   useDashboardAuth
 } from '../hooks/useDashboard';
+import { useGitHubQuota } from '../hooks/useGitHubQuota';
+import { useBatchGeneration } from '../hooks/useBatchGeneration';
+import { useUsage } from '../hooks/useUsage';
+import { useReadmeScores } from '../hooks/useReadmeScores';
 
 // Import modular components
 import Header from '../components/Header';
 import TemplateSelector from '../components/TemplateSelector';
+import ModelSelector from '../components/ModelSelector';
 import StatsSection from '../components/StatsSection';
+import GitHubQuota from '../components/GitHubQuota';
 import RepositoryList from '../components/RepositoryList';
+import BatchPanel from '../components/BatchPanel';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorDisplay from '../components/ErrorDisplay';
 import ReadmeEditor from '../components/ReadmeEditor';
 
 const DashboardPage = () => {
   // Use custom hooks for state management
-  const { repos, templates, isLoading, error, fetchData, handleRetry, setError } = useDashboardData();
+  const {
+    repos,
+    repoFilters,
+    repoOwners,
+    hasMoreRepos,
+    isLoadingRepos,
+    isLoadingMore,
+    setRepoFilters,
+    loadMoreRepos,
+    templates,
+    providers,
+    branchesByRepo,
+    isLoading,
+    error,
+    fetchData,
+    fetchBranches,
+    handleRetry,
+    setError
+  } = useDashboardData();
   const {
     selectedTemplate,
     setSelectedTemplate,
+    selectedModel,
+    setSelectedModel,
     isAnalyzing,
     generatedReadme,
     setGeneratedReadme,
     selectedRepo,
+    selectedRef,
+    selectedRefType,
+    baseReadmeSha,
+    setBaseReadmeSha,
+    treeSha,
     handleAnalyzeRepo,
+    handleCancelAnalysis,
     resetReadmeState
   } = useReadmeGeneration();
   const { handleLogout } = useDashboardAuth();
+  const { quota } = useGitHubQuota();
+  const { items: batchItems, isRunning: isBatchRunning, startBatch, cancelBatch, clearBatch } = useBatchGeneration();
+  const { usage, fetchUsage } = useUsage();
+  const { scores: readmeScores, checkReadme } = useReadmeScores();
+
+  // Generations count against the AI quota, so refresh usage whenever one finishes
+  useEffect(() => {
+    if (!isAnalyzing && !isBatchRunning) {
+      fetchUsage();
+    }
+  }, [isAnalyzing, isBatchRunning, fetchUsage]);
+  // Repositories ticked for batch generation, by full name
+  const [selectedRepos, setSelectedRepos] = useState(() => new Set());
+
+  const toggleRepoSelection = useCallback((repoFullName) => {
+    setSelectedRepos(prev => {
+      const next = new Set(prev);
+      if (next.has(repoFullName)) {
+        next.delete(repoFullName);
+      } else {
+        next.add(repoFullName);
+      }
+      return next;
+    });
+  }, []);
+
+  const onStartBatch = () => {
+    const repoFullNames = [...selectedRepos];
+    setSelectedRepos(new Set());
+    startBatch(repoFullNames, {
+      templateId: selectedTemplate,
+      provider: selectedModel?.provider,
+      model: selectedModel?.model,
+    });
+  };
 
   // Initialize data fetching on mount - with authentication check
   useEffect(() => {
@@ -40,8 +108,8 @@ const DashboardPage = () => {
   }, [fetchData]);
 
   // Handle repository analysis with error callback
-  const onAnalyzeRepo = (repoFullName) => {
-    handleAnalyzeRepo(repoFullName, setError);
+  const onAnalyzeRepo = (repoFullName, ref) => {
+    handleAnalyzeRepo(repoFullName, setError, ref);
   };
 
   // Handle retry with specific error handling
@@ -74,18 +142,41 @@ const DashboardPage = () => {
         {/* Header */}
         <Header onLogout={handleLogout} />
 
-        {/* Template Selector */}
-        <TemplateSelector
-          templates={templates}
-          selectedTemplate={selectedTemplate}
-          onTemplateChange={setSelectedTemplate}
-        />
+        {/* Template and Model Selectors */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <TemplateSelector
+            templates={templates}
+            selectedTemplate={selectedTemplate}
+            onTemplateChange={setSelectedTemplate}
+          />
+          <ModelSelector
+            providers={providers}
+            selectedModel={selectedModel}
+            onModelChange={setSelectedModel}
+          />
+        </div>
 
         {/* Stats Section */}
         <StatsSection
           repos={repos}
           templates={templates}
-          isAnalyzing={isAnalyzing}
+          isAnalyzing={isAnalyzing || isBatchRunning}
+          usage={usage}
+        />
+
+        {/* Remaining GitHub API quota */}
+        <GitHubQuota quota={quota} />
+
+        {/* Batch generation of the selected repositories */}
+        <BatchPanel
+          selectedRepos={selectedRepos}
+          templateName={templates.find(template => template.id === selectedTemplate)?.name || selectedTemplate}
+          items={batchItems}
+          isRunning={isBatchRunning}
+          onStart={onStartBatch}
+          onCancel={cancelBatch}
+          onClearSelection={() => setSelectedRepos(new Set())}
+          onClearResults={clearBatch}
         />
 
         {/* Repository List */}
@@ -94,15 +185,37 @@ const DashboardPage = () => {
           isAnalyzing={isAnalyzing}
           selectedRepo={selectedRepo}
           onAnalyzeRepo={onAnalyzeRepo}
+          branchesByRepo={branchesByRepo}
+          onLoadBranches={fetchBranches}
+          filters={repoFilters}
+          owners={repoOwners}
+          onFiltersChange={setRepoFilters}
+          isLoadingRepos={isLoadingRepos}
+          hasMore={hasMoreRepos}
+          isLoadingMore={isLoadingMore}
+          onLoadMore={loadMoreRepos}
+          selectedRepos={selectedRepos}
+          onToggleSelect={isBatchRunning ? undefined : toggleRepoSelection}
+          readmeScores={readmeScores}
+          onCheckReadme={checkReadme}
         />
       </div>
 
       {/* README Editor Modal */}
       <ReadmeEditor
         selectedRepo={selectedRepo}
+        selectedRef={selectedRef}
+        selectedRefType={selectedRefType}
+        selectedModel={selectedModel}
+        selectedTemplate={selectedTemplate}
+        treeSha={treeSha}
+        canPush={repos.find(repo => repo.fullName === selectedRepo)?.canPush !== false}
+        baseReadmeSha={baseReadmeSha}
+        setBaseReadmeSha={setBaseReadmeSha}
         generatedReadme={generatedReadme}
         setGeneratedReadme={setGeneratedReadme}
         isAnalyzing={isAnalyzing}
+        onCancelAnalysis={handleCancelAnalysis}
         onClose={handleModalClose}
         onError={setError}
       />
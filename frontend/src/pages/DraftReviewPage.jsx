@@ -0,0 +1,73 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+// Import custom hooks
+import { useDrafts, getDraftKey } from '../hooks/useDrafts';
+
+// Import modular components
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorDisplay from '../components/ErrorDisplay';
+import DraftReviewCard from '../components/DraftReviewCard';
+
+const DraftReviewPage = () => {
+  const { drafts, isLoading, busyKey, error, fetchDrafts, saveDraft, approveDraft, discardDraft } = useDrafts();
+
+  useEffect(() => {
+    fetchDrafts();
+  }, [fetchDrafts]);
+
+  const handleDiscard = (draft) => {
+    if (!window.confirm(`Discard the ${draft.path} draft for ${draft.repoFullName}? Its revision history is deleted too.`)) return;
+    discardDraft(draft);
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading your drafts..." />;
+  }
+
+  if (error) {
+    return <ErrorDisplay error={error} onRetry={fetchDrafts} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-yellow-50 to-orange-50 text-amber-900 px-4 sm:px-6 py-6 sm:py-8">
+      <div className="max-w-5xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-amber-100/80 via-yellow-100/60 to-orange-100/80 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-2xl flex flex-col lg:flex-row justify-between items-start lg:items-center gap-6">
+          <div>
+            <h1 className="text-4xl lg:text-5xl font-bold bg-gradient-to-r from-amber-800 via-yellow-700 to-orange-800 text-transparent bg-clip-text">
+              Review Drafts
+            </h1>
+            <p className="text-amber-700 mt-2 text-lg">Approve, edit or discard generated READMEs and other documents before they are committed</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 shadow-lg w-full lg:w-auto text-center"
+          >
+            Back to Repositories
+          </Link>
+        </div>
+
+        {drafts.length === 0 ? (
+          <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl rounded-3xl p-12 text-center border-2 border-amber-300/20 shadow-xl">
+            <h3 className="text-2xl font-bold text-amber-800 mb-3">No drafts waiting for review</h3>
+            <p className="text-amber-700 text-lg">Select repositories on the dashboard to generate READMEs in a batch.</p>
+          </div>
+        ) : (
+          drafts.map(draft => (
+            <DraftReviewCard
+              key={getDraftKey(draft)}
+              draft={draft}
+              isBusy={busyKey === getDraftKey(draft)}
+              onSave={saveDraft}
+              onApprove={approveDraft}
+              onDiscard={handleDiscard}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DraftReviewPage;
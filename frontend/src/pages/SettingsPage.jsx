@@ -0,0 +1,106 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+// Import custom hooks
+import { useSessions } from '../hooks/useSessions';
+import { useDashboardAuth } from '../hooks/useDashboard';
+
+// Import modular components
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorDisplay from '../components/ErrorDisplay';
+import SessionList from '../components/SessionList';
+
+const SettingsPage = () => {
+  const { sessions, isLoading, revoking, error, fetchSessions, revokeSession, revokeAllSessions } = useSessions();
+  const { handleLogout } = useDashboardAuth();
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('Sign out of this device?')) return;
+    const wasCurrent = await revokeSession(session);
+    if (wasCurrent) {
+      handleLogout();
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    await revokeAllSessions();
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign out everywhere, including this device?')) return;
+    if (await revokeAllSessions({ includeCurrent: true })) {
+      handleLogout();
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading your sessions..." />;
+  }
+
+  if (error) {
+    return <ErrorDisplay error={error} onRetry={fetchSessions} />;
+  }
+
+  const otherSessions = sessions.filter(session => !session.current).length;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-yellow-50 to-orange-50 text-amber-900 px-4 sm:px-6 py-6 sm:py-8">
+      <div className="max-w-4xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-amber-100/80 via-yellow-100/60 to-orange-100/80 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-2xl flex flex-col lg:flex-row justify-between items-start lg:items-center gap-6">
+          <div>
+            <h1 className="text-4xl lg:text-5xl font-bold bg-gradient-to-r from-amber-800 via-yellow-700 to-orange-800 text-transparent bg-clip-text">
+              Settings
+            </h1>
+            <p className="text-amber-700 mt-2 text-lg">Manage the devices signed in to your account</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 shadow-lg w-full lg:w-auto text-center"
+          >
+            Back to Repositories
+          </Link>
+        </div>
+
+        {/* Active sessions */}
+        <div className="bg-gradient-to-br from-amber-100/60 via-yellow-100/30 to-orange-100/60 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-xl space-y-6">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div>
+              <h2 className="text-2xl font-bold text-amber-800">Active sessions</h2>
+              <p className="text-amber-700 mt-1">
+                {sessions.length} signed-in device{sessions.length === 1 ? '' : 's'}. Revoke any you don't recognise.
+              </p>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                type="button"
+                onClick={handleRevokeOthers}
+                disabled={Boolean(revoking) || otherSessions === 0}
+                className="px-6 py-3 text-sm font-semibold rounded-2xl border-2 border-amber-300/50 text-amber-800 bg-white/80 hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300"
+              >
+                Sign out other devices
+              </button>
+              <button
+                type="button"
+                onClick={handleRevokeAll}
+                disabled={Boolean(revoking)}
+                className="px-6 py-3 text-sm font-semibold rounded-2xl text-white bg-gradient-to-r from-red-400 to-pink-400 hover:from-red-500 hover:to-pink-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-lg"
+              >
+                Sign out everywhere
+              </button>
+            </div>
+          </div>
+
+          <SessionList sessions={sessions} revoking={revoking} onRevoke={handleRevoke} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+
+// Import custom hooks
+import { useTemplates } from '../hooks/useTemplates';
+
+// Import modular components
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorDisplay from '../components/ErrorDisplay';
+import TemplateList from '../components/TemplateList';
+import TemplateForm from '../components/TemplateForm';
+
+const EMPTY_TEMPLATE = { name: '', description: '', visibility: 'private', documentType: 'readme', requiredSections: [], prompt: '' };
+
+const TemplatesPage = () => {
+  const {
+    templates,
+    placeholders,
+    isLoading,
+    isSaving,
+    error,
+    fetchTemplates,
+    fetchTemplate,
+    saveTemplate,
+    deleteTemplate,
+  } = useTemplates();
+
+  // The template being edited: `id` is null for a new template
+  const [editing, setEditing] = useState({ id: null, fields: EMPTY_TEMPLATE });
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const handleNew = () => {
+    setEditing({ id: null, fields: EMPTY_TEMPLATE });
+  };
+
+  const handleEdit = async (template) => {
+    const fullTemplate = await fetchTemplate(template.id);
+    if (!fullTemplate) return;
+    const { name, description, visibility, documentType = 'readme', requiredSections = [], prompt } = fullTemplate;
+    setEditing({ id: fullTemplate.id, fields: { name, description, visibility, documentType, requiredSections, prompt } });
+  };
+
+  // Built-in and shared templates are read-only, so they are copied into a new private template
+  const handleDuplicate = async (template) => {
+    const fullTemplate = await fetchTemplate(template.id);
+    if (!fullTemplate) return;
+    setEditing({
+      id: null,
+      fields: {
+        name: `${fullTemplate.name} (copy)`,
+        description: fullTemplate.description || '',
+        visibility: 'private',
+        documentType: fullTemplate.documentType || 'readme',
+        requiredSections: fullTemplate.requiredSections || [],
+        prompt: fullTemplate.prompt,
+      },
+    });
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    const deleted = await deleteTemplate(template);
+    if (deleted && editing.id === template.id) {
+      handleNew();
+    }
+  };
+
+  const handleSave = async (fields) => {
+    const saved = await saveTemplate(fields, editing.id);
+    if (saved) {
+      setEditing({ id: saved.id, fields });
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading your templates..." />;
+  }
+
+  if (error) {
+    return <ErrorDisplay error={error} onRetry={fetchTemplates} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-yellow-50 to-orange-50 text-amber-900 px-4 sm:px-6 py-6 sm:py-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-amber-100/80 via-yellow-100/60 to-orange-100/80 backdrop-blur-xl rounded-3xl p-8 border border-amber-300/20 shadow-2xl flex flex-col lg:flex-row justify-between items-start lg:items-center gap-6">
+          <div>
+            <h1 className="text-4xl lg:text-5xl font-bold bg-gradient-to-r from-amber-800 via-yellow-700 to-orange-800 text-transparent bg-clip-text">
+              Templates
+            </h1>
+            <p className="text-amber-700 mt-2 text-lg">Write your own prompts for README generation</p>
+          </div>
+          <Link
+            to="/dashboard"
+            className="bg-white/80 hover:bg-white text-amber-800 px-8 py-4 rounded-2xl font-semibold border-2 border-amber-300/40 transition-all duration-300 shadow-lg w-full lg:w-auto text-center"
+          >
+            Back to Repositories
+          </Link>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <TemplateList
+            templates={templates}
+            selectedId={editing.id}
+            onNew={handleNew}
+            onEdit={handleEdit}
+            onDuplicate={handleDuplicate}
+            onDelete={handleDelete}
+          />
+          <div className="lg:col-span-2">
+            <TemplateForm
+              key={editing.id || 'new'}
+              initialValues={editing.fields}
+              isNew={!editing.id}
+              placeholders={placeholders}
+              isSaving={isSaving}
+              onSave={handleSave}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplatesPage;
@@ -240,6 +240,210 @@ api.interceptors.response.use(
   }
 );
 
+// Transparent session refresh: when a request fails with 401 (expired access token),
+// rotate the tokens through /auth/refresh once and retry the original request.
+let refreshPromise = null;
+
+/**
+ * Exchanges the refresh cookie for a new access/refresh token pair.
+ * Concurrent callers share a single request: the server treats a second use of
+ * the same refresh token as theft and revokes the session.
+ * Resolves to true when the session was refreshed.
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post("/auth/refresh", null, { skipAuthRefresh: true })
+      .then((response) => response.status === 200)
+      // 409: another tab rotated the tokens a moment ago and the new cookies are already set
+      .catch((error) => error.response?.status === 409)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const shouldRefresh = (config, status) =>
+  status === 401 && Boolean(config) && !config.skipAuthRefresh && !config.authRetried;
+
+api.interceptors.response.use(
+  async (response) => {
+    // 401 responses resolve (see validateStatus), so expired sessions arrive here
+    if (shouldRefresh(response.config, response.status) && (await refreshSession())) {
+      return api.request({ ...response.config, authRetried: true });
+    }
+    return response;
+  },
+  async (error) => {
+    if (shouldRefresh(error.config, error.response?.status) && (await refreshSession())) {
+      return api.request({ ...error.config, authRetried: true });
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Sends a request to an endpoint that responds with Server-Sent Events and calls
+ * `onEvent({ event, data })` for each event, with `data` parsed as JSON.
+ * Uses fetch because axios cannot read a response body incrementally in the browser.
+ * Resolves when the server ends the stream.
+ */
+const streamRequest = async (method, url, body, { onEvent, signal } = {}) => {
+  const send = () => fetch(`${api.defaults.baseURL}${url}`, {
+    method,
+    credentials: "include",
+    headers: {
+      ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+      "Accept": "text/event-stream",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+  });
+
+  let response = await send();
+  // Same transparent refresh as the axios instance, once
+  if (response.status === 401 && (await refreshSession())) {
+    response = await send();
+  }
+
+  // Errors raised before streaming starts come back as regular JSON responses
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Non-JSON error body
+    }
+    const error = new Error(data?.message || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const flushEvent = (rawEvent) => {
+    let event = "message";
+    const dataLines = [];
+    rawEvent.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("event:")) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    });
+    if (dataLines.length > 0) {
+      onEvent({ event, data: JSON.parse(dataLines.join("\n")) });
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      flushEvent(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+    }
+  }
+
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+};
+
+/**
+ * POSTs JSON to an endpoint that responds with Server-Sent Events and calls
+ * `onEvent({ event, data })` for each event, with `data` parsed as JSON.
+ * Pass an AbortSignal to cancel the request (the server then aborts its upstream work).
+ */
+export const streamPost = (url, body, options) => streamRequest("POST", url, body, options);
+
+const FINISHED_JOB_STATUSES = ["succeeded", "failed", "cancelled"];
+
+// Wait before following a job again after its event stream dropped, doubled up to the maximum
+const JOB_RECONNECT_DELAY = 2000;
+const MAX_JOB_RECONNECT_DELAY = 30000;
+
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(timer);
+    reject(new DOMException("Aborted", "AbortError"));
+  }, { once: true });
+});
+
+/**
+ * POSTs to a route that can run as a background job (`?async=true`) and follows the
+ * job until it finishes, so slow work is not cut off by the request timeout.
+ * Progress comes over the job's event stream (GET /jobs/:id/events): one request per
+ * job instead of one per poll, which would soon use up the API rate limit. A dropped
+ * stream is reopened after a growing delay.
+ * Resolves with the job's result (the data the route would have responded with).
+ * A failed job rejects with an error shaped like an axios error (`error.response.status`
+ * and `error.response.data.message`). Aborting the signal cancels the job.
+ */
+export const runJob = async (url, body, { signal, onUpdate } = {}) => {
+  const queued = await api.post(url, body, { params: { async: true }, signal });
+  let job = queued.data.data;
+  onUpdate?.(job);
+
+  try {
+    let reconnectDelay = JOB_RECONNECT_DELAY;
+    while (!FINISHED_JOB_STATUSES.includes(job.status)) {
+      let streamError = null;
+      try {
+        await streamRequest("GET", `/jobs/${job.id}/events`, undefined, {
+          signal,
+          onEvent: ({ event, data }) => {
+            if (event === "job") {
+              job = data;
+              reconnectDelay = JOB_RECONNECT_DELAY;
+              onUpdate?.(job);
+            } else if (event === "error") {
+              streamError = new Error(data.message);
+              streamError.response = { status: data.statusCode, data };
+            }
+          },
+        });
+      } catch (error) {
+        // A missing job or an expired session is final; anything else is retried
+        if (signal?.aborted || [401, 403, 404].includes(error.response?.status)) {
+          throw error;
+        }
+        console.warn(`Lost the event stream of job ${job.id}:`, error.message);
+      }
+      if (streamError) {
+        throw streamError;
+      }
+      if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+        await waitFor(reconnectDelay, signal);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_JOB_RECONNECT_DELAY);
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      api.delete(`/jobs/${job.id}`).catch(() => {});
+    }
+    throw error;
+  }
+
+  if (job.status === "succeeded") {
+    return job.result;
+  }
+  const message = job.status === "cancelled" ? "The job was cancelled." : job.error?.message || "The job failed.";
+  const error = new Error(message);
+  error.response = {
+    status: job.error?.statusCode || 500,
+    data: { message, data: job.error?.data ?? null },
+  };
+  throw error;
+};
+
 /**
  * Utility function to get API debugging information
  * Useful for production troubleshooting
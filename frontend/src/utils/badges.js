@@ -0,0 +1,83 @@
+/**
+ * Managed badge block helpers
+ *
+ * The badges of a README live between the same markers the backend renders
+ * (backend/src/services/badge.Service.js), so the block can be replaced later
+ * without touching the rest of the document.
+ */
+
+export const BADGES_START = '<!-- badges:start -->';
+export const BADGES_END = '<!-- badges:end -->';
+
+const FIRST_H1 = /^(#\s.*|\s*<h1[\s>].*)$/m;
+
+/**
+ * Finds the managed badge block of a document.
+ * @param {string} markdown - The document
+ * @returns {object|null} { start, end, body } where `start` and `end` are character offsets
+ * of the whole block (markers included) and `body` is the text between the markers
+ */
+export const findBadgeBlock = (markdown) => {
+  const start = markdown.indexOf(BADGES_START);
+  if (start === -1) return null;
+  const endMarker = markdown.indexOf(BADGES_END, start + BADGES_START.length);
+  if (endMarker === -1) return null;
+  return {
+    start,
+    end: endMarker + BADGES_END.length,
+    body: markdown.slice(start + BADGES_START.length, endMarker),
+  };
+};
+
+/**
+ * Renders badges as a managed block.
+ * @param {Array<object>} badges - Badges in the order they are shown, each with its `markdown`
+ * @returns {string} The block with its markers
+ */
+export const renderBadgeBlock = (badges) =>
+  [BADGES_START, ...badges.map(badge => badge.markdown), BADGES_END].join('\n');
+
+/**
+ * Writes badges into a document: in place of its managed block when it has one, otherwise
+ * right after the first title (or at the top). Without badges the block is removed.
+ * @param {string} markdown - The document
+ * @param {Array<object>} badges - Badges in the order they are shown
+ * @returns {string} The updated document
+ */
+export const upsertBadgeBlock = (markdown, badges) => {
+  const existing = findBadgeBlock(markdown);
+  if (existing) {
+    if (badges.length === 0) {
+      // Drop the block together with the blank line that separated it
+      const after = markdown.slice(existing.end).replace(/^\n{1,2}/, '');
+      return markdown.slice(0, existing.start) + after;
+    }
+    return markdown.slice(0, existing.start) + renderBadgeBlock(badges) + markdown.slice(existing.end);
+  }
+  if (badges.length === 0) return markdown;
+
+  const block = renderBadgeBlock(badges);
+  const title = markdown.match(FIRST_H1);
+  if (!title) {
+    return `${block}\n\n${markdown}`;
+  }
+  const insertAt = title.index + title[0].length;
+  const rest = markdown.slice(insertAt).replace(/^\n+/, '');
+  return `${markdown.slice(0, insertAt)}\n\n${block}\n${rest ? `\n${rest}` : ''}`;
+};
+
+/**
+ * Lists the badges already in a document's managed block, in their order, by matching their markdown.
+ * @param {string} markdown - The document
+ * @param {Array<object>} badges - The badges available
+ * @returns {Array<string>|null} Ids of the badges found, or null when the document has no block
+ */
+export const selectedBadgeIds = (markdown, badges) => {
+  const existing = findBadgeBlock(markdown);
+  if (!existing) return null;
+  return badges
+    .map(badge => ({ id: badge.id, index: existing.body.indexOf(badge.image) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ id }) => id);
+};
@@ -0,0 +1,23 @@
+/**
+ * Changelog range helpers
+ *
+ * The fields of ChangelogRangeFields and the body of POST /github/changelog built from them.
+ */
+
+export const EMPTY_CHANGELOG_RANGE = { mode: 'tags', from: '', to: '', since: '', until: '', version: '', polish: false };
+
+/**
+ * Turns the range fields into the body of POST /github/changelog
+ * @param {object} range - See EMPTY_CHANGELOG_RANGE
+ * @returns {object} { from, to } or { since, until }, plus version and polish
+ */
+export const toChangelogRequest = (range) => ({
+  ...(range.mode === 'tags'
+    ? { from: range.from.trim(), to: range.to.trim() || undefined }
+    : { since: range.since, until: range.until || undefined }),
+  version: range.version.trim() || undefined,
+  polish: range.polish,
+});
+
+// A range needs its start: a tag or commit, or a date
+export const isChangelogRangeComplete = (range) => (range.mode === 'tags' ? Boolean(range.from.trim()) : Boolean(range.since));
@@ -0,0 +1,25 @@
+/**
+ * Kinds of documents that can be generated and committed
+ *
+ * Mirrors DOCUMENT_TYPES in the backend (backend/src/services/documentType.Service.js).
+ * `defaultPath` is where a new document is written when the repository has none yet.
+ */
+export const DOCUMENT_TYPES = [
+  { id: 'readme', label: 'README', defaultPath: 'README.md' },
+  { id: 'contributing', label: 'Contributing guide', defaultPath: 'CONTRIBUTING.md' },
+  { id: 'changelog', label: 'Changelog', defaultPath: 'CHANGELOG.md' },
+  { id: 'code-of-conduct', label: 'Code of conduct', defaultPath: 'CODE_OF_CONDUCT.md' },
+  { id: 'security', label: 'Security policy', defaultPath: 'SECURITY.md' },
+  { id: 'docs', label: 'Documentation page', defaultPath: 'docs/index.md' },
+];
+
+// Documents that can be added next to the README
+export const COMPANION_DOCUMENT_TYPES = DOCUMENT_TYPES.filter(type => type.id !== 'readme');
+
+/**
+ * Looks up a document type's label
+ * @param {string} [id='readme'] - One of the DOCUMENT_TYPES ids
+ * @returns {string} e.g. 'Contributing guide'
+ */
+export const getDocumentTypeLabel = (id = 'readme') =>
+  DOCUMENT_TYPES.find(type => type.id === id)?.label || id;
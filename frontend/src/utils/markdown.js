@@ -0,0 +1,94 @@
+/**
+ * Markdown section helpers
+ *
+ * Mirrors parseSections in the backend (backend/src/utils/markdown.js) so section
+ * indexes computed here match the ones the server validates.
+ */
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Splits a Markdown document into sections, one per ATX heading (`#` ... `######`).
+ * Headings inside fenced code blocks are ignored. Any text before the first heading
+ * becomes a section with a `null` title and level 0.
+ * @param {string} markdown - The Markdown document
+ * @returns {Array<object>} Sections in order: { title, level, startLine, endLine, content },
+ * where lines are 0-based, `endLine` is exclusive and `content` includes the heading line
+ */
+export const parseSections = (markdown) => {
+  const lines = (markdown || '').split('\n');
+  const sections = [];
+  let current = { title: null, level: 0, startLine: 0 };
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      // A fence is closed only by the same marker that opened it
+      fence = fence === null ? fenceMatch[1] : fence === fenceMatch[1] ? null : fence;
+      return;
+    }
+
+    const heading = fence === null && line.match(HEADING);
+    if (!heading) return;
+
+    if (index > current.startLine || current.title !== null) {
+      sections.push({ ...current, endLine: index });
+    }
+    current = { title: heading[2].trim(), level: heading[1].length, startLine: index };
+  });
+  sections.push({ ...current, endLine: lines.length });
+
+  return sections
+    .map(section => ({ ...section, content: lines.slice(section.startLine, section.endLine).join('\n') }))
+    // Drop an empty preamble
+    .filter(section => section.title !== null || section.content.trim());
+};
+
+/**
+ * Index of the section containing a character offset, e.g. the editor's cursor
+ * @param {Array<object>} sections - Result of parseSections
+ * @param {string} markdown - The document the sections were parsed from
+ * @param {number} offset - Character offset into the document
+ * @returns {number} Section index, or -1 when there are no sections
+ */
+export const findSectionAt = (sections, markdown, offset) => {
+  const line = markdown.slice(0, offset).split('\n').length - 1;
+  for (let index = sections.length - 1; index >= 0; index -= 1) {
+    if (sections[index].startLine <= line) {
+      return index;
+    }
+  }
+  return sections.length > 0 ? 0 : -1;
+};
+
+/**
+ * Replaces one section of a document. The section is looked up by its original title and
+ * text, so edits elsewhere in the document since it was selected are kept; if the section
+ * itself was edited (or removed) nothing is replaced.
+ * @param {string} markdown - The current document
+ * @param {object} original - The section as it was selected ({ title, content }, plus its index as a hint)
+ * @param {string} replacement - New text of the section
+ * @returns {string|null} The updated document, or null when the section can no longer be found
+ */
+export const replaceSection = (markdown, original, replacement) => {
+  const sections = parseSections(markdown);
+  const matches = (section) => section && section.title === original.title && section.content === original.content;
+
+  const target = matches(sections[original.index])
+    ? sections[original.index]
+    : sections.find(matches);
+  if (!target) {
+    return null;
+  }
+
+  const lines = markdown.split('\n');
+  const replacementLines = replacement.replace(/\n$/, '').split('\n');
+  // Keep the blank line that separated the section from the next one (or the final newline)
+  if (lines[target.endLine - 1] === '' && replacementLines[replacementLines.length - 1] !== '') {
+    replacementLines.push('');
+  }
+  lines.splice(target.startLine, target.endLine - target.startLine, ...replacementLines);
+  return lines.join('\n');
+};
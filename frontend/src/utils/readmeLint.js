@@ -0,0 +1,40 @@
+/**
+ * Colors for README quality scores and the severities of the problems found
+ *
+ * Scores and grades come from the backend (backend/src/services/readmeLint.Service.js):
+ * A is 90 and above, B 75, C 60, D 40.
+ */
+
+/**
+ * Picks the badge colors for a quality score
+ * @param {number} score - 0 to 100
+ * @returns {string} Tailwind classes
+ */
+export const getScoreClassName = (score) => {
+  if (score >= 90) return 'bg-green-100 text-green-800 border-green-400/40';
+  if (score >= 75) return 'bg-lime-100 text-lime-800 border-lime-400/40';
+  if (score >= 60) return 'bg-yellow-100 text-yellow-800 border-yellow-400/40';
+  return 'bg-red-100 text-red-800 border-red-400/40';
+};
+
+export const SEVERITY_CLASS_NAMES = {
+  error: 'text-red-700',
+  warning: 'text-orange-700',
+  info: 'text-amber-700',
+};
+
+/**
+ * Summarizes a report's problems, e.g. '2 errors, 1 warning'
+ * @param {Object} summary - { errors, warnings, info }
+ * @returns {string}
+ */
+export const describeLintSummary = ({ errors, warnings, info }) => {
+  const parts = [
+    [errors, 'error'],
+    [warnings, 'warning'],
+    [info, 'suggestion'],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+  return parts.length > 0 ? parts.join(', ') : 'No problems found';
+};